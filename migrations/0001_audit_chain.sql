@@ -0,0 +1,11 @@
+-- ChittyAuth migration 0001: audit hash chain columns
+-- Run once on auth_events tables created before these columns existed; schema.sql already has them
+-- Rows written before this migration keep a NULL chain_seq and are not covered by verification
+ALTER TABLE auth_events ADD COLUMN chain_seq INTEGER;
+ALTER TABLE auth_events ADD COLUMN prev_hash TEXT;
+ALTER TABLE auth_events ADD COLUMN event_hash TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_events_chain_seq ON auth_events(chain_seq);
+
+-- Audit events stored unchained under append contention, linked by scheduled maintenance
+ALTER TABLE auth_events ADD COLUMN chain_pending INTEGER;
+CREATE INDEX IF NOT EXISTS idx_auth_events_chain_pending ON auth_events(chain_pending);
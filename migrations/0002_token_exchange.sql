@@ -0,0 +1,7 @@
+-- ChittyAuth migration 0002: token exchange columns
+-- Run once on tokens tables created before these columns existed; schema.sql already has them
+-- Token exchange (RFC 8693): audience binding, act chain and parent token for cascading revocation
+ALTER TABLE tokens ADD COLUMN audience TEXT;
+ALTER TABLE tokens ADD COLUMN actor TEXT;
+ALTER TABLE tokens ADD COLUMN parent_token_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_tokens_parent_token_id ON tokens(parent_token_id);
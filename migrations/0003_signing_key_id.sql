@@ -0,0 +1,5 @@
+-- ChittyAuth migration 0003: signing key id per token
+-- Run once on tokens tables created before this column existed; schema.sql already has it
+-- Tokens issued before this migration keep a NULL signing_key_id and do not hold back key retirement
+ALTER TABLE tokens ADD COLUMN signing_key_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_tokens_signing_key_id ON tokens(signing_key_id);
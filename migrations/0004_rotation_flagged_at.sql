@@ -0,0 +1,4 @@
+-- ChittyAuth migration 0004: overdue rotation flag
+-- Run once on service_credentials tables created before this column existed; schema.sql already has it
+-- When scheduled maintenance last reported an overdue client secret rotation
+ALTER TABLE service_credentials ADD COLUMN rotation_flagged_at INTEGER;
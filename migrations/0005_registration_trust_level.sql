@@ -0,0 +1,6 @@
+-- ChittyAuth migration 0005: trust level recorded on registrations
+-- Run once on registrations tables created before this column existed
+ALTER TABLE registrations ADD COLUMN trust_level INTEGER NOT NULL DEFAULT 0;
+
+-- Registrations verified before this migration already earned the verified trust level
+UPDATE registrations SET trust_level = 1 WHERE verified_at IS NOT NULL AND trust_level < 1;
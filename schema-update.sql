@@ -1,5 +1,7 @@
 -- ChittyAuth Schema Updates for chittyos-core database
 -- Add these tables to the EXISTING chittyos-core database
+-- Safe to rerun: only CREATE ... IF NOT EXISTS. Columns added to existing tables are in migrations/,
+-- each run once on databases created before it (a database created from current files has every column)
 
 -- Registrations table (links ChittyIDs to initial registration)
 CREATE TABLE IF NOT EXISTS registrations (
@@ -9,11 +11,140 @@ CREATE TABLE IF NOT EXISTS registrations (
   token_id TEXT,
   registered_at INTEGER NOT NULL,
   verified_at INTEGER,
-  verification_method TEXT
+  verification_method TEXT,
+  trust_level INTEGER NOT NULL DEFAULT 0 -- 1 once the email is verified; raises ChittyConnect's trust level
 );
 
 CREATE INDEX IF NOT EXISTS idx_registrations_email ON registrations(email);
 CREATE INDEX IF NOT EXISTS idx_registrations_registered_at ON registrations(registered_at);
 
+-- Pending email verifications (one per registration; code stored as SHA-256 only)
+CREATE TABLE IF NOT EXISTS email_verifications (
+  chitty_id TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  token_id TEXT,
+  code_hash TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  send_count INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER NOT NULL,
+  last_sent_at INTEGER NOT NULL
+);
+
 -- Note: tokens, service_credentials, auth_events tables can also go in chittyos-core
 -- Or keep them separate if you prefer separation of concerns
+
+-- Audit hash chain checkpoints (chain columns on auth_events: migrations/0001_audit_chain.sql)
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+  seq INTEGER PRIMARY KEY,
+  event_hash TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+-- Scope registry (scopes each service understands)
+CREATE TABLE IF NOT EXISTS scope_registry (
+  scope TEXT PRIMARY KEY,
+  service_name TEXT NOT NULL,
+  description TEXT NOT NULL,
+  risk_level TEXT NOT NULL,
+  required_trust_level INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scope_registry_service ON scope_registry(service_name);
+
+-- Refresh tokens (one per access token; rotated on every refresh, grouped into families for reuse detection)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  family_id TEXT NOT NULL,
+  access_token_id TEXT NOT NULL,
+  chitty_id TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  service_name TEXT,
+  format TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  revoked_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_access_token_id ON refresh_tokens(access_token_id);
+
+-- Signing key rotation: rotated keys stored encrypted (key id per token: migrations/0003_signing_key_id.sql)
+
+CREATE TABLE IF NOT EXISTS signing_keys (
+  kid TEXT PRIMARY KEY,
+  encrypted_secret TEXT,
+  status TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  rotated_at INTEGER,
+  retired_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_keys_status ON signing_keys(status);
+
+-- Degraded mode: fallbacks recorded for reconciliation, operations queued until claimed
+CREATE TABLE IF NOT EXISTS degraded_operations (
+  id TEXT PRIMARY KEY,
+  operation TEXT NOT NULL,
+  policy TEXT NOT NULL,
+  status TEXT NOT NULL,
+  chitty_id TEXT,
+  token_id TEXT,
+  payload TEXT,
+  claim_hash TEXT,
+  reason TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER,
+  resolved_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_degraded_operations_status ON degraded_operations(status);
+
+-- Webhooks: subscriptions, delivery queue and attempt log
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  event_types TEXT NOT NULL, -- JSON array, or ["*"]
+  encrypted_secret TEXT NOT NULL,
+  description TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Webhook delivery queue and log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  subscription_id TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL, -- pending, delivering, delivered, failed, cancelled
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER NOT NULL,
+  last_status_code INTEGER,
+  last_error TEXT,
+  replay_of TEXT,
+  created_at INTEGER NOT NULL,
+  delivered_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+
+-- One row per webhook delivery attempt
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  delivery_id TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status_code INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
+  attempted_at INTEGER NOT NULL,
+  PRIMARY KEY (delivery_id, attempt)
+);
@@ -13,14 +13,131 @@ CREATE TABLE IF NOT EXISTS tokens (
   last_used_at INTEGER,
   request_count INTEGER DEFAULT 0,
   revoked_at INTEGER,
-  revocation_reason TEXT
+  revocation_reason TEXT,
+  audience TEXT,
+  actor TEXT,
+  parent_token_id TEXT,
+  signing_key_id TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_tokens_chitty_id ON tokens(chitty_id);
+CREATE INDEX IF NOT EXISTS idx_tokens_parent_token_id ON tokens(parent_token_id);
+CREATE INDEX IF NOT EXISTS idx_tokens_signing_key_id ON tokens(signing_key_id);
 CREATE INDEX IF NOT EXISTS idx_tokens_token_hash ON tokens(token_hash);
 CREATE INDEX IF NOT EXISTS idx_tokens_expires_at ON tokens(expires_at);
 CREATE INDEX IF NOT EXISTS idx_tokens_revoked_at ON tokens(revoked_at);
 
+-- Archived tokens (expired or revoked beyond retention, moved by scheduled maintenance)
+CREATE TABLE IF NOT EXISTS tokens_archive (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT NOT NULL,
+  chitty_id TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  service_name TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  last_used_at INTEGER,
+  request_count INTEGER DEFAULT 0,
+  revoked_at INTEGER,
+  revocation_reason TEXT,
+  archived_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tokens_archive_chitty_id ON tokens_archive(chitty_id);
+
+-- Refresh tokens (one per access token; rotated on every refresh, grouped into families for reuse detection)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  family_id TEXT NOT NULL,
+  access_token_id TEXT NOT NULL,
+  chitty_id TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  service_name TEXT,
+  format TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  revoked_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_access_token_id ON refresh_tokens(access_token_id);
+
+-- Token signing keys (TOKEN_SIGNING_KEY plus rotated keys; secrets encrypted, NULL for TOKEN_SIGNING_KEY itself)
+CREATE TABLE IF NOT EXISTS signing_keys (
+  kid TEXT PRIMARY KEY,
+  encrypted_secret TEXT,
+  status TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  rotated_at INTEGER,
+  retired_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_keys_status ON signing_keys(status);
+
+-- Degraded-mode fallbacks and queued operations (kept for reconciliation)
+CREATE TABLE IF NOT EXISTS degraded_operations (
+  id TEXT PRIMARY KEY,
+  operation TEXT NOT NULL,
+  policy TEXT NOT NULL,
+  status TEXT NOT NULL,
+  chitty_id TEXT,
+  token_id TEXT,
+  payload TEXT,
+  claim_hash TEXT,
+  reason TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER,
+  resolved_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_degraded_operations_status ON degraded_operations(status);
+
+-- Webhook subscriptions (secrets stored encrypted)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  event_types TEXT NOT NULL, -- JSON array, or ["*"]
+  encrypted_secret TEXT NOT NULL,
+  description TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Webhook delivery queue and log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  subscription_id TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL, -- pending, delivering, delivered, failed, cancelled
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER NOT NULL,
+  last_status_code INTEGER,
+  last_error TEXT,
+  replay_of TEXT,
+  created_at INTEGER NOT NULL,
+  delivered_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+
+-- One row per webhook delivery attempt
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  delivery_id TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status_code INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
+  attempted_at INTEGER NOT NULL,
+  PRIMARY KEY (delivery_id, attempt)
+);
+
 -- Service credentials table
 CREATE TABLE IF NOT EXISTS service_credentials (
   service_name TEXT PRIMARY KEY,
@@ -29,11 +146,25 @@ CREATE TABLE IF NOT EXISTS service_credentials (
   permissions TEXT NOT NULL,
   created_at INTEGER NOT NULL,
   last_rotated_at INTEGER,
-  rotation_interval INTEGER DEFAULT 2592000
+  rotation_interval INTEGER DEFAULT 2592000,
+  rotation_flagged_at INTEGER
 );
 
 CREATE INDEX IF NOT EXISTS idx_service_credentials_token ON service_credentials(service_token_hash);
 
+-- Scope registry (scopes each service understands)
+CREATE TABLE IF NOT EXISTS scope_registry (
+  scope TEXT PRIMARY KEY,
+  service_name TEXT NOT NULL,
+  description TEXT NOT NULL,
+  risk_level TEXT NOT NULL,
+  required_trust_level INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scope_registry_service ON scope_registry(service_name);
+
 -- Audit events table
 CREATE TABLE IF NOT EXISTS auth_events (
   id TEXT PRIMARY KEY,
@@ -46,13 +177,28 @@ CREATE TABLE IF NOT EXISTS auth_events (
   ip_address TEXT,
   user_agent TEXT,
   metadata TEXT,
-  timestamp INTEGER NOT NULL
+  timestamp INTEGER NOT NULL,
+  chain_seq INTEGER,
+  prev_hash TEXT,
+  event_hash TEXT,
+  chain_pending INTEGER -- 1 while stored unchained after append contention
 );
 
 CREATE INDEX IF NOT EXISTS idx_auth_events_timestamp ON auth_events(timestamp);
 CREATE INDEX IF NOT EXISTS idx_auth_events_token_id ON auth_events(token_id);
 CREATE INDEX IF NOT EXISTS idx_auth_events_chitty_id ON auth_events(chitty_id);
 CREATE INDEX IF NOT EXISTS idx_auth_events_event_type ON auth_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_auth_events_service_name ON auth_events(service_name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_events_chain_seq ON auth_events(chain_seq);
+CREATE INDEX IF NOT EXISTS idx_auth_events_chain_pending ON auth_events(chain_pending);
+
+-- Signed audit chain checkpoints (EdDSA JWS over the chain head)
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+  seq INTEGER PRIMARY KEY,
+  event_hash TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
 
 -- Token usage statistics table
 CREATE TABLE IF NOT EXISTS token_stats (
@@ -3,16 +3,62 @@
  * Routes all API requests to appropriate handlers
  */
 
-import { TokenManager } from './token-manager.js';
-import { ChittyConnectClient } from './chittyconnect-client.js';
+import {
+  TokenManager,
+  QuotaExceededError,
+  TOKEN_FORMATS,
+  TOKEN_SORT_COLUMNS,
+  TOKEN_STATUSES
+} from './token-manager.js';
+import { ChittyConnectClient, ChittyConnectUnavailableError } from './chittyconnect-client.js';
 import { RegistrationHandler } from './registration-handler.js';
+import { JwtSigner } from './jwt-signer.js';
+import { ServiceCredentialManager } from './service-credentials.js';
+import { AuditLog, EXPORT_FORMATS } from './audit-log.js';
+import { decodeCursor } from './pagination.js';
+import { RateLimitExceededError } from './rate-limiter.js';
+import { REJECTION_REASONS } from './registration-guard.js';
+import { VERIFICATION_ERRORS } from './email-verification.js';
+import { SUPER_SCOPE, filterScopes, hasScope, isDenyScope } from './scopes.js';
+import { ScopeRegistry } from './scope-registry.js';
+import { SIGNING_KEY_ERRORS } from './signing-keys.js';
+import { DegradedMode, DEGRADED_ERRORS } from './degraded-mode.js';
+import { HealthMonitor } from './health-monitor.js';
+import { WebhookManager, WEBHOOK_ERRORS } from './webhooks.js';
+import {
+  TokenStatistics,
+  STATS_GRANULARITIES,
+  STATS_GROUP_BY,
+  MAX_STATS_BUCKETS
+} from './token-stats.js';
+import {
+  MetricsCollector,
+  observeHistogram,
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE
+} from './metrics.js';
+
+const TOKEN_EXCHANGE_GRANT = 'urn:ietf:params:oauth:grant-type:token-exchange';
+const ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token';
+const SUBJECT_TOKEN_TYPES = [ACCESS_TOKEN_TYPE, 'urn:ietf:params:oauth:token-type:jwt'];
 
 export class ChittyAuthAPI {
   constructor(env) {
     this.env = env;
-    this.tokenManager = new TokenManager(env);
+    // Shared so the worker can tell whether this request queued webhook deliveries
+    this.webhooks = new WebhookManager(env);
+    this.tokenManager = new TokenManager(env, this.webhooks);
     this.chittyConnect = new ChittyConnectClient(env);
-    this.registrationHandler = new RegistrationHandler(env);
+    this.registrationHandler = new RegistrationHandler(env, this.webhooks);
+    this.jwtSigner = new JwtSigner(env);
+    this.serviceCredentials = new ServiceCredentialManager(env);
+    this.auditLog = new AuditLog(env);
+    this.scopeRegistry = new ScopeRegistry(env);
+    this.degradedMode = new DegradedMode(env, this.tokenManager);
+    this.healthMonitor = new HealthMonitor(env, this.chittyConnect);
+    this.metrics = new MetricsCollector(env);
+    this.tokenStats = new TokenStatistics(env);
+    this.serviceTokenExpiry = parseInt(env.SERVICE_TOKEN_EXPIRY || '3600'); // 1 hour
   }
 
   /**
@@ -28,10 +74,31 @@ export class ChittyAuthAPI {
       return this.corsResponse();
     }
 
+    // Every audit event written while handling this request records who made it
+    this.tokenManager.setRequestContext(request);
+
     try {
-      // Health check
-      if (path === '/health' && method === 'GET') {
-        return await this.handleHealth();
+      // Health checks: liveness never touches dependencies, readiness probes all of them
+      if (path === '/health/live' && method === 'GET') {
+        return this.handleLiveness();
+      }
+
+      if ((path === '/health' || path === '/health/ready') && method === 'GET') {
+        return await this.handleHealth(request);
+      }
+
+      // Prometheus scrape endpoint (admin)
+      if (path === '/metrics' && method === 'GET') {
+        return await this.handleMetrics(request);
+      }
+
+      // PUBLIC: Key discovery for offline JWT validation
+      if (path === '/.well-known/jwks.json' && method === 'GET') {
+        return await this.handleJwks();
+      }
+
+      if (path === '/.well-known/openid-configuration' && method === 'GET') {
+        return this.handleOpenIdConfiguration();
       }
 
       // PUBLIC: Registration (no auth required)
@@ -39,6 +106,24 @@ export class ChittyAuthAPI {
         return await this.handleRegister(request);
       }
 
+      if (path === '/v1/register/verify' && method === 'POST') {
+        return await this.handleVerifyEmail(request);
+      }
+
+      if (path === '/v1/register/verify/resend' && method === 'POST') {
+        return await this.handleResendVerification(request);
+      }
+
+      // PUBLIC: Scope catalog
+      if (path === '/v1/scopes' && method === 'GET') {
+        return await this.handleScopeCatalog(url);
+      }
+
+      // Scope registration (service client credentials or admin)
+      if (path === '/v1/scopes/register' && method === 'POST') {
+        return await this.handleScopeRegister(request);
+      }
+
       // Token provisioning
       if (path === '/v1/tokens/provision' && method === 'POST') {
         return await this.handleProvision(request);
@@ -59,14 +144,109 @@ export class ChittyAuthAPI {
         return await this.handleRevoke(request);
       }
 
+      // Bulk token revocation (admin kill switch)
+      if (path === '/v1/tokens/revoke/bulk' && method === 'POST') {
+        return await this.handleBulkRevoke(request);
+      }
+
       // Service authentication
       if (path === '/v1/service/authenticate' && method === 'POST') {
         return await this.handleServiceAuth(request);
       }
 
+      // Session token verification (target services)
+      if (path === '/v1/service/session/verify' && method === 'POST') {
+        return await this.handleSessionVerify(request);
+      }
+
+      // Service registration (admin)
+      if (path === '/v1/services/register' && method === 'POST') {
+        return await this.handleServiceRegister(request);
+      }
+
+      // Service client secret rotation (admin)
+      if (path === '/v1/services/rotate' && method === 'POST') {
+        return await this.handleServiceRotate(request);
+      }
+
+      // Token signing key rotation (admin)
+      if (path === '/v1/signing-keys' && method === 'GET') {
+        return await this.handleSigningKeyList(request);
+      }
+
+      if (path === '/v1/signing-keys/rotate' && method === 'POST') {
+        return await this.handleSigningKeyRotate(request);
+      }
+
+      if (path === '/v1/signing-keys/retire' && method === 'POST') {
+        return await this.handleSigningKeyRetire(request);
+      }
+
+      // OAuth 2.0 token endpoint (client credentials grant)
+      if (path === '/oauth/token' && method === 'POST') {
+        return await this.handleOAuthToken(request);
+      }
+
+      // OAuth 2.0 token introspection (RFC 7662)
+      if (path === '/oauth/introspect' && method === 'POST') {
+        return await this.handleOAuthIntrospect(request);
+      }
+
+      // OAuth 2.0 token revocation (RFC 7009)
+      if (path === '/oauth/revoke' && method === 'POST') {
+        return await this.handleOAuthRevoke(request);
+      }
+
       // Token statistics
       if (path === '/v1/tokens/stats' && method === 'GET') {
-        return await this.handleStats(request);
+        return await this.handleStats(request, url);
+      }
+
+      // Token quota usage
+      if (path === '/v1/tokens/quota' && method === 'GET') {
+        return await this.handleQuota(request, url);
+      }
+
+      // Token search and metadata (admin)
+      if (path === '/v1/tokens' && method === 'GET') {
+        return await this.handleTokenSearch(request, url);
+      }
+
+      const tokenMatch = path.match(/^\/v1\/tokens\/(tok_[A-Za-z0-9_]+)$/);
+      if (tokenMatch && method === 'GET') {
+        return await this.handleTokenMetadata(request, tokenMatch[1]);
+      }
+
+      // Audit log query and export (admin)
+      if (path === '/v1/audit/events' && method === 'GET') {
+        return await this.handleAuditQuery(request, url);
+      }
+
+      if (path === '/v1/audit/events/export' && method === 'GET') {
+        return await this.handleAuditExport(request, url);
+      }
+
+      if (path === '/v1/audit/verify' && method === 'GET') {
+        return await this.handleAuditVerify(request, url);
+      }
+
+      // Webhook subscriptions and delivery logs (admin)
+      if (path === '/v1/webhooks' && method === 'POST') {
+        return await this.handleWebhookCreate(request);
+      }
+
+      if (path === '/v1/webhooks' && method === 'GET') {
+        return await this.handleWebhookList(request);
+      }
+
+      const webhookMatch = path.match(/^\/v1\/webhooks\/(whk_[A-Za-z0-9_-]+)\/(disable|rotate|deliveries)$/);
+      if (webhookMatch && method === (webhookMatch[2] === 'deliveries' ? 'GET' : 'POST')) {
+        return await this.handleWebhookAction(request, url, webhookMatch[1], webhookMatch[2]);
+      }
+
+      const deliveryMatch = path.match(/^\/v1\/webhooks\/deliveries\/(whd_[A-Za-z0-9_-]+)(\/replay)?$/);
+      if (deliveryMatch && method === (deliveryMatch[2] ? 'POST' : 'GET')) {
+        return await this.handleWebhookDelivery(request, deliveryMatch[1], Boolean(deliveryMatch[2]));
       }
 
       // ChittyConnect integration endpoints
@@ -74,24 +254,72 @@ export class ChittyAuthAPI {
         return await this.handleConnectVerify(request);
       }
 
+      if (path === '/v1/connect/cache/invalidate' && method === 'POST') {
+        return await this.handleConnectInvalidate(request);
+      }
+
+      // Claim the result of an operation queued while a dependency was down
+      const claimMatch = path.match(/^\/v1\/operations\/(dop_[A-Za-z0-9_-]+)\/claim$/);
+      if (claimMatch && method === 'POST') {
+        return await this.handleOperationClaim(request, claimMatch[1]);
+      }
+
       // 404 for unknown routes
       return this.jsonResponse({
         success: false,
         error: 'Endpoint not found',
         availableEndpoints: [
           'POST /v1/register (PUBLIC - get your first ChittyID + token)',
+          'POST /v1/register/verify (PUBLIC - confirm your email with the emailed code)',
+          'POST /v1/register/verify/resend',
+          'GET /v1/scopes (PUBLIC - scope catalog)',
+          'POST /v1/scopes/register',
           'POST /v1/tokens/provision',
           'POST /v1/tokens/validate',
           'POST /v1/tokens/refresh',
           'POST /v1/tokens/revoke',
+          'POST /v1/tokens/revoke/bulk',
           'POST /v1/service/authenticate',
+          'POST /v1/service/session/verify',
+          'POST /v1/services/register',
+          'POST /v1/services/rotate',
+          'GET /v1/signing-keys',
+          'POST /v1/signing-keys/rotate',
+          'POST /v1/signing-keys/retire',
+          'POST /oauth/token',
+          'POST /oauth/introspect',
+          'POST /oauth/revoke',
           'GET /v1/tokens/stats',
+          'GET /v1/tokens/quota',
+          'GET /v1/tokens',
+          'GET /v1/tokens/:tokenId',
+          'GET /v1/audit/events',
+          'GET /v1/audit/events/export',
+          'GET /v1/audit/verify',
+          'POST /v1/webhooks',
+          'GET /v1/webhooks',
+          'POST /v1/webhooks/:webhookId/disable',
+          'POST /v1/webhooks/:webhookId/rotate',
+          'GET /v1/webhooks/:webhookId/deliveries',
+          'GET /v1/webhooks/deliveries/:deliveryId',
+          'POST /v1/webhooks/deliveries/:deliveryId/replay',
           'POST /v1/connect/verify',
-          'GET /health'
+          'POST /v1/connect/cache/invalidate',
+          'POST /v1/operations/:requestId/claim',
+          'GET /.well-known/jwks.json',
+          'GET /.well-known/openid-configuration',
+          'GET /health',
+          'GET /health/live',
+          'GET /health/ready',
+          'GET /metrics'
         ]
       }, 404);
 
     } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
       console.error('API error:', error);
       return this.jsonResponse({
         success: false,
@@ -107,50 +335,229 @@ export class ChittyAuthAPI {
   async handleProvision(request) {
     try {
       const body = await request.json();
-      const { chittyId, scope, service, expiresIn } = body;
+      return await this.provisionFromBody(body);
+    } catch (error) {
+      return this.provisionErrorResponse(error);
+    }
+  }
+
+  /**
+   * Provision a token from a provisioning request body
+   * Shared with claims of provisioning requests queued while ChittyConnect was down (claimedId)
+   */
+  async provisionFromBody(body, { claimedId } = {}) {
+    const { chittyId, scope, service, expiresIn, format } = body;
+
+    // Validate inputs
+    if (!chittyId || !scope || !service) {
+      return this.jsonResponse({
+        success: false,
+        error: 'Missing required fields: chittyId, scope, service'
+      }, 400);
+    }
+
+    if (format && !TOKEN_FORMATS.includes(format)) {
+      return this.jsonResponse({
+        success: false,
+        error: `Invalid token format. Supported formats: ${TOKEN_FORMATS.join(', ')}`
+      }, 400);
+    }
+
+    if (expiresIn !== undefined && expiresIn !== null && !(expiresIn > 0)) {
+      return this.jsonResponse({
+        success: false,
+        error: 'expiresIn must be a positive number of seconds'
+      }, 400);
+    }
+
+    // Only scopes some service has registered can be provisioned
+    const scopeCheck = await this.scopeRegistry.check(scope);
+    if (scopeCheck.unknown.length > 0) {
+      return this.jsonResponse({
+        success: false,
+        error: 'Unknown scopes requested',
+        unknownScopes: scopeCheck.unknown
+      }, 400);
+    }
+
+    // Verify ChittyID with ChittyConnect; an outage is handled by the provision degraded-mode policy
+    let verification;
+    let permissions;
+    try {
+      verification = await this.chittyConnect.verifyChittyID(chittyId);
+      if (verification.verified) {
+        permissions = await this.chittyConnect.getUserPermissions(chittyId);
+      }
+    } catch (error) {
+      if (error instanceof ChittyConnectUnavailableError) {
+        return await this.provisionDegraded(body, error, { claimedId, trustRequired: scopeCheck.trustRequired });
+      }
+      throw error;
+    }
+
+    if (!verification.verified) {
+      return this.jsonResponse({
+        success: false,
+        error: 'ChittyID verification failed',
+        details: verification.error
+      }, 403);
+    }
+
+    // Check if requested scopes are authorized and allowed at this trust level
+    const trustLevel = parseInt(verification.trustLevel) || 0;
+    const authorizedScopes = (await this.validateScopes(scope, permissions))
+      .filter(granted => (scopeCheck.trustRequired[granted] || 0) <= trustLevel);
+
+    if (!authorizedScopes.some(granted => !isDenyScope(granted))) {
+      return this.jsonResponse({
+        success: false,
+        error: 'No authorized scopes for this ChittyID',
+        requestedScopes: scope,
+        availablePermissions: permissions.permissions
+      }, 403);
+    }
+
+    // Provision token
+    const result = await this.tokenManager.provision({
+      chittyId,
+      scope: authorizedScopes,
+      service,
+      expiresIn,
+      format
+    });
+
+    return this.jsonResponse(result, 201);
+  }
+
+  /**
+   * Apply the provision degraded-mode policy while ChittyConnect is unavailable
+   * fail_open tokens carry only DEGRADED_SCOPES, expire early and are revoked by maintenance
+   * if ChittyConnect does not confirm the ChittyID once it is back
+   */
+  async provisionDegraded(body, error, { claimedId, trustRequired = {} } = {}) {
+    if (claimedId) {
+      return this.queuedResponse({ requestId: claimedId, retryAfter: error.retryAfter });
+    }
+
+    const policy = this.degradedMode.policy('provision');
+    const reason = error.message;
+
+    if (policy === 'queue') {
+      const queued = await this.degradedMode.enqueue({
+        operation: 'provision',
+        payload: body,
+        reason,
+        chittyId: body.chittyId
+      });
+      return this.queuedResponse({
+        ...queued,
+        retryAfter: error.retryAfter,
+        degraded: { operation: 'provision', policy, reason }
+      });
+    }
+
+    // An unverified ChittyID is treated as trust level 0
+    const scope = policy === 'fail_open'
+      ? this.degradedMode.reduceScopes(body.scope.filter(requested => !(trustRequired[requested] > 0)))
+      : [];
+    if (scope.length === 0) {
+      // fail_closed, or nothing requested may be granted without verification
+      await this.degradedMode.record({ operation: 'provision', policy: 'fail_closed', reason, chittyId: body.chittyId });
+      return this.connectUnavailableResponse(error);
+    }
+
+    const result = await this.tokenManager.provision({
+      chittyId: body.chittyId,
+      scope,
+      service: body.service,
+      expiresIn: this.degradedMode.reduceExpiry(body.expiresIn),
+      format: body.format
+    });
+    const degraded = await this.degradedMode.record({
+      operation: 'provision',
+      policy,
+      reason,
+      chittyId: body.chittyId,
+      tokenId: result.tokenId
+    });
+
+    return this.jsonResponse({ ...result, degraded }, 201);
+  }
+
+  /**
+   * Error responses shared by provisioning and provisioning claims
+   */
+  provisionErrorResponse(error) {
+    if (error instanceof RateLimitExceededError) {
+      return this.rateLimitResponse(error);
+    }
+
+    if (error instanceof QuotaExceededError) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message,
+        quota: error.quota
+      }, 403);
+    }
+
+    if (error instanceof ChittyConnectUnavailableError) {
+      return this.connectUnavailableResponse(error);
+    }
+
+    return this.jsonResponse({
+      success: false,
+      error: error.message
+    }, 500);
+  }
 
-      // Validate inputs
-      if (!chittyId || !scope || !service) {
+  /**
+   * Handle token quota usage
+   * Token holders see their own ChittyID; admins may query any ChittyID
+   */
+  async handleQuota(request, url) {
+    try {
+      const authHeader = request.headers.get('Authorization');
+      if (!authHeader) {
         return this.jsonResponse({
           success: false,
-          error: 'Missing required fields: chittyId, scope, service'
-        }, 400);
+          error: 'Authorization required'
+        }, 401);
       }
 
-      // Verify ChittyID with ChittyConnect
-      const verification = await this.chittyConnect.verifyChittyID(chittyId);
-      if (!verification.verified) {
+      const validation = await this.tokenManager.validate(authHeader);
+      if (!validation.valid || validation.tokenType === 'session') {
         return this.jsonResponse({
           success: false,
-          error: 'ChittyID verification failed',
-          details: verification.error
-        }, 403);
+          error: 'Invalid token'
+        }, 401);
       }
 
-      // Check if requested scopes are authorized
-      const permissions = await this.chittyConnect.getUserPermissions(chittyId);
-      const authorizedScopes = await this.validateScopes(scope, permissions);
-
-      if (authorizedScopes.length === 0) {
+      const chittyId = url.searchParams.get('chittyId') || validation.chittyId;
+      if (chittyId !== validation.chittyId && !hasScope(validation.scope, SUPER_SCOPE)) {
         return this.jsonResponse({
           success: false,
-          error: 'No authorized scopes for this ChittyID',
-          requestedScopes: scope,
-          availablePermissions: permissions.permissions
+          error: 'Admin access required to view another ChittyID'
         }, 403);
       }
 
-      // Provision token
-      const result = await this.tokenManager.provision({
-        chittyId,
-        scope: authorizedScopes,
-        service,
-        expiresIn
-      });
+      if (!this.env.AUTH_DB) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Database not available'
+        }, 503);
+      }
 
-      return this.jsonResponse(result, 201);
+      const usage = await this.tokenManager.getQuotaUsage(chittyId);
+      return this.jsonResponse({
+        success: true,
+        ...usage
+      }, 200);
 
     } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
       return this.jsonResponse({
         success: false,
         error: error.message
@@ -164,7 +571,7 @@ export class ChittyAuthAPI {
   async handleValidate(request) {
     try {
       const body = await request.json();
-      const { token } = body;
+      const { token, requiredScope, audience } = body;
 
       if (!token) {
         return this.jsonResponse({
@@ -173,18 +580,27 @@ export class ChittyAuthAPI {
         }, 400);
       }
 
-      const result = await this.tokenManager.validate(token);
+      const startedAt = Date.now();
+      const result = await this.tokenManager.validate(token, { requiredScope, audience });
+      observeHistogram('chittyauth_token_validation_duration_seconds', {
+        result: result.valid ? 'valid' : 'invalid'
+      }, (Date.now() - startedAt) / 1000);
 
       if (!result.valid) {
         return this.jsonResponse({
           valid: false,
-          error: result.error
-        }, 401);
+          error: result.error,
+          ...(result.requiredScope ? { requiredScope: result.requiredScope } : {})
+        }, result.requiredScope ? 403 : 401);
       }
 
-      return this.jsonResponse(result, 200);
+      return this.jsonResponse(result, 200, this.rateLimitHeaders(result.rateLimit));
 
     } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
       return this.jsonResponse({
         valid: false,
         error: error.message
@@ -194,28 +610,44 @@ export class ChittyAuthAPI {
 
   /**
    * Handle token refresh
+   * Rotates the refresh token; replaying a used one revokes its whole family
    */
   async handleRefresh(request) {
     try {
       const body = await request.json();
-      const { token, expiresIn } = body;
+      const { refreshToken, token, expiresIn } = body;
 
-      if (!token) {
+      if (!refreshToken && !token) {
         return this.jsonResponse({
           success: false,
-          error: 'Token is required'
+          error: 'refreshToken is required'
+        }, 400);
+      }
+
+      if (expiresIn !== undefined && expiresIn !== null && !(expiresIn > 0)) {
+        return this.jsonResponse({
+          success: false,
+          error: 'expiresIn must be a positive number of seconds'
         }, 400);
       }
 
-      const result = await this.tokenManager.refresh(token, expiresIn);
+      // { token } (the access token) is the request shape from before refresh tokens, still accepted but deprecated
+      const result = refreshToken
+        ? await this.tokenManager.refresh(refreshToken, expiresIn)
+        : await this.tokenManager.refreshWithAccessToken(token, expiresIn);
+      const headers = refreshToken ? {} : { Deprecation: 'true' };
 
       if (!result.success) {
-        return this.jsonResponse(result, 401);
+        return this.jsonResponse(result, 401, headers);
       }
 
-      return this.jsonResponse(result, 200);
+      return this.jsonResponse(result, 200, headers);
 
     } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
       return this.jsonResponse({
         success: false,
         error: error.message
@@ -249,13 +681,74 @@ export class ChittyAuthAPI {
     }
   }
 
+  /**
+   * Handle bulk token revocation (admin only)
+   * Revokes a capped batch per call; pass the returned nextCursor back as cursor to continue
+   */
+  async handleBulkRevoke(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const body = await request.json();
+      const { chittyId, service, scope, reason, dryRun, cursor } = body;
+
+      if (!chittyId && !service && !scope && !body.issuedBefore) {
+        return this.jsonResponse({
+          success: false,
+          error: 'At least one filter is required: chittyId, service, scope, issuedBefore'
+        }, 400);
+      }
+
+      if (!reason) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Revocation reason is required'
+        }, 400);
+      }
+
+      let issuedBefore;
+      if (body.issuedBefore) {
+        issuedBefore = this.parseTimestamp(String(body.issuedBefore));
+        if (issuedBefore === null) {
+          return this.jsonResponse({
+            success: false,
+            error: 'Invalid issuedBefore: expected ISO 8601 date or epoch milliseconds'
+          }, 400);
+        }
+      }
+
+      const result = await this.tokenManager.bulkRevoke({
+        chittyId,
+        service,
+        scope,
+        issuedBefore,
+        reason,
+        actor: admin.validation.tokenId,
+        dryRun: dryRun === true,
+        cursor
+      });
+
+      return this.jsonResponse(result, 200);
+
+    } catch (error) {
+      const status = error.message === 'Invalid cursor' || error.message.startsWith('Invalid scope filter') ? 400 : 500;
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, status);
+    }
+  }
+
   /**
    * Handle service authentication
    */
   async handleServiceAuth(request) {
     try {
       const body = await request.json();
-      const { serviceToken, targetService, action } = body;
+      const { serviceToken, targetService, action, resource } = body;
 
       if (!serviceToken || !targetService) {
         return this.jsonResponse({
@@ -266,20 +759,16 @@ export class ChittyAuthAPI {
 
       // Validate service token
       const validation = await this.tokenManager.validate(serviceToken);
-      if (!validation.valid) {
+      if (!validation.valid || validation.tokenType === 'session') {
         return this.jsonResponse({
           authorized: false,
           error: 'Invalid service token'
         }, 401);
       }
 
-      // Check if service has permission for action
-      const requiredScope = `${targetService}:${action}`;
-      const hasPermission = validation.scope.includes(requiredScope) ||
-                           validation.scope.includes(`${targetService}:*`) ||
-                           validation.scope.includes('admin:*');
-
-      if (!hasPermission) {
+      // Check if service has permission for action (optionally on one resource)
+      const requiredScope = [targetService, action, resource].filter(Boolean).join(':');
+      if (!hasScope(validation.scope, requiredScope)) {
         return this.jsonResponse({
           authorized: false,
           error: 'Insufficient permissions',
@@ -288,18 +777,23 @@ export class ChittyAuthAPI {
         }, 403);
       }
 
-      // Generate temporary session token
-      const sessionToken = await this.generateSessionToken(validation, targetService);
+      // Issue signed session token bound to the target service
+      const session = await this.tokenManager.issueSessionToken(validation, targetService);
 
       return this.jsonResponse({
         authorized: true,
         serviceId: validation.service,
         permissions: validation.scope,
-        sessionToken,
-        expiresIn: 300 // 5 minutes
-      }, 200);
+        sessionToken: session.sessionToken,
+        expiresIn: session.expiresIn,
+        expiresAt: session.expiresAt
+      }, 200, this.rateLimitHeaders(validation.rateLimit));
 
     } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
       return this.jsonResponse({
         authorized: false,
         error: error.message
@@ -308,52 +802,1019 @@ export class ChittyAuthAPI {
   }
 
   /**
-   * Handle token statistics
+   * Handle session token verification
+   * Target services confirm a session token was issued for them
    */
-  async handleStats(request) {
+  async handleSessionVerify(request) {
     try {
-      // Verify admin token
-      const authHeader = request.headers.get('Authorization');
-      if (!authHeader) {
+      const body = await request.json();
+      const { sessionToken, audience } = body;
+
+      if (!sessionToken || !audience) {
         return this.jsonResponse({
-          success: false,
-          error: 'Authorization required'
-        }, 401);
+          valid: false,
+          error: 'Session token and audience are required'
+        }, 400);
       }
 
-      const validation = await this.tokenManager.validate(authHeader);
-      if (!validation.valid || !validation.scope.includes('admin:*')) {
+      if (!sessionToken.startsWith('sess_')) {
         return this.jsonResponse({
-          success: false,
-          error: 'Admin access required'
-        }, 403);
+          valid: false,
+          error: 'Invalid session token format'
+        }, 400);
       }
 
-      const stats = await this.tokenManager.getStats();
-      return this.jsonResponse({
-        success: true,
-        ...stats,
-        timestamp: new Date().toISOString()
-      }, 200);
+      const result = await this.tokenManager.validate(sessionToken, { audience });
+
+      if (!result.valid) {
+        return this.jsonResponse({
+          valid: false,
+          error: result.error
+        }, 401);
+      }
+
+      return this.jsonResponse(result, 200);
 
     } catch (error) {
       return this.jsonResponse({
-        success: false,
+        valid: false,
         error: error.message
       }, 500);
     }
   }
 
   /**
-   * Handle ChittyConnect verification
+   * Handle the public scope catalog
    */
-  async handleConnectVerify(request) {
+  async handleScopeCatalog(url) {
+    const service = url.searchParams.get('service') || undefined;
+    const scopes = await this.scopeRegistry.list({ service });
+
+    return this.jsonResponse({
+      success: true,
+      scopes
+    }, 200, {
+      'Cache-Control': 'public, max-age=300'
+    });
+  }
+
+  /**
+   * Handle scope registration
+   * A service registers its own scopes with its client credentials (HTTP Basic);
+   * admins may register scopes for any service by naming it in the body
+   */
+  async handleScopeRegister(request) {
     try {
+      const authHeader = request.headers.get('Authorization') || '';
+      let serviceName;
+      let chittyId;
+
       const body = await request.json();
-      const { chittyId } = body;
 
-      if (!chittyId) {
-        return this.jsonResponse({
+      if (/^Basic\s+/i.test(authHeader)) {
+        const client = this.getClientCredentials(request, new URLSearchParams());
+        const credential = await this.serviceCredentials.authenticate(client.clientId, client.clientSecret);
+        if (!credential) {
+          return this.jsonResponse({
+            success: false,
+            error: 'Client authentication failed'
+          }, 401, { 'WWW-Authenticate': 'Basic realm="chittyauth"' });
+        }
+        serviceName = credential.serviceName;
+        chittyId = credential.chittyId;
+      } else {
+        const admin = await this.authorizeAdmin(request);
+        if (admin.response) {
+          return admin.response;
+        }
+        if (!body.service) {
+          return this.jsonResponse({
+            success: false,
+            error: 'Missing required field: service'
+          }, 400);
+        }
+        serviceName = body.service;
+        chittyId = admin.validation.chittyId;
+      }
+
+      const errors = this.scopeRegistry.validateDefinitions(serviceName, body.scopes);
+      if (errors.length > 0) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Invalid scope definitions',
+          details: errors
+        }, 400);
+      }
+
+      const result = await this.scopeRegistry.register(serviceName, body.scopes);
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'scopes_registered',
+        chittyId,
+        service: serviceName,
+        scopes: result.registered,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 201);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle service registration (admin only)
+   * Returns the client secret once; only its hash is stored
+   */
+  async handleServiceRegister(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const body = await request.json();
+      const { serviceName, chittyId, permissions, rotationInterval } = body;
+
+      if (!serviceName || !chittyId || !Array.isArray(permissions) || permissions.length === 0) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Missing required fields: serviceName, chittyId, permissions'
+        }, 400);
+      }
+
+      const existing = await this.serviceCredentials.get(serviceName);
+      if (existing) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Service already registered'
+        }, 409);
+      }
+
+      const result = await this.serviceCredentials.register({
+        serviceName,
+        chittyId,
+        permissions,
+        rotationInterval
+      });
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'service_registered',
+        chittyId,
+        service: serviceName,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 201, {
+        'Cache-Control': 'no-store'
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle service client secret rotation (admin only)
+   */
+  async handleServiceRotate(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const body = await request.json();
+      const { serviceName } = body;
+
+      if (!serviceName) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Service name is required'
+        }, 400);
+      }
+
+      const existing = await this.serviceCredentials.get(serviceName);
+      if (!existing) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Service not registered'
+        }, 404);
+      }
+
+      const result = await this.serviceCredentials.rotate(serviceName);
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'credential_rotated',
+        chittyId: existing.chittyId,
+        service: serviceName,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 200, {
+        'Cache-Control': 'no-store'
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle signing key listing (admin only)
+   */
+  async handleSigningKeyList(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const keys = await this.tokenManager.signingKeys.list();
+      return this.jsonResponse({
+        success: true,
+        keys
+      }, 200, {
+        'Cache-Control': 'no-store'
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle signing key rotation (admin only)
+   * New tokens are signed with a fresh key; the previous key keeps verifying until retired
+   */
+  async handleSigningKeyRotate(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const result = await this.tokenManager.signingKeys.rotate();
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'signing_key_rotated',
+        tokenId: admin.validation.tokenId,
+        chittyId: admin.validation.chittyId,
+        keyId: result.kid,
+        previousKeyId: result.previousKid,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 200, {
+        'Cache-Control': 'no-store'
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle signing key retirement (admin only)
+   * Tokens signed with the retired key stop validating
+   */
+  async handleSigningKeyRetire(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const body = await request.json();
+      if (!body.kid) {
+        return this.jsonResponse({
+          success: false,
+          error: 'kid is required'
+        }, 400);
+      }
+
+      const result = await this.tokenManager.signingKeys.retire(body.kid);
+      if (!result.success) {
+        return this.jsonResponse(result, SIGNING_KEY_ERRORS[result.reason] || 400);
+      }
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'signing_key_retired',
+        tokenId: admin.validation.tokenId,
+        chittyId: admin.validation.chittyId,
+        keyId: result.kid,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 200);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle webhook subscription creation (admin only)
+   * The signing secret is only ever returned here and by rotation
+   */
+  async handleWebhookCreate(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const body = await request.json();
+      if (!body.url || !body.eventTypes) {
+        return this.jsonResponse({
+          success: false,
+          error: 'url and eventTypes are required',
+          required: ['url', 'eventTypes']
+        }, 400);
+      }
+
+      const result = await this.webhooks.create({
+        url: body.url,
+        eventTypes: body.eventTypes,
+        description: body.description,
+        createdBy: admin.validation.chittyId
+      });
+      if (!result.success) {
+        return this.jsonResponse(result, WEBHOOK_ERRORS[result.reason] || 400);
+      }
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'webhook_created',
+        tokenId: admin.validation.tokenId,
+        chittyId: admin.validation.chittyId,
+        webhookId: result.id,
+        url: result.url,
+        eventTypes: result.eventTypes,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 201, {
+        'Cache-Control': 'no-store'
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle webhook subscription listing (admin only)
+   */
+  async handleWebhookList(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const webhooks = await this.webhooks.list();
+      return this.jsonResponse({ success: true, webhooks }, 200);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle a subscription action (admin only): disable, rotate its secret, or list its deliveries
+   * Deliveries can be filtered by status (pending, delivering, delivered, failed, cancelled)
+   */
+  async handleWebhookAction(request, url, webhookId, action) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      if (action === 'deliveries') {
+        const status = url.searchParams.get('status') || undefined;
+        const limit = parseInt(url.searchParams.get('limit') || '50');
+        if (status && !['pending', 'delivering', 'delivered', 'failed', 'cancelled'].includes(status)) {
+          return this.jsonResponse({ success: false, error: `Unknown delivery status: ${status}` }, 400);
+        }
+        if (!(limit >= 1 && limit <= 200)) {
+          return this.jsonResponse({ success: false, error: 'limit must be between 1 and 200' }, 400);
+        }
+        if (!await this.webhooks.get(webhookId)) {
+          return this.jsonResponse({ success: false, error: 'Webhook subscription not found' }, 404);
+        }
+
+        const deliveries = await this.webhooks.listDeliveries(webhookId, { status, limit });
+        return this.jsonResponse({ success: true, webhookId, deliveries }, 200);
+      }
+
+      const result = action === 'disable'
+        ? await this.webhooks.disable(webhookId)
+        : await this.webhooks.rotateSecret(webhookId);
+      if (!result.success) {
+        return this.jsonResponse(result, WEBHOOK_ERRORS[result.reason] || 400);
+      }
+
+      await this.tokenManager.logAuditEvent({
+        eventType: action === 'disable' ? 'webhook_disabled' : 'webhook_secret_rotated',
+        tokenId: admin.validation.tokenId,
+        chittyId: admin.validation.chittyId,
+        webhookId,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      return this.jsonResponse(result, 200, {
+        'Cache-Control': 'no-store'
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle a webhook delivery lookup or replay (admin only)
+   * A lookup includes the payload and every attempt; a replay queues the payload again
+   */
+  async handleWebhookDelivery(request, deliveryId, replay) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const result = replay ? await this.webhooks.replay(deliveryId) : await this.webhooks.getDelivery(deliveryId);
+      if (!result.success) {
+        return this.jsonResponse(result, WEBHOOK_ERRORS[result.reason] || 400);
+      }
+
+      if (replay) {
+        await this.tokenManager.logAuditEvent({
+          eventType: 'webhook_replayed',
+          tokenId: admin.validation.tokenId,
+          chittyId: admin.validation.chittyId,
+          deliveryId: result.deliveryId,
+          replayOf: result.replayOf,
+          success: true,
+          timestamp: Date.now()
+        });
+      }
+
+      return this.jsonResponse(result, replay ? 202 : 200);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle OAuth 2.0 token requests
+   * Supports the client_credentials grant (RFC 6749 section 4.4) and token exchange (RFC 8693)
+   */
+  async handleOAuthToken(request) {
+    try {
+      const params = await this.parseFormBody(request);
+      if (!params) {
+        return this.oauthError('invalid_request', 'Content-Type must be application/x-www-form-urlencoded');
+      }
+
+      const grantType = params.get('grant_type');
+      if (!grantType) {
+        return this.oauthError('invalid_request', 'grant_type is required');
+      }
+      if (grantType !== 'client_credentials' && grantType !== TOKEN_EXCHANGE_GRANT) {
+        return this.oauthError('unsupported_grant_type', `Unsupported grant type: ${grantType}`);
+      }
+
+      const auth = await this.authenticateOAuthClient(request, params);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const { credential } = auth;
+
+      if (grantType === TOKEN_EXCHANGE_GRANT) {
+        return await this.handleTokenExchange(params, credential);
+      }
+
+      const requestedScopes = (params.get('scope') || '').split(' ').filter(Boolean);
+      const { granted, denied } = this.serviceCredentials.resolveScopes(credential, requestedScopes);
+
+      if (denied.length > 0) {
+        return this.oauthError('invalid_scope', `Scopes not granted to this client: ${denied.join(' ')}`);
+      }
+
+      const token = await this.tokenManager.provision({
+        chittyId: credential.chittyId,
+        scope: granted,
+        service: credential.serviceName,
+        expiresIn: this.serviceTokenExpiry,
+        kind: 'service'
+      });
+
+      return this.oauthResponse({
+        access_token: token.token,
+        token_type: 'Bearer',
+        expires_in: this.serviceTokenExpiry,
+        scope: granted.join(' ')
+      });
+
+    } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
+      console.error('OAuth token error:', error);
+      return this.oauthError('server_error', error.message, 500);
+    }
+  }
+
+  /**
+   * Handle an RFC 8693 token exchange
+   * The authenticated client acts on behalf of the subject token's ChittyID and is recorded as the actor
+   */
+  async handleTokenExchange(params, credential) {
+    const subjectToken = params.get('subject_token');
+    const subjectTokenType = params.get('subject_token_type');
+
+    if (!subjectToken || !subjectTokenType) {
+      return this.oauthError('invalid_request', 'subject_token and subject_token_type are required');
+    }
+    if (!SUBJECT_TOKEN_TYPES.includes(subjectTokenType)) {
+      return this.oauthError('invalid_request', `Unsupported subject_token_type: ${subjectTokenType}`);
+    }
+    if (params.get('actor_token')) {
+      return this.oauthError('invalid_request', 'actor_token is not supported; the authenticated client is the actor');
+    }
+
+    const requestedType = params.get('requested_token_type');
+    if (requestedType && requestedType !== ACCESS_TOKEN_TYPE) {
+      return this.oauthError('invalid_request', `Unsupported requested_token_type: ${requestedType}`);
+    }
+
+    const expiresIn = params.get('expires_in') ? parseInt(params.get('expires_in')) : undefined;
+    if (expiresIn !== undefined && !(expiresIn > 0)) {
+      return this.oauthError('invalid_request', 'expires_in must be a positive number of seconds');
+    }
+
+    const result = await this.tokenManager.exchange(subjectToken, {
+      audience: params.get('audience'),
+      scope: (params.get('scope') || '').split(' ').filter(Boolean),
+      expiresIn,
+      actor: credential
+    });
+
+    if (!result.success) {
+      return this.oauthError(result.reason, result.error);
+    }
+
+    return this.oauthResponse({
+      access_token: result.token,
+      issued_token_type: ACCESS_TOKEN_TYPE,
+      token_type: 'Bearer',
+      expires_in: result.expiresIn,
+      scope: result.scope.join(' ')
+    });
+  }
+
+  /**
+   * Handle OAuth 2.0 token introspection (RFC 7662)
+   * Reads token state without counting as a use of the token
+   */
+  async handleOAuthIntrospect(request) {
+    try {
+      const auth = await this.authenticateOAuthClient(request);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const token = auth.params.get('token');
+      if (!token) {
+        return this.oauthError('invalid_request', 'token is required');
+      }
+
+      // Audience-bound tokens are only active for the client they were issued to
+      const validation = await this.tokenManager.validate(token, {
+        audience: auth.credential.serviceName,
+        trackUsage: false
+      });
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'token_introspected',
+        tokenId: validation.tokenId,
+        service: auth.credential.serviceName,
+        success: validation.valid,
+        error: validation.valid ? null : validation.error,
+        timestamp: Date.now()
+      });
+
+      if (!validation.valid) {
+        return this.oauthResponse({ active: false });
+      }
+
+      const introspection = {
+        active: true,
+        scope: validation.scope.join(' '),
+        client_id: validation.service,
+        sub: validation.chittyId,
+        token_type: validation.tokenType === 'session' ? 'session' : 'Bearer',
+        iss: this.tokenManager.issuer,
+        jti: validation.sessionId || validation.tokenId,
+        iat: Math.floor(new Date(validation.issuedAt).getTime() / 1000),
+        exp: Math.floor(new Date(validation.expiresAt).getTime() / 1000)
+      };
+
+      if (validation.audience) {
+        introspection.aud = validation.audience;
+      }
+      if (validation.act) {
+        introspection.act = validation.act;
+      }
+
+      return this.oauthResponse(introspection);
+
+    } catch (error) {
+      console.error('OAuth introspection error:', error);
+      return this.oauthError('server_error', error.message, 500);
+    }
+  }
+
+  /**
+   * Handle OAuth 2.0 token revocation (RFC 7009)
+   * Clients may revoke tokens issued to their own service; admin clients may revoke any token.
+   * Refresh tokens are recognised by their prefix, so token_type_hint is not needed
+   */
+  async handleOAuthRevoke(request) {
+    try {
+      const auth = await this.authenticateOAuthClient(request);
+      if (auth.response) {
+        return auth.response;
+      }
+
+      const token = auth.params.get('token');
+      if (!token) {
+        return this.oauthError('invalid_request', 'token is required');
+      }
+
+      // Session tokens are self-contained and expire within minutes
+      if (token.startsWith('sess_')) {
+        return this.oauthError('unsupported_token_type', 'Session tokens cannot be revoked');
+      }
+
+      const { credential } = auth;
+
+      // A refresh token takes its whole family with it, access tokens included
+      const refreshRecord = await this.tokenManager.findRefreshToken(token);
+      if (refreshRecord) {
+        if (refreshRecord.service_name !== credential.serviceName && !hasScope(credential.permissions, SUPER_SCOPE)) {
+          return this.oauthError('unauthorized_client', 'Token was not issued to this client');
+        }
+        if (!refreshRecord.revoked_at) {
+          await this.tokenManager.revokeRefreshToken(refreshRecord, `Revoked by client ${credential.serviceName}`);
+        }
+        return this.oauthResponse({}, 200);
+      }
+
+      const tokenHash = await this.tokenManager.hashToken(token);
+      const tokenData = await this.tokenManager.findTokenData(tokenHash);
+
+      // Unknown or already invalid tokens are not an error (RFC 7009 section 2.2)
+      if (!tokenData) {
+        return this.oauthResponse({}, 200);
+      }
+
+      if (tokenData.service !== credential.serviceName && !hasScope(credential.permissions, SUPER_SCOPE)) {
+        return this.oauthError('unauthorized_client', 'Token was not issued to this client');
+      }
+
+      await this.tokenManager.revoke(tokenData.tokenId, `Revoked by client ${credential.serviceName}`, { tokenHash });
+      return this.oauthResponse({}, 200);
+
+    } catch (error) {
+      console.error('OAuth revocation error:', error);
+      return this.oauthError('server_error', error.message, 500);
+    }
+  }
+
+  /**
+   * Handle token statistics (admin only)
+   * Current totals plus a time series for the from/to/granularity/groupBy query parameters
+   */
+  async handleStats(request, url) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const { filters, error } = this.parseStatsFilters(url.searchParams);
+      if (error) {
+        return this.jsonResponse({
+          success: false,
+          error
+        }, 400);
+      }
+
+      const stats = await this.tokenManager.getStats();
+      const series = await this.tokenStats.getTimeSeries(filters);
+      return this.jsonResponse({
+        success: true,
+        ...stats,
+        series,
+        timestamp: new Date().toISOString()
+      }, 200);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle Prometheus scrapes (admin only)
+   * Sends OpenMetrics when the scraper asks for it, otherwise the Prometheus text format
+   */
+  async handleMetrics(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const openMetrics = (request.headers.get('Accept') || '').includes('application/openmetrics-text');
+      const body = this.metrics.render(await this.metrics.collect(), { openMetrics });
+
+      return new Response(body, {
+        status: 200,
+        headers: {
+          'Content-Type': openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+          'Cache-Control': 'no-store'
+        }
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle token search (admin only)
+   */
+  async handleTokenSearch(request, url) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const parsed = this.parseTokenSearchParams(url.searchParams);
+      if (parsed.error) {
+        return this.jsonResponse({
+          success: false,
+          error: parsed.error
+        }, 400);
+      }
+
+      const result = await this.tokenManager.searchTokens(parsed.filters);
+      return this.jsonResponse({
+        success: true,
+        ...result
+      }, 200);
+
+    } catch (error) {
+      const status = error.message === 'Invalid cursor' ? 400 : 500;
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, status);
+    }
+  }
+
+  /**
+   * Handle token metadata lookup (admin only)
+   */
+  async handleTokenMetadata(request, tokenId) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const token = await this.tokenManager.getTokenMetadata(tokenId);
+      if (!token) {
+        return this.jsonResponse({
+          success: false,
+          error: 'Token not found'
+        }, 404);
+      }
+
+      return this.jsonResponse({
+        success: true,
+        token
+      }, 200);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle audit event query (admin only)
+   */
+  async handleAuditQuery(request, url) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const parsed = this.parseAuditFilters(url.searchParams);
+      if (parsed.error) {
+        return this.jsonResponse({
+          success: false,
+          error: parsed.error
+        }, 400);
+      }
+
+      const result = await this.auditLog.query(parsed.filters);
+      return this.jsonResponse({
+        success: true,
+        ...result
+      }, 200);
+
+    } catch (error) {
+      const status = error.message === 'Invalid cursor' ? 400 : 500;
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, status);
+    }
+  }
+
+  /**
+   * Handle streaming audit export as NDJSON or CSV (admin only)
+   */
+  async handleAuditExport(request, url) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const format = url.searchParams.get('format') || 'ndjson';
+      if (!EXPORT_FORMATS.includes(format)) {
+        return this.jsonResponse({
+          success: false,
+          error: `Invalid format. Supported formats: ${EXPORT_FORMATS.join(', ')}`
+        }, 400);
+      }
+
+      const parsed = this.parseAuditFilters(url.searchParams);
+      if (parsed.error) {
+        return this.jsonResponse({
+          success: false,
+          error: parsed.error
+        }, 400);
+      }
+      delete parsed.filters.limit;
+
+      // Reject bad cursors before the stream starts and the 200 is committed
+      if (parsed.filters.cursor) {
+        try {
+          decodeCursor(parsed.filters.cursor);
+        } catch (error) {
+          return this.jsonResponse({
+            success: false,
+            error: error.message
+          }, 400);
+        }
+      }
+
+      // Exports are themselves auditable evidence access
+      await this.tokenManager.logAuditEvent({
+        eventType: 'audit_exported',
+        tokenId: admin.validation.tokenId,
+        chittyId: admin.validation.chittyId,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      const filename = `chittyauth-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      return new Response(this.auditLog.exportStream(parsed.filters, format), {
+        status: 200,
+        headers: {
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'no-store',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle audit chain verification (admin)
+   * Verifies a bounded range per call; follow nextSeq for the rest of the chain
+   */
+  async handleAuditVerify(request, url) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const range = {};
+      for (const [param, key] of [['from_seq', 'fromSeq'], ['to_seq', 'toSeq']]) {
+        const value = url.searchParams.get(param);
+        if (value === null) {
+          continue;
+        }
+        const seq = Number(value);
+        if (!Number.isInteger(seq) || seq < 1) {
+          return this.jsonResponse({
+            success: false,
+            error: `Invalid ${param}: must be a positive integer`
+          }, 400);
+        }
+        range[key] = seq;
+      }
+
+      const result = await this.auditLog.verifyChain(range);
+      return this.jsonResponse({
+        success: true,
+        ...result
+      }, 200);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle ChittyConnect verification
+   */
+  async handleConnectVerify(request) {
+    try {
+      const body = await request.json();
+      const { chittyId } = body;
+
+      if (!chittyId) {
+        return this.jsonResponse({
           success: false,
           error: 'ChittyID is required'
         }, 400);
@@ -362,6 +1823,45 @@ export class ChittyAuthAPI {
       const result = await this.chittyConnect.verifyChittyID(chittyId);
       return this.jsonResponse(result, 200);
 
+    } catch (error) {
+      if (error instanceof ChittyConnectUnavailableError) {
+        return this.connectUnavailableResponse(error);
+      }
+
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle ChittyConnect cache invalidation (admin only)
+   * Forces the next provision for this ChittyID to re-read verification and permissions
+   */
+  async handleConnectInvalidate(request) {
+    try {
+      const admin = await this.authorizeAdmin(request);
+      if (admin.response) {
+        return admin.response;
+      }
+
+      const body = await request.json();
+      const { chittyId } = body;
+
+      if (!chittyId) {
+        return this.jsonResponse({
+          success: false,
+          error: 'ChittyID is required'
+        }, 400);
+      }
+
+      await this.chittyConnect.invalidate(chittyId);
+      return this.jsonResponse({
+        success: true,
+        chittyId
+      }, 200);
+
     } catch (error) {
       return this.jsonResponse({
         success: false,
@@ -371,19 +1871,70 @@ export class ChittyAuthAPI {
   }
 
   /**
-   * Handle health check
+   * Handle readiness (also served at /health)
+   * 503 when a critical dependency is down; a non-critical outage reports 'degraded' with 200.
+   * Errors, latency, circuit state and history are for admins; anyone else sees each dependency's status
    */
-  async handleHealth() {
-    const chittyConnectHealth = await this.chittyConnect.healthCheck();
+  async handleHealth(request) {
+    const readiness = await this.healthMonitor.checkReadiness();
+    const detailed = request.headers.has('Authorization') && !(await this.authorizeAdmin(request)).response;
 
     return this.jsonResponse({
-      status: 'healthy',
+      status: readiness.status,
       version: '1.0.0',
-      timestamp: new Date().toISOString(),
-      dependencies: {
-        chittyConnect: chittyConnectHealth.healthy ? 'healthy' : 'unhealthy'
-      }
-    }, 200);
+      timestamp: readiness.checkedAt,
+      dependencies: detailed
+        ? readiness.dependencies
+        : Object.fromEntries(Object.entries(readiness.dependencies).map(([name, dependency]) => [name, dependency.status]))
+    }, readiness.status === 'unhealthy' ? 503 : 200, {
+      'Cache-Control': 'no-store'
+    });
+  }
+
+  /**
+   * Handle liveness (the worker is running; dependencies are not checked)
+   */
+  handleLiveness() {
+    return this.jsonResponse({
+      status: 'alive',
+      version: '1.0.0',
+      timestamp: new Date().toISOString()
+    }, 200, {
+      'Cache-Control': 'no-store'
+    });
+  }
+
+  /**
+   * Handle JWKS publication (PUBLIC endpoint)
+   */
+  async handleJwks() {
+    const jwks = await this.jwtSigner.getJwks();
+    return this.jsonResponse(jwks, 200, {
+      'Cache-Control': 'public, max-age=3600'
+    });
+  }
+
+  /**
+   * Handle OpenID provider metadata (PUBLIC endpoint)
+   */
+  handleOpenIdConfiguration() {
+    const issuer = this.jwtSigner.issuer;
+
+    return this.jsonResponse({
+      issuer,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      token_endpoint: `${issuer}/oauth/token`,
+      grant_types_supported: ['client_credentials', TOKEN_EXCHANGE_GRANT],
+      introspection_endpoint: `${issuer}/oauth/introspect`,
+      revocation_endpoint: `${issuer}/oauth/revoke`,
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      id_token_signing_alg_values_supported: ['EdDSA'],
+      access_token_formats_supported: TOKEN_FORMATS,
+      response_types_supported: ['token'],
+      subject_types_supported: ['public']
+    }, 200, {
+      'Cache-Control': 'public, max-age=3600'
+    });
   }
 
   /**
@@ -393,12 +1944,91 @@ export class ChittyAuthAPI {
   async handleRegister(request) {
     try {
       const result = await this.registrationHandler.register(request);
+      return this.registrationResponse(result);
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Response for a registration result: 201 when registered, 202 when queued
+   */
+  registrationResponse(result) {
+    if (result.queued) {
+      return this.queuedResponse(result);
+    }
+
+    if (!result.success) {
+      const status = REJECTION_REASONS[result.reason] || DEGRADED_ERRORS[result.reason] || 400;
+      const headers = result.retryAfter ? { 'Retry-After': String(result.retryAfter) } : {};
+      return this.jsonResponse(result, status, headers);
+    }
+
+    return this.jsonResponse(result, 201);
+  }
+
+  /**
+   * Handle a claim for an operation queued while ChittyConnect or the ChittyID service was down
+   * (public; the claim secret is the credential). Answers 202 again while the dependency is still down.
+   */
+  async handleOperationClaim(request, requestId) {
+    try {
+      const { claimSecret } = await request.json();
+      const claim = await this.degradedMode.claim(requestId, claimSecret);
+      if (!claim.success) {
+        return this.jsonResponse(claim, DEGRADED_ERRORS[claim.reason] || 400);
+      }
+
+      let response;
+      try {
+        if (claim.operation === 'registration') {
+          const result = await this.registrationHandler.completeRegistration(
+            claim.payload,
+            this.tokenManager,
+            { claimedId: requestId }
+          );
+          response = this.registrationResponse(result);
+        } else {
+          response = await this.provisionFromBody(claim.payload, { claimedId: requestId })
+            .catch(error => this.provisionErrorResponse(error));
+        }
+      } catch (error) {
+        await this.degradedMode.release(requestId);
+        throw error;
+      }
+
+      // Still queued, or a server error the claimant can retry
+      if (response.status === 202 || response.status >= 500) {
+        await this.degradedMode.release(requestId);
+      } else {
+        await this.degradedMode.complete(requestId);
+      }
+      return response;
+
+    } catch (error) {
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Handle email verification (public; the code is the credential)
+   */
+  async handleVerifyEmail(request) {
+    try {
+      const result = await this.registrationHandler.verifyEmail(request);
 
       if (!result.success) {
-        return this.jsonResponse(result, 400);
+        return this.jsonResponse(result, VERIFICATION_ERRORS[result.reason] || 400);
       }
 
-      return this.jsonResponse(result, 201);
+      return this.jsonResponse(result, 200);
 
     } catch (error) {
       return this.jsonResponse({
@@ -409,60 +2039,378 @@ export class ChittyAuthAPI {
   }
 
   /**
-   * Validate requested scopes against user permissions
+   * Handle verification code resend
    */
-  async validateScopes(requestedScopes, permissions) {
-    const authorizedScopes = [];
+  async handleResendVerification(request) {
+    try {
+      const result = await this.registrationHandler.resendVerification(request);
 
-    for (const scope of requestedScopes) {
-      // Admin scope requires admin permission
-      if (scope === 'admin:*') {
-        if (permissions.permissions.includes('admin')) {
-          authorizedScopes.push(scope);
-        }
+      if (!result.success) {
+        const status = result.reason === 'unauthorized' ? 401 : VERIFICATION_ERRORS[result.reason] || 400;
+        return this.jsonResponse(result, status);
+      }
+
+      return this.jsonResponse(result, 200);
+
+    } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return this.rateLimitResponse(error);
+      }
+
+      return this.jsonResponse({
+        success: false,
+        error: error.message
+      }, 500);
+    }
+  }
+
+  /**
+   * Require an admin:* Bearer token
+   * Returns { validation } on success or { response } to send back
+   */
+  async authorizeAdmin(request) {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader) {
+      return {
+        response: this.jsonResponse({
+          success: false,
+          error: 'Authorization required'
+        }, 401)
+      };
+    }
+
+    let validation;
+    try {
+      validation = await this.tokenManager.validate(authHeader);
+    } catch (error) {
+      if (error instanceof RateLimitExceededError) {
+        return { response: this.rateLimitResponse(error) };
+      }
+      throw error;
+    }
+
+    if (!validation.valid || validation.tokenType === 'session' || !hasScope(validation.scope, SUPER_SCOPE)) {
+      return {
+        response: this.jsonResponse({
+          success: false,
+          error: 'Admin access required'
+        }, 403)
+      };
+    }
+
+    return { validation };
+  }
+
+  /**
+   * Parse and validate token search query parameters
+   * Returns { filters } or { error }
+   */
+  parseTokenSearchParams(searchParams) {
+    const filters = {
+      chittyId: searchParams.get('chittyId') || undefined,
+      service: searchParams.get('service') || undefined,
+      status: searchParams.get('status') || undefined,
+      sort: searchParams.get('sort') || 'created_at',
+      order: searchParams.get('order') || 'desc',
+      cursor: searchParams.get('cursor') || undefined
+    };
+
+    if (filters.status && !TOKEN_STATUSES.includes(filters.status)) {
+      return { error: `Invalid status. Supported: ${TOKEN_STATUSES.join(', ')}` };
+    }
+    if (!TOKEN_SORT_COLUMNS.includes(filters.sort)) {
+      return { error: `Invalid sort. Supported: ${TOKEN_SORT_COLUMNS.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(filters.order)) {
+      return { error: 'Invalid order. Supported: asc, desc' };
+    }
+
+    const limit = parseInt(searchParams.get('limit') || '50');
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      return { error: 'Limit must be between 1 and 200' };
+    }
+    filters.limit = limit;
+
+    for (const name of ['createdAfter', 'createdBefore', 'lastUsedAfter', 'lastUsedBefore']) {
+      const value = searchParams.get(name);
+      if (!value) {
+        continue;
+      }
+      const timestamp = this.parseTimestamp(value);
+      if (timestamp === null) {
+        return { error: `Invalid ${name}: expected ISO 8601 date or epoch milliseconds` };
+      }
+      filters[name] = timestamp;
+    }
+
+    return { filters };
+  }
+
+  /**
+   * Parse and validate token statistics query parameters
+   * Returns { filters } or { error }
+   */
+  parseStatsFilters(searchParams) {
+    const granularity = searchParams.get('granularity') || 'day';
+    if (!STATS_GRANULARITIES.includes(granularity)) {
+      return { error: `Invalid granularity. Supported: ${STATS_GRANULARITIES.join(', ')}` };
+    }
+
+    const groupBy = searchParams.get('groupBy') || undefined;
+    if (groupBy && !STATS_GROUP_BY.includes(groupBy)) {
+      return { error: `Invalid groupBy. Supported: ${STATS_GROUP_BY.join(', ')}` };
+    }
+
+    const range = {};
+    for (const name of ['from', 'to']) {
+      const value = searchParams.get(name);
+      if (!value) {
+        continue;
+      }
+      const timestamp = this.parseTimestamp(value);
+      if (timestamp === null) {
+        return { error: `Invalid ${name}: expected ISO 8601 date or epoch milliseconds` };
+      }
+      range[name] = timestamp;
+    }
+
+    const to = range.to ?? Date.now();
+    const from = range.from ?? TokenStatistics.defaultFrom(granularity, to);
+    if (from >= to) {
+      return { error: 'from must be before to' };
+    }
+    if (TokenStatistics.bucketCount(from, to, granularity) > MAX_STATS_BUCKETS) {
+      return { error: `Range too large: at most ${MAX_STATS_BUCKETS} ${granularity} buckets` };
+    }
+
+    return { filters: { from, to, granularity, groupBy } };
+  }
+
+  /**
+   * Parse and validate audit event query parameters
+   * Returns { filters } or { error }
+   */
+  parseAuditFilters(searchParams) {
+    const eventTypes = searchParams.getAll('eventType').flatMap(value => value.split(',')).filter(Boolean);
+    const filters = {
+      eventType: eventTypes.length > 0 ? eventTypes : undefined,
+      chittyId: searchParams.get('chittyId') || undefined,
+      tokenId: searchParams.get('tokenId') || undefined,
+      service: searchParams.get('service') || undefined,
+      cursor: searchParams.get('cursor') || undefined
+    };
+
+    const success = searchParams.get('success');
+    if (success !== null) {
+      if (!['true', 'false'].includes(success)) {
+        return { error: 'Invalid success: expected true or false' };
+      }
+      filters.success = success === 'true';
+    }
+
+    const limit = parseInt(searchParams.get('limit') || '100');
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      return { error: 'Limit must be between 1 and 1000' };
+    }
+    filters.limit = limit;
+
+    for (const name of ['from', 'to']) {
+      const value = searchParams.get(name);
+      if (!value) {
         continue;
       }
+      const timestamp = this.parseTimestamp(value);
+      if (timestamp === null) {
+        return { error: `Invalid ${name}: expected ISO 8601 date or epoch milliseconds` };
+      }
+      filters[name] = timestamp;
+    }
+
+    return { filters };
+  }
+
+  /**
+   * Parse an ISO 8601 date or epoch milliseconds
+   */
+  parseTimestamp(value) {
+    const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
+  }
 
-      // Parse scope (e.g., "chittyid:generate")
-      const [service, action] = scope.split(':');
-      const permissionKey = `${service}.${action}`;
+  /**
+   * Parse an application/x-www-form-urlencoded body
+   * Returns null for any other content type
+   */
+  async parseFormBody(request) {
+    const contentType = request.headers.get('Content-Type') || '';
+    if (!contentType.toLowerCase().startsWith('application/x-www-form-urlencoded')) {
+      return null;
+    }
+    return new URLSearchParams(await request.text());
+  }
 
-      // Check if user has this permission
-      if (permissions.permissions.includes(permissionKey) ||
-          permissions.permissions.includes(`${service}.*`)) {
-        authorizedScopes.push(scope);
+  /**
+   * Extract OAuth client credentials from HTTP Basic auth or the request body
+   */
+  getClientCredentials(request, params) {
+    const authHeader = request.headers.get('Authorization') || '';
+    const match = authHeader.match(/^Basic\s+(.+)$/i);
+
+    if (match) {
+      const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator !== -1) {
+        return {
+          method: 'basic',
+          clientId: decodeURIComponent(decoded.slice(0, separator)),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+        };
       }
     }
 
-    return authorizedScopes;
+    return {
+      method: 'post',
+      clientId: params.get('client_id'),
+      clientSecret: params.get('client_secret')
+    };
+  }
+
+  /**
+   * Parse a form-encoded OAuth request and authenticate the calling client
+   * Returns { params, credential } on success or { response } to send back
+   */
+  async authenticateOAuthClient(request, params = null) {
+    params = params || await this.parseFormBody(request);
+    if (!params) {
+      return {
+        response: this.oauthError('invalid_request', 'Content-Type must be application/x-www-form-urlencoded')
+      };
+    }
+
+    const client = this.getClientCredentials(request, params);
+    const credential = await this.serviceCredentials.authenticate(client.clientId, client.clientSecret);
+
+    if (!credential) {
+      await this.tokenManager.logAuditEvent({
+        eventType: 'client_auth_failed',
+        service: client.clientId,
+        error: 'Invalid client credentials',
+        success: false,
+        timestamp: Date.now()
+      });
+      return {
+        response: this.oauthError('invalid_client', 'Client authentication failed', 401,
+          client.method === 'basic' ? { 'WWW-Authenticate': 'Basic realm="chittyauth"' } : {})
+      };
+    }
+
+    return { params, credential };
+  }
+
+  /**
+   * OAuth JSON response (tokens must never be cached)
+   */
+  oauthResponse(data, status = 200, extraHeaders = {}) {
+    return this.jsonResponse(data, status, {
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache',
+      ...extraHeaders
+    });
+  }
+
+  /**
+   * OAuth error response (RFC 6749 section 5.2)
+   */
+  oauthError(error, description, status = 400, extraHeaders = {}) {
+    return this.oauthResponse({
+      error,
+      error_description: description
+    }, status, extraHeaders);
+  }
+
+  /**
+   * Validate requested scopes against user permissions
+   * ChittyConnect permissions (service.action, service.admin, admin) are mapped to scopes first
+   */
+  async validateScopes(requestedScopes, permissions) {
+    const permissionScopes = this.chittyConnect.permissionScopes(permissions.permissions);
+
+    // A request made only of deny scopes grants nothing
+    const { granted } = filterScopes(permissionScopes, requestedScopes);
+    return granted.some(scope => !isDenyScope(scope)) ? granted : [];
   }
 
   /**
-   * Generate temporary session token
+   * Standard rate limit headers for a checked request
    */
-  async generateSessionToken(validation, targetService) {
-    const sessionData = {
-      serviceId: validation.service,
-      targetService,
-      permissions: validation.scope,
-      expiresAt: Date.now() + 300000 // 5 minutes
+  rateLimitHeaders(rateLimit) {
+    if (!rateLimit) {
+      return {};
+    }
+
+    return {
+      'X-RateLimit-Limit': String(rateLimit.limit),
+      'X-RateLimit-Remaining': String(rateLimit.remaining),
+      'X-RateLimit-Reset': String(rateLimit.reset),
+      'Access-Control-Expose-Headers': 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After'
     };
+  }
+
+  /**
+   * 429 response for a caller over its rate limit
+   */
+  rateLimitResponse(error) {
+    return this.jsonResponse({
+      success: false,
+      error: error.message,
+      retryAfter: error.status.retryAfter
+    }, 429, {
+      ...this.rateLimitHeaders(error.status),
+      'Retry-After': String(error.status.retryAfter)
+    });
+  }
+
+  /**
+   * 503 for requests that need ChittyConnect while it is unavailable
+   * Distinct from a 403 so callers retry instead of treating the ChittyID as unauthorized
+   */
+  connectUnavailableResponse(error) {
+    return this.jsonResponse({
+      success: false,
+      error: 'ChittyConnect is unavailable',
+      details: error.message,
+      retryAfter: error.retryAfter
+    }, 503, {
+      'Retry-After': String(error.retryAfter)
+    });
+  }
 
-    const encoded = Buffer.from(JSON.stringify(sessionData)).toString('base64url');
-    return `sess_temp_${encoded}`;
+  /**
+   * 202 for an operation queued until its dependency is back
+   */
+  queuedResponse(queued) {
+    return this.jsonResponse({
+      success: true,
+      queued: true,
+      ...queued
+    }, 202, {
+      'Retry-After': String(queued.retryAfter),
+      'Cache-Control': 'no-store'
+    });
   }
 
   /**
    * JSON response helper
    */
-  jsonResponse(data, status = 200) {
+  jsonResponse(data, status = 200, extraHeaders = {}) {
     return new Response(JSON.stringify(data), {
       status,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        ...extraHeaders
       }
     });
   }
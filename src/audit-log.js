@@ -0,0 +1,532 @@
+/**
+ * ChittyAuth Audit Log
+ * Hash-chained audit writes, signed checkpoints, and query/export of auth_events
+ */
+
+import crypto from 'crypto';
+import { encodeCursor, decodeCursor } from './pagination.js';
+import { JwtSigner } from './jwt-signer.js';
+
+export const EXPORT_FORMATS = ['ndjson', 'csv'];
+const EXPORT_PAGE_SIZE = 500;
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_RETRIES = 5;
+const CHAIN_PENDING_BATCH = 500;
+const VERIFY_PAGE_SIZE = 500;
+const VERIFY_MAX_EVENTS = 10000;
+const USER_AGENT_MAX_LENGTH = 512;
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'eventType', 'success', 'tokenId', 'chittyId',
+  'service', 'error', 'ipAddress', 'userAgent', 'metadata'
+];
+
+/**
+ * Extract the client context recorded with every audit event
+ * Cloudflare sets CF-Connecting-IP and CF-Ray; request.cf is absent in local tests
+ */
+export function getRequestContext(request) {
+  const url = new URL(request.url);
+  const forwardedFor = request.headers.get('X-Forwarded-For');
+
+  return {
+    ipAddress: request.headers.get('CF-Connecting-IP') ||
+      (forwardedFor ? forwardedFor.split(',')[0].trim() : null),
+    userAgent: request.headers.get('User-Agent')?.slice(0, USER_AGENT_MAX_LENGTH) || null,
+    country: request.cf?.country || request.headers.get('CF-IPCountry') || null,
+    rayId: request.headers.get('CF-Ray') || null,
+    endpoint: `${request.method} ${url.pathname}`
+  };
+}
+
+export class AuditLog {
+  constructor(env) {
+    this.env = env;
+    this.jwtSigner = new JwtSigner(env);
+  }
+
+  /**
+   * Append an event to the global hash chain in D1
+   * Each row stores the previous row's hash; the UNIQUE chain_seq index turns
+   * concurrent appends into conflicts, which are retried against the new head.
+   * An event still conflicting after APPEND_RETRIES is stored unchained (chain_pending = 1)
+   * and chained by scheduled maintenance, so contention never fails the operation being audited.
+   * Fields without a column of their own (reason, newTokenId, rayId, ...) go into metadata.
+   */
+  async append(eventId, event) {
+    const {
+      eventType, tokenId, chittyId, service, success, error, timestamp,
+      ipAddress, userAgent, metadata: extraMetadata, ...details
+    } = event;
+    const metadata = Object.fromEntries(
+      Object.entries({ ...details, ...extraMetadata }).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+      const head = await this.getChainHead();
+      const row = {
+        id: eventId,
+        event_type: eventType,
+        token_id: tokenId || null,
+        chitty_id: chittyId || null,
+        service_name: service || null,
+        success: success ? 1 : 0,
+        error_message: error || null,
+        ip_address: ipAddress || null,
+        user_agent: userAgent || null,
+        metadata: Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null,
+        timestamp,
+        chain_seq: head.seq + 1,
+        prev_hash: head.hash
+      };
+      row.event_hash = this.hashEvent(row);
+
+      try {
+        await this.env.AUTH_DB.prepare(
+          `INSERT INTO auth_events (id, event_type, token_id, chitty_id, service_name, success, error_message,
+             ip_address, user_agent, metadata, timestamp, chain_seq, prev_hash, event_hash)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+          row.id,
+          row.event_type,
+          row.token_id,
+          row.chitty_id,
+          row.service_name,
+          row.success,
+          row.error_message,
+          row.ip_address,
+          row.user_agent,
+          row.metadata,
+          row.timestamp,
+          row.chain_seq,
+          row.prev_hash,
+          row.event_hash
+        ).run();
+        return row;
+      } catch (error) {
+        if (!this.isChainConflict(error)) {
+          throw error;
+        }
+      }
+    }
+
+    return await this.appendPending(eventId, event, metadata);
+  }
+
+  /**
+   * Store an event outside the chain for chainPending to link later
+   */
+  async appendPending(eventId, event, metadata) {
+    const row = {
+      id: eventId,
+      event_type: event.eventType,
+      token_id: event.tokenId || null,
+      chitty_id: event.chittyId || null,
+      service_name: event.service || null,
+      success: event.success ? 1 : 0,
+      error_message: event.error || null,
+      ip_address: event.ipAddress || null,
+      user_agent: event.userAgent || null,
+      metadata: Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null,
+      timestamp: event.timestamp,
+      chain_pending: 1
+    };
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO auth_events (id, event_type, token_id, chitty_id, service_name, success, error_message,
+         ip_address, user_agent, metadata, timestamp, chain_pending)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`
+    ).bind(
+      row.id,
+      row.event_type,
+      row.token_id,
+      row.chitty_id,
+      row.service_name,
+      row.success,
+      row.error_message,
+      row.ip_address,
+      row.user_agent,
+      row.metadata,
+      row.timestamp
+    ).run();
+
+    return row;
+  }
+
+  /**
+   * Link events stored unchained under contention onto the chain head, oldest first
+   * Runs from scheduled maintenance; a link that conflicts with a live append is retried against
+   * the new head, and anything left over waits for the next run
+   */
+  async chainPending() {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM auth_events WHERE chain_pending = ?
+       ORDER BY timestamp ASC, id ASC
+       LIMIT ${CHAIN_PENDING_BATCH}`
+    ).bind(1).all();
+
+    let chained = 0;
+    for (const pending of results) {
+      let linked = false;
+      for (let attempt = 0; attempt < APPEND_RETRIES && !linked; attempt++) {
+        const head = await this.getChainHead();
+        const row = { ...pending, chain_seq: head.seq + 1, prev_hash: head.hash };
+        row.event_hash = this.hashEvent(row);
+
+        try {
+          await this.env.AUTH_DB.prepare(
+            `UPDATE auth_events SET chain_seq = ?, prev_hash = ?, event_hash = ?, chain_pending = NULL
+             WHERE id = ? AND chain_pending = 1`
+          ).bind(row.chain_seq, row.prev_hash, row.event_hash, row.id).run();
+          linked = true;
+        } catch (error) {
+          if (!this.isChainConflict(error)) {
+            throw error;
+          }
+        }
+      }
+      if (!linked) {
+        break;
+      }
+      chained++;
+    }
+
+    return { chained, pending: results.length - chained };
+  }
+
+  isChainConflict(error) {
+    return String(error.message).includes('UNIQUE');
+  }
+
+  /**
+   * Latest chained event, or the genesis position for an empty chain
+   */
+  async getChainHead() {
+    const head = await this.env.AUTH_DB.prepare(
+      `SELECT chain_seq, event_hash FROM auth_events
+       WHERE chain_seq >= ?
+       ORDER BY chain_seq DESC LIMIT 1`
+    ).bind(1).first();
+
+    return head ? { seq: head.chain_seq, hash: head.event_hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+
+  /**
+   * SHA-256 over the persisted columns in a fixed order
+   */
+  hashEvent(row) {
+    const canonical = JSON.stringify([
+      row.chain_seq,
+      row.prev_hash,
+      row.id,
+      row.event_type,
+      row.token_id,
+      row.chitty_id,
+      row.service_name,
+      row.success,
+      row.error_message,
+      row.ip_address,
+      row.user_agent,
+      row.metadata,
+      row.timestamp
+    ]);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Sign the current chain head as a checkpoint
+   * Checkpoints are EdDSA JWS verifiable against the published JWKS
+   */
+  async createCheckpoint(now = Date.now()) {
+    const head = await this.getChainHead();
+    if (head.seq === 0) {
+      return null;
+    }
+
+    const existing = await this.env.AUTH_DB.prepare(
+      `SELECT seq FROM audit_checkpoints WHERE seq = ?`
+    ).bind(head.seq).first();
+    if (existing) {
+      return { seq: head.seq, hash: head.hash, skipped: true };
+    }
+
+    const signature = await this.jwtSigner.sign({
+      seq: head.seq,
+      hash: head.hash,
+      iat: Math.floor(now / 1000)
+    }, { typ: 'audit-checkpoint+jwt' });
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT OR IGNORE INTO audit_checkpoints (seq, event_hash, signature, created_at)
+       VALUES (?, ?, ?, ?)`
+    ).bind(head.seq, head.hash, signature, now).run();
+
+    return { seq: head.seq, hash: head.hash, signature };
+  }
+
+  /**
+   * Walk the chain and report the first broken link
+   * Verifies at most VERIFY_MAX_EVENTS per call; continue from nextSeq
+   */
+  async verifyChain({ fromSeq = 1, toSeq } = {}) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    let expectedPrevHash = GENESIS_HASH;
+    if (fromSeq > 1) {
+      const previous = await this.env.AUTH_DB.prepare(
+        `SELECT event_hash FROM auth_events WHERE chain_seq = ?`
+      ).bind(fromSeq - 1).first();
+      if (!previous) {
+        return this.brokenLink(0, { seq: fromSeq - 1, reason: 'Event missing from chain' });
+      }
+      expectedPrevHash = previous.event_hash;
+    }
+
+    const lastSeq = Math.min(toSeq || Infinity, fromSeq + VERIFY_MAX_EVENTS - 1);
+    let expectedSeq = fromSeq;
+    let checked = 0;
+
+    while (expectedSeq <= lastSeq) {
+      const pageStart = expectedSeq;
+      const pageEnd = Math.min(lastSeq, pageStart + VERIFY_PAGE_SIZE - 1);
+      const { results = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT * FROM auth_events WHERE chain_seq >= ? AND chain_seq <= ? ORDER BY chain_seq ASC`
+      ).bind(pageStart, pageEnd).all();
+
+      for (const row of results) {
+        if (row.chain_seq !== expectedSeq) {
+          return this.brokenLink(checked, { seq: expectedSeq, reason: 'Event missing from chain' });
+        }
+        if (row.prev_hash !== expectedPrevHash) {
+          return this.brokenLink(checked, { seq: row.chain_seq, eventId: row.id, reason: 'Previous hash mismatch' });
+        }
+        if (this.hashEvent(row) !== row.event_hash) {
+          return this.brokenLink(checked, { seq: row.chain_seq, eventId: row.id, reason: 'Event contents modified' });
+        }
+
+        expectedPrevHash = row.event_hash;
+        expectedSeq++;
+        checked++;
+      }
+
+      // A short page is either the chain head or rows deleted from its tail
+      if (results.length < pageEnd - pageStart + 1) {
+        const head = await this.getChainHead();
+        if (expectedSeq <= Math.min(head.seq, lastSeq)) {
+          return this.brokenLink(checked, { seq: expectedSeq, reason: 'Event missing from chain' });
+        }
+        break;
+      }
+    }
+
+    // Once at the head, checkpoints beyond it reveal events deleted from the tail
+    const head = await this.getChainHead();
+    const nextSeq = expectedSeq <= head.seq ? expectedSeq : null;
+    const checkpoints = await this.verifyCheckpoints(fromSeq, nextSeq ? expectedSeq - 1 : lastSeq);
+
+    return {
+      valid: checkpoints.failed.length === 0,
+      checkedEvents: checked,
+      fromSeq,
+      toSeq: expectedSeq - 1,
+      nextSeq,
+      firstBrokenLink: null,
+      checkpoints
+    };
+  }
+
+  /**
+   * Check checkpoint signatures and that they match the chain
+   */
+  async verifyCheckpoints(fromSeq, toSeq) {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT c.seq, c.event_hash, c.signature, e.event_hash as chain_hash
+       FROM audit_checkpoints c LEFT JOIN auth_events e ON e.chain_seq = c.seq
+       WHERE c.seq >= ? AND c.seq <= ?
+       ORDER BY c.seq ASC`
+    ).bind(fromSeq, toSeq).all();
+
+    const failed = [];
+    for (const checkpoint of results) {
+      const { decoded, error } = await this.jwtSigner.verifySignature(checkpoint.signature);
+      if (error) {
+        failed.push({ seq: checkpoint.seq, reason: error });
+      } else if (decoded.payload.seq !== checkpoint.seq || decoded.payload.hash !== checkpoint.event_hash) {
+        failed.push({ seq: checkpoint.seq, reason: 'Checkpoint record does not match signature' });
+      } else if (checkpoint.chain_hash !== checkpoint.event_hash) {
+        failed.push({ seq: checkpoint.seq, reason: 'Chain diverges from signed checkpoint' });
+      }
+    }
+
+    return { verified: results.length - failed.length, failed };
+  }
+
+  /**
+   * Shape a verification failure
+   */
+  brokenLink(checkedEvents, link) {
+    return {
+      valid: false,
+      checkedEvents,
+      firstBrokenLink: link
+    };
+  }
+
+  /**
+   * Query audit events, newest first
+   * Keyset pagination over (timestamp, id)
+   */
+  async query({ eventType, chittyId, tokenId, service, success, from, to, limit = 100, cursor } = {}) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (eventType) {
+      const types = Array.isArray(eventType) ? eventType : [eventType];
+      conditions.push(`event_type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+    if (chittyId) {
+      conditions.push('chitty_id = ?');
+      params.push(chittyId);
+    }
+    if (tokenId) {
+      conditions.push('token_id = ?');
+      params.push(tokenId);
+    }
+    if (service) {
+      conditions.push('service_name = ?');
+      params.push(service);
+    }
+    if (success !== undefined) {
+      conditions.push('success = ?');
+      params.push(success ? 1 : 0);
+    }
+    if (from) {
+      conditions.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('timestamp < ?');
+      params.push(to);
+    }
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      conditions.push('(timestamp < ? OR (timestamp = ? AND id < ?))');
+      params.push(position.value, position.value, position.id);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM auth_events ${where}
+       ORDER BY timestamp DESC, id DESC
+       LIMIT ?`
+    ).bind(...params, limit + 1).all();
+
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      events: page.map(row => this.formatEvent(row)),
+      nextCursor: results.length > limit ? encodeCursor({ value: last.timestamp, id: last.id }) : null
+    };
+  }
+
+  /**
+   * Stream every matching event as NDJSON or CSV
+   * Pages through D1 on demand so large exports never sit in memory
+   */
+  exportStream(filters, format) {
+    const encoder = new TextEncoder();
+    let cursor = filters.cursor;
+    let started = false;
+    let done = false;
+
+    return new ReadableStream({
+      pull: async (controller) => {
+        try {
+          if (!started && format === 'csv') {
+            controller.enqueue(encoder.encode(`${CSV_COLUMNS.join(',')}\n`));
+          }
+          started = true;
+
+          if (done) {
+            controller.close();
+            return;
+          }
+
+          const page = await this.query({ ...filters, cursor, limit: EXPORT_PAGE_SIZE });
+          const lines = page.events.map(event =>
+            format === 'csv' ? this.toCsvRow(event) : JSON.stringify(event)
+          );
+
+          if (lines.length > 0) {
+            controller.enqueue(encoder.encode(`${lines.join('\n')}\n`));
+          }
+
+          cursor = page.nextCursor;
+          done = !cursor;
+        } catch (error) {
+          console.error('Audit export error:', error);
+          controller.error(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Shape an auth_events row for API output
+   */
+  formatEvent(row) {
+    let metadata = null;
+    if (row.metadata) {
+      try {
+        metadata = JSON.parse(row.metadata);
+      } catch (error) {
+        metadata = row.metadata;
+      }
+    }
+
+    return {
+      id: row.id,
+      eventType: row.event_type,
+      tokenId: row.token_id,
+      chittyId: row.chitty_id,
+      service: row.service_name,
+      success: row.success === 1,
+      error: row.error_message,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      metadata,
+      timestamp: new Date(row.timestamp).toISOString(),
+      chainSeq: row.chain_seq ?? null,
+      eventHash: row.event_hash ?? null
+    };
+  }
+
+  /**
+   * Render an event as an RFC 4180 CSV row
+   * Cells a spreadsheet would read as a formula (user agents, errors and metadata are caller-supplied)
+   * are prefixed with a quote so they open as text
+   */
+  toCsvRow(event) {
+    return CSV_COLUMNS.map(column => {
+      let value = event[column];
+      if (value === null || value === undefined) {
+        return '';
+      }
+      if (typeof value === 'object') {
+        value = JSON.stringify(value);
+      }
+      value = String(value);
+      if (/^[=+\-@\t\r]/.test(value)) {
+        value = `'${value}`;
+      }
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',');
+  }
+}
@@ -1,14 +1,46 @@
 /**
  * ChittyConnect Integration Client
  * Handles user identity validation via ChittyConnect service
+ *
+ * Verification and permission lookups are cached in AUTH_TOKENS, retried with backoff and
+ * guarded by a circuit breaker. An outage raises ChittyConnectUnavailableError instead of
+ * looking like an unverified ChittyID or one with no permissions.
  */
 
+import { SUPER_SCOPE } from './scopes.js';
+import { ScopeRegistry } from './scope-registry.js';
+import { incrementCounter, observeHistogram } from './metrics.js';
+
+const CACHE_PREFIX = 'connect:';
+const RETRY_AFTER = 5; // seconds suggested to callers while the circuit is still closed
+
+// Circuit breaker state per ChittyConnect URL, shared by every request this isolate serves
+const circuits = new Map();
+
+/**
+ * Raised when ChittyConnect cannot answer: timeout, network error, 429/5xx or an open circuit
+ * retryAfter: seconds before a retry is worth attempting
+ */
+export class ChittyConnectUnavailableError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'ChittyConnectUnavailableError';
+    this.retryAfter = retryAfter;
+  }
+}
+
 export class ChittyConnectClient {
   constructor(env) {
     this.env = env;
     this.baseUrl = env.CHITTYCONNECT_URL || 'https://connect.chitty.cc';
     this.apiKey = env.CHITTYCONNECT_API_KEY;
-    this.timeout = 10000; // 10 seconds
+    this.timeout = parseInt(env.CHITTYCONNECT_TIMEOUT_MS || '10000'); // 10 seconds per attempt
+    this.maxRetries = parseInt(env.CHITTYCONNECT_MAX_RETRIES || '2');
+    this.retryBaseDelay = parseInt(env.CHITTYCONNECT_RETRY_BASE_MS || '200');
+    this.cacheTtl = parseInt(env.CHITTYCONNECT_CACHE_TTL || '300'); // 5 minutes
+    this.failureThreshold = parseInt(env.CHITTYCONNECT_BREAKER_THRESHOLD || '5');
+    this.breakerCooldown = parseInt(env.CHITTYCONNECT_BREAKER_COOLDOWN || '30'); // seconds
+    this.scopeRegistry = new ScopeRegistry(env);
   }
 
   /**
@@ -16,10 +48,11 @@ export class ChittyConnectClient {
    * Ensures the ChittyID is valid and associated with a real user
    */
   async verifyChittyID(chittyId) {
-    try {
+    const verification = await this.cached(`verify:${chittyId}`, async () => {
       const response = await this.makeRequest('/v1/identity/verify', {
         method: 'POST',
-        body: JSON.stringify({ chittyId })
+        body: JSON.stringify({ chittyId }),
+        idempotent: true
       });
 
       if (!response.ok) {
@@ -38,23 +71,39 @@ export class ChittyConnectClient {
         trustLevel: data.trustLevel,
         metadata: data.metadata
       };
-    } catch (error) {
-      console.error('ChittyConnect verification error:', error);
-      return {
-        verified: false,
-        error: error.message
-      };
+    }, result => result.verified);
+
+    return this.withRegistrationTrust(chittyId, verification);
+  }
+
+  /**
+   * Raise a verified ChittyID's trust level to the one recorded on its registration
+   * ChittyConnect does not learn about email verification, which ChittyAuth records itself
+   */
+  async withRegistrationTrust(chittyId, verification) {
+    if (!verification.verified || !this.env.AUTH_DB) {
+      return verification;
     }
+
+    const registration = await this.env.AUTH_DB.prepare(
+      `SELECT trust_level FROM registrations WHERE chitty_id = ?`
+    ).bind(chittyId).first();
+
+    if (!(registration?.trust_level > (parseInt(verification.trustLevel) || 0))) {
+      return verification;
+    }
+    return { ...verification, trustLevel: String(registration.trust_level) };
   }
 
   /**
    * Get user permissions from ChittyConnect
    */
   async getUserPermissions(chittyId) {
-    try {
+    return this.cached(`permissions:${chittyId}`, async () => {
       const response = await this.makeRequest('/v1/identity/permissions', {
         method: 'POST',
-        body: JSON.stringify({ chittyId })
+        body: JSON.stringify({ chittyId }),
+        idempotent: true
       });
 
       if (!response.ok) {
@@ -67,10 +116,43 @@ export class ChittyConnectClient {
         roles: data.roles || [],
         organizations: data.organizations || []
       };
-    } catch (error) {
-      console.error('ChittyConnect permissions error:', error);
-      return { permissions: [] };
+    }, result => result.permissions.length > 0);
+  }
+
+  /**
+   * Drop cached verification and permissions for a ChittyID
+   * Call when ChittyConnect reports a change so the next lookup is fresh
+   */
+  async invalidate(chittyId) {
+    if (!this.env.AUTH_TOKENS) {
+      return;
+    }
+    await this.env.AUTH_TOKENS.delete(`${CACHE_PREFIX}verify:${chittyId}`);
+    await this.env.AUTH_TOKENS.delete(`${CACHE_PREFIX}permissions:${chittyId}`);
+  }
+
+  /**
+   * Read a lookup from the KV cache, or run it and cache answers that pass cacheable
+   * Only positive answers are cached so a newly registered ChittyID is not refused for a TTL;
+   * outages throw and are never cached
+   */
+  async cached(key, lookup, cacheable) {
+    const cacheKey = `${CACHE_PREFIX}${key}`;
+    if (this.env.AUTH_TOKENS && this.cacheTtl > 0) {
+      const hit = await this.env.AUTH_TOKENS.get(cacheKey);
+      if (hit) {
+        return JSON.parse(hit);
+      }
+    }
+
+    const result = await lookup();
+
+    if (this.env.AUTH_TOKENS && this.cacheTtl > 0 && cacheable(result)) {
+      await this.env.AUTH_TOKENS.put(cacheKey, JSON.stringify(result), {
+        expirationTtl: Math.max(this.cacheTtl, 60) // KV minimum
+      });
     }
+    return result;
   }
 
   /**
@@ -96,6 +178,9 @@ export class ChittyConnectClient {
         expiresAt: data.expiresAt
       };
     } catch (error) {
+      if (error instanceof ChittyConnectUnavailableError) {
+        throw error;
+      }
       console.error('ChittyConnect OAuth validation error:', error);
       return { valid: false };
     }
@@ -109,7 +194,8 @@ export class ChittyConnectClient {
     try {
       const response = await this.makeRequest('/v1/services/credentials', {
         method: 'POST',
-        body: JSON.stringify({ serviceName })
+        body: JSON.stringify({ serviceName }),
+        idempotent: true
       });
 
       if (!response.ok) {
@@ -124,6 +210,9 @@ export class ChittyConnectClient {
         chittyId: data.chittyId
       };
     } catch (error) {
+      if (error instanceof ChittyConnectUnavailableError) {
+        throw error;
+      }
       console.error('ChittyConnect service credentials error:', error);
       return { authorized: false };
     }
@@ -137,47 +226,53 @@ export class ChittyConnectClient {
     return userPermissions.permissions.includes(permission);
   }
 
+  /**
+   * Map ChittyConnect permissions to scopes
+   * admin grants everything, service.admin every scope of that service, service.action its scope
+   */
+  permissionScopes(permissions) {
+    return permissions.map(permission => {
+      if (permission === 'admin') {
+        return SUPER_SCOPE;
+      }
+      const [service, action] = permission.split('.');
+      return action === 'admin' ? `${service}:*` : permission.replace('.', ':');
+    });
+  }
+
   /**
    * Get recommended scopes for a ChittyID based on their permissions
+   * Driven by the scope registry, so it works for any registered service
    */
-  async getRecommendedScopes(chittyId, requestedService) {
+  async getRecommendedScopes(chittyId, requestedService, trustLevel) {
     const permissions = await this.getUserPermissions(chittyId);
-    const scopes = [];
-
-    // Map ChittyConnect permissions to service scopes
-    if (requestedService === 'chittyid') {
-      if (permissions.permissions.includes('chittyid.read')) {
-        scopes.push('chittyid:read');
-      }
-      if (permissions.permissions.includes('chittyid.generate')) {
-        scopes.push('chittyid:generate');
-      }
-      if (permissions.permissions.includes('chittyid.validate')) {
-        scopes.push('chittyid:validate');
-      }
-      if (permissions.permissions.includes('chittyid.admin')) {
-        scopes.push('chittyid:audit', 'admin:*');
-      }
-    }
 
-    // If no specific permissions, grant basic read access
-    if (scopes.length === 0) {
-      scopes.push(`${requestedService}:read`);
+    if (trustLevel === undefined) {
+      const verification = await this.verifyChittyID(chittyId);
+      trustLevel = parseInt(verification.trustLevel) || 0;
     }
 
-    return scopes;
+    return await this.scopeRegistry.recommend(
+      requestedService,
+      this.permissionScopes(permissions.permissions),
+      trustLevel
+    );
   }
 
   /**
    * Make HTTP request to ChittyConnect
+   * idempotent: retry timeouts, network errors and 429/5xx responses with exponential backoff
+   * Throws ChittyConnectUnavailableError when ChittyConnect cannot answer or the circuit is open;
+   * any other response (including 4xx) is returned to the caller
    */
   async makeRequest(endpoint, options = {}) {
+    const { idempotent = false, ...init } = options;
     const url = `${this.baseUrl}${endpoint}`;
 
     const headers = {
       'Content-Type': 'application/json',
       'User-Agent': 'ChittyAuth/1.0',
-      ...(options.headers || {})
+      ...(init.headers || {})
     };
 
     // Add service authentication if not using Bearer token
@@ -185,22 +280,116 @@ export class ChittyConnectClient {
       headers['Authorization'] = `Bearer ${this.apiKey}`;
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
     try {
-      const response = await fetch(url, {
-        ...options,
-        headers,
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-      return response;
+      this.checkCircuit();
     } catch (error) {
-      clearTimeout(timeoutId);
+      incrementCounter('chittyauth_chittyconnect_requests_total', { endpoint, outcome: 'circuit_open' });
       throw error;
     }
+
+    const attempts = idempotent ? this.maxRetries + 1 : 1;
+    let failure;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt > 0) {
+        await this.backoff(attempt);
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      const startedAt = Date.now();
+      let outcome;
+
+      try {
+        const response = await fetch(url, {
+          ...init,
+          headers,
+          signal: controller.signal
+        });
+
+        if (response.status !== 429 && response.status < 500) {
+          outcome = 'ok';
+          this.recordSuccess();
+          return response;
+        }
+        outcome = 'http_error';
+        failure = `ChittyConnect returned ${response.status}`;
+      } catch (error) {
+        outcome = error.name === 'AbortError' ? 'timeout' : 'network';
+        failure = error.name === 'AbortError'
+          ? `ChittyConnect timed out after ${this.timeout}ms`
+          : `ChittyConnect unreachable: ${error.message}`;
+      } finally {
+        clearTimeout(timeoutId);
+        observeHistogram('chittyauth_chittyconnect_request_duration_seconds', { endpoint }, (Date.now() - startedAt) / 1000);
+        incrementCounter('chittyauth_chittyconnect_requests_total', { endpoint, outcome });
+      }
+    }
+
+    this.recordFailure();
+    console.error(`ChittyConnect ${endpoint} failed after ${attempts} attempt(s): ${failure}`);
+    throw new ChittyConnectUnavailableError(
+      failure,
+      this.getCircuit().state === 'open' ? this.breakerCooldown : RETRY_AFTER
+    );
+  }
+
+  /**
+   * Wait before a retry: base * 2^(attempt - 1), with up to 50% jitter
+   */
+  async backoff(attempt) {
+    const delay = this.retryBaseDelay * 2 ** (attempt - 1);
+    await new Promise(resolve => setTimeout(resolve, delay + Math.floor(Math.random() * delay / 2)));
+  }
+
+  /**
+   * Circuit breaker state for this ChittyConnect URL
+   * closed: requests flow; open: fail fast until the cooldown ends; half-open: one probe decides.
+   * A probe that never reports back (its request was cancelled) is given up on after it could have
+   * used every attempt, and the next request probes instead.
+   */
+  getCircuit() {
+    if (!circuits.has(this.baseUrl)) {
+      circuits.set(this.baseUrl, { state: 'closed', failures: 0, openedAt: 0, probeStartedAt: 0 });
+    }
+    return circuits.get(this.baseUrl);
+  }
+
+  checkCircuit() {
+    const circuit = this.getCircuit();
+    if (circuit.state === 'closed') {
+      return;
+    }
+
+    const now = Date.now();
+    const reopensIn = circuit.openedAt + this.breakerCooldown * 1000 - now;
+    const probeAbandoned = circuit.state === 'half-open' &&
+      now - circuit.probeStartedAt >= this.timeout * (this.maxRetries + 1);
+    if ((circuit.state === 'open' && reopensIn <= 0) || probeAbandoned) {
+      circuit.state = 'half-open';
+      circuit.probeStartedAt = now;
+      return;
+    }
+
+    // Open, or half-open with the probe still in flight
+    throw new ChittyConnectUnavailableError(
+      'ChittyConnect circuit breaker is open',
+      Math.max(1, Math.ceil(reopensIn / 1000))
+    );
+  }
+
+  recordSuccess() {
+    const circuit = this.getCircuit();
+    circuit.state = 'closed';
+    circuit.failures = 0;
+  }
+
+  recordFailure() {
+    const circuit = this.getCircuit();
+    circuit.failures++;
+    if (circuit.state === 'half-open' || circuit.failures >= this.failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
   }
 
   /**
@@ -215,12 +404,14 @@ export class ChittyConnectClient {
       return {
         healthy: response.ok,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        circuit: this.getCircuit().state
       };
     } catch (error) {
       return {
         healthy: false,
-        error: error.message
+        error: error.message,
+        circuit: this.getCircuit().state
       };
     }
   }
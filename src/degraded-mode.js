@@ -0,0 +1,253 @@
+/**
+ * ChittyAuth Degraded Mode
+ * What to do when ChittyConnect or the ChittyID service is unavailable, per operation:
+ *   fail_closed - refuse with 503 (nothing is issued without the dependency)
+ *   fail_open   - serve a reduced result, marked degraded, and reconcile it once the dependency is back
+ *   queue       - accept with 202 and a claim secret; the caller claims the result once the dependency is back
+ * Every fallback is recorded in degraded_operations and as a degraded_mode_fallback audit event.
+ */
+
+import crypto from 'crypto';
+import { filterScopes, isDenyScope } from './scopes.js';
+
+export const FAILURE_POLICIES = ['fail_closed', 'fail_open', 'queue'];
+
+// Registration fell back to a local ChittyID before policies existed, so it stays fail_open by default
+const DEFAULT_POLICIES = {
+  provision: 'fail_closed',
+  registration: 'fail_open'
+};
+
+// HTTP status for each degraded-mode failure reason
+export const DEGRADED_ERRORS = {
+  unavailable: 503,
+  not_found: 404,
+  expired: 410,
+  already_claimed: 409
+};
+
+export class DegradedMode {
+  constructor(env, tokenManager) {
+    this.env = env;
+    this.tokenManager = tokenManager;
+    this.policies = {
+      provision: this.parsePolicy(env.DEGRADED_PROVISION_POLICY, 'provision'),
+      registration: this.parsePolicy(env.DEGRADED_REGISTRATION_POLICY, 'registration')
+    };
+    this.degradedScopes = (env.DEGRADED_SCOPES || 'chittyid:read')
+      .split(',').map(scope => scope.trim()).filter(Boolean);
+    this.degradedExpiry = parseInt(env.DEGRADED_TOKEN_EXPIRY || '3600'); // 1 hour
+    this.queueTtl = parseInt(env.DEGRADED_QUEUE_TTL || '86400'); // 24 hours
+  }
+
+  /**
+   * Configured policy for an operation
+   * A misspelled policy fails closed rather than silently opening
+   */
+  policy(operation) {
+    return this.policies[operation];
+  }
+
+  parsePolicy(value, operation) {
+    if (!value) {
+      return DEFAULT_POLICIES[operation];
+    }
+    if (!FAILURE_POLICIES.includes(value)) {
+      console.error(`Unknown degraded-mode policy for ${operation}: ${value}; failing closed`);
+      return 'fail_closed';
+    }
+    return value;
+  }
+
+  /**
+   * Scopes a fail_open token may carry: the requested scopes DEGRADED_SCOPES covers, plus requested deny scopes
+   * Returns [] when nothing requested is safe to grant unverified
+   */
+  reduceScopes(requestedScopes) {
+    const { granted } = filterScopes(this.degradedScopes, requestedScopes);
+    return granted.some(scope => !isDenyScope(scope)) ? granted : [];
+  }
+
+  /**
+   * Lifetime of a fail_open token in seconds
+   */
+  reduceExpiry(expiresIn) {
+    return Math.min(expiresIn || this.degradedExpiry, this.degradedExpiry);
+  }
+
+  /**
+   * Record a fallback and return the marker to include in the response
+   * fail_open records stay open until maintenance reconciles them
+   */
+  async record({ operation, policy, reason, chittyId, tokenId }) {
+    const id = this.generateId();
+    const now = Date.now();
+    const status = policy === 'fail_open' ? 'open' : 'refused';
+
+    if (this.env.AUTH_DB) {
+      await this.env.AUTH_DB.prepare(
+        `INSERT INTO degraded_operations (id, operation, policy, status, chitty_id, token_id, reason, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(id, operation, policy, status, chittyId || null, tokenId || null, reason, now).run();
+    }
+
+    await this.logFallback({ id, operation, policy, reason, chittyId, tokenId, timestamp: now });
+
+    return { operation, policy, reason, fallbackId: id };
+  }
+
+  /**
+   * Queue an operation to be completed when its result is claimed
+   * Only a hash of the claim secret is stored
+   */
+  async enqueue({ operation, payload, reason, chittyId }) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const id = this.generateId();
+    const claimSecret = `claim_${crypto.randomBytes(24).toString('base64url')}`;
+    const now = Date.now();
+    const expiresAt = now + this.queueTtl * 1000;
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO degraded_operations (id, operation, policy, status, chitty_id, payload, claim_hash, reason, created_at, expires_at)
+       VALUES (?, ?, 'queue', 'queued', ?, ?, ?, ?, ?, ?)`
+    ).bind(id, operation, chittyId || null, JSON.stringify(payload), this.hashClaim(claimSecret), reason, now, expiresAt).run();
+
+    await this.logFallback({ id, operation, policy: 'queue', reason, chittyId, timestamp: now });
+
+    return {
+      requestId: id,
+      claimSecret,
+      claimUrl: `/v1/operations/${id}/claim`,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Take a queued operation for its claimant
+   * The row moves from 'queued' to 'claiming' in one conditional update, so of two concurrent
+   * claims only one runs the operation; it must then complete or release the claim.
+   * Returns { success: true, operation, payload } or a failure with a DEGRADED_ERRORS reason
+   */
+  async claim(id, claimSecret) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const row = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM degraded_operations WHERE id = ? AND policy = 'queue'`
+    ).bind(id).first();
+
+    if (!row || !claimSecret || !this.claimMatches(row.claim_hash, claimSecret)) {
+      return this.failure('not_found', 'No queued operation matches this claim');
+    }
+    if (row.status !== 'queued') {
+      return this.failure('already_claimed', 'This operation has already been completed');
+    }
+    if (row.expires_at < Date.now()) {
+      return this.failure('expired', 'This queued operation has expired; submit the request again');
+    }
+
+    const taken = await this.env.AUTH_DB.prepare(
+      `UPDATE degraded_operations SET status = 'claiming' WHERE id = ? AND status = 'queued'`
+    ).bind(id).run();
+    if (taken.meta?.changes !== 1) {
+      return this.failure('already_claimed', 'This operation has already been completed');
+    }
+
+    return { success: true, operation: row.operation, payload: JSON.parse(row.payload) };
+  }
+
+  /**
+   * Return a claimed operation to the queue when it could not be completed yet
+   */
+  async release(id) {
+    await this.env.AUTH_DB.prepare(
+      `UPDATE degraded_operations SET status = 'queued' WHERE id = ? AND status = 'claiming'`
+    ).bind(id).run();
+  }
+
+  /**
+   * Close a claimed operation; the queued payload is dropped
+   */
+  async complete(id) {
+    await this.env.AUTH_DB.prepare(
+      `UPDATE degraded_operations SET status = 'completed', payload = NULL, resolved_at = ? WHERE id = ?`
+    ).bind(Date.now(), id).run();
+  }
+
+  /**
+   * Reconcile fail_open fallbacks and expire stale queued operations (scheduled maintenance)
+   * A degraded token whose ChittyID is now confirmed is kept; one that is refused is revoked.
+   * Registrations given a local ChittyID need a manual decision and are left open.
+   */
+  async reconcile(chittyConnect, now = Date.now()) {
+    const expired = await this.env.AUTH_DB.prepare(
+      `UPDATE degraded_operations SET status = 'expired', payload = NULL, resolved_at = ?
+       WHERE status IN ('queued', 'claiming') AND expires_at < ?`
+    ).bind(now, now).run();
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT id, chitty_id, token_id FROM degraded_operations
+       WHERE operation = 'provision' AND status = 'open'
+       ORDER BY created_at ASC LIMIT 100`
+    ).bind().all();
+
+    const summary = { reconciled: 0, revoked: 0, pending: 0, expired: expired.meta?.changes || 0 };
+    for (const [index, fallback] of results.entries()) {
+      let verification;
+      try {
+        verification = await chittyConnect.verifyChittyID(fallback.chitty_id);
+      } catch (error) {
+        // Still unavailable; try again next run
+        summary.pending = results.length - index;
+        break;
+      }
+
+      const status = verification.verified ? 'reconciled' : 'revoked';
+      if (!verification.verified && fallback.token_id) {
+        await this.tokenManager.revoke(fallback.token_id, 'Degraded-mode grant not confirmed by ChittyConnect');
+      }
+      await this.env.AUTH_DB.prepare(
+        `UPDATE degraded_operations SET status = ?, resolved_at = ? WHERE id = ?`
+      ).bind(status, now, fallback.id).run();
+      summary[status]++;
+    }
+
+    return summary;
+  }
+
+  async logFallback({ id, operation, policy, reason, chittyId, tokenId, timestamp }) {
+    await this.tokenManager.logAuditEvent({
+      eventType: 'degraded_mode_fallback',
+      fallbackId: id,
+      operation,
+      policy,
+      chittyId,
+      tokenId,
+      error: reason,
+      success: policy !== 'fail_closed',
+      timestamp
+    });
+  }
+
+  hashClaim(claimSecret) {
+    return crypto.createHash('sha256').update(claimSecret).digest('hex');
+  }
+
+  claimMatches(claimHash, claimSecret) {
+    const expected = Buffer.from(claimHash || '');
+    const actual = Buffer.from(this.hashClaim(String(claimSecret)));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  generateId() {
+    return `dop_${crypto.randomBytes(15).toString('base64url')}`;
+  }
+
+  failure(reason, error) {
+    return { success: false, reason, error };
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * ChittyAuth Email Verification
+ * One-time codes that prove a registrant controls their email address
+ */
+
+import crypto from 'crypto';
+import { createMailSender } from './mail-sender.js';
+
+const CODE_LENGTH = 6;
+
+// Trust level recorded on a registration once its email is verified
+export const VERIFIED_TRUST_LEVEL = 1;
+
+// HTTP status for each verification failure reason
+export const VERIFICATION_ERRORS = {
+  not_found: 404,
+  already_verified: 409,
+  expired: 410,
+  invalid_code: 400,
+  too_many_attempts: 429,
+  too_many_sends: 429
+};
+
+export class EmailVerificationManager {
+  constructor(env, mailSender = createMailSender(env)) {
+    this.env = env;
+    this.mailSender = mailSender;
+    this.codeTtl = parseInt(env.EMAIL_VERIFICATION_TTL || '3600'); // 1 hour
+    this.maxAttempts = parseInt(env.EMAIL_VERIFICATION_MAX_ATTEMPTS || '5');
+    this.maxSends = parseInt(env.EMAIL_VERIFICATION_MAX_SENDS || '5');
+    this.linkUrl = env.EMAIL_VERIFICATION_LINK_URL || null;
+    this.verifiedScopes = (env.VERIFIED_USER_SCOPES || 'chittyid:validate')
+      .split(',').map(scope => scope.trim()).filter(Boolean);
+  }
+
+  /**
+   * Issue a code for a new registration and email it
+   * Only the code's hash is stored
+   */
+  async issue({ chittyId, email, tokenId }) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const code = this.generateCode();
+    const now = Date.now();
+    const expiresAt = now + this.codeTtl * 1000;
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO email_verifications (chitty_id, email, token_id, code_hash, expires_at, attempts, send_count, created_at, last_sent_at)
+       VALUES (?, ?, ?, ?, ?, 0, 1, ?, ?)`
+    ).bind(chittyId, email.toLowerCase(), tokenId, this.hashCode(chittyId, code), expiresAt, now, now).run();
+
+    await this.sendCode(chittyId, email, code);
+
+    return { method: 'email', expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Replace the pending code with a fresh one
+   * Resets the attempt counter; the number of sends is capped
+   */
+  async resend(chittyId) {
+    const pending = await this.getPending(chittyId);
+    if (!pending) {
+      return this.failure('not_found', 'No pending verification for this ChittyID');
+    }
+
+    if (pending.send_count >= this.maxSends) {
+      return this.failure('too_many_sends', 'Verification code resend limit reached');
+    }
+
+    const code = this.generateCode();
+    const now = Date.now();
+    const expiresAt = now + this.codeTtl * 1000;
+
+    await this.env.AUTH_DB.prepare(
+      `UPDATE email_verifications
+       SET code_hash = ?, expires_at = ?, attempts = 0, send_count = send_count + 1, last_sent_at = ?
+       WHERE chitty_id = ?`
+    ).bind(this.hashCode(chittyId, code), expiresAt, now, chittyId).run();
+
+    await this.sendCode(chittyId, pending.email, code);
+
+    return {
+      success: true,
+      method: 'email',
+      expiresAt: new Date(expiresAt).toISOString(),
+      sendsRemaining: this.maxSends - pending.send_count - 1
+    };
+  }
+
+  /**
+   * Check a submitted code
+   * The attempt is counted with a conditional UPDATE so concurrent guesses cannot exceed the limit
+   */
+  async verify(chittyId, code) {
+    const pending = await this.getPending(chittyId);
+    if (!pending) {
+      const registration = await this.env.AUTH_DB.prepare(
+        `SELECT verified_at FROM registrations WHERE chitty_id = ?`
+      ).bind(chittyId).first();
+      return registration?.verified_at
+        ? this.failure('already_verified', 'Email already verified')
+        : this.failure('not_found', 'No pending verification for this ChittyID');
+    }
+
+    if (pending.expires_at < Date.now()) {
+      return this.failure('expired', 'Verification code has expired; request a new one');
+    }
+
+    const counted = await this.env.AUTH_DB.prepare(
+      `UPDATE email_verifications SET attempts = attempts + 1 WHERE chitty_id = ? AND attempts < ?`
+    ).bind(chittyId, this.maxAttempts).run();
+    if (!counted.meta?.changes) {
+      return this.failure('too_many_attempts', 'Too many incorrect codes; request a new one');
+    }
+
+    const expected = Buffer.from(pending.code_hash, 'hex');
+    const actual = Buffer.from(this.hashCode(chittyId, String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return {
+        ...this.failure('invalid_code', 'Invalid verification code'),
+        attemptsRemaining: Math.max(0, this.maxAttempts - pending.attempts - 1)
+      };
+    }
+
+    const verifiedAt = Date.now();
+    await this.env.AUTH_DB.prepare(
+      `UPDATE registrations SET verified_at = ?, verification_method = 'email', trust_level = MAX(trust_level, ?)
+       WHERE chitty_id = ?`
+    ).bind(verifiedAt, VERIFIED_TRUST_LEVEL, chittyId).run();
+    await this.env.AUTH_DB.prepare(
+      `DELETE FROM email_verifications WHERE chitty_id = ?`
+    ).bind(chittyId).run();
+
+    return {
+      success: true,
+      chittyId,
+      tokenId: pending.token_id,
+      verificationMethod: 'email',
+      verifiedAt: new Date(verifiedAt).toISOString(),
+      trustLevel: VERIFIED_TRUST_LEVEL,
+      grantedScopes: this.verifiedScopes
+    };
+  }
+
+  /**
+   * Pending verification row for a ChittyID
+   */
+  async getPending(chittyId) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    return await this.env.AUTH_DB.prepare(
+      `SELECT * FROM email_verifications WHERE chitty_id = ?`
+    ).bind(chittyId).first();
+  }
+
+  /**
+   * Email a code, with a link when EMAIL_VERIFICATION_LINK_URL is configured
+   */
+  async sendCode(chittyId, email, code) {
+    const minutes = Math.round(this.codeTtl / 60);
+    const lines = [
+      `Your ChittyID verification code is ${code}.`,
+      '',
+      `It expires in ${minutes} minutes.`
+    ];
+
+    if (this.linkUrl) {
+      const link = new URL(this.linkUrl);
+      link.searchParams.set('chittyId', chittyId);
+      link.searchParams.set('code', code);
+      lines.push('', `Or verify with this link: ${link.toString()}`);
+    }
+
+    lines.push('', 'If you did not register for a ChittyID, ignore this email.');
+
+    return await this.mailSender.send({
+      to: email,
+      subject: 'Verify your ChittyID email address',
+      text: lines.join('\n')
+    });
+  }
+
+  /**
+   * Generate a numeric one-time code
+   */
+  generateCode() {
+    return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  }
+
+  /**
+   * Hash a code bound to its ChittyID
+   */
+  hashCode(chittyId, code) {
+    return crypto.createHash('sha256').update(`${chittyId}:${code}`).digest('hex');
+  }
+
+  /**
+   * Shape a failed verification
+   */
+  failure(reason, error) {
+    return { success: false, reason, error };
+  }
+}
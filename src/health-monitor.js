@@ -0,0 +1,197 @@
+/**
+ * ChittyAuth Health Monitor
+ * Probes D1, each KV binding, ChittyConnect and the ChittyID service for the readiness endpoint,
+ * measuring latency and recording results and consecutive failures in service_health.
+ * A dependency's row is only rewritten when its status changes or HEALTH_RECORD_INTERVAL_MS has
+ * passed, so a busy readiness endpoint does not turn into a D1 write per dependency per hit.
+ */
+
+import { ChittyConnectClient } from './chittyconnect-client.js';
+
+const PROBE_KEY = 'health:probe';
+
+// Token validation cannot work without these; ChittyConnect and ChittyID outages are covered by degraded mode
+const CRITICAL_DEPENDENCIES = ['d1', 'kv:AUTH_TOKENS', 'kv:AUTH_REVOCATIONS'];
+
+const KV_BINDINGS = ['AUTH_TOKENS', 'AUTH_REVOCATIONS', 'AUTH_RATE_LIMITS', 'AUTH_AUDIT'];
+
+export class HealthMonitor {
+  constructor(env, chittyConnect = new ChittyConnectClient(env)) {
+    this.env = env;
+    this.chittyConnect = chittyConnect;
+    this.chittyIdService = env.CHITTYID_URL || 'https://id.chitty.cc';
+    this.timeout = parseInt(env.HEALTH_CHECK_TIMEOUT_MS || '3000');
+    this.recordInterval = parseInt(env.HEALTH_RECORD_INTERVAL_MS || '60000');
+  }
+
+  /**
+   * Probe every dependency and record the results
+   * status: 'healthy', 'degraded' (a non-critical dependency is down) or 'unhealthy' (a critical one is)
+   */
+  async checkReadiness(now = Date.now()) {
+    const probes = {
+      d1: () => this.probeDatabase(),
+      ...Object.fromEntries(KV_BINDINGS.map(binding => [`kv:${binding}`, () => this.probeKV(binding)])),
+      chittyconnect: () => this.probeChittyConnect(),
+      chittyid: () => this.probeChittyID()
+    };
+
+    const results = await Promise.all(
+      Object.entries(probes).map(([name, probe]) => this.measure(name, probe))
+    );
+    const history = await this.record(results, now);
+
+    const dependencies = {};
+    for (const result of results) {
+      dependencies[result.name] = {
+        status: result.status,
+        critical: result.critical,
+        latencyMs: result.latencyMs,
+        ...(result.error ? { error: result.error } : {}),
+        ...(result.details || {}),
+        ...(history[result.name] || {})
+      };
+    }
+
+    const down = results.filter(result => result.status === 'down');
+    const status = down.some(result => result.critical)
+      ? 'unhealthy'
+      : down.length > 0 ? 'degraded' : 'healthy';
+
+    return { status, checkedAt: new Date(now).toISOString(), dependencies };
+  }
+
+  /**
+   * Run one probe and time it; a probe fails by throwing
+   */
+  async measure(name, probe) {
+    const startedAt = Date.now();
+    const critical = CRITICAL_DEPENDENCIES.includes(name);
+    try {
+      const details = await probe();
+      return { name, critical, status: 'up', latencyMs: Date.now() - startedAt, details };
+    } catch (error) {
+      return { name, critical, status: 'down', latencyMs: Date.now() - startedAt, error: error.message, details: error.details };
+    }
+  }
+
+  async probeDatabase() {
+    if (!this.env.AUTH_DB) {
+      throw new Error('AUTH_DB is not bound');
+    }
+    await this.env.AUTH_DB.prepare('SELECT 1').first();
+  }
+
+  async probeKV(binding) {
+    if (!this.env[binding]) {
+      throw new Error(`${binding} is not bound`);
+    }
+    await this.env[binding].get(PROBE_KEY);
+  }
+
+  /**
+   * Probe ChittyConnect directly rather than through the client, so readiness traffic neither
+   * waits out the client's retries nor opens or closes the circuit breaker real calls rely on
+   */
+  async probeChittyConnect() {
+    const circuit = this.chittyConnect.getCircuit().state;
+    try {
+      await this.probeHttp(`${this.chittyConnect.baseUrl}/health`, 'ChittyConnect');
+    } catch (error) {
+      error.details = { circuit };
+      throw error;
+    }
+    return { circuit };
+  }
+
+  async probeChittyID() {
+    await this.probeHttp(`${this.chittyIdService}/health`, 'ChittyID service');
+  }
+
+  async probeHttp(url, label) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`${label} returned ${response.status}`);
+      }
+    } catch (error) {
+      throw error.name === 'AbortError'
+        ? new Error(`${label} timed out after ${this.timeout}ms`)
+        : error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Upsert results into service_health and return the stored history per dependency
+   * A row is only written when the status changed or the previous check is older than
+   * recordInterval, so failure_count counts consecutive failed recorded checks and resets on success.
+   * Nothing is recorded while D1 itself is down.
+   */
+  async record(results, now) {
+    if (results.find(result => result.name === 'd1').status === 'down') {
+      return {};
+    }
+
+    try {
+      const { results: rows = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT service_name, status, last_check, failure_count, last_success, last_failure FROM service_health`
+      ).all();
+      const stored = new Map(rows.map(row => [row.service_name, row]));
+
+      const history = {};
+      for (const result of results) {
+        let row = stored.get(result.name);
+        if (!row || row.status !== result.status || now - row.last_check >= this.recordInterval) {
+          row = await this.upsert(result, row, now);
+        }
+        history[result.name] = {
+          failureCount: row.failure_count,
+          lastSuccess: row.last_success ? new Date(row.last_success).toISOString() : null,
+          lastFailure: row.last_failure ? new Date(row.last_failure).toISOString() : null
+        };
+      }
+      return history;
+    } catch (error) {
+      console.error('Failed to record service health:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write one result and return the row as it now stands
+   */
+  async upsert(result, previous, now) {
+    const up = result.status === 'up';
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO service_health (service_name, status, last_check, last_success, last_failure, failure_count, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(service_name) DO UPDATE SET
+         status = excluded.status,
+         last_check = excluded.last_check,
+         last_success = COALESCE(excluded.last_success, service_health.last_success),
+         last_failure = COALESCE(excluded.last_failure, service_health.last_failure),
+         failure_count = CASE WHEN excluded.status = 'up' THEN 0 ELSE service_health.failure_count + 1 END,
+         metadata = excluded.metadata`
+    ).bind(
+      result.name,
+      result.status,
+      now,
+      up ? now : null,
+      up ? null : now,
+      up ? 0 : 1,
+      JSON.stringify({ latencyMs: result.latencyMs, error: result.error, ...(result.details || {}) })
+    ).run();
+
+    return {
+      status: result.status,
+      last_check: now,
+      failure_count: up ? 0 : (previous?.failure_count || 0) + 1,
+      last_success: up ? now : previous?.last_success,
+      last_failure: up ? previous?.last_failure : now
+    };
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * ChittyAuth JWT Signer
+ * Issues and verifies EdDSA (Ed25519) access tokens and publishes the JWKS
+ */
+
+import crypto from 'crypto';
+import { base64UrlEncode, decodeJwt, checkClaims } from './jwt.js';
+
+const DEV_SIGNING_KEY = 'dev-signing-key-change-in-production';
+
+// PKCS#8 DER prefix for a raw 32-byte Ed25519 private key seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519 = { name: 'Ed25519' };
+
+export class JwtSigner {
+  constructor(env) {
+    this.env = env;
+    this.issuer = env.TOKEN_ISSUER || 'https://auth.chitty.cc';
+    this.keyPromise = null;
+  }
+
+  /**
+   * Load the signing key pair
+   * JWT_SIGNING_KEY holds a base64url Ed25519 seed; without it one is derived
+   * from TOKEN_SIGNING_KEY so every isolate signs with the same key.
+   * Production refuses to fall back to the development key, whose public half JWKS would publish.
+   */
+  async getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.loadKey().catch(error => {
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  async loadKey() {
+    let seed;
+    if (this.env.JWT_SIGNING_KEY) {
+      seed = Buffer.from(this.env.JWT_SIGNING_KEY, 'base64url');
+    } else {
+      const fallback = this.env.TOKEN_SIGNING_KEY || (this.env.ENVIRONMENT === 'production' ? null : DEV_SIGNING_KEY);
+      if (!fallback) {
+        throw new Error('JWT_SIGNING_KEY or TOKEN_SIGNING_KEY must be set in production');
+      }
+      seed = crypto.createHash('sha256').update(`jwt:${fallback}`).digest();
+    }
+
+    if (seed.length !== 32) {
+      throw new Error('JWT_SIGNING_KEY must be a 32-byte base64url Ed25519 seed');
+    }
+
+    const privateKey = await crypto.subtle.importKey(
+      'pkcs8',
+      Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      ED25519,
+      true,
+      ['sign']
+    );
+
+    const { x } = await crypto.subtle.exportKey('jwk', privateKey);
+    const publicJwk = { kty: 'OKP', crv: 'Ed25519', x };
+    const publicKey = await crypto.subtle.importKey('jwk', publicJwk, ED25519, true, ['verify']);
+    const kid = this.env.JWT_KEY_ID || this.thumbprint(publicJwk);
+
+    return {
+      kid,
+      privateKey,
+      publicKey,
+      publicJwk: { ...publicJwk, kid, use: 'sig', alg: 'EdDSA' }
+    };
+  }
+
+  /**
+   * RFC 7638 JWK thumbprint, used as the default key id
+   */
+  thumbprint(jwk) {
+    const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x });
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+  }
+
+  /**
+   * Sign a set of claims as a compact JWS
+   */
+  async sign(claims, { typ = 'at+jwt' } = {}) {
+    const key = await this.getKey();
+    const header = { alg: 'EdDSA', typ, kid: key.kid };
+    const signingInput = `${base64UrlEncode(header)}.${base64UrlEncode({ iss: this.issuer, ...claims })}`;
+    const signature = await crypto.subtle.sign(ED25519, key.privateKey, Buffer.from(signingInput));
+    return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+  }
+
+  /**
+   * Verify signature and standard claims of a JWT issued by this service
+   */
+  async verify(token, { audience } = {}) {
+    const { decoded, error: signatureError } = await this.verifySignature(token);
+    if (signatureError) {
+      return { valid: false, error: signatureError };
+    }
+
+    const error = checkClaims(decoded.payload, { issuer: this.issuer, audience });
+    if (error) {
+      return { valid: false, error };
+    }
+
+    return { valid: true, claims: decoded.payload };
+  }
+
+  /**
+   * Verify only the signature of a JWS issued by this service
+   * Used directly for signed records that do not expire, such as audit checkpoints
+   */
+  async verifySignature(token) {
+    const decoded = decodeJwt(token);
+    if (!decoded || decoded.header.alg !== 'EdDSA') {
+      return { error: 'Invalid token format' };
+    }
+
+    const key = await this.getKey();
+    if (decoded.header.kid !== key.kid) {
+      return { error: 'Unknown signing key' };
+    }
+
+    const signatureValid = await crypto.subtle.verify(
+      ED25519,
+      key.publicKey,
+      decoded.signature,
+      Buffer.from(decoded.signingInput)
+    );
+    if (!signatureValid) {
+      return { error: 'Invalid token signature' };
+    }
+
+    return { decoded };
+  }
+
+  /**
+   * Public key set for offline verification
+   */
+  async getJwks() {
+    const key = await this.getKey();
+    return { keys: [key.publicJwk] };
+  }
+
+  /**
+   * Check whether a string looks like a compact JWS
+   */
+  static isJwt(token) {
+    return typeof token === 'string' && token.startsWith('eyJ') && token.split('.').length === 3;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * ChittyAuth JWT Helpers
+ * Compact JWS encoding, decoding and HMAC signing shared by token issuers
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Base64url-encode a string, Buffer or JSON-serializable object
+ */
+export function base64UrlEncode(input) {
+  if (Buffer.isBuffer(input) || input instanceof Uint8Array) {
+    return Buffer.from(input).toString('base64url');
+  }
+  const value = typeof input === 'string' ? input : JSON.stringify(input);
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Decode a base64url segment into a Buffer
+ */
+export function base64UrlDecode(segment) {
+  return Buffer.from(segment, 'base64url');
+}
+
+/**
+ * Split a compact JWS into its decoded parts
+ * Returns null if the token is structurally invalid
+ */
+export function decodeJwt(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    const payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+    return {
+      header,
+      payload,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: base64UrlDecode(parts[2])
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create an HS256-signed compact JWS
+ */
+export function signHS256(header, payload, secret) {
+  const signingInput = `${base64UrlEncode({ ...header, alg: 'HS256' })}.${base64UrlEncode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest();
+  return `${signingInput}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Verify an HS256 signature in constant time
+ */
+export function verifyHS256(decoded, secret) {
+  if (!decoded || decoded.header.alg !== 'HS256') {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(decoded.signingInput).digest();
+  if (expected.length !== decoded.signature.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expected, decoded.signature);
+}
+
+/**
+ * Check standard time and audience claims
+ * Returns an error string, or null if the claims are acceptable
+ */
+export function checkClaims(payload, { issuer, audience, now = Math.floor(Date.now() / 1000) } = {}) {
+  if (typeof payload.exp !== 'number' || payload.exp <= now) {
+    return 'Token has expired';
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf > now) {
+    return 'Token not yet valid';
+  }
+  if (issuer && payload.iss !== issuer) {
+    return 'Invalid token issuer';
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      return 'Token audience mismatch';
+    }
+  }
+  return null;
+}
@@ -0,0 +1,86 @@
+/**
+ * ChittyAuth Mail Sender
+ * Delivers transactional email through an HTTP mail API, or a local outbox in development
+ */
+
+import crypto from 'crypto';
+
+const OUTBOX_TTL = 86400; // 1 day
+
+/**
+ * Sends through any provider accepting a JSON POST of { from, to, subject, text }
+ */
+export class HttpMailSender {
+  constructor(env) {
+    this.url = env.MAIL_API_URL;
+    this.apiKey = env.MAIL_API_KEY;
+    this.from = env.MAIL_FROM || 'ChittyAuth <no-reply@chitty.cc>';
+  }
+
+  async send({ to, subject, text }) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({ from: this.from, to, subject, text })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail delivery failed with status ${response.status}`);
+    }
+
+    return { delivered: true };
+  }
+}
+
+/**
+ * Local stand-in that keeps messages in KV; only the recipient and subject are logged
+ * Messages can be read back with outbox:<id> keys in AUTH_TOKENS. Not available in production
+ */
+export class OutboxMailSender {
+  constructor(env) {
+    if (env.ENVIRONMENT === 'production') {
+      throw new Error('The mail outbox is not available in production; set MAIL_API_URL');
+    }
+    this.env = env;
+  }
+
+  async send({ to, subject, text }) {
+    const id = crypto.randomUUID();
+    const message = { id, to, subject, text, queuedAt: new Date().toISOString() };
+
+    if (this.env.AUTH_TOKENS) {
+      await this.env.AUTH_TOKENS.put(`outbox:${id}`, JSON.stringify(message), {
+        expirationTtl: OUTBOX_TTL
+      });
+    }
+    console.log(`Outbox mail ${id} to ${to}: ${subject}`);
+
+    return { delivered: false, outboxId: id };
+  }
+}
+
+/**
+ * Used in production when MAIL_API_URL is missing: every send fails, so callers report the
+ * email as not sent instead of it landing in the outbox
+ */
+export class UnconfiguredMailSender {
+  async send() {
+    throw new Error('Mail delivery is not configured: MAIL_API_URL must be set in production');
+  }
+}
+
+/**
+ * Pick the configured sender; without MAIL_API_URL mail goes to the outbox outside production
+ */
+export function createMailSender(env) {
+  if (env.MAIL_API_URL) {
+    return new HttpMailSender(env);
+  }
+  if (env.ENVIRONMENT === 'production') {
+    return new UnconfiguredMailSender();
+  }
+  return new OutboxMailSender(env);
+}
@@ -0,0 +1,215 @@
+/**
+ * ChittyAuth Scheduled Maintenance
+ * Purges expired tokens, rolls audit events into daily stats, flags overdue credential rotations,
+ * retires unused signing keys, reconciles degraded-mode fallbacks, prunes old webhook delivery logs,
+ * chains audit events stored unchained under contention and signs audit chain checkpoints
+ */
+
+import { TokenManager } from './token-manager.js';
+import { AuditLog } from './audit-log.js';
+import { ChittyConnectClient } from './chittyconnect-client.js';
+import { DegradedMode } from './degraded-mode.js';
+import { EVENT_AGGREGATES } from './token-stats.js';
+import { WebhookManager } from './webhooks.js';
+
+const DAY_MS = 86400000;
+// Session tokens and cached key sets can still use a rotated key for 5 minutes each
+const SIGNING_KEY_GRACE_MS = 600000;
+
+export class MaintenanceJob {
+  constructor(env) {
+    this.env = env;
+    this.tokenManager = new TokenManager(env);
+    this.auditLog = new AuditLog(env);
+    this.chittyConnect = new ChittyConnectClient(env);
+    this.degradedMode = new DegradedMode(env, this.tokenManager);
+    this.webhooks = new WebhookManager(env);
+    this.expiredRetentionDays = parseInt(env.EXPIRED_TOKEN_RETENTION_DAYS || '30');
+    this.revokedRetentionDays = parseInt(env.REVOKED_TOKEN_RETENTION_DAYS || '90');
+    this.webhookLogRetentionDays = parseInt(env.WEBHOOK_LOG_RETENTION_DAYS || '30');
+  }
+
+  /**
+   * Run every maintenance task
+   * Each task runs independently so one failure does not block the others
+   */
+  async run(now = Date.now()) {
+    if (!this.env.AUTH_DB) {
+      return { success: false, error: 'Database not available' };
+    }
+
+    const summary = { success: true, ranAt: new Date(now).toISOString() };
+
+    const tasks = {
+      purge: () => this.purgeTokens(now),
+      stats: () => this.rollupStats(now),
+      rotation: () => this.flagOverdueRotations(now),
+      signingKeys: () => this.retireUnusedSigningKeys(now),
+      degraded: () => this.degradedMode.reconcile(this.chittyConnect, now),
+      webhooks: () => this.webhooks.prune(now - this.webhookLogRetentionDays * DAY_MS),
+      auditChain: () => this.auditLog.chainPending(),
+      checkpoint: () => this.auditLog.createCheckpoint(now)
+    };
+
+    for (const [name, task] of Object.entries(tasks)) {
+      try {
+        summary[name] = await task();
+      } catch (error) {
+        console.error(`Maintenance task ${name} failed:`, error);
+        summary.success = false;
+        summary[name] = { error: error.message };
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Archive and delete tokens expired or revoked beyond their retention period, and delete their refresh tokens
+   * KV entries expire on their own TTL, so only D1 needs cleaning
+   */
+  async purgeTokens(now) {
+    const expiredBefore = now - this.expiredRetentionDays * DAY_MS;
+    const revokedBefore = now - this.revokedRetentionDays * DAY_MS;
+    const condition = `expires_at < ? OR (revoked_at IS NOT NULL AND revoked_at < ?)`;
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT OR IGNORE INTO tokens_archive
+         (id, token_hash, chitty_id, scope, service_name, created_at, expires_at, last_used_at,
+          request_count, revoked_at, revocation_reason, archived_at)
+       SELECT id, token_hash, chitty_id, scope, service_name, created_at, expires_at, last_used_at,
+          request_count, revoked_at, revocation_reason, ?
+       FROM tokens WHERE ${condition}`
+    ).bind(now, expiredBefore, revokedBefore).run();
+
+    const result = await this.env.AUTH_DB.prepare(
+      `DELETE FROM tokens WHERE ${condition}`
+    ).bind(expiredBefore, revokedBefore).run();
+
+    // Used refresh tokens are kept until then so replays are still detected
+    const refreshTokens = await this.env.AUTH_DB.prepare(
+      `DELETE FROM refresh_tokens WHERE ${condition}`
+    ).bind(expiredBefore, revokedBefore).run();
+
+    return {
+      archived: result.meta?.changes || 0,
+      refreshTokensDeleted: refreshTokens.meta?.changes || 0
+    };
+  }
+
+  /**
+   * Roll auth_events into daily token_stats rows
+   * Yesterday is recomputed so events logged around midnight are settled
+   */
+  async rollupStats(now) {
+    const today = this.formatDate(now);
+    const days = [this.formatDate(Date.parse(today) - DAY_MS), today];
+
+    for (const date of days) {
+      const start = Date.parse(`${date}T00:00:00Z`);
+
+      const row = await this.env.AUTH_DB.prepare(
+        `SELECT ${EVENT_AGGREGATES}
+         FROM auth_events
+         WHERE timestamp >= ? AND timestamp < ?`
+      ).bind(start, start + DAY_MS).first();
+
+      await this.env.AUTH_DB.prepare(
+        `INSERT INTO token_stats (date, total_provisions, total_validations, failed_validations,
+           total_revocations, rate_limit_hits, unique_users, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(date) DO UPDATE SET
+           total_provisions = excluded.total_provisions,
+           total_validations = excluded.total_validations,
+           failed_validations = excluded.failed_validations,
+           total_revocations = excluded.total_revocations,
+           rate_limit_hits = excluded.rate_limit_hits,
+           unique_users = excluded.unique_users,
+           updated_at = excluded.updated_at`
+      ).bind(
+        date,
+        row?.provisions || 0,
+        row?.validations || 0,
+        row?.failed_validations || 0,
+        row?.revocations || 0,
+        row?.rate_limit_hits || 0,
+        row?.unique_users || 0,
+        now
+      ).run();
+    }
+
+    return { days };
+  }
+
+  /**
+   * Flag services whose client secret is older than their rotation interval
+   * Secrets are not rotated automatically because the new secret could not be delivered.
+   * Each overdue secret is reported once: rotation_flagged_at suppresses the event until the next rotation.
+   */
+  async flagOverdueRotations(now) {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT service_name, chitty_id, COALESCE(last_rotated_at, created_at) as rotated_at, rotation_interval
+       FROM service_credentials
+       WHERE COALESCE(last_rotated_at, created_at) + rotation_interval * 1000 < ?
+         AND (rotation_flagged_at IS NULL OR rotation_flagged_at < COALESCE(last_rotated_at, created_at))`
+    ).bind(now).all();
+
+    for (const service of results) {
+      await this.env.AUTH_DB.prepare(
+        `UPDATE service_credentials SET rotation_flagged_at = ? WHERE service_name = ?`
+      ).bind(now, service.service_name).run();
+
+      await this.tokenManager.logAuditEvent({
+        eventType: 'credential_rotation_due',
+        chittyId: service.chitty_id,
+        service: service.service_name,
+        error: `Client secret last rotated ${new Date(service.rotated_at).toISOString()}`,
+        success: false,
+        timestamp: now
+      });
+    }
+
+    return { overdue: results.map(service => service.service_name) };
+  }
+
+  /**
+   * Retire rotated-out signing keys once no active token was signed with them
+   * Tokens with no recorded key predate key ids and were signed with TOKEN_SIGNING_KEY
+   */
+  async retireUnusedSigningKeys(now) {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT kid FROM signing_keys
+       WHERE status = 'retiring' AND rotated_at < ?
+         AND NOT EXISTS (
+           SELECT 1 FROM tokens
+           WHERE revoked_at IS NULL AND expires_at > ?
+             AND (signing_key_id = signing_keys.kid
+               OR (signing_key_id IS NULL AND signing_keys.encrypted_secret IS NULL))
+         )`
+    ).bind(now - SIGNING_KEY_GRACE_MS, now).all();
+
+    const retired = [];
+    for (const { kid } of results) {
+      const result = await this.tokenManager.signingKeys.retire(kid, now);
+      if (!result.success) {
+        continue;
+      }
+      retired.push(kid);
+      await this.tokenManager.logAuditEvent({
+        eventType: 'signing_key_retired',
+        keyId: kid,
+        success: true,
+        timestamp: now
+      });
+    }
+
+    return { retired };
+  }
+
+  /**
+   * Format a timestamp as YYYY-MM-DD (UTC)
+   */
+  formatDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+}
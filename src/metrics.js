@@ -0,0 +1,245 @@
+/**
+ * ChittyAuth Metrics
+ * Prometheus / OpenMetrics exposition for GET /metrics
+ *
+ * Token counters are computed from auth_events and active token gauges from tokens, so they
+ * agree across isolates. ChittyConnect call latency/errors and validation latency are
+ * in-process counters and histograms: each isolate reports its own since it started.
+ */
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Validation failures are labelled by cause; any other error is 'invalid'
+const VALIDATION_RESULTS = {
+  'Token revoked': 'revoked',
+  'Token not found': 'not_found',
+  'Token expired': 'expired',
+  'Invalid token signature': 'invalid_signature',
+  'Token signing key is not recognized': 'invalid_signature',
+  'Token audience mismatch': 'audience_mismatch',
+  'Insufficient scope': 'insufficient_scope'
+};
+
+const EVENT_TYPES = [
+  'token_provision', 'token_validated', 'token_validation_failed', 'token_refreshed',
+  'token_refresh_failed', 'token_revoked', 'tokens_bulk_revoked', 'rate_limit_exceeded'
+];
+
+// In-process metric families, shared by every request this isolate serves
+const processFamilies = new Map();
+
+const PROCESS_METRICS = {
+  chittyauth_chittyconnect_requests_total: {
+    type: 'counter',
+    help: 'ChittyConnect request attempts by endpoint and outcome (ok, http_error, timeout, network, circuit_open)'
+  },
+  chittyauth_chittyconnect_request_duration_seconds: {
+    type: 'histogram',
+    help: 'ChittyConnect request attempt latency'
+  },
+  chittyauth_token_validation_duration_seconds: {
+    type: 'histogram',
+    help: 'POST /v1/tokens/validate latency by result'
+  }
+};
+
+/**
+ * Add to an in-process counter
+ */
+export function incrementCounter(name, labels = {}, value = 1) {
+  const series = processSeries(name, labels, () => ({ value: 0 }));
+  series.value += value;
+}
+
+/**
+ * Record a value (in seconds) in an in-process histogram
+ */
+export function observeHistogram(name, labels, seconds) {
+  const series = processSeries(name, labels, () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  LATENCY_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) {
+      series.buckets[index]++;
+    }
+  });
+  series.sum += seconds;
+  series.count++;
+}
+
+/**
+ * Drop every in-process series (tests)
+ */
+export function resetProcessMetrics() {
+  processFamilies.clear();
+}
+
+function processSeries(name, labels, create) {
+  if (!processFamilies.has(name)) {
+    processFamilies.set(name, new Map());
+  }
+  const family = processFamilies.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort());
+  if (!family.has(key)) {
+    family.set(key, { labels, ...create() });
+  }
+  return family.get(key);
+}
+
+export class MetricsCollector {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Every metric family: D1-backed ones first, then this isolate's
+   * Each family is { name, type, help, samples: [{ name, labels, value }] }
+   */
+  async collect(now = Date.now()) {
+    const families = [];
+    if (this.env.AUTH_DB) {
+      families.push(...await this.collectEvents());
+      families.push(await this.collectActiveTokens(now));
+    }
+    families.push(...this.collectProcess());
+    return families;
+  }
+
+  /**
+   * Token counters from auth_events
+   * Bulk revocations count every token they revoked
+   */
+  async collectEvents() {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT event_type, error_message, COUNT(*) as events,
+         SUM(COALESCE(json_extract(metadata, '$.count'), 1)) as items
+       FROM auth_events
+       WHERE event_type IN (${EVENT_TYPES.map(() => '?').join(', ')})
+       GROUP BY event_type, error_message`
+    ).bind(...EVENT_TYPES).all();
+
+    const validations = {};
+    const refreshes = { success: 0, failure: 0 };
+    let provisions = 0;
+    let revocations = 0;
+    let rateLimitHits = 0;
+
+    for (const row of results) {
+      switch (row.event_type) {
+        case 'token_provision':
+          provisions += row.events;
+          break;
+        case 'token_validated':
+        case 'token_validation_failed': {
+          const result = row.event_type === 'token_validated'
+            ? 'valid'
+            : VALIDATION_RESULTS[row.error_message] || 'invalid';
+          validations[result] = (validations[result] || 0) + row.events;
+          break;
+        }
+        case 'token_refreshed':
+          refreshes.success += row.events;
+          break;
+        case 'token_refresh_failed':
+          refreshes.failure += row.events;
+          break;
+        case 'token_revoked':
+        case 'tokens_bulk_revoked':
+          revocations += row.items;
+          break;
+        case 'rate_limit_exceeded':
+          rateLimitHits += row.events;
+          break;
+      }
+    }
+
+    return [
+      this.counter('chittyauth_token_provisions_total', 'Tokens provisioned', [{ labels: {}, value: provisions }]),
+      this.counter('chittyauth_token_validations_total', 'Token validations by result',
+        Object.entries(validations).map(([result, value]) => ({ labels: { result }, value }))),
+      this.counter('chittyauth_token_refreshes_total', 'Refresh token exchanges by result',
+        Object.entries(refreshes).map(([result, value]) => ({ labels: { result }, value }))),
+      this.counter('chittyauth_token_revocations_total', 'Tokens revoked, including bulk revocations', [{ labels: {}, value: revocations }]),
+      this.counter('chittyauth_rate_limit_hits_total', 'Requests refused by a rate limit', [{ labels: {}, value: rateLimitHits }])
+    ];
+  }
+
+  async collectActiveTokens(now) {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT service_name, COUNT(*) as count FROM tokens
+       WHERE revoked_at IS NULL AND expires_at > ?
+       GROUP BY service_name`
+    ).bind(now).all();
+
+    return {
+      name: 'chittyauth_active_tokens',
+      type: 'gauge',
+      help: 'Unrevoked, unexpired tokens by service',
+      samples: results.map(row => ({
+        name: 'chittyauth_active_tokens',
+        labels: { service: row.service_name || 'unknown' },
+        value: row.count
+      }))
+    };
+  }
+
+  collectProcess() {
+    return Object.entries(PROCESS_METRICS).map(([name, { type, help }]) => {
+      const series = [...(processFamilies.get(name) || new Map()).values()];
+      if (type === 'counter') {
+        return this.counter(name, help, series);
+      }
+
+      const samples = series.flatMap(({ labels, buckets, sum, count }) => [
+        ...LATENCY_BUCKETS.map((bound, index) => ({
+          name: `${name}_bucket`, labels: { ...labels, le: String(bound) }, value: buckets[index]
+        })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ]);
+      return { name, type, help, samples };
+    });
+  }
+
+  counter(name, help, series) {
+    return {
+      name,
+      type: 'counter',
+      help,
+      samples: series.map(({ labels, value }) => ({ name, labels, value }))
+    };
+  }
+
+  /**
+   * Render families in the Prometheus text format, or OpenMetrics
+   * (counter families drop the _total suffix there, and the exposition ends with # EOF)
+   */
+  render(families, { openMetrics = false } = {}) {
+    const lines = [];
+    for (const family of families) {
+      const name = openMetrics && family.type === 'counter' ? family.name.replace(/_total$/, '') : family.name;
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      for (const sample of family.samples) {
+        lines.push(`${sample.name}${this.formatLabels(sample.labels)} ${sample.value}`);
+      }
+    }
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+    const escaped = entries.map(([key, value]) =>
+      `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return `{${escaped.join(',')}}`;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * ChittyAuth Pagination Helpers
+ * Opaque keyset cursors over (sort value, id)
+ */
+
+/**
+ * Encode a pagination cursor
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * Throws 'Invalid cursor' for anything not produced by encodeCursor
+ */
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (position && 'value' in position && typeof position.id === 'string') {
+      return position;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor');
+}
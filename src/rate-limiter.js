@@ -0,0 +1,139 @@
+/**
+ * ChittyAuth Rate Limiter
+ * Sliding-window request limits, strongly consistent through a Durable Object when bound
+ */
+
+/**
+ * Raised when a caller has used up its request allowance
+ */
+export class RateLimitExceededError extends Error {
+  constructor(status) {
+    super('Rate limit exceeded');
+    this.name = 'RateLimitExceededError';
+    this.status = status;
+  }
+}
+
+/**
+ * Sliding-window estimate over two fixed windows
+ * The previous window's count is weighted by how much of it still overlaps the sliding window
+ * Times are in seconds; returns { allowed, limit, remaining, reset, retryAfter }
+ */
+export function slidingWindow({ previous, current, limit, window, now }) {
+  const elapsed = now % window;
+  const estimate = previous * (window - elapsed) / window + current;
+  const reset = Math.ceil(now - elapsed + window);
+
+  if (estimate + 1 <= limit) {
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+      reset,
+      retryAfter: 0
+    };
+  }
+
+  let retryAfter;
+  if (current + 1 <= limit && previous > 0) {
+    // The previous window's weight decays enough before this window ends
+    retryAfter = (window - elapsed) - (limit - 1 - current) * window / previous;
+  } else {
+    // Only once this window's count has partly slid out, early in the next window
+    retryAfter = (window - elapsed) + window * (current - limit + 1) / current;
+  }
+
+  return {
+    allowed: false,
+    limit,
+    remaining: 0,
+    reset,
+    retryAfter: Math.max(1, Math.ceil(retryAfter))
+  };
+}
+
+export class RateLimiter {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Count one request against a key and report the remaining allowance
+   * Uses the RATE_LIMITER Durable Object when bound; KV counters are only eventually consistent
+   */
+  async hit(key, { limit, window }, now = Date.now()) {
+    if (this.env.RATE_LIMITER) {
+      const stub = this.env.RATE_LIMITER.get(this.env.RATE_LIMITER.idFromName(key));
+      const response = await stub.fetch('https://rate-limiter/hit', {
+        method: 'POST',
+        body: JSON.stringify({ limit, window, now })
+      });
+      return await response.json();
+    }
+
+    if (!this.env.AUTH_RATE_LIMITS) {
+      return null; // No rate limiting without storage
+    }
+
+    const seconds = now / 1000;
+    const index = Math.floor(seconds / window);
+    const currentKey = `ratelimit:${key}:${index}`;
+
+    const [previous, current] = await Promise.all([
+      this.env.AUTH_RATE_LIMITS.get(`ratelimit:${key}:${index - 1}`),
+      this.env.AUTH_RATE_LIMITS.get(currentKey)
+    ]);
+    const currentCount = parseInt(current || '0');
+
+    const status = slidingWindow({
+      previous: parseInt(previous || '0'),
+      current: currentCount,
+      limit,
+      window,
+      now: seconds
+    });
+
+    if (status.allowed) {
+      // Kept for two windows so it can serve as the next window's previous count
+      await this.env.AUTH_RATE_LIMITS.put(currentKey, (currentCount + 1).toString(), {
+        expirationTtl: window * 2
+      });
+    }
+
+    return status;
+  }
+}
+
+/**
+ * Durable Object holding one key's counters
+ * Requests to a single object are serialized, so counts cannot race
+ */
+export class RateLimiterDurableObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { limit, window, now } = await request.json();
+    const seconds = now / 1000;
+    const index = Math.floor(seconds / window);
+
+    const stored = await this.state.storage.get('counts') || { index, previous: 0, current: 0 };
+    let counts = stored;
+    if (stored.index === index - 1) {
+      counts = { index, previous: stored.current, current: 0 };
+    } else if (stored.index !== index) {
+      counts = { index, previous: 0, current: 0 };
+    }
+
+    const status = slidingWindow({ previous: counts.previous, current: counts.current, limit, window, now: seconds });
+    if (status.allowed) {
+      counts.current++;
+    }
+    await this.state.storage.put('counts', counts);
+
+    return new Response(JSON.stringify(status), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
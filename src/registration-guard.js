@@ -0,0 +1,143 @@
+/**
+ * ChittyAuth Registration Guard
+ * Abuse protection for the public registration endpoint
+ */
+
+import { RateLimiter } from './rate-limiter.js';
+
+const REGISTRATION_WINDOW = 3600; // 1 hour
+const DEFAULT_CHALLENGE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+// Common throwaway mailbox providers; extend with BLOCKED_EMAIL_DOMAINS
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com',
+  'discard.email',
+  'dispostable.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com'
+];
+
+export const REJECTION_REASONS = {
+  rate_limited: 429,
+  invalid_email: 400,
+  disposable_email: 400,
+  challenge_required: 403,
+  challenge_failed: 403
+};
+
+export class RegistrationGuard {
+  constructor(env) {
+    this.env = env;
+    this.rateLimiter = new RateLimiter(env);
+    this.ipLimit = parseInt(env.REGISTRATION_LIMIT_PER_IP || '5');
+    this.domainLimit = parseInt(env.REGISTRATION_LIMIT_PER_DOMAIN || '50');
+    this.blockedDomains = new Set([
+      ...DISPOSABLE_EMAIL_DOMAINS,
+      ...(env.BLOCKED_EMAIL_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    ]);
+    this.challengeSecret = env.REGISTRATION_CHALLENGE_SECRET || null;
+    this.challengeVerifyUrl = env.REGISTRATION_CHALLENGE_VERIFY_URL || DEFAULT_CHALLENGE_VERIFY_URL;
+  }
+
+  /**
+   * Decide whether a registration attempt may proceed
+   * Returns { allowed: true } or { allowed: false, reason, error, retryAfter? }
+   * Checks run cheapest first; the IP limit counts every attempt, rejected or not
+   */
+  async check({ email, ipAddress, challengeToken }) {
+    const ipStatus = await this.rateLimiter.hit(`register:ip:${ipAddress || 'unknown'}`, {
+      limit: this.ipLimit,
+      window: REGISTRATION_WINDOW
+    });
+    if (ipStatus && !ipStatus.allowed) {
+      return this.reject('rate_limited', 'Too many registration attempts from this address', ipStatus.retryAfter);
+    }
+
+    const domain = this.getEmailDomain(email);
+    if (!domain) {
+      return this.reject('invalid_email', 'Invalid email address');
+    }
+
+    if (this.isBlockedDomain(domain)) {
+      return this.reject('disposable_email', 'Disposable email addresses are not accepted');
+    }
+
+    if (this.challengeSecret) {
+      if (!challengeToken) {
+        return this.reject('challenge_required', 'Challenge token is required');
+      }
+      if (!await this.verifyChallenge(challengeToken, ipAddress)) {
+        return this.reject('challenge_failed', 'Challenge verification failed');
+      }
+    }
+
+    const domainStatus = await this.rateLimiter.hit(`register:domain:${domain}`, {
+      limit: this.domainLimit,
+      window: REGISTRATION_WINDOW
+    });
+    if (domainStatus && !domainStatus.allowed) {
+      return this.reject('rate_limited', 'Too many registrations for this email domain', domainStatus.retryAfter);
+    }
+
+    return { allowed: true, domain };
+  }
+
+  /**
+   * Verify a Turnstile-style challenge token
+   * Point REGISTRATION_CHALLENGE_VERIFY_URL at a local stub for development
+   */
+  async verifyChallenge(challengeToken, ipAddress) {
+    const form = new URLSearchParams({ secret: this.challengeSecret, response: challengeToken });
+    if (ipAddress) {
+      form.set('remoteip', ipAddress);
+    }
+
+    try {
+      const response = await fetch(this.challengeVerifyUrl, { method: 'POST', body: form });
+      if (!response.ok) {
+        return false;
+      }
+      const result = await response.json();
+      return result.success === true;
+    } catch (error) {
+      console.error('Challenge verification error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Lowercased domain part of an email address, or null if malformed
+   */
+  getEmailDomain(email) {
+    const match = /^[^\s@]+@([^\s@]+\.[^\s@]+)$/.exec(String(email).trim());
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Match a domain or any of its parent domains against the block list
+   */
+  isBlockedDomain(domain) {
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (this.blockedDomains.has(labels.slice(i).join('.'))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Shape a rejected attempt
+   */
+  reject(reason, error, retryAfter) {
+    return { allowed: false, reason, error, ...(retryAfter ? { retryAfter } : {}) };
+  }
+}
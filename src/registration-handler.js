@@ -3,10 +3,21 @@
  * Handles initial user registration and provisions ChittyID + API token together
  */
 
+import { RegistrationGuard } from './registration-guard.js';
+import { EmailVerificationManager } from './email-verification.js';
+import { getRequestContext } from './audit-log.js';
+import { DegradedMode } from './degraded-mode.js';
+import { WebhookManager } from './webhooks.js';
+
+const CHITTYID_RETRY_AFTER = 30; // seconds suggested while the ChittyID service is unavailable
+
 export class RegistrationHandler {
-  constructor(env) {
+  constructor(env, webhooks = new WebhookManager(env)) {
     this.env = env;
+    this.webhooks = webhooks;
     this.chittyIdService = env.CHITTYID_URL || 'https://id.chitty.cc';
+    this.guard = new RegistrationGuard(env);
+    this.emailVerification = new EmailVerificationManager(env);
   }
 
   /**
@@ -22,7 +33,8 @@ export class RegistrationHandler {
         email,
         region = '1',      // North America default
         jurisdiction = 'USA',
-        metadata = {}
+        metadata = {},
+        challengeToken
       } = body;
 
       // Validate required fields
@@ -34,86 +46,275 @@ export class RegistrationHandler {
         };
       }
 
-      // Check if email already registered
-      const existing = await this.checkExistingRegistration(email);
-      if (existing) {
+      const { TokenManager } = await import('./token-manager.js');
+      const tokenManager = new TokenManager(this.env, this.webhooks);
+      tokenManager.setRequestContext(request);
+
+      // Abuse protection runs before any lookup so it cannot be used to probe for emails
+      const guard = await this.guard.check({
+        email,
+        ipAddress: getRequestContext(request).ipAddress,
+        challengeToken
+      });
+      if (!guard.allowed) {
+        await tokenManager.logAuditEvent({
+          eventType: 'registration_rejected',
+          error: guard.error,
+          reason: guard.reason,
+          emailDomain: this.guard.getEmailDomain(email),
+          success: false,
+          timestamp: Date.now()
+        });
+
         return {
           success: false,
-          error: 'Email already registered',
-          message: 'This email is already associated with a ChittyID. Use token refresh instead.'
+          error: guard.error,
+          reason: guard.reason,
+          ...(guard.retryAfter ? { retryAfter: guard.retryAfter } : {})
         };
       }
 
-      // Step 1: Generate ChittyID via internal service call
-      const chittyId = await this.generateChittyID({
-        entityType,
-        region,
-        jurisdiction,
-        trustLevel: '0', // Unverified for self-registration
-        metadata: { name, email, ...metadata }
-      });
+      return await this.completeRegistration(
+        { entityType, name, email, region, jurisdiction, metadata },
+        tokenManager
+      );
+
+    } catch (error) {
+      console.error('Registration error:', error);
+      return {
+        success: false,
+        error: 'Registration failed',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Create the ChittyID, token and registration record for a registration that passed the guard
+   * Also completes registrations queued while the ChittyID service was down (claimedId);
+   * if it is still down they stay queued
+   */
+  async completeRegistration({ entityType, name, email, region, jurisdiction, metadata }, tokenManager, { claimedId } = {}) {
+    // Check if email already registered
+    const existing = await this.checkExistingRegistration(email);
+    if (existing) {
+      return {
+        success: false,
+        error: 'Email already registered',
+        message: 'This email is already associated with a ChittyID. Use token refresh instead.'
+      };
+    }
+
+    // Step 1: Generate ChittyID via internal service call
+    let chittyId = await this.generateChittyID({
+      entityType,
+      region,
+      jurisdiction,
+      trustLevel: '0', // Unverified for self-registration
+      metadata: { name, email, ...metadata }
+    });
+
+    let degraded = null;
+    if (chittyId.unavailable) {
+      if (claimedId) {
+        return { success: true, queued: true, requestId: claimedId, retryAfter: CHITTYID_RETRY_AFTER };
+      }
+
+      const degradedMode = new DegradedMode(this.env, tokenManager);
+      const policy = degradedMode.policy('registration');
+
+      if (policy === 'queue') {
+        const queued = await degradedMode.enqueue({
+          operation: 'registration',
+          payload: { entityType, name, email, region, jurisdiction, metadata },
+          reason: chittyId.error
+        });
+        return {
+          success: true,
+          queued: true,
+          ...queued,
+          retryAfter: CHITTYID_RETRY_AFTER,
+          degraded: { operation: 'registration', policy, reason: chittyId.error }
+        };
+      }
 
-      if (!chittyId.success) {
+      if (policy === 'fail_closed') {
+        await degradedMode.record({ operation: 'registration', policy, reason: chittyId.error });
         return {
           success: false,
-          error: 'ChittyID generation failed',
-          details: chittyId.error
+          reason: 'unavailable',
+          error: 'ChittyID service is unavailable',
+          retryAfter: CHITTYID_RETRY_AFTER
         };
       }
 
-      // Step 2: Provision initial API token
-      const { TokenManager } = await import('./token-manager.js');
-      const tokenManager = new TokenManager(this.env);
+      // fail_open: a provisional local ChittyID, recorded for reconciliation with the ChittyID service
+      const reason = chittyId.error;
+      chittyId = this.generateLocalChittyID({ entityType, region, jurisdiction, trustLevel: '0' });
+      degraded = await degradedMode.record({ operation: 'registration', policy, reason, chittyId: chittyId.id });
+    }
 
-      const token = await tokenManager.provision({
-        chittyId: chittyId.id,
-        scope: ['chittyid:read', 'chittyid:generate'], // Basic scopes
-        service: 'chittyid',
-        expiresIn: 2592000 // 30 days
-      });
+    if (!chittyId.success) {
+      return {
+        success: false,
+        error: 'ChittyID generation failed',
+        details: chittyId.error
+      };
+    }
+
+    // Step 2: Provision initial API token
+    const token = await tokenManager.provision({
+      chittyId: chittyId.id,
+      scope: ['chittyid:read', 'chittyid:generate'], // Basic scopes
+      service: 'chittyid',
+      expiresIn: 2592000 // 30 days
+    });
+
+    // Step 3: Store registration record
+    await this.storeRegistration({
+      chittyId: chittyId.id,
+      email,
+      name,
+      tokenId: token.tokenId,
+      registeredAt: Date.now()
+    });
+
+    await tokenManager.logAuditEvent({
+      eventType: 'registration_completed',
+      chittyId: chittyId.id,
+      tokenId: token.tokenId,
+      entityType,
+      provisional: Boolean(degraded),
+      success: true,
+      timestamp: Date.now()
+    });
 
-      // Step 3: Store registration record
-      await this.storeRegistration({
+    // Step 4: Email a verification code; delivery problems can be fixed with a resend
+    let verification;
+    try {
+      verification = { required: true, sent: true, ...await this.emailVerification.issue({
         chittyId: chittyId.id,
         email,
+        tokenId: token.tokenId
+      }) };
+    } catch (error) {
+      console.error('Verification email error:', error);
+      verification = { required: true, sent: false, error: error.message };
+    }
+
+    // Return both ChittyID and token; a provisional ChittyID is marked degraded
+    return {
+      success: true,
+      registration: {
+        chittyId: chittyId.id,
         name,
+        email,
+        entityType,
+        trustLevel: '0',
+        registeredAt: new Date().toISOString()
+      },
+      token: {
+        accessToken: token.token,
         tokenId: token.tokenId,
-        registeredAt: Date.now()
-      });
+        expiresAt: token.expiresAt,
+        refreshToken: token.refreshToken,
+        refreshExpiresAt: token.refreshExpiresAt,
+        scope: token.scope
+      },
+      verification,
+      ...(degraded ? { provisional: true, degraded } : {}),
+      nextSteps: {
+        message: 'Registration successful! Your ChittyID and API token are ready.',
+        verifyEmail: 'Submit the emailed code to POST /v1/register/verify to raise your trust level and unlock more scopes',
+        upgradeVerification: 'To increase trust level, verify your identity at https://connect.chitty.cc',
+        documentation: 'https://docs.chitty.cc/getting-started',
+        apiUsage: `Use your token in API requests: Authorization: Bearer ${token.token}`
+      }
+    };
+  }
 
-      // Return both ChittyID and token
+  /**
+   * Verify a registrant's email code and upgrade their registration token
+   */
+  async verifyEmail(request) {
+    const { chittyId, code } = await request.json();
+    if (!chittyId || !code) {
       return {
-        success: true,
-        registration: {
-          chittyId: chittyId.id,
-          name,
-          email,
-          entityType,
-          trustLevel: '0',
-          registeredAt: new Date().toISOString()
-        },
-        token: {
-          accessToken: token.token,
-          tokenId: token.tokenId,
-          expiresAt: token.expiresAt,
-          scope: token.scope
-        },
-        nextSteps: {
-          message: 'Registration successful! Your ChittyID and API token are ready.',
-          upgradeVerification: 'To increase trust level, verify your identity at https://connect.chitty.cc',
-          documentation: 'https://docs.chitty.cc/getting-started',
-          apiUsage: `Use your token in API requests: Authorization: Bearer ${token.token}`
-        }
+        success: false,
+        error: 'ChittyID and code are required',
+        required: ['chittyId', 'code']
       };
+    }
 
-    } catch (error) {
-      console.error('Registration error:', error);
+    const { TokenManager } = await import('./token-manager.js');
+    const tokenManager = new TokenManager(this.env, this.webhooks);
+    tokenManager.setRequestContext(request);
+
+    const result = await this.emailVerification.verify(chittyId, code);
+    if (!result.success) {
+      await tokenManager.logAuditEvent({
+        eventType: 'email_verification_failed',
+        chittyId,
+        error: result.error,
+        reason: result.reason,
+        success: false,
+        timestamp: Date.now()
+      });
+      return result;
+    }
+
+    const grant = result.tokenId
+      ? await tokenManager.grantScopes(result.tokenId, result.grantedScopes)
+      : null;
+
+    await tokenManager.logAuditEvent({
+      eventType: 'email_verified',
+      chittyId,
+      tokenId: result.tokenId,
+      success: true,
+      timestamp: Date.now()
+    });
+
+    return {
+      success: true,
+      chittyId,
+      trustLevel: String(result.trustLevel),
+      verificationMethod: result.verificationMethod,
+      verifiedAt: result.verifiedAt,
+      token: grant ? { tokenId: grant.tokenId, scope: grant.scope } : null
+    };
+  }
+
+  /**
+   * Send a fresh verification code
+   * Requires the registration's own token so codes cannot be sent to arbitrary registrants
+   */
+  async resendVerification(request) {
+    const { TokenManager } = await import('./token-manager.js');
+    const tokenManager = new TokenManager(this.env, this.webhooks);
+    tokenManager.setRequestContext(request);
+
+    const authHeader = request.headers.get('Authorization');
+    const validation = authHeader ? await tokenManager.validate(authHeader) : { valid: false };
+    if (!validation.valid || validation.tokenType === 'session') {
       return {
         success: false,
-        error: 'Registration failed',
-        message: error.message
+        reason: 'unauthorized',
+        error: 'Authorization required'
       };
     }
+
+    const result = await this.emailVerification.resend(validation.chittyId);
+
+    await tokenManager.logAuditEvent({
+      eventType: 'email_verification_sent',
+      chittyId: validation.chittyId,
+      error: result.success ? null : result.error,
+      success: result.success,
+      timestamp: Date.now()
+    });
+
+    return result;
   }
 
   /**
@@ -143,7 +344,7 @@ export class RegistrationHandler {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to generate ChittyID');
+        throw new Error(`ChittyID service returned ${response.status}`);
       }
 
       const data = await response.json();
@@ -156,15 +357,18 @@ export class RegistrationHandler {
     } catch (error) {
       console.error('ChittyID generation error:', error);
 
-      // Fallback: Generate locally (temporary solution)
-      // In production, this should always use the ChittyID service
-      return this.generateLocalChittyID({ entityType, region, jurisdiction, trustLevel });
+      // The registration policy decides what happens next (see completeRegistration)
+      return {
+        success: false,
+        unavailable: true,
+        error: error.message
+      };
     }
   }
 
   /**
-   * Fallback: Generate ChittyID locally (temporary)
-   * This is a simplified version - production should use ChittyID service
+   * Generate a provisional ChittyID locally
+   * Only used by the fail_open registration policy; the fallback is recorded for reconciliation
    */
   generateLocalChittyID({ entityType, region, jurisdiction, trustLevel }) {
     const version = '03';
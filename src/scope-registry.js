@@ -0,0 +1,177 @@
+/**
+ * ChittyAuth Scope Registry
+ * Catalog of the scopes each ChittyOS service understands, with their risk and trust requirements
+ */
+
+import { SUPER_SCOPE, isValidScope, isDenyScope, hasScope, parseScope, scopeCovers } from './scopes.js';
+
+export const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const MAX_TRUST_LEVEL = 5;
+
+// Scopes ChittyAuth itself relies on; always present even without a database
+const BUILT_IN_SCOPES = [
+  { name: 'chittyid:read', service: 'chittyid', description: 'Read ChittyID information', riskLevel: 'low', requiredTrustLevel: 0 },
+  { name: 'chittyid:generate', service: 'chittyid', description: 'Generate new ChittyIDs', riskLevel: 'medium', requiredTrustLevel: 0 },
+  { name: 'chittyid:validate', service: 'chittyid', description: 'Validate ChittyIDs', riskLevel: 'low', requiredTrustLevel: 1 },
+  { name: 'chittyid:audit', service: 'chittyid', description: 'Access audit trails', riskLevel: 'high', requiredTrustLevel: 2 }
+];
+
+export class ScopeRegistry {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Check scope definitions a service wants to register
+   * Returns a list of problems; empty when every definition is acceptable
+   */
+  validateDefinitions(serviceName, definitions) {
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      return ['scopes must be a non-empty array'];
+    }
+
+    const errors = [];
+    for (const definition of definitions) {
+      const name = definition?.name;
+      if (!isValidScope(name) || isDenyScope(name) || name.includes('*')) {
+        errors.push(`Invalid scope name: ${name}`);
+        continue;
+      }
+      const { segments } = parseScope(name);
+      if (segments[0] !== serviceName || segments.length < 2) {
+        errors.push(`Scope ${name} must be namespaced as ${serviceName}:<action>`);
+      }
+      if (!definition.description || typeof definition.description !== 'string') {
+        errors.push(`Scope ${name} requires a description`);
+      }
+      if (!RISK_LEVELS.includes(definition.riskLevel)) {
+        errors.push(`Scope ${name} riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+      }
+      const trust = definition.requiredTrustLevel ?? 0;
+      if (!Number.isInteger(trust) || trust < 0 || trust > MAX_TRUST_LEVEL) {
+        errors.push(`Scope ${name} requiredTrustLevel must be an integer from 0 to ${MAX_TRUST_LEVEL}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Register or update a service's scopes
+   * Definitions must already have passed validateDefinitions
+   */
+  async register(serviceName, definitions) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const now = Date.now();
+    for (const definition of definitions) {
+      await this.env.AUTH_DB.prepare(
+        `INSERT INTO scope_registry (scope, service_name, description, risk_level, required_trust_level, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(scope) DO UPDATE SET
+           description = excluded.description,
+           risk_level = excluded.risk_level,
+           required_trust_level = excluded.required_trust_level,
+           updated_at = excluded.updated_at`
+      ).bind(
+        definition.name,
+        serviceName,
+        definition.description,
+        definition.riskLevel,
+        definition.requiredTrustLevel ?? 0,
+        now,
+        now
+      ).run();
+    }
+
+    return {
+      success: true,
+      service: serviceName,
+      registered: definitions.map(definition => definition.name)
+    };
+  }
+
+  /**
+   * List registered scopes, optionally for one service
+   * Registered definitions override built-ins of the same name
+   */
+  async list({ service } = {}) {
+    const scopes = new Map(BUILT_IN_SCOPES.map(scope => [scope.name, { ...scope, builtIn: true }]));
+
+    if (this.env.AUTH_DB) {
+      const rows = await this.env.AUTH_DB.prepare(
+        `SELECT scope, service_name, description, risk_level, required_trust_level
+         FROM scope_registry ORDER BY scope`
+      ).all();
+
+      for (const row of rows.results || []) {
+        scopes.set(row.scope, {
+          name: row.scope,
+          service: row.service_name,
+          description: row.description,
+          riskLevel: row.risk_level,
+          requiredTrustLevel: row.required_trust_level,
+          builtIn: false
+        });
+      }
+    }
+
+    return [...scopes.values()]
+      .filter(scope => !service || scope.service === service)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check requested scopes against the registry
+   * A scope is known when it names a registered scope, a resource beneath one, or a wildcard over some.
+   * Deny scopes only narrow a grant and are never rejected.
+   * Returns { unknown, trustRequired } where trustRequired maps each known scope to the
+   * highest trust level among the registered scopes it reaches
+   */
+  async check(requestedScopes) {
+    const registered = await this.list();
+    const unknown = [];
+    const trustRequired = {};
+
+    for (const scope of requestedScopes) {
+      if (isDenyScope(scope) || scope === SUPER_SCOPE) {
+        continue;
+      }
+
+      const matches = isValidScope(scope)
+        ? registered.filter(entry => scopeCovers(entry.name, scope) || scopeCovers(scope, entry.name))
+        : [];
+      if (matches.length === 0) {
+        unknown.push(scope);
+        continue;
+      }
+
+      trustRequired[scope] = Math.max(...matches.map(entry => entry.requiredTrustLevel));
+    }
+
+    return { unknown, trustRequired };
+  }
+
+  /**
+   * Recommend scopes for a service from the permissions a ChittyID holds
+   * Falls back to the service's low-risk scopes when no permission matches
+   */
+  async recommend(service, permissionScopes, trustLevel = 0) {
+    const available = (await this.list({ service }))
+      .filter(scope => scope.requiredTrustLevel <= trustLevel);
+
+    const recommended = available
+      .filter(scope => hasScope(permissionScopes, scope.name))
+      .map(scope => scope.name);
+
+    if (recommended.length > 0) {
+      return recommended;
+    }
+
+    return available
+      .filter(scope => scope.riskLevel === 'low')
+      .map(scope => scope.name);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * ChittyAuth Scopes
+ * One grammar for parsing and matching scopes across provisioning, service auth and validation
+ *
+ * A scope is colon-separated segments: service:action[:resource...]
+ * - A scope covers every scope beneath it: chittyid:read covers chittyid:read:03-1-USA-0001
+ * - * inside a segment matches any characters: chittyid:*, chittyid:read:03-1-USA-*
+ * - A leading ! denies whatever it overlaps, overriding grants: !chittyid:generate
+ * - admin:* covers every scope
+ */
+
+export const SUPER_SCOPE = 'admin:*';
+const DENY_PREFIX = '!';
+const SEGMENT_PATTERN = /^[A-Za-z0-9_.\-/*]+$/;
+
+/**
+ * Parse a scope string into { deny, segments }
+ * Throws on malformed scopes
+ */
+export function parseScope(scope) {
+  if (typeof scope !== 'string' || scope.length === 0) {
+    throw new Error('Scope must be a non-empty string');
+  }
+
+  const deny = scope.startsWith(DENY_PREFIX);
+  const segments = (deny ? scope.slice(1) : scope).split(':');
+  if (segments.some(segment => !SEGMENT_PATTERN.test(segment))) {
+    throw new Error(`Invalid scope: ${scope}`);
+  }
+
+  return { deny, segments };
+}
+
+/**
+ * Check scope syntax without throwing
+ */
+export function isValidScope(scope) {
+  try {
+    parseScope(scope);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a deny scope
+ */
+export function isDenyScope(scope) {
+  return typeof scope === 'string' && scope.startsWith(DENY_PREFIX);
+}
+
+/**
+ * Whether pattern covers scope: everything scope names is also named by pattern
+ * Both may contain wildcards; deny prefixes are ignored
+ */
+export function scopeCovers(pattern, scope) {
+  const granted = trimWildcards(parseScope(pattern).segments);
+  const required = parseScope(scope).segments;
+
+  if (granted.length > required.length) {
+    return false;
+  }
+
+  return granted.every((segment, i) => segmentCovers(segment, required[i]));
+}
+
+/**
+ * Whether a set of scopes grants a required scope
+ * Deny scopes win over any grant they overlap, so a broad requirement
+ * cannot be satisfied when part of it is denied
+ */
+export function hasScope(grantedScopes, requiredScope) {
+  if (!Array.isArray(grantedScopes) || !isValidScope(requiredScope) || isDenyScope(requiredScope)) {
+    return false;
+  }
+
+  const denied = grantedScopes
+    .filter(scope => isDenyScope(scope) && isValidScope(scope))
+    .some(deny => scopesOverlap(deny, requiredScope));
+  if (denied) {
+    return false;
+  }
+
+  return grantedScopes
+    .filter(scope => !isDenyScope(scope) && isValidScope(scope))
+    .some(scope => scope === SUPER_SCOPE || scopeCovers(scope, requiredScope));
+}
+
+/**
+ * Split requested scopes into those the granted set allows and those it does not
+ * Requested deny scopes only narrow a grant and are always kept
+ */
+export function filterScopes(grantedScopes, requestedScopes) {
+  const granted = [];
+  const denied = [];
+
+  for (const scope of requestedScopes) {
+    if (isValidScope(scope) && (isDenyScope(scope) || hasScope(grantedScopes, scope))) {
+      granted.push(scope);
+    } else {
+      denied.push(scope);
+    }
+  }
+
+  return { granted, denied };
+}
+
+/**
+ * Whether two scopes name any scope in common
+ * The shorter one reaches everything beneath it, so only shared segments are compared
+ */
+function scopesOverlap(a, b) {
+  const left = trimWildcards(parseScope(a).segments);
+  const right = trimWildcards(parseScope(b).segments);
+  const shared = Math.min(left.length, right.length);
+
+  for (let i = 0; i < shared; i++) {
+    if (!segmentCovers(left[i], right[i]) && !segmentCovers(right[i], left[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Drop trailing * segments; a scope already covers everything beneath it, so chittyid:* is chittyid
+ */
+function trimWildcards(segments) {
+  const trimmed = [...segments];
+  while (trimmed.length > 1 && trimmed[trimmed.length - 1] === '*') {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+/**
+ * Segment match with * globbing; a glob covers a narrower glob it matches literally
+ */
+function segmentCovers(pattern, segment) {
+  if (pattern === '*' || pattern === segment) {
+    return true;
+  }
+  if (!pattern.includes('*')) {
+    return false;
+  }
+
+  const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+  return regex.test(segment);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+}
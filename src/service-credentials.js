@@ -0,0 +1,165 @@
+/**
+ * ChittyAuth Service Credentials
+ * Registers ChittyOS services as OAuth clients and authenticates their secrets
+ */
+
+import crypto from 'crypto';
+import { filterScopes } from './scopes.js';
+
+const CLIENT_SECRET_PREFIX = 'cs_';
+const DEFAULT_ROTATION_INTERVAL = 2592000; // 30 days
+
+export class ServiceCredentialManager {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Register a service and issue its client secret
+   * The plain secret is returned once and only its hash is stored
+   */
+  async register({ serviceName, chittyId, permissions, rotationInterval }) {
+    if (!serviceName || !chittyId || !Array.isArray(permissions) || permissions.length === 0) {
+      throw new Error('Missing required parameters: serviceName, chittyId, permissions');
+    }
+
+    if (!/^[a-z0-9][a-z0-9-]{1,62}$/.test(serviceName)) {
+      throw new Error('Service name must be lowercase alphanumeric with dashes');
+    }
+
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const existing = await this.get(serviceName);
+    if (existing) {
+      throw new Error('Service already registered');
+    }
+
+    const clientSecret = this.generateClientSecret();
+    const createdAt = Date.now();
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO service_credentials (service_name, service_token_hash, chitty_id, permissions, created_at, last_rotated_at, rotation_interval)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      serviceName,
+      this.hashSecret(clientSecret),
+      chittyId,
+      JSON.stringify(permissions),
+      createdAt,
+      createdAt,
+      rotationInterval || DEFAULT_ROTATION_INTERVAL
+    ).run();
+
+    return {
+      success: true,
+      clientId: serviceName,
+      clientSecret,
+      chittyId,
+      permissions,
+      rotationInterval: rotationInterval || DEFAULT_ROTATION_INTERVAL,
+      createdAt: new Date(createdAt).toISOString()
+    };
+  }
+
+  /**
+   * Authenticate a client by its secret
+   * Returns the stored credential, or null if the client is unknown or the secret is wrong
+   */
+  async authenticate(clientId, clientSecret) {
+    if (!clientId || !clientSecret) {
+      return null;
+    }
+
+    const credential = await this.get(clientId);
+    if (!credential) {
+      return null;
+    }
+
+    const expected = Buffer.from(credential.secretHash, 'hex');
+    const actual = Buffer.from(this.hashSecret(clientSecret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return credential;
+  }
+
+  /**
+   * Rotate a service's client secret
+   */
+  async rotate(serviceName) {
+    const credential = await this.get(serviceName);
+    if (!credential) {
+      throw new Error('Service not registered');
+    }
+
+    const clientSecret = this.generateClientSecret();
+    const rotatedAt = Date.now();
+
+    await this.env.AUTH_DB.prepare(
+      `UPDATE service_credentials SET service_token_hash = ?, last_rotated_at = ? WHERE service_name = ?`
+    ).bind(this.hashSecret(clientSecret), rotatedAt, serviceName).run();
+
+    return {
+      success: true,
+      clientId: serviceName,
+      clientSecret,
+      rotatedAt: new Date(rotatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Look up a registered service
+   */
+  async get(serviceName) {
+    if (!this.env.AUTH_DB) {
+      return null;
+    }
+
+    const row = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM service_credentials WHERE service_name = ?`
+    ).bind(serviceName).first();
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      serviceName: row.service_name,
+      secretHash: row.service_token_hash,
+      chittyId: row.chitty_id,
+      permissions: JSON.parse(row.permissions),
+      createdAt: row.created_at,
+      lastRotatedAt: row.last_rotated_at,
+      rotationInterval: row.rotation_interval
+    };
+  }
+
+  /**
+   * Narrow requested scopes to those granted to the service
+   * With no requested scopes, every stored permission is granted
+   */
+  resolveScopes(credential, requestedScopes) {
+    if (!requestedScopes || requestedScopes.length === 0) {
+      return { granted: credential.permissions, denied: [] };
+    }
+
+    return filterScopes(credential.permissions, requestedScopes);
+  }
+
+  /**
+   * Generate a random client secret
+   */
+  generateClientSecret() {
+    return `${CLIENT_SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Hash a client secret with SHA-256
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * ChittyAuth Signing Keys
+ * HMAC key ring for opaque and session tokens: one active key signs, retiring keys still verify
+ *
+ * TOKEN_SIGNING_KEY is the first key in the ring. Keys created by rotation are stored in D1,
+ * encrypted with a key derived from TOKEN_SIGNING_KEY, so that secret must stay stable.
+ */
+
+import crypto from 'crypto';
+
+const DEV_SIGNING_KEY = 'dev-signing-key-change-in-production';
+const CACHE_KEY = 'signing-keys';
+const CACHE_TTL = 300; // 5 minutes
+const KID_RELOAD_INTERVAL_MS = 30000; // at most one D1 reload for an unknown kid per isolate
+const UNKNOWN_KID_TTL_MS = 60000;
+const MAX_UNKNOWN_KIDS = 1000;
+
+// Per-isolate state shared by every request: when an unknown kid last caused a D1 reload,
+// and kids that reload did not find (kid -> expiry)
+let lastKidReloadAt = 0;
+const unknownKids = new Map();
+
+// Failure reasons returned by retire, mapped to HTTP status codes
+export const SIGNING_KEY_ERRORS = {
+  not_found: 404,
+  active_key: 409
+};
+
+export class SigningKeyRing {
+  constructor(env) {
+    this.env = env;
+    this.rootSecret = env.TOKEN_SIGNING_KEY || (env.ENVIRONMENT === 'production' ? null : DEV_SIGNING_KEY);
+    this.keysPromise = null;
+  }
+
+  /**
+   * Key id for a secret (never reveals the secret)
+   */
+  static keyId(secret) {
+    return crypto.createHash('sha256').update(secret).digest('base64url').substring(0, 16);
+  }
+
+  /**
+   * Key id of TOKEN_SIGNING_KEY
+   */
+  getRootKeyId() {
+    return SigningKeyRing.keyId(this.requireRootSecret());
+  }
+
+  /**
+   * The key that signs new tokens
+   */
+  async getActiveKey() {
+    const keys = await this.getKeys();
+    return keys.find(key => key.status === 'active');
+  }
+
+  /**
+   * Look up a key that may verify a signature
+   * An unknown kid may come from a rotation in another isolate. Rotation republishes the ring to KV,
+   * so the KV entry is checked first; a D1 reload is the fallback for a KV entry that has not caught
+   * up, at most once per KID_RELOAD_INTERVAL_MS per isolate. Kids D1 does not know are remembered,
+   * so a forged kid costs one D1 read at most and cannot hide a rotated key behind the throttle
+   */
+  async getVerificationKey(kid, now = Date.now()) {
+    let key = (await this.getKeys()).find(k => k.kid === kid);
+    if (!key && this.mayBeRotatedKid(kid, now)) {
+      key = (await this.reloadFromCache())?.find(k => k.kid === kid);
+      if (!key && now - lastKidReloadAt >= KID_RELOAD_INTERVAL_MS) {
+        lastKidReloadAt = now;
+        key = (await this.getKeys({ reload: true })).find(k => k.kid === kid);
+        if (!key) {
+          this.rememberUnknownKid(kid, now);
+        }
+      }
+    }
+    return key && key.status !== 'retired' ? key : null;
+  }
+
+  mayBeRotatedKid(kid, now) {
+    if (!this.env.AUTH_DB || typeof kid !== 'string') {
+      return false;
+    }
+    const expiresAt = unknownKids.get(kid);
+    if (expiresAt !== undefined) {
+      if (expiresAt > now) {
+        return false;
+      }
+      unknownKids.delete(kid);
+    }
+    return true;
+  }
+
+  rememberUnknownKid(kid, now) {
+    if (unknownKids.size >= MAX_UNKNOWN_KIDS) {
+      unknownKids.delete(unknownKids.keys().next().value);
+    }
+    unknownKids.set(kid, now + UNKNOWN_KID_TTL_MS);
+  }
+
+  /**
+   * Sign a string with a key's secret
+   */
+  sign(key, input) {
+    return crypto.createHmac('sha256', key.secret).update(input).digest('base64url');
+  }
+
+  /**
+   * Check a signature in constant time
+   */
+  verify(key, input, signature) {
+    const expected = Buffer.from(this.sign(key, input));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Generate a new active key; the current active key keeps verifying as retiring
+   */
+  async rotate(now = Date.now()) {
+    this.requireDatabase();
+
+    const current = await this.getActiveKey();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const kid = SigningKeyRing.keyId(secret);
+
+    // TOKEN_SIGNING_KEY is implicit until its first rotation, so record it before demoting it
+    await this.env.AUTH_DB.prepare(
+      `INSERT OR IGNORE INTO signing_keys (kid, encrypted_secret, status, created_at)
+       VALUES (?, NULL, 'active', ?)`
+    ).bind(this.getRootKeyId(), now).run();
+
+    await this.env.AUTH_DB.prepare(
+      `UPDATE signing_keys SET status = 'retiring', rotated_at = ? WHERE status = 'active'`
+    ).bind(now).run();
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO signing_keys (kid, encrypted_secret, status, created_at)
+       VALUES (?, ?, 'active', ?)`
+    ).bind(kid, this.encryptSecret(secret), now).run();
+
+    await this.refreshCache();
+
+    return {
+      success: true,
+      kid,
+      previousKid: current?.kid || null,
+      rotatedAt: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Stop a retiring key from verifying; tokens it signed are rejected from then on
+   * The active key cannot be retired; rotate first
+   */
+  async retire(kid, now = Date.now()) {
+    this.requireDatabase();
+
+    const key = (await this.getKeys({ reload: true })).find(k => k.kid === kid);
+    if (!key || key.status === 'retired') {
+      return { success: false, reason: 'not_found', error: 'No signing key with this kid is in use' };
+    }
+    if (key.status === 'active') {
+      return { success: false, reason: 'active_key', error: 'The active signing key cannot be retired; rotate first' };
+    }
+
+    await this.env.AUTH_DB.prepare(
+      `UPDATE signing_keys SET status = 'retired', retired_at = ? WHERE kid = ?`
+    ).bind(now, kid).run();
+
+    await this.refreshCache();
+
+    return { success: true, kid, retiredAt: new Date(now).toISOString() };
+  }
+
+  /**
+   * Every key with its status, without secrets
+   */
+  async list() {
+    if (!this.env.AUTH_DB) {
+      return [this.describe({ kid: this.getRootKeyId(), status: 'active', source: 'env' })];
+    }
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT kid, encrypted_secret, status, created_at, rotated_at, retired_at
+       FROM signing_keys ORDER BY created_at DESC`
+    ).all();
+
+    const keys = results.map(row => this.fromRow(row, { decrypt: false }));
+    if (!keys.some(key => key.status === 'active')) {
+      keys.unshift({ kid: this.getRootKeyId(), status: 'active', source: 'env' });
+    }
+    return keys.map(key => this.describe(key));
+  }
+
+  /**
+   * Keys that can sign or verify, from KV cache or D1
+   * A reload reads D1 directly and leaves the KV cache alone
+   */
+  async getKeys({ reload = false } = {}) {
+    if (reload || !this.keysPromise) {
+      this.keysPromise = this.loadKeys({ reload }).catch(error => {
+        this.keysPromise = null;
+        throw error;
+      });
+    }
+    return this.keysPromise;
+  }
+
+  async loadKeys({ reload }) {
+    const rootKey = { kid: this.getRootKeyId(), secret: this.requireRootSecret(), source: 'env' };
+
+    if (!this.env.AUTH_DB) {
+      return [{ ...rootKey, status: 'active' }];
+    }
+
+    let rows = null;
+    if (!reload && this.env.AUTH_TOKENS) {
+      const cached = await this.env.AUTH_TOKENS.get(CACHE_KEY);
+      rows = cached ? JSON.parse(cached) : null;
+    }
+
+    if (!rows) {
+      const { results = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT kid, encrypted_secret, status, created_at, rotated_at, retired_at
+         FROM signing_keys WHERE status != ?`
+      ).bind('retired').all();
+      rows = results;
+
+      if (!reload && this.env.AUTH_TOKENS) {
+        await this.env.AUTH_TOKENS.put(CACHE_KEY, JSON.stringify(rows), { expirationTtl: CACHE_TTL });
+      }
+    }
+
+    return this.toKeys(rows);
+  }
+
+  /**
+   * The ring as last published to KV, replacing this isolate's copy; null without a KV entry
+   */
+  async reloadFromCache() {
+    const cached = this.env.AUTH_TOKENS ? await this.env.AUTH_TOKENS.get(CACHE_KEY) : null;
+    if (!cached) {
+      return null;
+    }
+    const keys = this.toKeys(JSON.parse(cached));
+    this.keysPromise = Promise.resolve(keys);
+    return keys;
+  }
+
+  toKeys(rows) {
+    const rootKey = { kid: this.getRootKeyId(), secret: this.requireRootSecret(), source: 'env' };
+    const keys = rows.map(row => row.kid === rootKey.kid
+      ? { ...rootKey, status: row.status }
+      : this.fromRow(row, { decrypt: true }));
+
+    // Until the first rotation TOKEN_SIGNING_KEY is the only key and is active
+    if (!keys.some(key => key.status === 'active')) {
+      keys.push({ ...rootKey, status: 'active' });
+    }
+
+    return keys;
+  }
+
+  fromRow(row, { decrypt }) {
+    return {
+      kid: row.kid,
+      status: row.status,
+      source: row.encrypted_secret ? 'rotation' : 'env',
+      createdAt: row.created_at,
+      rotatedAt: row.rotated_at,
+      retiredAt: row.retired_at,
+      ...(decrypt && row.encrypted_secret ? { secret: this.decryptSecret(row.encrypted_secret) } : {})
+    };
+  }
+
+  describe(key) {
+    return {
+      kid: key.kid,
+      status: key.status,
+      source: key.source,
+      createdAt: key.createdAt ? new Date(key.createdAt).toISOString() : null,
+      rotatedAt: key.rotatedAt ? new Date(key.rotatedAt).toISOString() : null,
+      retiredAt: key.retiredAt ? new Date(key.retiredAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Drop every cached copy of the ring and publish the current one from D1 to KV
+   */
+  async refreshCache() {
+    this.keysPromise = null;
+    unknownKids.clear();
+    if (this.env.AUTH_TOKENS) {
+      await this.env.AUTH_TOKENS.delete(CACHE_KEY);
+    }
+    await this.getKeys();
+  }
+
+  /**
+   * AES-256-GCM with a key derived from TOKEN_SIGNING_KEY
+   * Stored as base64url(iv || tag || ciphertext)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  }
+
+  decryptSecret(encrypted) {
+    const data = Buffer.from(encrypted, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+  }
+
+  encryptionKey() {
+    return crypto.createHash('sha256').update(`signing-keys:${this.requireRootSecret()}`).digest();
+  }
+
+  requireRootSecret() {
+    if (!this.rootSecret) {
+      throw new Error('TOKEN_SIGNING_KEY must be set in production');
+    }
+    return this.rootSecret;
+  }
+
+  requireDatabase() {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+  }
+}
@@ -4,44 +4,119 @@
  */
 
 import crypto from 'crypto';
+import { signHS256, verifyHS256, decodeJwt, checkClaims } from './jwt.js';
+import { JwtSigner } from './jwt-signer.js';
+import { encodeCursor, decodeCursor } from './pagination.js';
+import { AuditLog, getRequestContext } from './audit-log.js';
+import { RateLimiter, RateLimitExceededError } from './rate-limiter.js';
+import { hasScope, filterScopes, isDenyScope, isValidScope } from './scopes.js';
+import { SigningKeyRing } from './signing-keys.js';
+import { WebhookManager } from './webhooks.js';
+
+const SESSION_TOKEN_PREFIX = 'sess_';
+const SESSION_TOKEN_TTL = 300; // 5 minutes
+const REFRESH_TOKEN_PREFIX = 'rt_';
+const BULK_REVOKE_CHUNK = 50;
+const BULK_REVOKE_LIMIT = 200; // tokens per call: three KV operations each
+const BULK_REVOKE_MAX_PAGES = 20; // candidate pages scanned per call when a scope filter skips most of them
+const RATE_LIMIT_WINDOW = 3600; // 1 hour, as reported by getRateLimit
+const MAX_DELEGATION_DEPTH = 5;
+const AUDIENCE_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+// Opaque token bodies always start with base64url('tok_'), which separates them from service names
+const OPAQUE_TOKEN_PATTERN = /^(ca_[a-z]+_|svc_.+?_)(dG9rX.+)$/;
+export const TOKEN_FORMATS = ['opaque', 'jwt'];
+export const TOKEN_SORT_COLUMNS = ['created_at', 'expires_at', 'last_used_at'];
+export const TOKEN_STATUSES = ['active', 'expired', 'revoked'];
+export const QUOTA_POLICIES = ['reject', 'revoke_oldest'];
+
+/**
+ * Raised when provisioning would exceed a ChittyID's token quota
+ */
+export class QuotaExceededError extends Error {
+  constructor(message, quota) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+  }
+}
 
 export class TokenManager {
-  constructor(env) {
+  constructor(env, webhooks = new WebhookManager(env)) {
     this.env = env;
-    this.signingKey = env.TOKEN_SIGNING_KEY || 'dev-signing-key-change-in-production';
+    this.signingKeys = new SigningKeyRing(env);
     this.defaultExpiry = parseInt(env.DEFAULT_TOKEN_EXPIRY || '2592000'); // 30 days
+    this.issuer = env.TOKEN_ISSUER || 'https://auth.chitty.cc';
+    this.defaultFormat = env.DEFAULT_TOKEN_FORMAT || 'opaque';
+    this.exchangeExpiry = parseInt(env.TOKEN_EXCHANGE_EXPIRY || '900'); // 15 minutes
+    this.refreshExpiry = parseInt(env.REFRESH_TOKEN_EXPIRY || '7776000'); // 90 days
+    this.jwtSigner = new JwtSigner(env);
+    this.auditLog = new AuditLog(env);
+    this.rateLimiter = new RateLimiter(env);
+    this.webhooks = webhooks;
+    this.requestContext = null;
+    this.maxTokensPerUser = parseInt(env.MAX_TOKENS_PER_USER || '10');
+    this.maxTokensPerService = parseInt(env.MAX_TOKENS_PER_SERVICE || '0'); // 0 = no per-service limit
+    this.quotaPolicy = QUOTA_POLICIES.includes(env.TOKEN_QUOTA_POLICY) ? env.TOKEN_QUOTA_POLICY : 'reject';
   }
 
   /**
    * Provision a new API token
+   * format: 'opaque' (default) or 'jwt' for offline-verifiable access tokens
+   * kind: 'user' (default), 'service' for svc_ client-credentials tokens or 'exchange' for token exchange
+   * audience, act, parentTokenId: set only on exchanged tokens
+   * refreshFamilyId: continue an existing refresh token family instead of starting a new one
+   * User tokens come with a refresh token; service and exchanged tokens do not
    */
-  async provision({ chittyId, scope, service, expiresIn }) {
+  async provision({ chittyId, scope, service, expiresIn, format, kind = 'user', audience, act, parentTokenId, refreshFamilyId }) {
     // Validate inputs
     if (!chittyId || !scope || !service) {
       throw new Error('Missing required parameters: chittyId, scope, service');
     }
 
+    format = format || this.defaultFormat;
+    if (!TOKEN_FORMATS.includes(format)) {
+      throw new Error(`Invalid token format: ${format}`);
+    }
+
+    // An explicit lifetime is used as given; only a missing one falls back to the default
+    const lifetime = expiresIn ?? this.defaultExpiry;
+    if (!(lifetime > 0)) {
+      throw new Error('expiresIn must be a positive number of seconds');
+    }
+
+    // Service and exchanged tokens are short-lived and exempt from per-user quotas
+    if (kind === 'user') {
+      await this.enforceQuota(chittyId, service);
+    }
+
     // Generate unique token ID
-    const tokenId = this.generateTokenId();
+    const tokenId = this.generateTokenId(kind);
     const createdAt = Date.now();
-    const expiresAt = createdAt + (expiresIn || this.defaultExpiry) * 1000;
+    const expiresAt = createdAt + lifetime * 1000;
 
     // Generate token
-    const token = this.generateToken(tokenId, chittyId, service);
+    const { token, kid } = format === 'jwt'
+      ? await this.generateJwtToken(tokenId, chittyId, scope, service, createdAt, expiresAt, { audience, act })
+      : await this.generateToken(tokenId, service, kind);
     const tokenHash = await this.hashToken(token);
 
     // Store token in D1
     if (this.env.AUTH_DB) {
       await this.env.AUTH_DB.prepare(
-        `INSERT INTO tokens (id, token_hash, chitty_id, scope, created_at, expires_at, request_count)
-         VALUES (?, ?, ?, ?, ?, ?, 0)`
+        `INSERT INTO tokens (id, token_hash, chitty_id, scope, created_at, expires_at, service_name, request_count, audience, actor, parent_token_id, signing_key_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)`
       ).bind(
         tokenId,
         tokenHash,
         chittyId,
         JSON.stringify(scope),
         createdAt,
-        expiresAt
+        expiresAt,
+        service,
+        audience || null,
+        act ? JSON.stringify(act) : null,
+        parentTokenId || null,
+        kid
       ).run();
     }
 
@@ -52,9 +127,11 @@ export class TokenManager {
         chittyId,
         scope,
         service,
+        format,
         createdAt,
         expiresAt,
-        requestCount: 0
+        requestCount: 0,
+        ...(audience ? { audience, act, parentTokenId } : {})
       };
 
       const ttl = Math.floor((expiresAt - createdAt) / 1000);
@@ -65,6 +142,10 @@ export class TokenManager {
       );
     }
 
+    const refresh = kind === 'user'
+      ? await this.issueRefreshToken({ tokenId, chittyId, scope, service, format, familyId: refreshFamilyId })
+      : null;
+
     // Determine rate limit based on scope
     const rateLimit = this.getRateLimit(scope);
 
@@ -82,16 +163,24 @@ export class TokenManager {
       success: true,
       token,
       tokenId,
+      format,
       scope,
       expiresAt: new Date(expiresAt).toISOString(),
+      ...(refresh ? {
+        refreshToken: refresh.refreshToken,
+        refreshExpiresAt: new Date(refresh.expiresAt).toISOString()
+      } : {}),
       rateLimit
     };
   }
 
   /**
    * Validate a Bearer token
+   * Options: audience - required audience for audience-bound tokens
+   *          requiredScope - scope the token must grant (see scopes.js for matching rules)
+   *          trackUsage - false to skip usage counters, rate limiting and success audit
    */
-  async validate(token) {
+  async validate(token, options = {}) {
     if (!token || typeof token !== 'string') {
       return { valid: false, error: 'Invalid token format' };
     }
@@ -104,6 +193,38 @@ export class TokenManager {
       return { valid: false, error: 'Invalid token format' };
     }
 
+    // Session tokens are self-contained and verified by signature
+    if (token.startsWith(SESSION_TOKEN_PREFIX)) {
+      return this.checkRequiredScope(await this.verifySessionToken(token, options), options.requiredScope);
+    }
+
+    // JWT access tokens: reject forged or expired signatures before any lookup
+    const format = JwtSigner.isJwt(token) ? 'jwt' : 'opaque';
+    if (format === 'jwt') {
+      const verification = await this.jwtSigner.verify(token);
+      if (!verification.valid) {
+        await this.logAuditEvent({
+          eventType: 'token_validation_failed',
+          error: verification.error,
+          success: false,
+          timestamp: Date.now()
+        });
+        return { valid: false, error: verification.error };
+      }
+    }
+
+    // Opaque tokens: reject forged signatures and retired keys before any lookup
+    const signature = format === 'opaque' ? await this.verifyTokenSignature(token) : null;
+    if (signature && !signature.valid) {
+      await this.logAuditEvent({
+        eventType: 'token_validation_failed',
+        error: signature.error,
+        success: false,
+        timestamp: Date.now()
+      });
+      return { valid: false, error: signature.error };
+    }
+
     const tokenHash = await this.hashToken(token);
 
     // Check if revoked
@@ -120,33 +241,7 @@ export class TokenManager {
       }
     }
 
-    // Get token data from KV (fast path)
-    let tokenData = null;
-    if (this.env.AUTH_TOKENS) {
-      const data = await this.env.AUTH_TOKENS.get(`token:${tokenHash}`);
-      if (data) {
-        tokenData = JSON.parse(data);
-      }
-    }
-
-    // Fallback to D1 if not in KV
-    if (!tokenData && this.env.AUTH_DB) {
-      const result = await this.env.AUTH_DB.prepare(
-        `SELECT * FROM tokens WHERE token_hash = ? AND revoked_at IS NULL`
-      ).bind(tokenHash).first();
-
-      if (result) {
-        tokenData = {
-          tokenId: result.id,
-          chittyId: result.chitty_id,
-          scope: JSON.parse(result.scope),
-          service: result.service_name,
-          createdAt: result.created_at,
-          expiresAt: result.expires_at,
-          requestCount: result.request_count
-        };
-      }
-    }
+    const tokenData = await this.findTokenData(tokenHash);
 
     // Check if token exists
     if (!tokenData) {
@@ -159,6 +254,18 @@ export class TokenManager {
       return { valid: false, error: 'Token not found' };
     }
 
+    // Tokens issued before key ids were embedded can only be checked against their stored data
+    if (signature?.legacy && !(await this.verifyLegacySignature(signature, tokenData))) {
+      await this.logAuditEvent({
+        eventType: 'token_validation_failed',
+        tokenId: tokenData.tokenId,
+        error: 'Invalid token signature',
+        success: false,
+        timestamp: Date.now()
+      });
+      return { valid: false, error: 'Invalid token signature' };
+    }
+
     // Check expiration
     if (tokenData.expiresAt < Date.now()) {
       await this.logAuditEvent({
@@ -171,12 +278,54 @@ export class TokenManager {
       return { valid: false, error: 'Token has expired' };
     }
 
+    // Exchanged tokens are only accepted by the audience they were issued for
+    if (tokenData.audience && options.audience !== tokenData.audience) {
+      await this.logAuditEvent({
+        eventType: 'token_validation_failed',
+        tokenId: tokenData.tokenId,
+        error: 'Token audience mismatch',
+        audience: options.audience,
+        success: false,
+        timestamp: Date.now()
+      });
+      return { valid: false, error: 'Token audience mismatch' };
+    }
+
+    const result = {
+      valid: true,
+      tokenId: tokenData.tokenId,
+      chittyId: tokenData.chittyId,
+      scope: tokenData.scope,
+      service: tokenData.service,
+      format,
+      issuedAt: new Date(tokenData.createdAt).toISOString(),
+      expiresAt: new Date(tokenData.expiresAt).toISOString()
+    };
+
+    if (tokenData.audience) {
+      result.audience = tokenData.audience;
+      result.act = tokenData.act;
+    }
+
+    if (options.requiredScope && !hasScope(result.scope, options.requiredScope)) {
+      return this.checkRequiredScope(result, options.requiredScope);
+    }
+
+    // Introspection only reads token state; it is not a use of the token
+    if (options.trackUsage === false) {
+      return result;
+    }
+
+    // Check rate limit before counting the request as a use
+    const rateLimit = await this.checkRateLimit(tokenHash, tokenData);
+    if (rateLimit) {
+      result.rateLimit = rateLimit;
+      result.rateLimitRemaining = rateLimit.remaining;
+    }
+
     // Update last used timestamp and request count
     await this.updateTokenUsage(tokenHash, tokenData);
 
-    // Check rate limit
-    const rateLimitRemaining = await this.checkRateLimit(tokenHash, tokenData);
-
     // Audit event
     await this.logAuditEvent({
       eventType: 'token_validated',
@@ -186,39 +335,71 @@ export class TokenManager {
       timestamp: Date.now()
     });
 
-    return {
-      valid: true,
-      tokenId: tokenData.tokenId,
-      chittyId: tokenData.chittyId,
-      scope: tokenData.scope,
-      service: tokenData.service,
-      expiresAt: new Date(tokenData.expiresAt).toISOString(),
-      rateLimitRemaining
-    };
+    return result;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * Each refresh token works once. Presenting one that was already used means it was
+   * copied, and since the legitimate holder cannot be told apart, its whole family is revoked.
+   */
+  async refresh(refreshToken, expiresIn) {
+    if (!refreshToken || typeof refreshToken !== 'string' || !refreshToken.startsWith(REFRESH_TOKEN_PREFIX)) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const record = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM refresh_tokens WHERE token_hash = ?`
+    ).bind(await this.hashToken(refreshToken)).first();
+
+    if (!record) {
+      return await this.refreshFailed(null, 'Invalid refresh token');
+    }
+
+    return await this.redeemRefreshToken(record, expiresIn);
   }
 
   /**
-   * Refresh an existing token
+   * Refresh with the access token itself, the request shape from before refresh tokens (deprecated)
+   * A token issued with a refresh token is refreshed through it, so the family rules still apply;
+   * older user tokens have none and are swapped for a new pair. Service, exchanged and session
+   * tokens cannot be refreshed this way.
    */
-  async refresh(token, expiresIn) {
-    // Validate current token
+  async refreshWithAccessToken(token, expiresIn) {
     const validation = await this.validate(token);
     if (!validation.valid) {
       return { success: false, error: validation.error };
     }
 
-    // Revoke old token
+    if (validation.tokenType === 'session' || validation.audience || !/^tok_(?!svc_|xch_)/.test(validation.tokenId)) {
+      return { success: false, error: 'This token cannot be refreshed' };
+    }
+
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const record = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM refresh_tokens WHERE access_token_id = ?`
+    ).bind(validation.tokenId).first();
+    if (record) {
+      return await this.redeemRefreshToken(record, expiresIn);
+    }
+
     await this.revoke(validation.tokenId, 'Token refreshed');
 
-    // Provision new token with same scope
     const newToken = await this.provision({
       chittyId: validation.chittyId,
       scope: validation.scope,
       service: validation.service,
-      expiresIn
+      expiresIn,
+      format: validation.format
     });
 
-    // Audit event
     await this.logAuditEvent({
       eventType: 'token_refreshed',
       tokenId: validation.tokenId,
@@ -232,209 +413,1185 @@ export class TokenManager {
   }
 
   /**
-   * Revoke a token
+   * Use a refresh token's record for the next access token in its family
+   * A record that was already used is a replay and revokes the family
    */
-  async revoke(tokenId, reason = 'Manual revocation') {
-    const now = Date.now();
-
-    // Update D1
-    if (this.env.AUTH_DB) {
-      await this.env.AUTH_DB.prepare(
-        `UPDATE tokens SET revoked_at = ? WHERE id = ?`
-      ).bind(now, tokenId).run();
+  async redeemRefreshToken(record, expiresIn) {
+    if (record.used_at) {
+      return await this.revokeRefreshFamily(record);
+    }
 
-      // Get token hash for KV operations
-      const result = await this.env.AUTH_DB.prepare(
-        `SELECT token_hash FROM tokens WHERE id = ?`
-      ).bind(tokenId).first();
+    if (record.revoked_at) {
+      return await this.refreshFailed(record, 'Refresh token has been revoked');
+    }
 
-      if (result) {
-        // Add to revocation list
-        if (this.env.AUTH_REVOCATIONS) {
-          await this.env.AUTH_REVOCATIONS.put(
-            `revoked:${result.token_hash}`,
-            JSON.stringify({ tokenId, reason, revokedAt: now }),
-            { expirationTtl: 86400 * 90 } // Keep for 90 days
-          );
-        }
+    if (record.expires_at < Date.now()) {
+      return await this.refreshFailed(record, 'Refresh token has expired');
+    }
 
-        // Remove from active tokens
-        if (this.env.AUTH_TOKENS) {
-          await this.env.AUTH_TOKENS.delete(`token:${result.token_hash}`);
-        }
-      }
+    // Claim the token with a conditional UPDATE so two concurrent refreshes cannot both succeed
+    const claimed = await this.env.AUTH_DB.prepare(
+      `UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`
+    ).bind(Date.now(), record.id).run();
+    if (!claimed.meta?.changes) {
+      return await this.revokeRefreshFamily(record);
     }
 
-    // Audit event
+    // Revoke the access token issued alongside it
+    await this.revoke(record.access_token_id, 'Token refreshed');
+
+    // Provision the next access token in the same family
+    const newToken = await this.provision({
+      chittyId: record.chitty_id,
+      scope: JSON.parse(record.scope),
+      service: record.service_name,
+      expiresIn,
+      format: record.format,
+      refreshFamilyId: record.family_id
+    });
+
     await this.logAuditEvent({
-      eventType: 'token_revoked',
-      tokenId,
-      reason,
+      eventType: 'token_refreshed',
+      tokenId: record.access_token_id,
+      newTokenId: newToken.tokenId,
+      chittyId: record.chitty_id,
+      familyId: record.family_id,
       success: true,
-      timestamp: now
+      timestamp: Date.now()
     });
 
-    return {
-      success: true,
+    return newToken;
+  }
+
+  /**
+   * Store a refresh token for a newly provisioned access token
+   * The refresh token carries the grant (scope, service, format) so the next access token can be re-issued from it
+   */
+  async issueRefreshToken({ tokenId, chittyId, scope, service, format, familyId }) {
+    if (!this.env.AUTH_DB) {
+      return null;
+    }
+
+    const refreshToken = `${REFRESH_TOKEN_PREFIX}${this.randomString(48)}`;
+    const createdAt = Date.now();
+    const expiresAt = createdAt + this.refreshExpiry * 1000;
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO refresh_tokens (id, token_hash, family_id, access_token_id, chitty_id, scope, service_name, format, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      `rtk_${this.randomString(20)}`,
+      await this.hashToken(refreshToken),
+      familyId || `fam_${this.randomString(20)}`,
       tokenId,
-      revokedAt: new Date(now).toISOString(),
-      reason
-    };
+      chittyId,
+      JSON.stringify(scope),
+      service,
+      format,
+      createdAt,
+      expiresAt
+    ).run();
+
+    return { refreshToken, expiresAt };
   }
 
   /**
-   * Generate a unique token ID
+   * Look up a refresh token's record, used or not
    */
-  generateTokenId() {
-    return `tok_${this.randomString(20)}`;
+  async findRefreshToken(refreshToken) {
+    if (!this.env.AUTH_DB || !refreshToken.startsWith(REFRESH_TOKEN_PREFIX)) {
+      return null;
+    }
+
+    return await this.env.AUTH_DB.prepare(
+      `SELECT * FROM refresh_tokens WHERE token_hash = ?`
+    ).bind(await this.hashToken(refreshToken)).first();
   }
 
   /**
-   * Generate a token with cryptographic signature
+   * Revoke a refresh token on its holder's request (RFC 7009)
+   * The whole family goes, including access tokens still active from it
    */
-  generateToken(tokenId, chittyId, service) {
-    const timestamp = Date.now();
-    const payload = `${tokenId}:${chittyId}:${service}:${timestamp}`;
-    const signature = this.signPayload(payload);
-    const tokenData = `${tokenId}_${timestamp}_${signature}`;
-    const encoded = Buffer.from(tokenData).toString('base64url');
+  async revokeRefreshToken(record, reason) {
+    const now = Date.now();
+    const revokedCount = await this.revokeFamily(record.family_id, reason, now);
 
-    // Determine environment prefix
-    const env = this.env.ENVIRONMENT || 'live';
-    const prefix = env === 'production' ? 'ca_live_' : `ca_${env}_`;
+    await this.logAuditEvent({
+      eventType: 'refresh_token_revoked',
+      tokenId: record.access_token_id,
+      chittyId: record.chitty_id,
+      service: record.service_name,
+      familyId: record.family_id,
+      revokedCount,
+      reason,
+      success: true,
+      timestamp: now
+    });
 
-    return `${prefix}${encoded}`;
+    return { success: true, familyId: record.family_id, revokedCount };
   }
 
   /**
-   * Sign a payload with HMAC-SHA256
+   * Revoke every refresh token in a family and every access token still active from it
+   * Returns the number of access tokens revoked
    */
-  signPayload(payload) {
-    const hmac = crypto.createHmac('sha256', this.signingKey);
-    hmac.update(payload);
-    return hmac.digest('base64url').substring(0, 32);
+  async revokeFamily(familyId, reason, now) {
+    await this.env.AUTH_DB.prepare(
+      `UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL`
+    ).bind(now, familyId).run();
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT t.id, t.token_hash FROM tokens t
+       JOIN refresh_tokens r ON r.access_token_id = t.id
+       WHERE r.family_id = ? AND t.revoked_at IS NULL`
+    ).bind(familyId).all();
+
+    for (const row of results) {
+      await this.revoke(row.id, reason, { tokenHash: row.token_hash });
+    }
+
+    return results.length;
   }
 
   /**
-   * Hash a token with SHA-256
+   * Revoke a family after a used refresh token is presented again
    */
-  async hashToken(token) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(token);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  async revokeRefreshFamily(record) {
+    const now = Date.now();
+    const reason = 'Refresh token reuse detected';
+
+    const revokedCount = await this.revokeFamily(record.family_id, reason, now);
+
+    await this.logAuditEvent({
+      eventType: 'refresh_token_reuse_detected',
+      tokenId: record.access_token_id,
+      chittyId: record.chitty_id,
+      familyId: record.family_id,
+      revokedCount,
+      error: reason,
+      success: false,
+      timestamp: now
+    });
+
+    return {
+      success: false,
+      reason: 'reuse_detected',
+      error: 'Refresh token reuse detected; every token in its family has been revoked'
+    };
   }
 
   /**
-   * Validate token format
+   * Log and shape a rejected refresh
    */
-  isValidTokenFormat(token) {
-    const validPrefixes = ['ca_live_', 'ca_test_', 'ca_dev_', 'svc_'];
-    return validPrefixes.some(prefix => token.startsWith(prefix));
+  async refreshFailed(record, error) {
+    await this.logAuditEvent({
+      eventType: 'token_refresh_failed',
+      tokenId: record?.access_token_id,
+      chittyId: record?.chitty_id,
+      error,
+      success: false,
+      timestamp: Date.now()
+    });
+    return { success: false, error };
   }
 
   /**
-   * Get rate limit for scope
+   * Exchange a token for a shorter-lived, down-scoped token bound to one audience (RFC 8693)
+   * actor is the authenticated service credential making the exchange; it is recorded in the act chain.
+   * An exchanged token may itself be exchanged by its audience, extending the chain.
+   * Returns the provisioned token, or { success: false, reason, error } with an OAuth error code as reason
    */
-  getRateLimit(scope) {
-    if (scope.includes('admin:*')) {
-      return { requests: 10000, window: '1h' };
+  async exchange(subjectToken, { audience, scope, expiresIn, actor }) {
+    if (!audience || !AUDIENCE_PATTERN.test(audience)) {
+      return { success: false, reason: 'invalid_target', error: 'audience must name a ChittyOS service' };
     }
-    if (scope.includes('service:*')) {
-      return { requests: 5000, window: '1h' };
+
+    const subject = await this.validate(subjectToken, { audience: actor.serviceName });
+    if (!subject.valid) {
+      return { success: false, reason: 'invalid_grant', error: `Subject token is invalid: ${subject.error}` };
     }
-    if (scope.length > 3) {
-      return { requests: 1000, window: '1h' };
+
+    if (subject.tokenType === 'session') {
+      return { success: false, reason: 'invalid_grant', error: 'Session tokens cannot be exchanged' };
     }
-    return { requests: 100, window: '1h' };
-  }
 
-  /**
-   * Check rate limit for token
-   */
-  async checkRateLimit(tokenHash, tokenData) {
-    if (!this.env.AUTH_RATE_LIMITS) {
-      return 999; // No rate limiting if KV not available
+    if (this.delegationDepth(subject.act) >= MAX_DELEGATION_DEPTH) {
+      return { success: false, reason: 'invalid_grant', error: 'Delegation chain is too long' };
     }
 
-    const window = 3600; // 1 hour in seconds
-    const now = Math.floor(Date.now() / 1000);
-    const windowStart = now - window;
+    // Requested scopes must be covered by the subject token's grants; its deny scopes always carry over
+    const grants = subject.scope.filter(s => !isDenyScope(s));
+    const { granted, denied } = filterScopes(grants, scope && scope.length > 0 ? scope : grants);
+    if (denied.length > 0) {
+      return { success: false, reason: 'invalid_scope', error: `Scopes not granted by the subject token: ${denied.join(' ')}` };
+    }
+    const inheritedDenies = subject.scope.filter(s => isDenyScope(s) && !granted.includes(s));
 
-    const rateLimit = this.getRateLimit(tokenData.scope);
-    const key = `ratelimit:${tokenHash}:${windowStart}`;
+    // Never outlive the subject token
+    const remaining = Math.floor((new Date(subject.expiresAt).getTime() - Date.now()) / 1000);
+    if (remaining <= 0) {
+      return { success: false, reason: 'invalid_grant', error: 'Subject token expires too soon to exchange' };
+    }
+    const lifetime = Math.min(expiresIn ?? this.exchangeExpiry, this.exchangeExpiry, remaining);
 
-    const current = await this.env.AUTH_RATE_LIMITS.get(key);
-    const count = current ? parseInt(current) : 0;
+    const act = {
+      sub: actor.chittyId,
+      client_id: actor.serviceName,
+      ...(subject.act ? { act: subject.act } : {})
+    };
 
-    if (count >= rateLimit.requests) {
-      throw new Error('Rate limit exceeded');
-    }
+    const token = await this.provision({
+      chittyId: subject.chittyId,
+      scope: [...granted, ...inheritedDenies],
+      service: subject.service,
+      expiresIn: lifetime,
+      format: subject.format,
+      kind: 'exchange',
+      audience,
+      act,
+      parentTokenId: subject.tokenId
+    });
 
-    await this.env.AUTH_RATE_LIMITS.put(key, (count + 1).toString(), {
-      expirationTtl: window
+    await this.logAuditEvent({
+      eventType: 'token_exchanged',
+      tokenId: subject.tokenId,
+      newTokenId: token.tokenId,
+      chittyId: subject.chittyId,
+      service: actor.serviceName,
+      audience,
+      success: true,
+      timestamp: Date.now()
     });
 
-    return rateLimit.requests - count - 1;
+    return { ...token, audience, act, expiresIn: lifetime };
   }
 
   /**
-   * Update token usage statistics
+   * Number of actors in an act chain
    */
-  async updateTokenUsage(tokenHash, tokenData) {
+  delegationDepth(act) {
+    let depth = 0;
+    for (let current = act; current; current = current.act) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Revoke a token
+   * Pass tokenHash when already known to skip the D1 lookup
+   */
+  async revoke(tokenId, reason = 'Manual revocation', { tokenHash } = {}) {
     const now = Date.now();
 
     // Update D1
     if (this.env.AUTH_DB) {
       await this.env.AUTH_DB.prepare(
-        `UPDATE tokens SET last_used_at = ?, request_count = request_count + 1 WHERE token_hash = ?`
-      ).bind(now, tokenHash).run();
-    }
+        `UPDATE tokens SET revoked_at = ?, revocation_reason = ? WHERE id = ?`
+      ).bind(now, reason, tokenId).run();
 
-    // Update KV cache
-    if (this.env.AUTH_TOKENS) {
-      tokenData.lastUsedAt = now;
-      tokenData.requestCount = (tokenData.requestCount || 0) + 1;
-      const ttl = Math.floor((tokenData.expiresAt - now) / 1000);
-      if (ttl > 0) {
-        await this.env.AUTH_TOKENS.put(
-          `token:${tokenHash}`,
-          JSON.stringify(tokenData),
-          { expirationTtl: ttl }
-        );
+      // Get token hash for KV operations
+      if (!tokenHash) {
+        const result = await this.env.AUTH_DB.prepare(
+          `SELECT token_hash FROM tokens WHERE id = ?`
+        ).bind(tokenId).first();
+        tokenHash = result?.token_hash;
       }
     }
-  }
 
-  /**
-   * Log audit event
-   */
-  async logAuditEvent(event) {
-    const eventId = `evt_${this.randomString(20)}`;
+    if (tokenHash) {
+      await this.markRevokedInKV(tokenHash, tokenId, reason, now);
+    }
 
-    // Store in D1
+    // Tokens exchanged from this one must not outlive it, nor may its refresh token mint a replacement
     if (this.env.AUTH_DB) {
       await this.env.AUTH_DB.prepare(
-        `INSERT INTO auth_events (id, event_type, token_id, chitty_id, service_name, success, error_message, timestamp)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
-      ).bind(
-        eventId,
-        event.eventType,
-        event.tokenId || null,
-        event.chittyId || null,
-        event.service || null,
-        event.success ? 1 : 0,
-        event.error || null,
-        event.timestamp
-      ).run();
-    }
+        `UPDATE refresh_tokens SET revoked_at = ? WHERE access_token_id = ? AND revoked_at IS NULL`
+      ).bind(now, tokenId).run();
+
+      const { results = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT id, token_hash FROM tokens WHERE parent_token_id = ? AND revoked_at IS NULL`
+      ).bind(tokenId).all();
+
+      for (const child of results) {
+        await this.revoke(child.id, 'Parent token revoked', { tokenHash: child.token_hash });
+      }
+    }
+
+    // Audit event
+    await this.logAuditEvent({
+      eventType: 'token_revoked',
+      tokenId,
+      reason,
+      success: true,
+      timestamp: now
+    });
+
+    return {
+      success: true,
+      tokenId,
+      revokedAt: new Date(now).toISOString(),
+      reason
+    };
+  }
+
+  /**
+   * Look up active token data by hash (KV first, then D1)
+   */
+  async findTokenData(tokenHash) {
+    // Get token data from KV (fast path)
+    if (this.env.AUTH_TOKENS) {
+      const data = await this.env.AUTH_TOKENS.get(`token:${tokenHash}`);
+      if (data) {
+        return JSON.parse(data);
+      }
+    }
+
+    // Fallback to D1 if not in KV
+    if (this.env.AUTH_DB) {
+      const result = await this.env.AUTH_DB.prepare(
+        `SELECT * FROM tokens WHERE token_hash = ? AND revoked_at IS NULL`
+      ).bind(tokenHash).first();
+
+      if (result) {
+        return {
+          tokenId: result.id,
+          chittyId: result.chitty_id,
+          scope: JSON.parse(result.scope),
+          service: result.service_name,
+          createdAt: result.created_at,
+          expiresAt: result.expires_at,
+          requestCount: result.request_count,
+          ...(result.audience ? {
+            audience: result.audience,
+            act: result.actor ? JSON.parse(result.actor) : undefined,
+            parentTokenId: result.parent_token_id
+          } : {})
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue a short-lived signed session token for a target service
+   */
+  async issueSessionToken(validation, targetService) {
+    const now = Math.floor(Date.now() / 1000);
+    const sessionId = `sid_${this.randomString(20)}`;
+
+    const claims = {
+      iss: this.issuer,
+      sub: validation.chittyId,
+      aud: targetService,
+      iat: now,
+      exp: now + SESSION_TOKEN_TTL,
+      jti: sessionId,
+      service: validation.service,
+      scope: validation.scope,
+      token_id: validation.tokenId
+    };
+
+    const key = await this.signingKeys.getActiveKey();
+    const jws = signHS256({ typ: 'JWT', kid: key.kid }, claims, key.secret);
+
+    await this.logAuditEvent({
+      eventType: 'session_issued',
+      tokenId: validation.tokenId,
+      chittyId: validation.chittyId,
+      service: targetService,
+      success: true,
+      timestamp: Date.now()
+    });
+
+    return {
+      sessionToken: `${SESSION_TOKEN_PREFIX}${jws}`,
+      sessionId,
+      expiresIn: SESSION_TOKEN_TTL,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Fail a valid validation result whose scopes do not grant requiredScope
+   */
+  async checkRequiredScope(result, requiredScope) {
+    if (!result.valid || !requiredScope || hasScope(result.scope, requiredScope)) {
+      return result;
+    }
+
+    await this.logAuditEvent({
+      eventType: 'token_validation_failed',
+      tokenId: result.tokenId,
+      chittyId: result.chittyId,
+      error: 'Insufficient scope',
+      requiredScope,
+      success: false,
+      timestamp: Date.now()
+    });
+    return { valid: false, error: 'Insufficient scope', requiredScope };
+  }
+
+  /**
+   * Verify a session token's signature, issuer, expiry and audience, and that its parent token is not revoked
+   * A session token is only accepted by the service it was issued for, so an audience is required
+   */
+  async verifySessionToken(token, { audience } = {}) {
+    const decoded = decodeJwt(token.slice(SESSION_TOKEN_PREFIX.length));
+    const key = decoded ? await this.signingKeys.getVerificationKey(decoded.header.kid) : null;
+
+    let error = null;
+    if (!key || !verifyHS256(decoded, key.secret)) {
+      error = 'Invalid session token signature';
+    } else {
+      error = checkClaims(decoded.payload, { issuer: this.issuer, audience });
+    }
+    if (!error && !audience) {
+      error = 'Session tokens require an audience';
+    }
+    if (!error && await this.isTokenRevoked(decoded.payload.token_id)) {
+      error = 'Parent token has been revoked';
+    }
+
+    if (error) {
+      await this.logAuditEvent({
+        eventType: 'token_validation_failed',
+        tokenId: decoded?.payload?.token_id,
+        error,
+        success: false,
+        timestamp: Date.now()
+      });
+      return { valid: false, error };
+    }
+
+    const claims = decoded.payload;
+    return {
+      valid: true,
+      tokenType: 'session',
+      sessionId: claims.jti,
+      tokenId: claims.token_id,
+      chittyId: claims.sub,
+      scope: claims.scope,
+      service: claims.service,
+      audience: claims.aud,
+      issuedAt: new Date(claims.iat * 1000).toISOString(),
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Revoke every active token matching the filters (admin kill switch)
+   * At least one filter is required; a single summarized audit event is logged per call.
+   * A scope filter matches every token whose grants cover it (wildcards and denies included).
+   * Each call revokes at most BULK_REVOKE_LIMIT tokens, so the KV writes stay within one request's
+   * subrequest budget; while more may match, nextCursor is returned to continue from.
+   * Refresh families and tokens exchanged from a revoked token are revoked with it.
+   */
+  async bulkRevoke({ chittyId, service, scope, issuedBefore, reason, actor, dryRun = false, cursor }) {
+    if (!chittyId && !service && !scope && !issuedBefore) {
+      throw new Error('At least one filter is required: chittyId, service, scope, issuedBefore');
+    }
+    if (!reason) {
+      throw new Error('A revocation reason is required');
+    }
+    if (scope && !isValidScope(scope)) {
+      throw new Error(`Invalid scope filter: ${scope}`);
+    }
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const now = Date.now();
+    const conditions = ['revoked_at IS NULL', 'expires_at > ?'];
+    const params = [now];
+
+    if (chittyId) {
+      conditions.push('chitty_id = ?');
+      params.push(chittyId);
+    }
+    if (service) {
+      conditions.push('service_name = ?');
+      params.push(service);
+    }
+    if (issuedBefore) {
+      conditions.push('created_at < ?');
+      params.push(issuedBefore);
+    }
+
+    // Walk candidates in id order; scope is stored as JSON, so it is matched here with the scope grammar
+    const matches = [];
+    let lastId = cursor ? decodeCursor(cursor).id : '';
+    let exhausted = false;
+    for (let page = 0; page < BULK_REVOKE_MAX_PAGES && matches.length < BULK_REVOKE_LIMIT; page++) {
+      const { results = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT id, token_hash, scope FROM tokens
+         WHERE ${conditions.join(' AND ')} AND id > ?
+         ORDER BY id ASC LIMIT ?`
+      ).bind(...params, lastId, BULK_REVOKE_CHUNK).all();
+
+      let index = 0;
+      for (; index < results.length && matches.length < BULK_REVOKE_LIMIT; index++) {
+        lastId = results[index].id;
+        if (!scope || hasScope(JSON.parse(results[index].scope), scope)) {
+          matches.push(results[index]);
+        }
+      }
+      if (index === results.length && results.length < BULK_REVOKE_CHUNK) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    const tokenIds = matches.map(row => row.id);
+    const filters = { chittyId, service, scope, issuedBefore };
+    const nextCursor = exhausted ? null : encodeCursor({ value: null, id: lastId });
+
+    if (dryRun || matches.length === 0) {
+      return { success: true, dryRun, revokedCount: 0, matchedCount: matches.length, tokenIds, filters, nextCursor };
+    }
+
+    // D1 caps bound parameters per statement, so update in chunks
+    let cascadedCount = 0;
+    for (let i = 0; i < matches.length; i += BULK_REVOKE_CHUNK) {
+      const chunk = matches.slice(i, i + BULK_REVOKE_CHUNK);
+      const ids = chunk.map(row => row.id);
+      const placeholders = ids.map(() => '?').join(', ');
+      await this.env.AUTH_DB.prepare(
+        `UPDATE tokens SET revoked_at = ?, revocation_reason = ?
+         WHERE id IN (${placeholders}) AND revoked_at IS NULL`
+      ).bind(now, reason, ...ids).run();
+
+      await Promise.all(chunk.map(row => this.markRevokedInKV(row.token_hash, row.id, reason, now)));
+
+      cascadedCount += await this.revokeDescendants(ids, reason, now);
+    }
+
+    await this.logAuditEvent({
+      eventType: 'tokens_bulk_revoked',
+      chittyId,
+      service,
+      reason,
+      actor,
+      count: matches.length,
+      cascadedCount,
+      filters,
+      success: true,
+      timestamp: now
+    });
+
+    return {
+      success: true,
+      dryRun: false,
+      revokedCount: matches.length,
+      matchedCount: matches.length,
+      cascadedCount,
+      tokenIds,
+      filters,
+      reason,
+      revokedAt: new Date(now).toISOString(),
+      nextCursor
+    };
+  }
+
+  /**
+   * Revoke the refresh families of already-revoked tokens and the tokens exchanged from them,
+   * as revoke() does for a single token
+   * Returns the number of further access tokens revoked
+   */
+  async revokeDescendants(tokenIds, reason, now) {
+    const placeholders = tokenIds.map(() => '?').join(', ');
+
+    const { results: families = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT DISTINCT family_id FROM refresh_tokens WHERE access_token_id IN (${placeholders})`
+    ).bind(...tokenIds).all();
+
+    let revokedCount = 0;
+    for (const { family_id: familyId } of families) {
+      revokedCount += await this.revokeFamily(familyId, reason, now);
+    }
+
+    const { results: children = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT id, token_hash FROM tokens WHERE parent_token_id IN (${placeholders}) AND revoked_at IS NULL`
+    ).bind(...tokenIds).all();
+
+    for (const child of children) {
+      await this.revoke(child.id, 'Parent token revoked', { tokenHash: child.token_hash });
+      revokedCount++;
+    }
+
+    return revokedCount;
+  }
+
+  /**
+   * Add a token to the revocation list and drop it from the active token cache
+   */
+  async markRevokedInKV(tokenHash, tokenId, reason, revokedAt) {
+    // Add to revocation list, by hash for the token itself and by id for session tokens issued from it
+    if (this.env.AUTH_REVOCATIONS) {
+      const entry = JSON.stringify({ tokenId, reason, revokedAt });
+      await this.env.AUTH_REVOCATIONS.put(`revoked:${tokenHash}`, entry, { expirationTtl: 86400 * 90 }); // Keep for 90 days
+      await this.env.AUTH_REVOCATIONS.put(`revoked-id:${tokenId}`, entry, { expirationTtl: SESSION_TOKEN_TTL });
+    }
+
+    // Remove from active tokens
+    if (this.env.AUTH_TOKENS) {
+      await this.env.AUTH_TOKENS.delete(`token:${tokenHash}`);
+    }
+  }
+
+  /**
+   * Check whether a token has been revoked by id (KV revocation list, or D1 when KV is not bound)
+   * Used for the parent of a session token, which carries the parent's id but not its hash
+   */
+  async isTokenRevoked(tokenId) {
+    if (this.env.AUTH_REVOCATIONS) {
+      return Boolean(await this.env.AUTH_REVOCATIONS.get(`revoked-id:${tokenId}`));
+    }
+
+    if (this.env.AUTH_DB) {
+      const result = await this.env.AUTH_DB.prepare(
+        `SELECT revoked_at FROM tokens WHERE id = ?`
+      ).bind(tokenId).first();
+      return Boolean(result?.revoked_at);
+    }
+
+    return false;
+  }
+
+  /**
+   * Add scopes to a token's grant: the token itself, or, once it has been refreshed, its refresh
+   * family (the unused refresh token and the access token currently active from it)
+   * Updates D1 and the KV cache entry. JWT claims are not rewritten; holders refresh to get a JWT
+   * carrying the new scopes
+   */
+  async grantScopes(tokenId, scopes) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const family = await this.env.AUTH_DB.prepare(
+      `SELECT family_id FROM refresh_tokens WHERE access_token_id = ?`
+    ).bind(tokenId).first();
+
+    let tokens;
+    if (family) {
+      const { results = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT t.id, t.token_hash, t.scope FROM tokens t
+         JOIN refresh_tokens r ON r.access_token_id = t.id
+         WHERE r.family_id = ? AND t.revoked_at IS NULL`
+      ).bind(family.family_id).all();
+      tokens = results;
+    } else {
+      const row = await this.env.AUTH_DB.prepare(
+        `SELECT token_hash, scope FROM tokens WHERE id = ? AND revoked_at IS NULL`
+      ).bind(tokenId).first();
+      tokens = row ? [{ ...row, id: tokenId }] : [];
+    }
+
+    // The unused refresh token carries the grant the next access token is issued with
+    const { results: refreshTokens = [] } = family
+      ? await this.env.AUTH_DB.prepare(
+        `SELECT id, scope FROM refresh_tokens
+         WHERE family_id = ? AND used_at IS NULL AND revoked_at IS NULL`
+      ).bind(family.family_id).all()
+      : { results: [] };
+
+    if (tokens.length === 0 && refreshTokens.length === 0) {
+      return null;
+    }
+
+    const grants = [];
+    for (const row of refreshTokens) {
+      const grant = this.addScopes(row.scope, scopes);
+      if (grant.added.length > 0) {
+        await this.env.AUTH_DB.prepare(
+          `UPDATE refresh_tokens SET scope = ? WHERE id = ?`
+        ).bind(JSON.stringify(grant.scope), row.id).run();
+      }
+      grants.push(grant);
+    }
+
+    for (const row of tokens) {
+      const grant = this.addScopes(row.scope, scopes);
+      if (grant.added.length > 0) {
+        await this.updateTokenScope(row, grant.scope);
+      }
+      grants.push({ ...grant, tokenId: row.id });
+    }
+
+    // Report on the active access token when there is one
+    const current = grants.find(grant => grant.tokenId) || grants[0];
+    const added = [...new Set(grants.flatMap(grant => grant.added))];
+
+    if (added.length > 0) {
+      await this.logAuditEvent({
+        eventType: 'token_scope_granted',
+        tokenId: current.tokenId || tokenId,
+        familyId: family?.family_id,
+        addedScopes: added,
+        success: true,
+        timestamp: Date.now()
+      });
+    }
+
+    return { tokenId: current.tokenId || null, scope: current.scope, added };
+  }
+
+  addScopes(stored, scopes) {
+    const current = JSON.parse(stored);
+    const added = scopes.filter(scope => !current.includes(scope));
+    return { scope: [...current, ...added], added };
+  }
+
+  async updateTokenScope(row, scope) {
+    await this.env.AUTH_DB.prepare(
+      `UPDATE tokens SET scope = ? WHERE id = ?`
+    ).bind(JSON.stringify(scope), row.id).run();
+
+    if (this.env.AUTH_TOKENS) {
+      const cached = await this.env.AUTH_TOKENS.get(`token:${row.token_hash}`);
+      if (cached) {
+        const tokenData = JSON.parse(cached);
+        const ttl = Math.floor((tokenData.expiresAt - Date.now()) / 1000);
+        if (ttl > 0) {
+          await this.env.AUTH_TOKENS.put(
+            `token:${row.token_hash}`,
+            JSON.stringify({ ...tokenData, scope }),
+            { expirationTtl: ttl }
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Enforce MAX_TOKENS_PER_USER (and MAX_TOKENS_PER_SERVICE when set)
+   * Either rejects or revokes the oldest tokens, depending on TOKEN_QUOTA_POLICY
+   */
+  async enforceQuota(chittyId, service) {
+    if (!this.env.AUTH_DB) {
+      return;
+    }
+
+    const usage = await this.getQuotaUsage(chittyId, service);
+    const limits = [
+      { scope: 'user', active: usage.active, limit: usage.limit },
+      { scope: 'service', active: usage.serviceActive, limit: usage.serviceLimit, service }
+    ].filter(check => check.limit > 0 && check.active >= check.limit);
+
+    for (const check of limits) {
+      if (this.quotaPolicy === 'reject') {
+        await this.logAuditEvent({
+          eventType: 'token_quota_exceeded',
+          chittyId,
+          service,
+          error: `Active token quota of ${check.limit} reached (${check.scope})`,
+          success: false,
+          timestamp: Date.now()
+        });
+        throw new QuotaExceededError(
+          check.scope === 'user'
+            ? `Token quota exceeded: ${chittyId} already has ${check.active} of ${check.limit} active tokens`
+            : `Token quota exceeded: ${chittyId} already has ${check.active} of ${check.limit} active tokens for ${service}`,
+          usage
+        );
+      }
+
+      // revoke_oldest: make room for exactly one new token
+      const excess = check.active - check.limit + 1;
+      const serviceFilter = check.scope === 'service' ? 'AND service_name = ?' : '';
+      const params = check.scope === 'service' ? [chittyId, Date.now(), service, excess] : [chittyId, Date.now(), excess];
+      const { results = [] } = await this.env.AUTH_DB.prepare(
+        `SELECT id, token_hash FROM tokens
+         WHERE chitty_id = ? AND revoked_at IS NULL AND expires_at > ? AND id NOT LIKE 'tok\\_svc\\_%' ESCAPE '\\' AND id NOT LIKE 'tok\\_xch\\_%' ESCAPE '\\' ${serviceFilter}
+         ORDER BY created_at ASC LIMIT ?`
+      ).bind(...params).all();
+
+      for (const row of results) {
+        await this.revoke(row.id, 'Token quota exceeded: oldest token revoked', { tokenHash: row.token_hash });
+      }
+    }
+  }
+
+  /**
+   * Current active token usage for a ChittyID against its quota
+   */
+  async getQuotaUsage(chittyId, service) {
+    const now = Date.now();
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT service_name, COUNT(*) as active
+       FROM tokens
+       WHERE chitty_id = ? AND revoked_at IS NULL AND expires_at > ? AND id NOT LIKE 'tok\\_svc\\_%' ESCAPE '\\' AND id NOT LIKE 'tok\\_xch\\_%' ESCAPE '\\'
+       GROUP BY service_name`
+    ).bind(chittyId, now).all();
+
+    const byService = {};
+    let active = 0;
+    for (const row of results) {
+      byService[row.service_name || 'unknown'] = row.active;
+      active += row.active;
+    }
+
+    return {
+      chittyId,
+      limit: this.maxTokensPerUser,
+      active,
+      remaining: Math.max(0, this.maxTokensPerUser - active),
+      policy: this.quotaPolicy,
+      serviceLimit: this.maxTokensPerService || null,
+      serviceActive: service ? (byService[service] || 0) : undefined,
+      byService
+    };
+  }
+
+  /**
+   * Search token metadata (admin)
+   * Keyset pagination over (sort column, id); secrets and hashes are never returned
+   */
+  async searchTokens({ chittyId, service, status, createdAfter, createdBefore,
+                       lastUsedAfter, lastUsedBefore, sort = 'created_at', order = 'desc',
+                       limit = 50, cursor } = {}) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    if (!TOKEN_SORT_COLUMNS.includes(sort)) {
+      throw new Error(`Invalid sort column: ${sort}`);
+    }
+
+    const now = Date.now();
+    const conditions = [];
+    const params = [];
+    const sortExpr = sort === 'last_used_at' ? 'COALESCE(last_used_at, 0)' : sort;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    if (chittyId) {
+      conditions.push('chitty_id = ?');
+      params.push(chittyId);
+    }
+    if (service) {
+      conditions.push('service_name = ?');
+      params.push(service);
+    }
+    if (status === 'active') {
+      conditions.push('revoked_at IS NULL AND expires_at > ?');
+      params.push(now);
+    } else if (status === 'expired') {
+      conditions.push('revoked_at IS NULL AND expires_at <= ?');
+      params.push(now);
+    } else if (status === 'revoked') {
+      conditions.push('revoked_at IS NOT NULL');
+    }
+    if (createdAfter) {
+      conditions.push('created_at >= ?');
+      params.push(createdAfter);
+    }
+    if (createdBefore) {
+      conditions.push('created_at < ?');
+      params.push(createdBefore);
+    }
+    if (lastUsedAfter) {
+      conditions.push('last_used_at >= ?');
+      params.push(lastUsedAfter);
+    }
+    if (lastUsedBefore) {
+      conditions.push('last_used_at < ?');
+      params.push(lastUsedBefore);
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      const comparator = direction === 'ASC' ? '>' : '<';
+      conditions.push(`(${sortExpr} ${comparator} ? OR (${sortExpr} = ? AND id ${comparator} ?))`);
+      params.push(position.value, position.value, position.id);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT id, chitty_id, service_name, scope, created_at, expires_at, last_used_at,
+              request_count, revoked_at, revocation_reason, ${sortExpr} as sort_value
+       FROM tokens ${where}
+       ORDER BY ${sortExpr} ${direction}, id ${direction}
+       LIMIT ?`
+    ).bind(...params, limit + 1).all();
+
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      tokens: page.map(row => this.formatTokenMetadata(row, now)),
+      nextCursor: results.length > limit ? encodeCursor({ value: last.sort_value, id: last.id }) : null
+    };
+  }
+
+  /**
+   * Get metadata for a single token (admin)
+   */
+  async getTokenMetadata(tokenId) {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+
+    const row = await this.env.AUTH_DB.prepare(
+      `SELECT id, chitty_id, service_name, scope, created_at, expires_at, last_used_at,
+              request_count, revoked_at, revocation_reason
+       FROM tokens WHERE id = ?`
+    ).bind(tokenId).first();
+
+    return row ? this.formatTokenMetadata(row, Date.now()) : null;
+  }
+
+  /**
+   * Shape a tokens row for API output
+   */
+  formatTokenMetadata(row, now) {
+    const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+    let status = 'active';
+    if (row.revoked_at) {
+      status = 'revoked';
+    } else if (row.expires_at <= now) {
+      status = 'expired';
+    }
+
+    return {
+      tokenId: row.id,
+      chittyId: row.chitty_id,
+      service: row.service_name,
+      scope: JSON.parse(row.scope),
+      status,
+      createdAt: toIso(row.created_at),
+      expiresAt: toIso(row.expires_at),
+      lastUsedAt: toIso(row.last_used_at),
+      requestCount: row.request_count || 0,
+      revokedAt: toIso(row.revoked_at),
+      revocationReason: row.revocation_reason || null
+    };
+  }
+
+  /**
+   * Generate a unique token ID
+   * Service and exchanged token IDs carry a svc_ or xch_ marker so quotas can exclude them
+   */
+  generateTokenId(kind = 'user') {
+    const marker = { service: 'svc_', exchange: 'xch_' }[kind] || '';
+    return `tok_${marker}${this.randomString(20)}`;
+  }
+
+  /**
+   * Generate an opaque token signed with the active signing key
+   * Format: prefix + base64url(tokenId.timestamp.kid.signature), the signature covering everything before it
+   */
+  async generateToken(tokenId, service, kind = 'user') {
+    // Service tokens name the service they were issued to
+    let prefix;
+    if (kind === 'service') {
+      prefix = `svc_${service}_`;
+    } else {
+      // Determine environment prefix
+      const env = this.env.ENVIRONMENT || 'live';
+      prefix = env === 'production' ? 'ca_live_' : `ca_${env}_`;
+    }
+
+    const key = await this.signingKeys.getActiveKey();
+    const body = `${tokenId}.${Date.now()}.${key.kid}`;
+    const signature = this.signingKeys.sign(key, `${prefix}${body}`);
+    const encoded = Buffer.from(`${body}.${signature}`).toString('base64url');
+
+    return { token: `${prefix}${encoded}`, kid: key.kid };
+  }
+
+  /**
+   * Verify an opaque token's signature without touching storage
+   * Tokens from before key ids were embedded come back as { valid: true, legacy: true, ... }
+   * and are checked by verifyLegacySignature once their data is loaded
+   */
+  async verifyTokenSignature(token) {
+    const match = token.match(OPAQUE_TOKEN_PATTERN);
+    const decoded = match ? Buffer.from(match[2], 'base64url').toString() : '';
+    const parts = decoded.split('.');
+
+    if (parts.length !== 4) {
+      const legacy = decoded.match(/^(tok_[A-Za-z0-9_]+)_(\d+)_([A-Za-z0-9_-]{32})$/);
+      return legacy
+        ? { valid: true, legacy: true, tokenId: legacy[1], timestamp: legacy[2], signature: legacy[3] }
+        : { valid: false, error: 'Invalid token signature' };
+    }
+
+    const [tokenId, timestamp, kid, signature] = parts;
+    const key = await this.signingKeys.getVerificationKey(kid);
+    if (!key) {
+      return { valid: false, error: 'Token signing key is not recognized' };
+    }
+    if (!this.signingKeys.verify(key, `${match[1]}${tokenId}.${timestamp}.${kid}`, signature)) {
+      return { valid: false, error: 'Invalid token signature' };
+    }
+
+    return { valid: true, tokenId, kid };
+  }
+
+  /**
+   * Check a pre-key-id token against TOKEN_SIGNING_KEY using its stored ChittyID and service
+   * These carry a truncated signature and stop validating once TOKEN_SIGNING_KEY is retired
+   */
+  async verifyLegacySignature({ tokenId, timestamp, signature }, tokenData) {
+    const key = await this.signingKeys.getVerificationKey(this.signingKeys.getRootKeyId());
+    if (!key || tokenId !== tokenData.tokenId) {
+      return false;
+    }
+
+    const payload = `${tokenId}:${tokenData.chittyId}:${tokenData.service}:${timestamp}`;
+    const expected = Buffer.from(this.signingKeys.sign(key, payload).substring(0, 32));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Generate a signed JWT access token (RFC 9068 profile)
+   */
+  async generateJwtToken(tokenId, chittyId, scope, service, createdAt, expiresAt, { audience, act } = {}) {
+    const token = await this.jwtSigner.sign({
+      sub: chittyId,
+      client_id: service,
+      scope: scope.join(' '),
+      iat: Math.floor(createdAt / 1000),
+      exp: Math.floor(expiresAt / 1000),
+      jti: tokenId,
+      ...(audience ? { aud: audience, act } : {})
+    });
+    const { kid } = await this.jwtSigner.getKey();
+    return { token, kid };
+  }
+
+  /**
+   * Hash a token with SHA-256
+   */
+  async hashToken(token) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(token);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Validate token format
+   */
+  isValidTokenFormat(token) {
+    const validPrefixes = ['ca_live_', 'ca_test_', 'ca_dev_', 'svc_', SESSION_TOKEN_PREFIX];
+    return validPrefixes.some(prefix => token.startsWith(prefix)) || JwtSigner.isJwt(token);
+  }
+
+  /**
+   * Get rate limit for scope
+   */
+  getRateLimit(scope) {
+    if (scope.includes('admin:*')) {
+      return { requests: 10000, window: '1h' };
+    }
+    if (scope.includes('service:*')) {
+      return { requests: 5000, window: '1h' };
+    }
+    if (scope.length > 3) {
+      return { requests: 1000, window: '1h' };
+    }
+    return { requests: 100, window: '1h' };
+  }
+
+  /**
+   * Check rate limit for token
+   * Returns { limit, remaining, reset } or null when no limiter storage is bound;
+   * throws RateLimitExceededError once the sliding window is full
+   */
+  async checkRateLimit(tokenHash, tokenData) {
+    const rateLimit = this.getRateLimit(tokenData.scope);
+    const status = await this.rateLimiter.hit(tokenHash, {
+      limit: rateLimit.requests,
+      window: RATE_LIMIT_WINDOW
+    });
+
+    if (!status) {
+      return null;
+    }
+
+    if (!status.allowed) {
+      await this.logAuditEvent({
+        eventType: 'rate_limit_exceeded',
+        tokenId: tokenData.tokenId,
+        chittyId: tokenData.chittyId,
+        service: tokenData.service,
+        error: `Limit of ${status.limit} requests per ${rateLimit.window} reached`,
+        success: false,
+        timestamp: Date.now()
+      });
+      throw new RateLimitExceededError(status);
+    }
+
+    return { limit: status.limit, remaining: status.remaining, reset: status.reset };
+  }
+
+  /**
+   * Update token usage statistics
+   */
+  async updateTokenUsage(tokenHash, tokenData) {
+    const now = Date.now();
+
+    // Update D1
+    if (this.env.AUTH_DB) {
+      await this.env.AUTH_DB.prepare(
+        `UPDATE tokens SET last_used_at = ?, request_count = request_count + 1 WHERE token_hash = ?`
+      ).bind(now, tokenHash).run();
+    }
+
+    // Update KV cache
+    if (this.env.AUTH_TOKENS) {
+      tokenData.lastUsedAt = now;
+      tokenData.requestCount = (tokenData.requestCount || 0) + 1;
+      const ttl = Math.floor((tokenData.expiresAt - now) / 1000);
+      if (ttl > 0) {
+        await this.env.AUTH_TOKENS.put(
+          `token:${tokenHash}`,
+          JSON.stringify(tokenData),
+          { expirationTtl: ttl }
+        );
+      }
+    }
+  }
+
+  /**
+   * Attach the calling request's client context to subsequent audit events
+   */
+  setRequestContext(request) {
+    this.requestContext = request ? getRequestContext(request) : null;
+  }
+
+  /**
+   * Log audit event
+   * Request context (IP, user agent, country, ray id, endpoint) is merged in when set
+   * Events with webhook subscribers are queued for delivery (see webhooks.js)
+   */
+  async logAuditEvent(event) {
+    const eventId = `evt_${this.randomString(20)}`;
+    const record = { ...this.requestContext, ...event };
+
+    // Store in D1, chained to the previous event
+    if (this.env.AUTH_DB) {
+      await this.auditLog.append(eventId, record);
+
+      // Queue signed deliveries for subscribed webhooks; a webhook problem never fails the operation
+      try {
+        await this.webhooks.enqueue(eventId, record);
+      } catch (error) {
+        console.error('Webhook enqueue error:', error);
+      }
+    }
 
     // Store in KV for recent events
     if (this.env.AUTH_AUDIT) {
       await this.env.AUTH_AUDIT.put(
         `event:${eventId}`,
-        JSON.stringify(event),
+        JSON.stringify(record),
         { expirationTtl: 86400 * 90 } // 90 days
       );
     }
@@ -455,6 +1612,7 @@ export class TokenManager {
 
   /**
    * Get token statistics
+   * requestsToday counts validations since midnight UTC
    */
   async getStats() {
     if (!this.env.AUTH_DB) {
@@ -471,10 +1629,10 @@ export class TokenManager {
     `).bind(Date.now(), Date.now()).first();
 
     const requestsToday = await this.env.AUTH_DB.prepare(`
-      SELECT SUM(request_count) as total_requests
-      FROM tokens
-      WHERE last_used_at >= ?
-    `).bind(Date.now() - 86400000).first();
+      SELECT COUNT(*) as total_requests
+      FROM auth_events
+      WHERE event_type IN ('token_validated', 'token_validation_failed') AND timestamp >= ?
+    `).bind(Date.parse(new Date().toISOString().slice(0, 10))).first();
 
     return {
       totalTokens: stats.total_tokens || 0,
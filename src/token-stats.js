@@ -0,0 +1,213 @@
+/**
+ * ChittyAuth Token Statistics
+ * Time series of token activity by hour, day or ISO week, optionally broken down by
+ * service, scope or ChittyID
+ *
+ * Daily series use the token_stats rollup for days the maintenance job settled after they ended;
+ * everything else is counted from auth_events.
+ */
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+export const STATS_GRANULARITIES = ['hour', 'day', 'week'];
+export const STATS_GROUP_BY = ['service', 'scope', 'chittyId'];
+export const MAX_STATS_BUCKETS = 1000;
+const MAX_GROUPS = 50;
+
+// size: bucket length; offset: shift so weeks start on Monday (the epoch was a Thursday)
+const BUCKETS = {
+  hour: { size: HOUR_MS, offset: 0, defaultCount: 24 },
+  day: { size: DAY_MS, offset: 0, defaultCount: 30 },
+  week: { size: 7 * DAY_MS, offset: 3 * DAY_MS, defaultCount: 12 }
+};
+
+/**
+ * Aggregates over auth_events rows, shared with the token_stats rollup so both count the same way
+ * Bulk revocations count every token they revoked
+ */
+export const EVENT_AGGREGATES = `
+  SUM(CASE WHEN event_type = 'token_provision' THEN 1 ELSE 0 END) as provisions,
+  SUM(CASE WHEN event_type IN ('token_validated', 'token_validation_failed') THEN 1 ELSE 0 END) as validations,
+  SUM(CASE WHEN event_type = 'token_validation_failed' THEN 1 ELSE 0 END) as failed_validations,
+  SUM(CASE WHEN event_type = 'token_revoked' THEN 1
+           WHEN event_type = 'tokens_bulk_revoked' THEN COALESCE(json_extract(metadata, '$.count'), 0)
+           ELSE 0 END) as revocations,
+  SUM(CASE WHEN event_type = 'rate_limit_exceeded' THEN 1 ELSE 0 END) as rate_limit_hits,
+  COUNT(DISTINCT chitty_id) as unique_users`;
+
+const STAT_EVENT_TYPES = [
+  'token_provision', 'token_validated', 'token_validation_failed',
+  'token_revoked', 'tokens_bulk_revoked', 'rate_limit_exceeded'
+];
+
+// Breakdown key per event; service and scope fall back to the token the event is about
+const GROUP_COLUMNS = {
+  service: 'COALESCE(e.service_name, t.service_name, a.service_name)',
+  scope: 's.value',
+  chittyId: 'e.chitty_id'
+};
+
+export class TokenStatistics {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Default range for a granularity: the last defaultCount buckets up to now
+   */
+  static defaultFrom(granularity, to) {
+    const { size, defaultCount } = BUCKETS[granularity];
+    return to - size * defaultCount;
+  }
+
+  /**
+   * Number of buckets a range covers
+   */
+  static bucketCount(from, to, granularity) {
+    const { size, offset } = BUCKETS[granularity];
+    const first = Math.floor((from + offset) / size);
+    const last = Math.ceil((to + offset) / size);
+    return last - first;
+  }
+
+  /**
+   * Time series for [from, to)
+   * Buckets are aligned to UTC hours, days or Monday-based weeks; empty buckets are zero-filled.
+   * With groupBy, each group gets its own series: the MAX_GROUPS busiest groups are returned.
+   * A scope breakdown counts an event under every scope of its token.
+   */
+  async getTimeSeries({ from, to, granularity = 'day', groupBy }) {
+    if (!this.env.AUTH_DB) {
+      return { error: 'Database not available' };
+    }
+
+    const starts = this.bucketStarts(from, to, granularity);
+    const range = {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      granularity,
+      ...(groupBy ? { groupBy } : {})
+    };
+
+    if (groupBy) {
+      const rows = await this.queryEvents(starts[0], to, granularity, groupBy);
+      const groups = new Map();
+      for (const row of rows) {
+        const key = row.grp ?? 'unknown';
+        if (!groups.has(key)) {
+          groups.set(key, new Map());
+        }
+        groups.get(key).set(row.bucket, row);
+      }
+
+      const series = [...groups.entries()].map(([key, buckets]) => ({
+        key,
+        buckets: starts.map(start => this.bucket(start, buckets.get(start)))
+      }));
+      series.sort((a, b) => this.activity(b.buckets) - this.activity(a.buckets) || String(a.key).localeCompare(String(b.key)));
+
+      return {
+        ...range,
+        totalGroups: series.length,
+        groups: series.slice(0, MAX_GROUPS)
+      };
+    }
+
+    const settled = granularity === 'day' ? await this.settledDays(starts, to) : new Map();
+    const pending = starts.filter(start => !settled.has(start));
+    const counted = new Map();
+    if (pending.length > 0) {
+      const rows = await this.queryEvents(pending[0], to, granularity);
+      rows.forEach(row => counted.set(row.bucket, row));
+    }
+
+    return {
+      ...range,
+      buckets: starts.map(start => this.bucket(start, settled.get(start) || counted.get(start)))
+    };
+  }
+
+  /**
+   * Count auth_events per bucket (and group) from bucketStart up to to
+   */
+  async queryEvents(bucketStart, to, granularity, groupBy) {
+    const { size, offset } = BUCKETS[granularity];
+    const joins = groupBy === 'service' || groupBy === 'scope'
+      ? `LEFT JOIN tokens t ON t.id = e.token_id
+         LEFT JOIN tokens_archive a ON a.id = e.token_id`
+      : '';
+    const scopeJoin = groupBy === 'scope' ? 'LEFT JOIN json_each(COALESCE(t.scope, a.scope)) s' : '';
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT bucket, ${groupBy ? 'grp,' : ''} ${EVENT_AGGREGATES}
+       FROM (
+         SELECT e.event_type, e.metadata, e.chitty_id,
+           ((e.timestamp + ${offset}) / ${size}) * ${size} - ${offset} as bucket
+           ${groupBy ? `, ${GROUP_COLUMNS[groupBy]} as grp` : ''}
+         FROM auth_events e
+         ${joins}
+         ${scopeJoin}
+         WHERE e.timestamp >= ? AND e.timestamp < ?
+           AND e.event_type IN (${STAT_EVENT_TYPES.map(() => '?').join(', ')})
+       )
+       GROUP BY bucket${groupBy ? ', grp' : ''}`
+    ).bind(bucketStart, to, ...STAT_EVENT_TYPES).all();
+
+    return results;
+  }
+
+  /**
+   * token_stats rows for days the rollup last updated after the day had ended
+   * Rows for today, or for yesterday before the first rollup after midnight, are still moving
+   */
+  async settledDays(starts, to) {
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT date, total_provisions as provisions, total_validations as validations,
+         failed_validations, total_revocations as revocations, rate_limit_hits, unique_users, updated_at
+       FROM token_stats
+       WHERE date >= ? AND date < ?`
+    ).bind(this.formatDate(starts[0]), this.formatDate(to + DAY_MS)).all();
+
+    const settled = new Map();
+    for (const row of results) {
+      const start = Date.parse(`${row.date}T00:00:00Z`);
+      if (row.updated_at >= start + DAY_MS) {
+        settled.set(start, row);
+      }
+    }
+    return settled;
+  }
+
+  bucketStarts(from, to, granularity) {
+    const { size, offset } = BUCKETS[granularity];
+    const starts = [];
+    for (let start = Math.floor((from + offset) / size) * size - offset; start < to; start += size) {
+      starts.push(start);
+    }
+    return starts;
+  }
+
+  bucket(start, row) {
+    return {
+      start: new Date(start).toISOString(),
+      provisions: row?.provisions || 0,
+      validations: row?.validations || 0,
+      failedValidations: row?.failed_validations || 0,
+      revocations: row?.revocations || 0,
+      rateLimitHits: row?.rate_limit_hits || 0,
+      uniqueUsers: row?.unique_users || 0
+    };
+  }
+
+  activity(buckets) {
+    return buckets.reduce((total, b) => total + b.provisions + b.validations + b.revocations + b.rateLimitHits, 0);
+  }
+
+  /**
+   * Format a timestamp as YYYY-MM-DD (UTC)
+   */
+  formatDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+}
@@ -0,0 +1,516 @@
+/**
+ * ChittyAuth Webhooks
+ * Admin-managed subscriptions that receive signed token lifecycle, registration and security events
+ *
+ * Matching audit events are queued in webhook_deliveries and sent by deliverDue: right after the
+ * request that queued them, and every minute by the webhook cron. Failed sends are retried with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS; every attempt is logged in webhook_delivery_attempts.
+ * Subscription secrets are stored encrypted with a key derived from TOKEN_SIGNING_KEY.
+ */
+
+import crypto from 'crypto';
+import { SigningKeyRing } from './signing-keys.js';
+
+const SECRET_PREFIX = 'whsec_';
+const DELIVERY_BATCH = 50;
+const DELIVERY_LEASE_MS = 60000; // a claimed delivery is retried if its sender never reports back
+const MAX_BACKOFF_SECONDS = 21600; // 6 hours
+
+export const WEBHOOK_CRON = '* * * * *';
+
+export const WEBHOOK_EVENT_TYPES = [
+  // Token lifecycle
+  'token_provision',
+  'token_refreshed',
+  'token_exchanged',
+  'token_revoked',
+  'tokens_bulk_revoked',
+  // Registration
+  'registration_completed',
+  'registration_rejected',
+  'email_verified',
+  // Security
+  'refresh_token_reuse_detected',
+  'client_auth_failed',
+  'credential_rotated',
+  'credential_rotation_due',
+  'signing_key_rotated',
+  'signing_key_retired'
+];
+
+// HTTP status for each webhook failure reason
+export const WEBHOOK_ERRORS = {
+  invalid_url: 400,
+  invalid_event_types: 400,
+  not_found: 404,
+  disabled: 409
+};
+
+// Request context is not sent to subscribers
+const PRIVATE_EVENT_FIELDS = ['eventType', 'timestamp', 'ipAddress', 'userAgent'];
+
+export class WebhookManager {
+  constructor(env) {
+    this.env = env;
+    this.keyRing = new SigningKeyRing(env);
+    this.timeout = parseInt(env.WEBHOOK_TIMEOUT_MS || '5000');
+    this.maxAttempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS || '8');
+    this.retryBase = parseInt(env.WEBHOOK_RETRY_BASE_SECONDS || '30');
+    // Deliveries queued through this manager, so the worker can send them once the response is out
+    this.queued = 0;
+  }
+
+  /**
+   * Signature a subscriber recomputes: hex HMAC-SHA256 of `${timestamp}.${body}` with its secret
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Check a delivery the way a subscriber should: signature in constant time, timestamp within tolerance
+   */
+  static verify(secret, { timestamp, signature, body }, toleranceSeconds = 300, now = Date.now()) {
+    if (!timestamp || !signature || Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+      return false;
+    }
+    const expected = Buffer.from(`v1=${WebhookManager.sign(secret, timestamp, body)}`);
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Create a subscription and issue its secret
+   * eventTypes: WEBHOOK_EVENT_TYPES entries, or ['*'] for all of them
+   * The plain secret is returned once
+   */
+  async create({ url, eventTypes, description, createdBy }, now = Date.now()) {
+    this.requireDatabase();
+
+    const urlError = this.validateUrl(url);
+    if (urlError) {
+      return this.failure('invalid_url', urlError);
+    }
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0 ||
+        eventTypes.some(type => type !== '*' && !WEBHOOK_EVENT_TYPES.includes(type))) {
+      return this.failure('invalid_event_types', `eventTypes must be '*' or any of: ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+    }
+
+    const id = this.generateId('whk');
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO webhook_subscriptions (id, url, event_types, encrypted_secret, description, active, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)`
+    ).bind(id, url, JSON.stringify(eventTypes), this.encryptSecret(secret), description || null, createdBy || null, now, now).run();
+
+    return {
+      success: true,
+      ...this.describe({ id, url, event_types: JSON.stringify(eventTypes), description, active: 1, created_at: now, updated_at: now }),
+      secret
+    };
+  }
+
+  async list() {
+    this.requireDatabase();
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT id, url, event_types, description, active, created_at, updated_at
+       FROM webhook_subscriptions
+       ORDER BY created_at DESC`
+    ).bind().all();
+
+    return results.map(row => this.describe(row));
+  }
+
+  async get(id) {
+    this.requireDatabase();
+
+    return await this.env.AUTH_DB.prepare(
+      `SELECT * FROM webhook_subscriptions WHERE id = ?`
+    ).bind(id).first();
+  }
+
+  /**
+   * Stop sending to a subscription; its queued deliveries are cancelled
+   */
+  async disable(id, now = Date.now()) {
+    const subscription = await this.get(id);
+    if (!subscription) {
+      return this.failure('not_found', 'Webhook subscription not found');
+    }
+
+    await this.env.AUTH_DB.prepare(
+      `UPDATE webhook_subscriptions SET active = 0, updated_at = ? WHERE id = ?`
+    ).bind(now, id).run();
+    await this.env.AUTH_DB.prepare(
+      `UPDATE webhook_deliveries SET status = 'cancelled'
+       WHERE subscription_id = ? AND status IN ('pending', 'delivering')`
+    ).bind(id).run();
+
+    return { success: true, id, active: false };
+  }
+
+  /**
+   * Replace a subscription's secret; the next delivery is signed with the new one
+   */
+  async rotateSecret(id, now = Date.now()) {
+    const subscription = await this.get(id);
+    if (!subscription) {
+      return this.failure('not_found', 'Webhook subscription not found');
+    }
+
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    await this.env.AUTH_DB.prepare(
+      `UPDATE webhook_subscriptions SET encrypted_secret = ?, updated_at = ? WHERE id = ?`
+    ).bind(this.encryptSecret(secret), now, id).run();
+
+    return { success: true, id, secret };
+  }
+
+  /**
+   * Queue an audit event for every active subscription that wants it
+   * Returns the number of deliveries queued
+   */
+  async enqueue(eventId, event) {
+    if (!this.env.AUTH_DB || !WEBHOOK_EVENT_TYPES.includes(event.eventType)) {
+      return 0;
+    }
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT id, event_types FROM webhook_subscriptions WHERE active = ?`
+    ).bind(1).all();
+
+    const subscribers = results.filter(row => {
+      const eventTypes = JSON.parse(row.event_types);
+      return eventTypes.includes('*') || eventTypes.includes(event.eventType);
+    });
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const payload = JSON.stringify(this.buildPayload(eventId, event));
+    const now = Date.now();
+    for (const subscriber of subscribers) {
+      await this.insertDelivery({
+        subscriptionId: subscriber.id,
+        eventId,
+        eventType: event.eventType,
+        payload
+      }, now);
+    }
+
+    this.queued += subscribers.length;
+    return subscribers.length;
+  }
+
+  /**
+   * Send every delivery that is due, in parallel
+   * A delivery is claimed first, so concurrent runs never send it twice
+   */
+  async deliverDue(now = Date.now()) {
+    this.requireDatabase();
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT d.id, d.subscription_id, d.event_type, d.payload, d.attempts, d.next_attempt_at,
+         s.url, s.encrypted_secret
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status IN ('pending', 'delivering') AND d.next_attempt_at <= ? AND s.active = 1
+       ORDER BY d.next_attempt_at ASC
+       LIMIT ${DELIVERY_BATCH}`
+    ).bind(now).all();
+
+    const summary = { delivered: 0, retrying: 0, failed: 0 };
+    const outcomes = await Promise.all(results.map(async delivery => {
+      const claim = await this.env.AUTH_DB.prepare(
+        `UPDATE webhook_deliveries SET status = 'delivering', next_attempt_at = ?
+         WHERE id = ? AND next_attempt_at = ?`
+      ).bind(now + DELIVERY_LEASE_MS, delivery.id, delivery.next_attempt_at).run();
+
+      return claim.meta?.changes === 1 ? await this.send(delivery, now) : null;
+    }));
+
+    outcomes.filter(Boolean).forEach(outcome => summary[outcome]++);
+    return summary;
+  }
+
+  /**
+   * POST one delivery, log the attempt and schedule what comes next
+   * Any non-2xx answer, timeout or network error is retried
+   */
+  async send(delivery, now) {
+    const attempt = delivery.attempts + 1;
+    const timestamp = Math.floor(now / 1000);
+    const signature = WebhookManager.sign(this.decryptSecret(delivery.encrypted_secret), timestamp, delivery.payload);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ChittyAuth-Webhooks/1.0',
+          'ChittyAuth-Webhook-Id': delivery.id,
+          'ChittyAuth-Webhook-Event': delivery.event_type,
+          'ChittyAuth-Webhook-Timestamp': String(timestamp),
+          'ChittyAuth-Webhook-Signature': `v1=${signature}`
+        },
+        body: delivery.payload,
+        signal: controller.signal
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `Endpoint returned ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = fetchError.name === 'AbortError'
+        ? `Timed out after ${this.timeout}ms`
+        : `Unreachable: ${fetchError.message}`;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, duration_ms, attempted_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(delivery.id, attempt, statusCode, error, Date.now() - startedAt, now).run();
+
+    const outcome = !error ? 'delivered' : attempt >= this.maxAttempts ? 'failed' : 'retrying';
+    await this.env.AUTH_DB.prepare(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?, delivered_at = ?
+       WHERE id = ?`
+    ).bind(
+      outcome === 'retrying' ? 'pending' : outcome,
+      attempt,
+      outcome === 'retrying' ? now + this.backoff(attempt) : now,
+      statusCode,
+      error,
+      outcome === 'delivered' ? now : null,
+      delivery.id
+    ).run();
+
+    return outcome;
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempt - 1) seconds, capped at 6 hours, with up to 10% jitter
+   */
+  backoff(attempt) {
+    const seconds = Math.min(this.retryBase * 2 ** (attempt - 1), MAX_BACKOFF_SECONDS);
+    return Math.floor(seconds * 1000 * (1 + Math.random() * 0.1));
+  }
+
+  /**
+   * Delivery log for a subscription, newest first
+   */
+  async listDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+    this.requireDatabase();
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT id, event_id, event_type, status, attempts, last_status_code, last_error,
+         next_attempt_at, created_at, delivered_at, replay_of
+       FROM webhook_deliveries
+       WHERE subscription_id = ?${status ? ' AND status = ?' : ''}
+       ORDER BY created_at DESC
+       LIMIT ?`
+    ).bind(...[subscriptionId, status, limit].filter(value => value !== undefined)).all();
+
+    return results.map(row => this.describeDelivery(row));
+  }
+
+  /**
+   * One delivery with its payload and every attempt
+   */
+  async getDelivery(id) {
+    this.requireDatabase();
+
+    const row = await this.env.AUTH_DB.prepare(
+      `SELECT * FROM webhook_deliveries WHERE id = ?`
+    ).bind(id).first();
+    if (!row) {
+      return this.failure('not_found', 'Webhook delivery not found');
+    }
+
+    const { results = [] } = await this.env.AUTH_DB.prepare(
+      `SELECT attempt, status_code, error, duration_ms, attempted_at
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = ?
+       ORDER BY attempt ASC`
+    ).bind(id).all();
+
+    return {
+      success: true,
+      delivery: {
+        ...this.describeDelivery(row),
+        subscriptionId: row.subscription_id,
+        payload: JSON.parse(row.payload),
+        attemptLog: results.map(attempt => ({
+          attempt: attempt.attempt,
+          statusCode: attempt.status_code,
+          error: attempt.error,
+          durationMs: attempt.duration_ms,
+          attemptedAt: new Date(attempt.attempted_at).toISOString()
+        }))
+      }
+    };
+  }
+
+  /**
+   * Queue a delivery's payload again as a new delivery
+   * The payload keeps its event id, so subscribers can tell a replay from a new event
+   */
+  async replay(deliveryId, now = Date.now()) {
+    this.requireDatabase();
+
+    const original = await this.env.AUTH_DB.prepare(
+      `SELECT d.*, s.active FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = ?`
+    ).bind(deliveryId).first();
+    if (!original) {
+      return this.failure('not_found', 'Webhook delivery not found');
+    }
+    if (!original.active) {
+      return this.failure('disabled', 'Webhook subscription is disabled');
+    }
+
+    const id = await this.insertDelivery({
+      subscriptionId: original.subscription_id,
+      eventId: original.event_id,
+      eventType: original.event_type,
+      payload: original.payload,
+      replayOf: original.id
+    }, now);
+
+    this.queued++;
+    return { success: true, deliveryId: id, replayOf: original.id };
+  }
+
+  /**
+   * Delete finished deliveries and their attempt logs created before a cutoff (scheduled maintenance)
+   */
+  async prune(before) {
+    const finished = `status IN ('delivered', 'failed', 'cancelled') AND created_at < ?`;
+
+    await this.env.AUTH_DB.prepare(
+      `DELETE FROM webhook_delivery_attempts
+       WHERE delivery_id IN (SELECT id FROM webhook_deliveries WHERE ${finished})`
+    ).bind(before).run();
+    const result = await this.env.AUTH_DB.prepare(
+      `DELETE FROM webhook_deliveries WHERE ${finished}`
+    ).bind(before).run();
+
+    return { deleted: result.meta?.changes || 0 };
+  }
+
+  async insertDelivery({ subscriptionId, eventId, eventType, payload, replayOf }, now) {
+    const id = this.generateId('whd');
+    await this.env.AUTH_DB.prepare(
+      `INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at, replay_of)
+       VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)`
+    ).bind(id, subscriptionId, eventId, eventType, payload, now, now, replayOf || null).run();
+    return id;
+  }
+
+  buildPayload(eventId, event) {
+    const data = Object.fromEntries(
+      Object.entries(event).filter(([key, value]) => !PRIVATE_EVENT_FIELDS.includes(key) && value !== undefined)
+    );
+    return {
+      id: eventId,
+      type: event.eventType,
+      createdAt: new Date(event.timestamp || Date.now()).toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Subscription metadata (never the secret)
+   */
+  describe(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      eventTypes: JSON.parse(row.event_types),
+      description: row.description || null,
+      active: Boolean(row.active),
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  describeDelivery(row) {
+    return {
+      id: row.id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      lastStatusCode: row.last_status_code ?? null,
+      lastError: row.last_error ?? null,
+      nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString(),
+      deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null,
+      replayOf: row.replay_of || null
+    };
+  }
+
+  /**
+   * Subscriber endpoints must use HTTPS; plain HTTP is allowed outside production for local receivers
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'url must be an absolute URL';
+    }
+    if (parsed.protocol === 'https:' || (parsed.protocol === 'http:' && this.env.ENVIRONMENT !== 'production')) {
+      return null;
+    }
+    return 'url must use https';
+  }
+
+  /**
+   * AES-256-GCM with a key derived from TOKEN_SIGNING_KEY
+   * Stored as base64url(iv || tag || ciphertext)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  }
+
+  decryptSecret(encrypted) {
+    const data = Buffer.from(encrypted, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+  }
+
+  encryptionKey() {
+    return crypto.createHash('sha256').update(`webhook-secrets:${this.keyRing.requireRootSecret()}`).digest();
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(15).toString('base64url')}`;
+  }
+
+  requireDatabase() {
+    if (!this.env.AUTH_DB) {
+      throw new Error('Database not available');
+    }
+  }
+
+  failure(reason, error) {
+    return { success: false, reason, error };
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * ChittyAuth Audit Log Tests
+ * Unit tests for audit event queries, NDJSON/CSV export, request context and the hash chain
+ */
+
+import { AuditLog, getRequestContext } from '../src/audit-log.js';
+import { TokenManager } from '../src/token-manager.js';
+
+describe('AuditLog', () => {
+  let rows;
+  let queries;
+  let auditLog;
+
+  beforeEach(() => {
+    rows = Array.from({ length: 5 }, (_, i) => ({
+      id: `evt_${5 - i}`,
+      event_type: i % 2 === 0 ? 'token_validated' : 'token_validation_failed',
+      token_id: 'tok_abc',
+      chitty_id: '03-1-USA-0001-P-251-3-82',
+      service_name: 'chittyid',
+      success: i % 2 === 0 ? 1 : 0,
+      error_message: i % 2 === 0 ? null : 'Token has expired, "really"',
+      ip_address: '203.0.113.7',
+      user_agent: 'curl/8.0',
+      metadata: '{"endpoint":"/v1/tokens/validate"}',
+      timestamp: 1730505600000 - i * 1000
+    }));
+    queries = [];
+
+    // Fake D1 honouring only the keyset cursor and LIMIT
+    const db = {
+      prepare: (sql) => ({
+        bind: (...params) => ({
+          all: async () => {
+            queries.push({ sql, params });
+            const limit = params[params.length - 1];
+            let matching = rows;
+            if (sql.includes('id < ?')) {
+              const cursorTimestamp = params[params.length - 4];
+              matching = rows.filter(row => row.timestamp < cursorTimestamp);
+            }
+            return { results: matching.slice(0, limit) };
+          }
+        })
+      })
+    };
+
+    auditLog = new AuditLog({ AUTH_DB: db });
+  });
+
+  test('should filter and paginate events', async () => {
+    const first = await auditLog.query({ chittyId: '03-1-USA-0001-P-251-3-82', success: false, limit: 2 });
+
+    expect(first.events).toHaveLength(2);
+    expect(first.events[0].metadata).toEqual({ endpoint: '/v1/tokens/validate' });
+    expect(first.nextCursor).toBeTruthy();
+    expect(queries[0].sql).toContain('chitty_id = ?');
+    expect(queries[0].sql).toContain('success = ?');
+    expect(queries[0].params).toContain(0);
+
+    const second = await auditLog.query({ limit: 2, cursor: first.nextCursor });
+    expect(second.events.map(event => event.id)).toEqual(['evt_3', 'evt_2']);
+  });
+
+  test('should filter by several event types', async () => {
+    await auditLog.query({ eventType: ['token_revoked', 'tokens_bulk_revoked'] });
+    expect(queries[0].sql).toContain('event_type IN (?, ?)');
+  });
+
+  test('should export every page as NDJSON', async () => {
+    const text = await new Response(auditLog.exportStream({}, 'ndjson')).text();
+    const lines = text.trim().split('\n');
+
+    expect(lines).toHaveLength(5);
+    expect(JSON.parse(lines[0]).id).toBe('evt_5');
+  });
+
+  test('should export CSV with a header and escaped values', async () => {
+    const text = await new Response(auditLog.exportStream({}, 'csv')).text();
+    const lines = text.trim().split('\n');
+
+    expect(lines[0]).toBe('id,timestamp,eventType,success,tokenId,chittyId,service,error,ipAddress,userAgent,metadata');
+    expect(lines).toHaveLength(6);
+    expect(lines[2]).toContain('"Token has expired, ""really"""');
+    expect(lines[1]).toContain('"{""endpoint"":""/v1/tokens/validate""}"');
+  });
+
+  test('should neutralize CSV cells a spreadsheet would run as formulas', async () => {
+    rows.splice(1);
+    rows[0].user_agent = '=HYPERLINK("http://evil.test","x")';
+    rows[0].error_message = '@SUM(1+1)';
+    rows[0].service_name = '+chittyid';
+    rows[0].chitty_id = '-2+3';
+    rows[0].token_id = '\tcmd';
+
+    const text = await new Response(auditLog.exportStream({}, 'csv')).text();
+    const cells = text.trim().split('\n')[1];
+
+    expect(cells).toContain(`"'=HYPERLINK(""http://evil.test"",""x"")"`);
+    expect(cells).toContain(",'@SUM(1+1),");
+    expect(cells).toContain(",'+chittyid,");
+    expect(cells).toContain(",'-2+3,");
+    expect(cells).toContain(",'\tcmd,");
+    expect(cells).toContain(',203.0.113.7,');
+  });
+
+  describe('Hash chain', () => {
+    let events;
+    let checkpoints;
+    let chainLog;
+
+    beforeEach(() => {
+      events = [];
+      checkpoints = [];
+
+      // Fake D1 covering the chain columns and audit_checkpoints
+      const db = {
+        prepare: (sql) => ({
+          bind: (...params) => ({
+            run: async () => {
+              if (sql.includes('INSERT INTO auth_events') && sql.includes('chain_pending')) {
+                const columns = ['id', 'event_type', 'token_id', 'chitty_id', 'service_name', 'success',
+                  'error_message', 'ip_address', 'user_agent', 'metadata', 'timestamp'];
+                events.push({ ...Object.fromEntries(columns.map((column, i) => [column, params[i]])), chain_seq: null, chain_pending: 1 });
+              } else if (sql.includes('INSERT INTO auth_events')) {
+                if (events.some(event => event.chain_seq === params[11])) {
+                  throw new Error('UNIQUE constraint failed: auth_events.chain_seq');
+                }
+                const columns = ['id', 'event_type', 'token_id', 'chitty_id', 'service_name', 'success',
+                  'error_message', 'ip_address', 'user_agent', 'metadata', 'timestamp',
+                  'chain_seq', 'prev_hash', 'event_hash'];
+                events.push(Object.fromEntries(columns.map((column, i) => [column, params[i]])));
+              }
+              if (sql.includes('UPDATE auth_events SET chain_seq')) {
+                if (events.some(event => event.chain_seq === params[0])) {
+                  throw new Error('UNIQUE constraint failed: auth_events.chain_seq');
+                }
+                const event = events.find(e => e.id === params[3] && e.chain_pending === 1);
+                Object.assign(event, { chain_seq: params[0], prev_hash: params[1], event_hash: params[2], chain_pending: null });
+              }
+              if (sql.includes('INSERT OR IGNORE INTO audit_checkpoints')) {
+                checkpoints.push({ seq: params[0], event_hash: params[1], signature: params[2] });
+              }
+              return { success: true };
+            },
+            first: async () => {
+              if (sql.includes('ORDER BY chain_seq DESC')) {
+                return events.filter(event => event.chain_seq >= params[0]).sort((a, b) => b.chain_seq - a.chain_seq)[0] || null;
+              }
+              if (sql.includes('FROM auth_events WHERE chain_seq = ?')) {
+                return events.find(event => event.chain_seq === params[0]) || null;
+              }
+              if (sql.includes('FROM audit_checkpoints WHERE seq = ?')) {
+                return checkpoints.find(checkpoint => checkpoint.seq === params[0]) || null;
+              }
+              return null;
+            },
+            all: async () => {
+              if (sql.includes('WHERE chain_pending = ?')) {
+                return {
+                  results: events
+                    .filter(event => event.chain_pending === params[0])
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .map(event => ({ ...event }))
+                };
+              }
+              if (sql.includes('FROM audit_checkpoints')) {
+                return {
+                  results: checkpoints
+                    .filter(checkpoint => checkpoint.seq >= params[0] && checkpoint.seq <= params[1])
+                    .map(checkpoint => ({
+                      ...checkpoint,
+                      chain_hash: events.find(event => event.chain_seq === checkpoint.seq)?.event_hash
+                    }))
+                };
+              }
+              return {
+                results: events
+                  .filter(event => event.chain_seq >= params[0] && event.chain_seq <= params[1])
+                  .sort((a, b) => a.chain_seq - b.chain_seq)
+              };
+            }
+          })
+        })
+      };
+
+      chainLog = new AuditLog({ AUTH_DB: db, TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only' });
+    });
+
+    const appendEvents = async (count) => {
+      for (let i = 1; i <= count; i++) {
+        await chainLog.append(`evt_${i}`, {
+          eventType: 'token_validated',
+          tokenId: 'tok_abc',
+          chittyId: '03-1-USA-0001-P-251-3-82',
+          success: true,
+          metadata: { endpoint: '/v1/tokens/validate' },
+          timestamp: 1730505600000 + i
+        });
+      }
+    };
+
+    test('should link each event to the previous hash', async () => {
+      await appendEvents(3);
+
+      expect(events.map(event => event.chain_seq)).toEqual([1, 2, 3]);
+      expect(events[0].prev_hash).toBe('0'.repeat(64));
+      expect(events[1].prev_hash).toBe(events[0].event_hash);
+
+      const result = await chainLog.verifyChain();
+      expect(result.valid).toBe(true);
+      expect(result.checkedEvents).toBe(3);
+      expect(result.nextSeq).toBeNull();
+    });
+
+    test('should retry when a concurrent append takes the sequence number', async () => {
+      await appendEvents(1);
+      const getChainHead = chainLog.getChainHead.bind(chainLog);
+      let stale = true;
+      chainLog.getChainHead = async () => {
+        if (stale) {
+          stale = false;
+          return { seq: 0, hash: '0'.repeat(64) };
+        }
+        return getChainHead();
+      };
+
+      const row = await chainLog.append('evt_2', { eventType: 'token_revoked', success: true, timestamp: 1 });
+      expect(row.chain_seq).toBe(2);
+    });
+
+    test('should never fail concurrent appends, chaining the losers later', async () => {
+      const appends = Array.from({ length: 12 }, (_, i) => chainLog.append(`evt_${i + 1}`, {
+        eventType: 'token_validated',
+        success: true,
+        timestamp: 1730505600000 + i
+      }));
+
+      const results = await Promise.allSettled(appends);
+      expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+      expect(events).toHaveLength(12);
+
+      const pending = events.filter(event => event.chain_pending === 1).length;
+      expect(pending).toBeGreaterThan(0);
+
+      expect(await chainLog.chainPending()).toEqual({ chained: pending, pending: 0 });
+      const result = await chainLog.verifyChain();
+      expect(result.valid).toBe(true);
+      expect(result.checkedEvents).toBe(12);
+    });
+
+    test('should report a modified event', async () => {
+      await appendEvents(3);
+      events[1].chitty_id = '03-1-USA-9999-P-251-3-00';
+
+      const result = await chainLog.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.firstBrokenLink).toEqual({ seq: 2, eventId: 'evt_2', reason: 'Event contents modified' });
+    });
+
+    test('should report a deleted event', async () => {
+      await appendEvents(4);
+      events.splice(1, 1);
+
+      const result = await chainLog.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.firstBrokenLink).toEqual({ seq: 2, reason: 'Event missing from chain' });
+    });
+
+    test('should report events deleted from the tail of a checkpointed chain', async () => {
+      await appendEvents(3);
+      await chainLog.createCheckpoint(1730505700000);
+      events.pop();
+
+      const result = await chainLog.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.checkpoints.failed).toEqual([{ seq: 3, reason: 'Chain diverges from signed checkpoint' }]);
+    });
+
+    test('should sign checkpoints verifiable against the JWKS key', async () => {
+      await appendEvents(2);
+      const checkpoint = await chainLog.createCheckpoint(1730505700000);
+
+      expect(checkpoint.seq).toBe(2);
+      const { decoded } = await chainLog.jwtSigner.verifySignature(checkpoint.signature);
+      expect(decoded.header.typ).toBe('audit-checkpoint+jwt');
+      expect(decoded.payload.hash).toBe(events[1].event_hash);
+
+      expect((await chainLog.createCheckpoint(1730505800000)).skipped).toBe(true);
+      expect((await chainLog.verifyChain()).checkpoints.verified).toBe(1);
+    });
+
+    test('should store request context in columns and extra fields in metadata', async () => {
+      const tokenManager = new TokenManager({ AUTH_DB: chainLog.env.AUTH_DB });
+      tokenManager.setRequestContext(new Request('https://auth.chitty.cc/v1/tokens/refresh', {
+        method: 'POST',
+        headers: {
+          'CF-Connecting-IP': '203.0.113.7',
+          'CF-IPCountry': 'US',
+          'CF-Ray': '8d2f1c3b5a6e7f90-SJC',
+          'User-Agent': 'chittyrouter/1.4'
+        }
+      }));
+
+      await tokenManager.logAuditEvent({
+        eventType: 'token_refreshed',
+        tokenId: 'tok_old',
+        newTokenId: 'tok_new',
+        success: true,
+        timestamp: 1730505600000
+      });
+
+      expect(events[0].ip_address).toBe('203.0.113.7');
+      expect(events[0].user_agent).toBe('chittyrouter/1.4');
+      expect(JSON.parse(events[0].metadata)).toEqual({
+        newTokenId: 'tok_new',
+        country: 'US',
+        rayId: '8d2f1c3b5a6e7f90-SJC',
+        endpoint: 'POST /v1/tokens/refresh'
+      });
+      expect((await chainLog.verifyChain()).valid).toBe(true);
+    });
+  });
+
+  describe('getRequestContext', () => {
+    test('should fall back to X-Forwarded-For and tolerate missing headers', () => {
+      const context = getRequestContext(new Request('https://auth.chitty.cc/v1/register', {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': '198.51.100.4, 10.0.0.1' }
+      }));
+
+      expect(context).toEqual({
+        ipAddress: '198.51.100.4',
+        userAgent: null,
+        country: null,
+        rayId: null,
+        endpoint: 'POST /v1/register'
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * ChittyConnect Client Tests
+ * Unit tests for lookup caching, retries, the circuit breaker and outage handling
+ */
+
+import { ChittyConnectClient, ChittyConnectUnavailableError } from '../src/chittyconnect-client.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+const CHITTY_ID = '03-1-USA-0001-P-251-3-82';
+
+describe('ChittyConnectClient', () => {
+  const originalFetch = globalThis.fetch;
+  let env;
+  let requests;
+  let responses;
+  let testNumber = 0;
+
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, body: init.body ? JSON.parse(init.body) : null });
+      const next = responses.length > 1 ? responses.shift() : responses[0];
+      if (next instanceof Error) {
+        throw next;
+      }
+      return new Response(JSON.stringify(next.body || {}), { status: next.status || 200 });
+    };
+
+    // Circuit breakers are shared per URL, so every test gets its own
+    env = {
+      CHITTYCONNECT_URL: `http://connect-${++testNumber}.test`,
+      CHITTYCONNECT_RETRY_BASE_MS: '1',
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_TOKENS: createMockKV()
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('should cache verifications until invalidated', async () => {
+    responses = [{ body: { verified: true, chittyId: CHITTY_ID, trustLevel: 2 } }];
+    const client = new ChittyConnectClient(env);
+
+    expect((await client.verifyChittyID(CHITTY_ID)).trustLevel).toBe(2);
+    expect((await new ChittyConnectClient(env).verifyChittyID(CHITTY_ID)).verified).toBe(true);
+    expect(requests).toHaveLength(1);
+
+    await client.invalidate(CHITTY_ID);
+    await client.verifyChittyID(CHITTY_ID);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should not cache a failed verification', async () => {
+    responses = [{ status: 404 }, { body: { verified: true, chittyId: CHITTY_ID } }];
+    const client = new ChittyConnectClient(env);
+
+    expect((await client.verifyChittyID(CHITTY_ID)).verified).toBe(false);
+    expect((await client.verifyChittyID(CHITTY_ID)).verified).toBe(true);
+  });
+
+  test('should retry idempotent lookups with backoff', async () => {
+    responses = [{ status: 503 }, new TypeError('fetch failed'), { body: { permissions: ['chittyid.read'] } }];
+    const client = new ChittyConnectClient(env);
+
+    const result = await client.getUserPermissions(CHITTY_ID);
+    expect(result.permissions).toEqual(['chittyid.read']);
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should report an outage instead of empty permissions', async () => {
+    responses = [{ status: 502 }];
+    const client = new ChittyConnectClient(env);
+
+    await expect(client.getUserPermissions(CHITTY_ID)).rejects.toThrow(ChittyConnectUnavailableError);
+    expect(requests).toHaveLength(3);
+    expect(await env.AUTH_TOKENS.get(`connect:permissions:${CHITTY_ID}`)).toBeNull();
+  });
+
+  test('should open the circuit after repeated failures and close it after a good probe', async () => {
+    env.CHITTYCONNECT_MAX_RETRIES = '0';
+    env.CHITTYCONNECT_BREAKER_THRESHOLD = '2';
+    responses = [new TypeError('fetch failed')];
+    const client = new ChittyConnectClient(env);
+
+    for (let i = 0; i < 2; i++) {
+      await expect(client.verifyChittyID(CHITTY_ID)).rejects.toThrow('ChittyConnect unreachable');
+    }
+    const error = await client.verifyChittyID(CHITTY_ID).catch(e => e);
+    expect(error.message).toBe('ChittyConnect circuit breaker is open');
+    expect(error.retryAfter).toBeGreaterThan(0);
+    expect(requests).toHaveLength(2);
+
+    // Once the cooldown has passed, one probe is let through
+    const recovered = new ChittyConnectClient({ ...env, CHITTYCONNECT_BREAKER_COOLDOWN: '0' });
+    responses = [{ body: { verified: true, chittyId: CHITTY_ID } }];
+    expect((await recovered.verifyChittyID(CHITTY_ID)).verified).toBe(true);
+    expect(recovered.getCircuit().state).toBe('closed');
+  });
+
+  test('should let a new probe through when the previous one never reports back', async () => {
+    env.CHITTYCONNECT_MAX_RETRIES = '0';
+    env.CHITTYCONNECT_BREAKER_THRESHOLD = '1';
+    env.CHITTYCONNECT_BREAKER_COOLDOWN = '0';
+    env.CHITTYCONNECT_TIMEOUT_MS = '50';
+    responses = [new TypeError('fetch failed')];
+    const client = new ChittyConnectClient(env);
+    await expect(client.verifyChittyID(CHITTY_ID)).rejects.toThrow('ChittyConnect unreachable');
+
+    // The probe's request is dropped: its fetch never settles
+    globalThis.fetch = () => new Promise(() => {});
+    client.verifyChittyID(CHITTY_ID);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(client.getCircuit().state).toBe('half-open');
+    await expect(client.verifyChittyID(CHITTY_ID)).rejects.toThrow('ChittyConnect circuit breaker is open');
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60;
+    try {
+      globalThis.fetch = async () => new Response(JSON.stringify({ verified: true, chittyId: CHITTY_ID }));
+      expect((await client.verifyChittyID(CHITTY_ID)).verified).toBe(true);
+      expect(client.getCircuit().state).toBe('closed');
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('should answer provisioning with 503 while ChittyConnect is down', async () => {
+    responses = [{ status: 500 }];
+    const api = new ChittyAuthAPI(env);
+
+    const response = await api.route(new Request('https://auth.chitty.cc/v1/tokens/provision', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chittyId: CHITTY_ID, scope: ['chittyid:read'], service: 'chittyid' })
+    }));
+    const body = await response.json();
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Retry-After')).toBe('5');
+    expect(body.error).toBe('ChittyConnect is unavailable');
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * ChittyAuth Degraded Mode Tests
+ * Unit tests for the per-operation failure policies, queued claims and reconciliation
+ */
+
+import { DegradedMode } from '../src/degraded-mode.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+const CHITTY_ID = '03-1-USA-0001-P-251-3-82';
+
+describe('DegradedMode', () => {
+  const originalFetch = globalThis.fetch;
+  let env;
+  let db;
+  let down;
+  let testNumber = 0;
+
+  const route = (path, body) => new ChittyAuthAPI(env).route(new Request(`https://auth.chitty.cc${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }));
+  const provision = () => route('/v1/tokens/provision', {
+    chittyId: CHITTY_ID,
+    scope: ['chittyid:read', 'chittyid:generate'],
+    service: 'chittyid',
+    expiresIn: 86400
+  });
+  const fallbackEvents = async () => (await env.AUTH_AUDIT.values())
+    .filter(event => event.eventType === 'degraded_mode_fallback');
+
+  beforeEach(() => {
+    down = true;
+    globalThis.fetch = async (url) => {
+      if (down) {
+        throw new TypeError('fetch failed');
+      }
+      if (String(url).includes('/internal/generate')) {
+        return new Response(JSON.stringify({ chittyId: CHITTY_ID }));
+      }
+      if (String(url).includes('/v1/identity/permissions')) {
+        return new Response(JSON.stringify({ permissions: ['chittyid.read', 'chittyid.generate'] }));
+      }
+      return new Response(JSON.stringify({ verified: true, chittyId: CHITTY_ID, trustLevel: 2 }));
+    };
+
+    db = createMockD1();
+    // Circuit breakers are shared per URL, so every test gets its own
+    env = {
+      CHITTYCONNECT_URL: `http://connect-${++testNumber}.test`,
+      CHITTYCONNECT_MAX_RETRIES: '0',
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_DB: db,
+      AUTH_TOKENS: createMockKV(),
+      AUTH_AUDIT: createMockKV()
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('should fail closed on an unknown policy', () => {
+    const degraded = new DegradedMode({ DEGRADED_PROVISION_POLICY: 'fail-open' }, null);
+
+    expect(degraded.policy('provision')).toBe('fail_closed');
+    expect(new DegradedMode({}, null).policy('registration')).toBe('fail_open');
+  });
+
+  test('should refuse provisioning with 503 and record the fallback under fail_closed', async () => {
+    const response = await provision();
+
+    expect(response.status).toBe(503);
+    expect(db.operations).toHaveLength(1);
+    expect(db.operations[0]).toMatchObject({ operation: 'provision', policy: 'fail_closed', status: 'refused' });
+
+    const [event] = await fallbackEvents();
+    expect(event).toMatchObject({ operation: 'provision', policy: 'fail_closed', success: false });
+  });
+
+  test('should issue a reduced, short-lived token marked degraded under fail_open', async () => {
+    env.DEGRADED_PROVISION_POLICY = 'fail_open';
+
+    const before = Date.now();
+    const response = await provision();
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body.scope).toEqual(['chittyid:read']);
+    expect(Date.parse(body.expiresAt)).toBeLessThanOrEqual(before + 3600 * 1000 + 1000);
+    expect(body.degraded).toMatchObject({ operation: 'provision', policy: 'fail_open' });
+    expect(db.operations[0]).toMatchObject({ status: 'open', token_id: body.tokenId });
+
+    const [event] = await fallbackEvents();
+    expect(event).toMatchObject({ fallbackId: body.degraded.fallbackId, tokenId: body.tokenId, success: true });
+  });
+
+  test('should fail closed under fail_open when no requested scope is degraded-safe', async () => {
+    env.DEGRADED_PROVISION_POLICY = 'fail_open';
+    env.DEGRADED_SCOPES = 'chittyid:read';
+
+    const response = await route('/v1/tokens/provision', {
+      chittyId: CHITTY_ID,
+      scope: ['chittyid:generate'],
+      service: 'chittyid'
+    });
+
+    expect(response.status).toBe(503);
+    expect(db.operations[0].policy).toBe('fail_closed');
+  });
+
+  test('should queue provisioning and hand the token to the claimant once ChittyConnect is back', async () => {
+    env.DEGRADED_PROVISION_POLICY = 'queue';
+
+    const response = await provision();
+    const queued = await response.json();
+    expect(response.status).toBe(202);
+    expect(response.headers.get('Retry-After')).toBeTruthy();
+    expect(queued.claimUrl).toBe(`/v1/operations/${queued.requestId}/claim`);
+    expect(db.operations[0].claim_hash).not.toContain(queued.claimSecret);
+
+    const wrong = await route(queued.claimUrl, { claimSecret: 'claim_wrong' });
+    expect(wrong.status).toBe(404);
+
+    // Still down: the operation stays queued
+    expect((await route(queued.claimUrl, { claimSecret: queued.claimSecret })).status).toBe(202);
+
+    down = false;
+    const claimed = await route(queued.claimUrl, { claimSecret: queued.claimSecret });
+    const result = await claimed.json();
+    expect(claimed.status).toBe(201);
+    expect(result.scope).toEqual(['chittyid:read', 'chittyid:generate']);
+    expect(db.operations[0]).toMatchObject({ status: 'completed', payload: null });
+
+    expect((await route(queued.claimUrl, { claimSecret: queued.claimSecret })).status).toBe(409);
+  });
+
+  test('should run a queued operation once when it is claimed concurrently', async () => {
+    env.DEGRADED_PROVISION_POLICY = 'queue';
+    const queued = await (await provision()).json();
+    down = false;
+
+    const responses = await Promise.all([
+      route(queued.claimUrl, { claimSecret: queued.claimSecret }),
+      route(queued.claimUrl, { claimSecret: queued.claimSecret })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(db.operations[0].status).toBe('completed');
+    expect((await env.AUTH_AUDIT.values()).filter(event => event.eventType === 'token_provision')).toHaveLength(1);
+  });
+
+  test('should refuse registration with 503 while the ChittyID service is down under fail_closed', async () => {
+    env.DEGRADED_REGISTRATION_POLICY = 'fail_closed';
+
+    const response = await route('/v1/register', { name: 'Test User', email: 'test@example.com' });
+    const body = await response.json();
+
+    expect(response.status).toBe(503);
+    expect(body.reason).toBe('unavailable');
+    expect(db.operations[0]).toMatchObject({ operation: 'registration', status: 'refused' });
+  });
+
+  test('should mark a locally generated ChittyID as provisional under fail_open', async () => {
+    const response = await route('/v1/register', { name: 'Test User', email: 'test@example.com' });
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body.provisional).toBe(true);
+    expect(body.degraded).toMatchObject({ operation: 'registration', policy: 'fail_open' });
+    expect(db.operations[0]).toMatchObject({ status: 'open', chitty_id: body.registration.chittyId });
+  });
+
+  test('should revoke degraded tokens ChittyConnect does not confirm', async () => {
+    const revoked = [];
+    const tokenManager = {
+      revoke: async (tokenId, reason) => revoked.push({ tokenId, reason }),
+      logAuditEvent: async () => {}
+    };
+    const degraded = new DegradedMode(env, tokenManager);
+    await degraded.record({ operation: 'provision', policy: 'fail_open', reason: 'down', chittyId: 'confirmed', tokenId: 'tok_a' });
+    await degraded.record({ operation: 'provision', policy: 'fail_open', reason: 'down', chittyId: 'refused', tokenId: 'tok_b' });
+
+    const chittyConnect = { verifyChittyID: async (chittyId) => ({ verified: chittyId === 'confirmed' }) };
+    const summary = await degraded.reconcile(chittyConnect);
+
+    expect(summary).toMatchObject({ reconciled: 1, revoked: 1, pending: 0 });
+    expect(revoked).toEqual([{ tokenId: 'tok_b', reason: 'Degraded-mode grant not confirmed by ChittyConnect' }]);
+    expect(db.operations.map(operation => operation.status)).toEqual(['reconciled', 'revoked']);
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    },
+    list: async () => ({ keys: [] }),
+    values: async () => [...store.values()].map(value => JSON.parse(value))
+  };
+}
+
+// Mock D1 database (degraded_operations only; every other statement succeeds with no rows)
+function createMockD1() {
+  const operations = [];
+
+  const run = (sql, params) => {
+    if (sql.includes('INSERT INTO degraded_operations') && sql.includes('claim_hash')) {
+      const [id, operation, chittyId, payload, claimHash, reason, createdAt, expiresAt] = params;
+      operations.push({
+        id, operation, policy: 'queue', status: 'queued', chitty_id: chittyId, payload,
+        claim_hash: claimHash, reason, created_at: createdAt, expires_at: expiresAt
+      });
+    } else if (sql.includes('INSERT INTO degraded_operations')) {
+      const [id, operation, policy, status, chittyId, tokenId, reason, createdAt] = params;
+      operations.push({ id, operation, policy, status, chitty_id: chittyId, token_id: tokenId, reason, created_at: createdAt });
+    } else if (sql.includes("SET status = 'claiming'")) {
+      const row = operations.find(row => row.id === params[0] && row.status === 'queued');
+      if (row) {
+        row.status = 'claiming';
+      }
+      return { success: true, meta: { changes: row ? 1 : 0 } };
+    } else if (sql.includes("SET status = 'queued'")) {
+      const row = operations.find(row => row.id === params[0] && row.status === 'claiming');
+      if (row) {
+        row.status = 'queued';
+      }
+    } else if (sql.includes("SET status = 'completed'")) {
+      Object.assign(operations.find(row => row.id === params[1]), { status: 'completed', payload: null });
+    } else if (sql.includes('UPDATE degraded_operations SET status = ?')) {
+      operations.find(row => row.id === params[2]).status = params[0];
+    }
+    return { success: true, meta: { changes: 0 } };
+  };
+
+  return {
+    operations,
+    prepare: (sql) => ({
+      bind: (...params) => ({
+        run: async () => run(sql, params),
+        first: async () => sql.includes('FROM degraded_operations')
+          ? operations.find(row => row.id === params[0] && row.policy === 'queue') || null
+          : null,
+        all: async () => ({
+          results: sql.includes('FROM degraded_operations')
+            ? operations.filter(row => row.operation === 'provision' && row.status === 'open')
+            : []
+        })
+      }),
+      all: async () => ({ results: [] })
+    })
+  };
+}
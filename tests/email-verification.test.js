@@ -0,0 +1,268 @@
+/**
+ * ChittyAuth Email Verification Tests
+ * Unit tests for verification codes, their limits and the token upgrade on success
+ */
+
+import { EmailVerificationManager } from '../src/email-verification.js';
+import { OutboxMailSender, UnconfiguredMailSender, createMailSender } from '../src/mail-sender.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+const CHITTY_ID = '03-1-USA-0001-P-251-3-82';
+
+describe('EmailVerificationManager', () => {
+  let env;
+  let db;
+  let sent;
+  let verification;
+
+  const mailSender = { send: async (message) => { sent.push(message); return { delivered: true }; } };
+  const sentCode = () => /code is (\d{6})/.exec(sent[sent.length - 1].text)[1];
+
+  beforeEach(() => {
+    db = createMockD1();
+    sent = [];
+    env = {
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_DB: db,
+      AUTH_TOKENS: createMockKV(),
+      EMAIL_VERIFICATION_MAX_ATTEMPTS: '3',
+      EMAIL_VERIFICATION_MAX_SENDS: '2',
+      EMAIL_VERIFICATION_LINK_URL: 'https://get.chitty.cc/verify'
+    };
+    db.tables.registrations.push({ chitty_id: CHITTY_ID, verified_at: null, verification_method: null, trust_level: 0 });
+    verification = new EmailVerificationManager(env, mailSender);
+  });
+
+  test('should store only a hash of the emailed code', async () => {
+    const issued = await verification.issue({ chittyId: CHITTY_ID, email: 'Test@Example.com', tokenId: 'tok_abc' });
+
+    expect(issued.method).toBe('email');
+    expect(sent[0].to).toBe('Test@Example.com');
+    expect(sent[0].text).toContain(`https://get.chitty.cc/verify?chittyId=${CHITTY_ID}&code=${sentCode()}`);
+
+    const [row] = db.tables.email_verifications;
+    expect(row.email).toBe('test@example.com');
+    expect(row.code_hash).not.toContain(sentCode());
+  });
+
+  test('should mark the registration verified with the right code', async () => {
+    await verification.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId: 'tok_abc' });
+
+    const result = await verification.verify(CHITTY_ID, sentCode());
+
+    expect(result.success).toBe(true);
+    expect(result.grantedScopes).toEqual(['chittyid:validate']);
+    expect(db.tables.registrations[0].verification_method).toBe('email');
+    expect(db.tables.registrations[0].verified_at).toBeGreaterThan(0);
+    expect(db.tables.registrations[0].trust_level).toBe(1);
+    expect(db.tables.email_verifications).toHaveLength(0);
+
+    expect((await verification.verify(CHITTY_ID, sentCode())).reason).toBe('already_verified');
+  });
+
+  test('should lock the code after too many wrong attempts', async () => {
+    await verification.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId: 'tok_abc' });
+    const wrong = sentCode() === '000000' ? '111111' : '000000';
+
+    expect(await verification.verify(CHITTY_ID, wrong)).toMatchObject({ reason: 'invalid_code', attemptsRemaining: 2 });
+    await verification.verify(CHITTY_ID, wrong);
+    await verification.verify(CHITTY_ID, wrong);
+
+    expect((await verification.verify(CHITTY_ID, sentCode())).reason).toBe('too_many_attempts');
+  });
+
+  test('should reject expired codes', async () => {
+    await verification.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId: 'tok_abc' });
+    db.tables.email_verifications[0].expires_at = Date.now() - 1;
+
+    expect((await verification.verify(CHITTY_ID, sentCode())).reason).toBe('expired');
+  });
+
+  test('should replace the code on resend up to the send limit', async () => {
+    const codes = ['111111', '222222'];
+    verification.generateCode = () => codes.shift();
+    await verification.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId: 'tok_abc' });
+    db.tables.email_verifications[0].attempts = 3;
+
+    const resent = await verification.resend(CHITTY_ID);
+    expect(resent.success).toBe(true);
+    expect(resent.sendsRemaining).toBe(0);
+    expect(sentCode()).toBe('222222');
+    expect(db.tables.email_verifications[0].attempts).toBe(0);
+    expect((await verification.verify(CHITTY_ID, '111111')).reason).toBe('invalid_code');
+
+    expect((await verification.resend(CHITTY_ID)).reason).toBe('too_many_sends');
+  });
+
+  test('should keep outbox mail readable in KV', async () => {
+    const outbox = new OutboxMailSender(env);
+    const log = console.log;
+    const logged = [];
+    console.log = (...args) => logged.push(args.join(' '));
+    const { outboxId } = await outbox.send({ to: 'test@example.com', subject: 'Hi', text: 'Your code is 123456' });
+    console.log = log;
+
+    expect(JSON.parse(await env.AUTH_TOKENS.get(`outbox:${outboxId}`)).to).toBe('test@example.com');
+    // The body (code and link) never reaches the log
+    expect(logged.join('\n')).not.toContain('123456');
+  });
+
+  test('should not use the outbox in production', async () => {
+    env.ENVIRONMENT = 'production';
+
+    expect(() => new OutboxMailSender(env)).toThrow('not available in production');
+    expect(createMailSender(env)).toBeInstanceOf(UnconfiguredMailSender);
+
+    const production = new EmailVerificationManager(env);
+    await expect(production.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId: 'tok_abc' }))
+      .rejects.toThrow('MAIL_API_URL must be set in production');
+  });
+
+  describe('Verify endpoint', () => {
+    test('should upgrade the registration token scopes', async () => {
+      const api = new ChittyAuthAPI(env);
+      api.registrationHandler.emailVerification = verification;
+
+      const { token, tokenId } = await api.tokenManager.provision({
+        chittyId: CHITTY_ID,
+        scope: ['chittyid:read', 'chittyid:generate'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      await verification.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId });
+
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/register/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chittyId: CHITTY_ID, code: sentCode() })
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.trustLevel).toBe('1');
+      expect(body.token.scope).toEqual(['chittyid:read', 'chittyid:generate', 'chittyid:validate']);
+
+      const validation = await api.tokenManager.validate(token);
+      expect(validation.scope).toContain('chittyid:validate');
+    });
+
+    test('should record the verified trust level where ChittyID lookups read it', async () => {
+      const api = new ChittyAuthAPI(env);
+      api.registrationHandler.emailVerification = verification;
+      api.chittyConnect.makeRequest = async () => new Response(JSON.stringify({
+        verified: true,
+        chittyId: CHITTY_ID,
+        trustLevel: '0'
+      }));
+
+      expect((await api.chittyConnect.verifyChittyID(CHITTY_ID)).trustLevel).toBe('0');
+
+      await verification.issue({ chittyId: CHITTY_ID, email: 'test@example.com', tokenId: null });
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/register/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chittyId: CHITTY_ID, code: sentCode() })
+      }));
+
+      expect((await response.json()).trustLevel).toBe('1');
+      expect(db.tables.registrations[0].trust_level).toBe(1);
+      expect((await api.chittyConnect.verifyChittyID(CHITTY_ID)).trustLevel).toBe('1');
+    });
+
+    test('should map failures to status codes', async () => {
+      const api = new ChittyAuthAPI(env);
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/register/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chittyId: CHITTY_ID, code: '123456' })
+      }));
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
+
+// Mock D1 database (email_verifications, registrations and token scopes)
+function createMockD1() {
+  const tables = {
+    email_verifications: [],
+    registrations: [],
+    tokens: []
+  };
+
+  return {
+    tables,
+    prepare: (sql) => ({
+      bind: (...params) => ({
+        run: async () => {
+          let changes = 0;
+          if (sql.includes('INSERT INTO email_verifications')) {
+            tables.email_verifications.push({
+              chitty_id: params[0],
+              email: params[1],
+              token_id: params[2],
+              code_hash: params[3],
+              expires_at: params[4],
+              attempts: 0,
+              send_count: 1
+            });
+          }
+          if (sql.includes('SET attempts = attempts + 1')) {
+            const row = tables.email_verifications.find(r => r.chitty_id === params[0] && r.attempts < params[1]);
+            if (row) {
+              row.attempts++;
+              changes = 1;
+            }
+          }
+          if (sql.includes('SET code_hash = ?')) {
+            const row = tables.email_verifications.find(r => r.chitty_id === params[3]);
+            Object.assign(row, { code_hash: params[0], expires_at: params[1], attempts: 0, send_count: row.send_count + 1 });
+          }
+          if (sql.includes('DELETE FROM email_verifications')) {
+            tables.email_verifications = tables.email_verifications.filter(r => r.chitty_id !== params[0]);
+          }
+          if (sql.includes('UPDATE registrations SET verified_at')) {
+            const row = tables.registrations.find(r => r.chitty_id === params[2]);
+            Object.assign(row, { verified_at: params[0], verification_method: 'email', trust_level: Math.max(row.trust_level, params[1]) });
+          }
+          if (sql.includes('INSERT INTO tokens')) {
+            tables.tokens.push({ id: params[0], token_hash: params[1], scope: params[3] });
+          }
+          if (sql.includes('UPDATE tokens SET scope')) {
+            tables.tokens.find(t => t.id === params[1]).scope = params[0];
+          }
+          return { success: true, meta: { changes } };
+        },
+        all: async () => ({ results: [] }),
+        first: async () => {
+          if (sql.includes('FROM email_verifications')) {
+            const row = tables.email_verifications.find(r => r.chitty_id === params[0]);
+            return row ? { ...row } : null;
+          }
+          if (sql.includes('FROM registrations')) {
+            return tables.registrations.find(r => r.chitty_id === params[0]) || null;
+          }
+          if (sql.includes('SELECT token_hash, scope FROM tokens')) {
+            return tables.tokens.find(t => t.id === params[0]) || null;
+          }
+          return null;
+        }
+      })
+    })
+  };
+}
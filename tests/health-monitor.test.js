@@ -0,0 +1,221 @@
+/**
+ * ChittyAuth Health Monitor Tests
+ * Unit tests for dependency probes, service_health history and the liveness/readiness endpoints
+ */
+
+import { HealthMonitor } from '../src/health-monitor.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('HealthMonitor', () => {
+  const originalFetch = globalThis.fetch;
+  let env;
+  let down;
+  let requests;
+  let testNumber = 0;
+
+  const get = (path, headers = {}) => new ChittyAuthAPI(env).route(new Request(`https://auth.chitty.cc${path}`, { headers }));
+
+  beforeEach(() => {
+    down = new Set();
+    requests = [];
+    globalThis.fetch = async (url) => {
+      requests.push(String(url));
+      const service = String(url).includes('connect') ? 'chittyconnect' : 'chittyid';
+      if (down.has(service)) {
+        throw new TypeError('fetch failed');
+      }
+      return new Response('{}');
+    };
+
+    // Circuit breakers are shared per URL, so every test gets its own
+    env = {
+      CHITTYCONNECT_URL: `http://connect-${++testNumber}.test`,
+      CHITTYID_URL: 'http://id.test',
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_DB: createMockD1(),
+      AUTH_TOKENS: createMockKV(),
+      AUTH_REVOCATIONS: createMockKV(),
+      AUTH_RATE_LIMITS: createMockKV(),
+      AUTH_AUDIT: createMockKV()
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('should report healthy and record every dependency when all are up', async () => {
+    const report = await new HealthMonitor(env).checkReadiness();
+
+    expect(report.status).toBe('healthy');
+    expect(Object.keys(report.dependencies)).toEqual([
+      'd1', 'kv:AUTH_TOKENS', 'kv:AUTH_REVOCATIONS', 'kv:AUTH_RATE_LIMITS', 'kv:AUTH_AUDIT', 'chittyconnect', 'chittyid'
+    ]);
+    expect(report.dependencies.d1).toMatchObject({ status: 'up', critical: true, failureCount: 0 });
+    expect(report.dependencies.chittyconnect.circuit).toBe('closed');
+    expect(report.dependencies.chittyid.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(env.AUTH_DB.rows.size).toBe(7);
+  });
+
+  test('should stay ready but degraded while ChittyConnect is down and count consecutive failures', async () => {
+    down.add('chittyconnect');
+    const monitor = new HealthMonitor(env);
+    const now = Date.now();
+
+    await monitor.checkReadiness(now);
+    const report = await monitor.checkReadiness(now + 60000);
+
+    expect(report.status).toBe('degraded');
+    expect(report.dependencies.chittyconnect).toMatchObject({ status: 'down', critical: false, failureCount: 2 });
+    expect(report.dependencies.chittyconnect.lastFailure).not.toBeNull();
+
+    down.clear();
+    expect((await monitor.checkReadiness(now + 60001)).dependencies.chittyconnect.failureCount).toBe(0);
+  });
+
+  test('should only rewrite service_health when a status changes or the interval has passed', async () => {
+    const monitor = new HealthMonitor(env);
+    const now = Date.now();
+
+    await monitor.checkReadiness(now);
+    expect(env.AUTH_DB.writes).toBe(7);
+
+    await monitor.checkReadiness(now + 1000);
+    await monitor.checkReadiness(now + 2000);
+    expect(env.AUTH_DB.writes).toBe(7);
+
+    down.add('chittyid');
+    const report = await monitor.checkReadiness(now + 3000);
+    expect(env.AUTH_DB.writes).toBe(8);
+    expect(report.dependencies.chittyid.failureCount).toBe(1);
+    expect(report.dependencies.d1.failureCount).toBe(0);
+
+    await monitor.checkReadiness(now + 63000);
+    expect(env.AUTH_DB.writes).toBe(15);
+  });
+
+  test('should probe ChittyConnect without touching its circuit breaker', async () => {
+    down.add('chittyconnect');
+    const monitor = new HealthMonitor(env);
+
+    for (let i = 0; i < 6; i++) {
+      await monitor.checkReadiness();
+    }
+
+    expect(monitor.chittyConnect.getCircuit()).toMatchObject({ state: 'closed', failures: 0 });
+    expect(requests.filter(url => url.includes('connect'))).toHaveLength(6);
+  });
+
+  test('should answer readiness with 503 when a critical dependency is down', async () => {
+    delete env.AUTH_REVOCATIONS;
+
+    const response = await get('/health/ready');
+    const body = await response.json();
+
+    expect(response.status).toBe(503);
+    expect(body.status).toBe('unhealthy');
+    expect(body.dependencies['kv:AUTH_REVOCATIONS']).toBe('down');
+    expect(JSON.stringify(body)).not.toContain('not bound');
+  });
+
+  test('should show dependency details to admins only', async () => {
+    down.add('chittyconnect');
+    const { token } = await new ChittyAuthAPI(env).tokenManager.provision({
+      chittyId: '03-1-USA-0001-P-251-3-82',
+      scope: ['admin:*'],
+      service: 'chittyauth',
+      kind: 'service'
+    });
+
+    const admin = await (await get('/health', { Authorization: `Bearer ${token}` })).json();
+    expect(admin.dependencies.chittyconnect).toMatchObject({ status: 'down', circuit: 'closed', error: 'fetch failed' });
+
+    const anonymous = await (await get('/health')).json();
+    expect(anonymous.dependencies).toMatchObject({ d1: 'up', chittyconnect: 'down' });
+    expect(JSON.stringify(anonymous)).not.toContain('circuit');
+  });
+
+  test('should not record anything while D1 is down', async () => {
+    env.AUTH_DB.failing = true;
+
+    const report = await new HealthMonitor(env).checkReadiness();
+
+    expect(report.status).toBe('unhealthy');
+    expect(report.dependencies.d1.error).toBe('D1_ERROR: database unavailable');
+    expect(env.AUTH_DB.rows.size).toBe(0);
+  });
+
+  test('should answer liveness without probing dependencies', async () => {
+    delete env.AUTH_DB;
+
+    const response = await get('/health/live');
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).status).toBe('alive');
+    expect(requests).toHaveLength(0);
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
+
+// Mock D1 database (service_health; other tables read as empty)
+function createMockD1() {
+  const rows = new Map();
+  const db = { rows, writes: 0, failing: false };
+
+  const check = () => {
+    if (db.failing) {
+      throw new Error('D1_ERROR: database unavailable');
+    }
+  };
+
+  const upsert = ([name, status, lastCheck, lastSuccess, lastFailure]) => {
+    const row = rows.get(name) || { service_name: name, failure_count: 0, last_success: null, last_failure: null };
+    rows.set(name, {
+      ...row,
+      status,
+      last_check: lastCheck,
+      last_success: lastSuccess ?? row.last_success,
+      last_failure: lastFailure ?? row.last_failure,
+      failure_count: status === 'up' ? 0 : row.failure_count + 1
+    });
+  };
+
+  db.prepare = (sql) => ({
+    first: async () => {
+      check();
+      return { 1: 1 };
+    },
+    all: async () => {
+      check();
+      return { results: [...rows.values()] };
+    },
+    bind: (...params) => ({
+      run: async () => {
+        check();
+        if (sql.includes('INSERT INTO service_health')) {
+          db.writes++;
+          upsert(params);
+        }
+        return { success: true };
+      },
+      first: async () => null,
+      all: async () => ({ results: [] })
+    })
+  });
+
+  return db;
+}
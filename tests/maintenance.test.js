@@ -0,0 +1,218 @@
+/**
+ * ChittyAuth Maintenance Tests
+ * Unit tests for token purging, the stats rollup, overdue rotation flags, signing key retirement
+ * and the scheduled run
+ */
+
+import { MaintenanceJob } from '../src/maintenance.js';
+
+const DAY_MS = 86400000;
+const at = (iso) => Date.parse(iso);
+
+describe('MaintenanceJob', () => {
+  let db;
+  let job;
+  let events;
+
+  beforeEach(() => {
+    db = createMockD1();
+    job = new MaintenanceJob({
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_DB: db
+    });
+    events = [];
+    job.tokenManager.logAuditEvent = async (event) => {
+      events.push(event);
+    };
+  });
+
+  test('should archive and delete tokens past their retention, with their refresh tokens', async () => {
+    const now = at('2025-11-06T00:00:00Z');
+    db.tokens = [
+      { id: 'expired-long-ago', expires_at: now - 31 * DAY_MS, revoked_at: null },
+      { id: 'expired-recently', expires_at: now - DAY_MS, revoked_at: null },
+      { id: 'revoked-long-ago', expires_at: now + DAY_MS, revoked_at: now - 91 * DAY_MS },
+      { id: 'revoked-recently', expires_at: now + DAY_MS, revoked_at: now - 89 * DAY_MS }
+    ];
+    db.refreshTokens = [
+      { id: 'rt-old', expires_at: now - 31 * DAY_MS, revoked_at: null },
+      { id: 'rt-live', expires_at: now + DAY_MS, revoked_at: null }
+    ];
+
+    const result = await job.purgeTokens(now);
+
+    expect(result).toEqual({ archived: 2, refreshTokensDeleted: 1 });
+    expect(db.archive.map(row => [row.id, row.archived_at])).toEqual([
+      ['expired-long-ago', now],
+      ['revoked-long-ago', now]
+    ]);
+    expect(db.tokens.map(row => row.id)).toEqual(['expired-recently', 'revoked-recently']);
+    expect(db.refreshTokens.map(row => row.id)).toEqual(['rt-live']);
+  });
+
+  test('should roll up yesterday and today into token_stats', async () => {
+    const now = at('2025-11-06T00:05:00Z');
+    db.eventCounts = {
+      [at('2025-11-05T00:00:00Z')]: { provisions: 4, validations: 40, failed_validations: 2, revocations: 1, rate_limit_hits: 3, unique_users: 2 }
+    };
+
+    const result = await job.rollupStats(now);
+
+    expect(result.days).toEqual(['2025-11-05', '2025-11-06']);
+    expect(db.stats.get('2025-11-05')).toEqual(['2025-11-05', 4, 40, 2, 1, 3, 2, now]);
+    expect(db.stats.get('2025-11-06')).toEqual(['2025-11-06', 0, 0, 0, 0, 0, 0, now]);
+  });
+
+  test('should report an overdue client secret once per rotation period', async () => {
+    const now = at('2025-11-06T00:00:00Z');
+    db.services = [
+      { service_name: 'chittyrouter', chitty_id: '03-1-USA-0002-S-251-3-11', created_at: now - 40 * DAY_MS, last_rotated_at: null, rotation_interval: 30 * 86400 },
+      { service_name: 'chittyfresh', chitty_id: '03-1-USA-0003-S-251-3-12', created_at: now - 40 * DAY_MS, last_rotated_at: now - DAY_MS, rotation_interval: 30 * 86400 }
+    ];
+
+    expect(await job.flagOverdueRotations(now)).toEqual({ overdue: ['chittyrouter'] });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ eventType: 'credential_rotation_due', service: 'chittyrouter', success: false });
+
+    // Later hourly runs stay quiet
+    expect(await job.flagOverdueRotations(now + 3600000)).toEqual({ overdue: [] });
+    expect(await job.flagOverdueRotations(now + 7200000)).toEqual({ overdue: [] });
+    expect(events).toHaveLength(1);
+
+    // Rotated, then overdue again
+    db.services[0].last_rotated_at = now + DAY_MS;
+    expect(await job.flagOverdueRotations(now + 32 * DAY_MS)).toEqual({ overdue: ['chittyrouter', 'chittyfresh'] });
+    expect(events).toHaveLength(3);
+  });
+
+  test('should retire a rotated-out signing key only once no live token uses it', async () => {
+    const now = at('2025-11-06T00:00:00Z');
+    db.signingKeys = [
+      { kid: 'kid-active', encrypted_secret: null, status: 'active', created_at: now - DAY_MS },
+      { kid: 'kid-in-use', encrypted_secret: null, status: 'retiring', created_at: now - 3 * DAY_MS, rotated_at: now - DAY_MS },
+      { kid: 'kid-unused', encrypted_secret: null, status: 'retiring', created_at: now - 2 * DAY_MS, rotated_at: now - DAY_MS },
+      { kid: 'kid-just-rotated', encrypted_secret: null, status: 'retiring', created_at: now - 2 * DAY_MS, rotated_at: now - 60000 }
+    ];
+    db.tokens = [{ id: 'live', signing_key_id: 'kid-in-use', expires_at: now + DAY_MS, revoked_at: null }];
+
+    const result = await job.retireUnusedSigningKeys(now);
+
+    expect(result).toEqual({ retired: ['kid-unused'] });
+    expect(db.signingKeys.map(key => key.status)).toEqual(['active', 'retiring', 'retired', 'retiring']);
+    expect(events.map(event => [event.eventType, event.keyId])).toEqual([['signing_key_retired', 'kid-unused']]);
+  });
+
+  test('should reconcile degraded-mode tokens and keep going when a task fails', async () => {
+    const now = at('2025-11-06T00:00:00Z');
+    db.degradedOperations = [{ id: 'op-1', chitty_id: '03-1-USA-0001-P-251-3-82', token_id: 'token-1', status: 'open' }];
+    job.chittyConnect = { verifyChittyID: async () => ({ verified: true }) };
+    db.failing = 'FROM auth_events';
+
+    const summary = await job.run(now);
+
+    expect(summary.success).toBe(false);
+    expect(summary.stats.error).toBe('D1_ERROR: auth_events unavailable');
+    expect(summary.degraded).toMatchObject({ reconciled: 1, revoked: 0, pending: 0 });
+    expect(db.degradedOperations[0].status).toBe('reconciled');
+    expect(summary.purge).toEqual({ archived: 0, refreshTokensDeleted: 0 });
+    expect(summary.rotation).toEqual({ overdue: [] });
+  });
+
+  test('should refuse to run without a database', async () => {
+    const summary = await new MaintenanceJob({}).run();
+
+    expect(summary).toEqual({ success: false, error: 'Database not available' });
+  });
+});
+
+// Mock D1 database (the tables maintenance touches)
+function createMockD1() {
+  const db = {
+    tokens: [],
+    refreshTokens: [],
+    archive: [],
+    stats: new Map(),
+    services: [],
+    signingKeys: [],
+    degradedOperations: [],
+    eventCounts: {},
+    failing: null
+  };
+
+  const purgeable = ([expiredBefore, revokedBefore]) => (row) =>
+    row.expires_at < expiredBefore || (row.revoked_at !== null && row.revoked_at < revokedBefore);
+
+  const check = (sql) => {
+    if (db.failing && sql.includes(db.failing)) {
+      throw new Error(`D1_ERROR: ${db.failing.replace('FROM ', '')} unavailable`);
+    }
+  };
+
+  const statement = (sql, params) => ({
+    run: async () => {
+      check(sql);
+      let changes = 0;
+      if (sql.includes('INTO tokens_archive')) {
+        const [archivedAt, ...window] = params;
+        db.archive.push(...db.tokens.filter(purgeable(window)).map(row => ({ ...row, archived_at: archivedAt })));
+      }
+      if (sql.includes('DELETE FROM tokens')) {
+        changes = db.tokens.filter(purgeable(params)).length;
+        db.tokens = db.tokens.filter(row => !purgeable(params)(row));
+      }
+      if (sql.includes('DELETE FROM refresh_tokens')) {
+        changes = db.refreshTokens.filter(purgeable(params)).length;
+        db.refreshTokens = db.refreshTokens.filter(row => !purgeable(params)(row));
+      }
+      if (sql.includes('INSERT INTO token_stats')) {
+        db.stats.set(params[0], params);
+      }
+      if (sql.includes('SET rotation_flagged_at')) {
+        db.services.find(service => service.service_name === params[1]).rotation_flagged_at = params[0];
+      }
+      if (sql.includes("UPDATE signing_keys SET status = 'retired'")) {
+        db.signingKeys.find(key => key.kid === params[1]).status = 'retired';
+      }
+      if (sql.includes('UPDATE degraded_operations SET status = ?')) {
+        db.degradedOperations.find(operation => operation.id === params[2]).status = params[0];
+      }
+      return { success: true, meta: { changes } };
+    },
+    first: async () => {
+      check(sql);
+      if (sql.includes('FROM auth_events')) {
+        return db.eventCounts[params[0]] || null;
+      }
+      return null;
+    },
+    all: async () => {
+      check(sql);
+      if (sql.includes('FROM service_credentials')) {
+        const results = db.services
+          .map(service => ({ ...service, rotated_at: service.last_rotated_at ?? service.created_at }))
+          .filter(service => service.rotated_at + service.rotation_interval * 1000 < params[0])
+          .filter(service => service.rotation_flagged_at == null || service.rotation_flagged_at < service.rotated_at);
+        return { results };
+      }
+      if (sql.includes("status = 'retiring'")) {
+        const [rotatedBefore, now] = params;
+        const inUse = (kid) => db.tokens.some(row => row.signing_key_id === kid && row.revoked_at === null && row.expires_at > now);
+        return { results: db.signingKeys.filter(key => key.status === 'retiring' && key.rotated_at < rotatedBefore && !inUse(key.kid)) };
+      }
+      if (sql.includes('FROM signing_keys')) {
+        return { results: db.signingKeys.filter(key => key.status !== 'retired').map(key => ({ ...key })) };
+      }
+      if (sql.includes('FROM degraded_operations')) {
+        return { results: db.degradedOperations.filter(operation => operation.status === 'open') };
+      }
+      return { results: [] };
+    }
+  });
+
+  db.prepare = (sql) => ({
+    ...statement(sql, []),
+    bind: (...params) => statement(sql, params)
+  });
+
+  return db;
+}
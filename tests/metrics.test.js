@@ -0,0 +1,159 @@
+/**
+ * ChittyAuth Metrics Tests
+ * Unit tests for the Prometheus/OpenMetrics exposition and the /metrics endpoint
+ */
+
+import { MetricsCollector, incrementCounter, resetProcessMetrics } from '../src/metrics.js';
+import { ChittyConnectClient } from '../src/chittyconnect-client.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('MetricsCollector', () => {
+  const originalFetch = globalThis.fetch;
+  let env;
+  let testNumber = 0;
+
+  const scrape = async (headers = {}) => {
+    const api = new ChittyAuthAPI(env);
+    const { token } = await api.tokenManager.provision({
+      chittyId: '03-1-USA-0001-P-251-3-82',
+      scope: ['admin:*'],
+      service: 'chittyauth',
+      kind: 'service'
+    });
+    return api.route(new Request('https://auth.chitty.cc/metrics', {
+      headers: { Authorization: `Bearer ${token}`, ...headers }
+    }));
+  };
+
+  beforeEach(() => {
+    resetProcessMetrics();
+    env = {
+      CHITTYCONNECT_URL: `http://connect-${++testNumber}.test`,
+      CHITTYCONNECT_RETRY_BASE_MS: '1',
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_TOKENS: createMockKV(),
+      AUTH_DB: createMockD1({
+        events: [
+          { event_type: 'token_provision', error_message: null, events: 12, items: 12 },
+          { event_type: 'token_validated', error_message: null, events: 40, items: 40 },
+          { event_type: 'token_validation_failed', error_message: 'Token expired', events: 3, items: 3 },
+          { event_type: 'token_validation_failed', error_message: 'Token revoked', events: 2, items: 2 },
+          { event_type: 'token_validation_failed', error_message: 'jwt malformed', events: 1, items: 1 },
+          { event_type: 'token_refreshed', error_message: null, events: 5, items: 5 },
+          { event_type: 'token_revoked', error_message: null, events: 2, items: 2 },
+          { event_type: 'tokens_bulk_revoked', error_message: null, events: 1, items: 7 },
+          { event_type: 'rate_limit_exceeded', error_message: null, events: 4, items: 4 }
+        ],
+        activeTokens: [
+          { service_name: 'chittyid', count: 8 },
+          { service_name: null, count: 1 }
+        ]
+      })
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('should require an admin token', async () => {
+    const response = await new ChittyAuthAPI(env).route(new Request('https://auth.chitty.cc/metrics'));
+    expect(response.status).toBe(401);
+  });
+
+  test('should expose token counters and active token gauges in the Prometheus text format', async () => {
+    const response = await scrape();
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(body).toContain('# TYPE chittyauth_token_provisions_total counter\nchittyauth_token_provisions_total 12\n');
+    expect(body).toContain('chittyauth_token_validations_total{result="valid"} 40\n');
+    expect(body).toContain('chittyauth_token_validations_total{result="expired"} 3\n');
+    expect(body).toContain('chittyauth_token_validations_total{result="revoked"} 2\n');
+    expect(body).toContain('chittyauth_token_validations_total{result="invalid"} 1\n');
+    expect(body).toContain('chittyauth_token_refreshes_total{result="failure"} 0\n');
+    expect(body).toContain('chittyauth_token_revocations_total 9\n');
+    expect(body).toContain('chittyauth_rate_limit_hits_total 4\n');
+    expect(body).toContain('# TYPE chittyauth_active_tokens gauge\n');
+    expect(body).toContain('chittyauth_active_tokens{service="chittyid"} 8\n');
+    expect(body).toContain('chittyauth_active_tokens{service="unknown"} 1\n');
+    expect(body).not.toContain('# EOF');
+  });
+
+  test('should answer OpenMetrics scrapers in OpenMetrics', async () => {
+    const response = await scrape({ Accept: 'application/openmetrics-text; version=1.0.0' });
+    const body = await response.text();
+
+    expect(response.headers.get('Content-Type')).toContain('application/openmetrics-text');
+    expect(body).toContain('# TYPE chittyauth_token_provisions counter\nchittyauth_token_provisions_total 12\n');
+    expect(body.endsWith('# EOF\n')).toBe(true);
+  });
+
+  test('should record ChittyConnect latency and errors in process', async () => {
+    const responses = [new TypeError('fetch failed'), { verified: true }];
+    globalThis.fetch = async () => {
+      const next = responses.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return new Response(JSON.stringify(next));
+    };
+
+    await new ChittyConnectClient(env).verifyChittyID('03-1-USA-0001-P-251-3-82');
+    const collector = new MetricsCollector({});
+    const body = collector.render(await collector.collect());
+
+    expect(body).toContain('chittyauth_chittyconnect_requests_total{endpoint="/v1/identity/verify",outcome="network"} 1\n');
+    expect(body).toContain('chittyauth_chittyconnect_requests_total{endpoint="/v1/identity/verify",outcome="ok"} 1\n');
+    expect(body).toContain('chittyauth_chittyconnect_request_duration_seconds_bucket{endpoint="/v1/identity/verify",le="+Inf"} 2\n');
+    expect(body).toContain('chittyauth_chittyconnect_request_duration_seconds_count{endpoint="/v1/identity/verify"} 2\n');
+  });
+
+  test('should escape label values', () => {
+    incrementCounter('chittyauth_chittyconnect_requests_total', { endpoint: 'a"b\\c\n', outcome: 'ok' });
+    const collector = new MetricsCollector({});
+
+    expect(collector.render(collector.collectProcess()))
+      .toContain('chittyauth_chittyconnect_requests_total{endpoint="a\\"b\\\\c\\n",outcome="ok"} 1\n');
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
+
+// Mock D1 database (metrics queries answer with fixed rows; everything else succeeds with no rows)
+function createMockD1({ events, activeTokens }) {
+  const all = (sql) => {
+    if (sql.includes('FROM auth_events') && sql.includes('GROUP BY event_type')) {
+      return { results: events };
+    }
+    if (sql.includes('FROM tokens') && sql.includes('GROUP BY service_name')) {
+      return { results: activeTokens };
+    }
+    return { results: [] };
+  };
+
+  return {
+    prepare: (sql) => ({
+      bind: () => ({
+        run: async () => ({ success: true }),
+        first: async () => null,
+        all: async () => all(sql)
+      }),
+      all: async () => all(sql)
+    })
+  };
+}
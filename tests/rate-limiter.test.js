@@ -0,0 +1,164 @@
+/**
+ * ChittyAuth Rate Limiter Tests
+ * Unit tests for the sliding window, its storage backends and 429 responses
+ */
+
+import { slidingWindow, RateLimiter, RateLimiterDurableObject } from '../src/rate-limiter.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('RateLimiter', () => {
+  describe('slidingWindow', () => {
+    test('should weight the previous window by its remaining overlap', () => {
+      // A quarter into the window, 75% of the previous window still counts
+      const status = slidingWindow({ previous: 40, current: 10, limit: 100, window: 3600, now: 3600 * 10 + 900 });
+
+      expect(status.allowed).toBe(true);
+      expect(status.remaining).toBe(59);
+      expect(status.reset).toBe(3600 * 11);
+    });
+
+    test('should reject and wait for the previous window to decay', () => {
+      const status = slidingWindow({ previous: 100, current: 50, limit: 100, window: 3600, now: 3600 * 10 + 900 });
+
+      expect(status.allowed).toBe(false);
+      expect(status.remaining).toBe(0);
+      // 125 estimated requests must decay to 99: (99 - 50) / 100 of the window left
+      expect(status.retryAfter).toBe(3600 - 900 - Math.floor(49 * 3600 / 100));
+    });
+
+    test('should carry a full current window into the next one', () => {
+      const status = slidingWindow({ previous: 0, current: 100, limit: 100, window: 3600, now: 3600 * 10 + 3000 });
+
+      expect(status.allowed).toBe(false);
+      expect(status.retryAfter).toBe(600 + 36);
+    });
+  });
+
+  describe('KV backend', () => {
+    test('should stop allowing requests at the limit and slide across windows', async () => {
+      const limiter = new RateLimiter({ AUTH_RATE_LIMITS: createMockKV() });
+      const policy = { limit: 3, window: 60 };
+      const start = 1730505600000;
+
+      for (let i = 0; i < 3; i++) {
+        expect((await limiter.hit('tok', policy, start)).allowed).toBe(true);
+      }
+      expect((await limiter.hit('tok', policy, start)).allowed).toBe(false);
+
+      // Halfway into the next window, half of the previous three still count
+      expect((await limiter.hit('tok', policy, start + 90000)).allowed).toBe(true);
+      expect((await limiter.hit('tok', policy, start + 90000)).allowed).toBe(false);
+    });
+
+    test('should skip limiting when no storage is bound', async () => {
+      const limiter = new RateLimiter({});
+      expect(await limiter.hit('tok', { limit: 1, window: 60 })).toBeNull();
+    });
+  });
+
+  describe('Durable Object backend', () => {
+    test('should roll counts into the previous window', async () => {
+      const storage = new Map();
+      const object = new RateLimiterDurableObject({
+        storage: {
+          get: async (key) => storage.get(key),
+          put: async (key, value) => { storage.set(key, value); }
+        }
+      });
+      const hit = async (now) => {
+        const response = await object.fetch(new Request('https://rate-limiter/hit', {
+          method: 'POST',
+          body: JSON.stringify({ limit: 2, window: 60, now })
+        }));
+        return response.json();
+      };
+      const start = 1730505600000;
+
+      expect((await hit(start)).allowed).toBe(true);
+      expect((await hit(start)).allowed).toBe(true);
+      expect((await hit(start)).allowed).toBe(false);
+      expect(storage.get('counts')).toMatchObject({ previous: 0, current: 2 });
+
+      await hit(start + 60000);
+      expect(storage.get('counts')).toMatchObject({ previous: 2, current: 0 });
+    });
+  });
+
+  describe('API responses', () => {
+    let api;
+    let token;
+
+    beforeEach(async () => {
+      api = new ChittyAuthAPI({
+        TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+        AUTH_TOKENS: createMockKV(),
+        AUTH_REVOCATIONS: createMockKV(),
+        AUTH_RATE_LIMITS: createMockKV()
+      });
+      api.tokenManager.getRateLimit = () => ({ requests: 2, window: '1h' });
+      ({ token } = await api.tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      }));
+    });
+
+    const validateRequest = () => new Request('https://auth.chitty.cc/v1/tokens/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+
+    test('should return rate limit headers on validation', async () => {
+      const response = await api.route(validateRequest());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('X-RateLimit-Limit')).toBe('2');
+      expect(response.headers.get('X-RateLimit-Remaining')).toBe('1');
+      expect(Number(response.headers.get('X-RateLimit-Reset'))).toBeGreaterThan(Date.now() / 1000);
+    });
+
+    test('should return 429 with Retry-After once the limit is reached', async () => {
+      await api.route(validateRequest());
+      await api.route(validateRequest());
+      const response = await api.route(validateRequest());
+      const body = await response.json();
+
+      expect(response.status).toBe(429);
+      expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+      expect(response.headers.get('X-RateLimit-Remaining')).toBe('0');
+      expect(body.error).toBe('Rate limit exceeded');
+    });
+
+    test('should rate limit service authentication', async () => {
+      const serviceAuth = () => api.route(new Request('https://auth.chitty.cc/v1/service/authenticate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ serviceToken: token, targetService: 'chittyid', action: 'read' })
+      }));
+
+      const allowed = await serviceAuth();
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers.get('X-RateLimit-Remaining')).toBe('1');
+
+      await serviceAuth();
+      expect((await serviceAuth()).status).toBe(429);
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * ChittyAuth Registration Guard Tests
+ * Unit tests for abuse protection on public registration
+ */
+
+import { RegistrationGuard } from '../src/registration-guard.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('RegistrationGuard', () => {
+  let env;
+  let guard;
+
+  beforeEach(() => {
+    env = {
+      AUTH_RATE_LIMITS: createMockKV(),
+      REGISTRATION_LIMIT_PER_IP: '2',
+      REGISTRATION_LIMIT_PER_DOMAIN: '3'
+    };
+    guard = new RegistrationGuard(env);
+  });
+
+  test('should limit attempts per IP address', async () => {
+    const attempt = (email) => guard.check({ email, ipAddress: '203.0.113.7' });
+
+    expect((await attempt('a@example.com')).allowed).toBe(true);
+    expect((await attempt('b@example.com')).allowed).toBe(true);
+
+    const rejected = await attempt('c@example.com');
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.reason).toBe('rate_limited');
+    expect(rejected.retryAfter).toBeGreaterThan(0);
+  });
+
+  test('should limit registrations per email domain across addresses', async () => {
+    for (let i = 1; i <= 3; i++) {
+      expect((await guard.check({ email: `user${i}@example.com`, ipAddress: `203.0.113.${i}` })).allowed).toBe(true);
+    }
+
+    const rejected = await guard.check({ email: 'user4@EXAMPLE.com', ipAddress: '203.0.113.4' });
+    expect(rejected.reason).toBe('rate_limited');
+    expect(rejected.error).toContain('email domain');
+  });
+
+  test('should block disposable domains and their subdomains', async () => {
+    env.BLOCKED_EMAIL_DOMAINS = 'spam.example, ';
+    guard = new RegistrationGuard(env);
+
+    expect((await guard.check({ email: 'x@mailinator.com', ipAddress: '198.51.100.1' })).reason).toBe('disposable_email');
+    expect((await guard.check({ email: 'x@eu.spam.example', ipAddress: '198.51.100.2' })).reason).toBe('disposable_email');
+    expect((await guard.check({ email: 'not-an-email', ipAddress: '198.51.100.3' })).reason).toBe('invalid_email');
+  });
+
+  describe('Challenge verification', () => {
+    const originalFetch = globalThis.fetch;
+    let verifyRequests;
+
+    beforeEach(() => {
+      verifyRequests = [];
+      globalThis.fetch = async (url, init) => {
+        const form = new URLSearchParams(init.body);
+        verifyRequests.push({ url, form });
+        return new Response(JSON.stringify({ success: form.get('response') === 'XXXX.DUMMY.TOKEN.XXXX' }));
+      };
+      env.REGISTRATION_LIMIT_PER_IP = '10';
+      env.REGISTRATION_CHALLENGE_SECRET = 'challenge-secret';
+      env.REGISTRATION_CHALLENGE_VERIFY_URL = 'http://localhost:8788/siteverify';
+      guard = new RegistrationGuard(env);
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    test('should require and verify a challenge token when configured', async () => {
+      const base = { email: 'a@example.com', ipAddress: '203.0.113.7' };
+
+      expect((await guard.check(base)).reason).toBe('challenge_required');
+      expect((await guard.check({ ...base, challengeToken: 'forged' })).reason).toBe('challenge_failed');
+      expect((await guard.check({ ...base, challengeToken: 'XXXX.DUMMY.TOKEN.XXXX' })).allowed).toBe(true);
+
+      expect(verifyRequests[0].url).toBe('http://localhost:8788/siteverify');
+      expect(verifyRequests[0].form.get('secret')).toBe('challenge-secret');
+      expect(verifyRequests[0].form.get('remoteip')).toBe('203.0.113.7');
+    });
+  });
+
+  describe('Register endpoint', () => {
+    const registerRequest = (email) => new Request('https://auth.chitty.cc/v1/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.9' },
+      body: JSON.stringify({ name: 'Test User', email })
+    });
+
+    test('should reject disposable email with an audit event', async () => {
+      env.AUTH_AUDIT = createMockKV();
+      const api = new ChittyAuthAPI(env);
+
+      const response = await api.route(registerRequest('x@yopmail.com'));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.reason).toBe('disposable_email');
+
+      const [event] = [...env.AUTH_AUDIT.store.values()].map(value => JSON.parse(value));
+      expect(event.eventType).toBe('registration_rejected');
+      expect(event.emailDomain).toBe('yopmail.com');
+      expect(event.ipAddress).toBe('203.0.113.9');
+    });
+
+    test('should return 429 with Retry-After when rate limited', async () => {
+      env.REGISTRATION_LIMIT_PER_IP = '1';
+      const api = new ChittyAuthAPI(env);
+
+      await api.route(registerRequest('x@yopmail.com'));
+      const response = await api.route(registerRequest('y@yopmail.com'));
+
+      expect(response.status).toBe(429);
+      expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    store,
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * ChittyAuth Scope Registry Tests
+ * Unit tests for service scope registration, the catalog and registry-driven recommendations
+ */
+
+import { ScopeRegistry } from '../src/scope-registry.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+const ROUTER_SCOPES = [
+  { name: 'chittyrouter:route', description: 'Route messages', riskLevel: 'low' },
+  { name: 'chittyrouter:configure', description: 'Change routing rules', riskLevel: 'high', requiredTrustLevel: 3 }
+];
+
+describe('ScopeRegistry', () => {
+  let env;
+  let registry;
+
+  beforeEach(() => {
+    env = {
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_DB: createMockD1()
+    };
+    registry = new ScopeRegistry(env);
+  });
+
+  test('should reject definitions outside the service namespace', () => {
+    const errors = registry.validateDefinitions('chittyrouter', [
+      { name: 'chittyid:read', description: 'Not ours', riskLevel: 'low' },
+      { name: 'chittyrouter:*', description: 'Wildcard', riskLevel: 'low' },
+      { name: 'chittyrouter:send', description: 'Send', riskLevel: 'extreme' }
+    ]);
+
+    expect(errors).toEqual([
+      'Scope chittyid:read must be namespaced as chittyrouter:<action>',
+      'Invalid scope name: chittyrouter:*',
+      'Scope chittyrouter:send riskLevel must be one of: low, medium, high, critical'
+    ]);
+    expect(registry.validateDefinitions('chittyrouter', ROUTER_SCOPES)).toEqual([]);
+  });
+
+  test('should list built-in and registered scopes', async () => {
+    await registry.register('chittyrouter', ROUTER_SCOPES);
+
+    const scopes = await registry.list();
+    expect(scopes.map(scope => scope.name)).toEqual([
+      'chittyid:audit',
+      'chittyid:generate',
+      'chittyid:read',
+      'chittyid:validate',
+      'chittyrouter:configure',
+      'chittyrouter:route'
+    ]);
+
+    const router = await registry.list({ service: 'chittyrouter' });
+    expect(router[1]).toEqual({
+      name: 'chittyrouter:route',
+      service: 'chittyrouter',
+      description: 'Route messages',
+      riskLevel: 'low',
+      requiredTrustLevel: 0,
+      builtIn: false
+    });
+  });
+
+  test('should find unknown scopes and the trust each known scope needs', async () => {
+    await registry.register('chittyrouter', ROUTER_SCOPES);
+
+    const result = await registry.check([
+      'chittyrouter:route:inbox-*',
+      'chittyrouter:*',
+      '!chittyrouter:configure',
+      'admin:*',
+      'chittyrouter:delete',
+      'madeup:read'
+    ]);
+
+    expect(result.unknown).toEqual(['chittyrouter:delete', 'madeup:read']);
+    expect(result.trustRequired).toEqual({
+      'chittyrouter:route:inbox-*': 0,
+      'chittyrouter:*': 3
+    });
+  });
+
+  test('should recommend scopes from permissions and trust level', async () => {
+    await registry.register('chittyrouter', ROUTER_SCOPES);
+
+    expect(await registry.recommend('chittyrouter', ['chittyrouter:*'], 3))
+      .toEqual(['chittyrouter:configure', 'chittyrouter:route']);
+    expect(await registry.recommend('chittyrouter', ['chittyrouter:*'], 0))
+      .toEqual(['chittyrouter:route']);
+    expect(await registry.recommend('chittyid', [], 0)).toEqual(['chittyid:read']);
+  });
+
+  describe('Endpoints', () => {
+    test('should serve the catalog for one service', async () => {
+      const api = new ChittyAuthAPI(env);
+      await registry.register('chittyrouter', ROUTER_SCOPES);
+
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/scopes?service=chittyrouter'));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.scopes.map(scope => scope.name)).toEqual(['chittyrouter:configure', 'chittyrouter:route']);
+    });
+
+    test('should refuse to provision unknown scopes', async () => {
+      const api = new ChittyAuthAPI(env);
+
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/tokens/provision', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chittyId: '03-1-USA-0001-P-251-3-82',
+          scope: ['chittyid:read', 'chittyid:erase'],
+          service: 'chittyid'
+        })
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.unknownScopes).toEqual(['chittyid:erase']);
+    });
+
+    test('should require credentials to register scopes', async () => {
+      const api = new ChittyAuthAPI(env);
+
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/scopes/register', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Basic ${Buffer.from('chittyrouter:cs_wrong').toString('base64')}`
+        },
+        body: JSON.stringify({ scopes: ROUTER_SCOPES })
+      }));
+
+      expect(response.status).toBe(401);
+      expect(env.AUTH_DB.rows).toHaveLength(0);
+    });
+  });
+});
+
+// Mock D1 database (scope_registry only)
+function createMockD1() {
+  const rows = [];
+
+  return {
+    rows,
+    prepare: (sql) => ({
+      bind: (...params) => ({
+        run: async () => {
+          if (sql.includes('INSERT INTO scope_registry')) {
+            const [scope, serviceName, description, riskLevel, requiredTrustLevel, createdAt] = params;
+            const row = {
+              scope,
+              service_name: serviceName,
+              description,
+              risk_level: riskLevel,
+              required_trust_level: requiredTrustLevel,
+              created_at: createdAt
+            };
+            const index = rows.findIndex(r => r.scope === scope);
+            if (index === -1) {
+              rows.push(row);
+            } else {
+              rows[index] = { ...row, created_at: rows[index].created_at };
+            }
+          }
+          return { success: true };
+        },
+        first: async () => null,
+        all: async () => ({ results: [] })
+      }),
+      all: async () => {
+        if (sql.includes('FROM scope_registry')) {
+          return { results: [...rows].sort((a, b) => a.scope.localeCompare(b.scope)) };
+        }
+        return { results: [] };
+      }
+    })
+  };
+}
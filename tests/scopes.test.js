@@ -0,0 +1,60 @@
+/**
+ * ChittyAuth Scope Tests
+ * Unit tests for scope parsing, wildcards, resource qualifiers and deny scopes
+ */
+
+import { parseScope, isValidScope, scopeCovers, hasScope, filterScopes } from '../src/scopes.js';
+
+describe('Scopes', () => {
+  test('should parse segments and deny prefixes', () => {
+    expect(parseScope('chittyid:read:03-1-USA-*')).toEqual({
+      deny: false,
+      segments: ['chittyid', 'read', '03-1-USA-*']
+    });
+    expect(parseScope('!chittyid:generate').deny).toBe(true);
+    expect(isValidScope('chittyid::read')).toBe(false);
+    expect(isValidScope('chittyid:read write')).toBe(false);
+  });
+
+  test('should treat broader scopes as covering narrower ones', () => {
+    expect(scopeCovers('chittyid:read', 'chittyid:read:03-1-USA-0001-P-251-3-82')).toBe(true);
+    expect(scopeCovers('chittyid:*', 'chittyid:generate')).toBe(true);
+    expect(scopeCovers('chittyid:*', 'chittyid')).toBe(true);
+    expect(scopeCovers('chittyid:read:03-1-USA-0001', 'chittyid:read')).toBe(false);
+    expect(scopeCovers('chittyid:read', 'chittyid:generate')).toBe(false);
+  });
+
+  test('should match resource qualifiers with globs', () => {
+    expect(scopeCovers('chittyid:read:03-1-USA-*', 'chittyid:read:03-1-USA-0001-P-251-3-82')).toBe(true);
+    expect(scopeCovers('chittyid:read:03-1-USA-*', 'chittyid:read:03-1-CAN-0001-P-251-3-82')).toBe(false);
+    expect(scopeCovers('chittyid:*:03-1-USA-*', 'chittyid:validate:03-1-USA-0002')).toBe(true);
+    expect(scopeCovers('chittyid:read:03-*', 'chittyid:read:03-1-USA-*')).toBe(true);
+    expect(scopeCovers('chittyid:read:03-1-USA-*', 'chittyid:read:03-*')).toBe(false);
+  });
+
+  test('should let admin:* grant everything', () => {
+    expect(hasScope(['admin:*'], 'chittyrouter:route')).toBe(true);
+    expect(hasScope(['chittyid:*'], 'admin:*')).toBe(false);
+  });
+
+  test('should let deny scopes override grants they overlap', () => {
+    const scopes = ['chittyid:*', '!chittyid:generate', '!chittyid:*:03-1-USA-0009-P-251-3-00'];
+
+    expect(hasScope(scopes, 'chittyid:read')).toBe(false);
+    expect(hasScope(scopes, 'chittyid:read:03-1-USA-0001-P-251-3-82')).toBe(true);
+    expect(hasScope(scopes, 'chittyid:generate')).toBe(false);
+    expect(hasScope(scopes, 'chittyid:generate:03-1-USA-0001-P-251-3-82')).toBe(false);
+    expect(hasScope(scopes, 'chittyid:validate:03-1-USA-0009-P-251-3-00')).toBe(false);
+    expect(hasScope(['admin:*', '!chittyid:generate'], 'chittyid:generate')).toBe(false);
+  });
+
+  test('should split requested scopes into granted and denied', () => {
+    const result = filterScopes(
+      ['chittyid:read', 'chittyid:validate'],
+      ['chittyid:read:03-1-USA-*', 'chittyid:generate', '!chittyid:read:03-1-USA-0009', 'bad scope']
+    );
+
+    expect(result.granted).toEqual(['chittyid:read:03-1-USA-*', '!chittyid:read:03-1-USA-0009']);
+    expect(result.denied).toEqual(['chittyid:generate', 'bad scope']);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * ChittyAuth Service Credentials Tests
+ * Unit tests for service registration, the client credentials grant and token exchange
+ */
+
+import { ServiceCredentialManager } from '../src/service-credentials.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('ServiceCredentialManager', () => {
+  let mockEnv;
+  let credentials;
+
+  beforeEach(() => {
+    mockEnv = {
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_TOKENS: createMockKV(),
+      AUTH_REVOCATIONS: createMockKV(),
+      AUTH_DB: createMockD1()
+    };
+    credentials = new ServiceCredentialManager(mockEnv);
+  });
+
+  describe('Registration', () => {
+    test('should register a service and return its secret once', async () => {
+      const result = await credentials.register({
+        serviceName: 'chittyrouter',
+        chittyId: '03-1-USA-0002-S-251-3-11',
+        permissions: ['chittyid:generate', 'chittyid:validate']
+      });
+
+      expect(result.clientId).toBe('chittyrouter');
+      expect(result.clientSecret).toMatch(/^cs_/);
+
+      const stored = await credentials.get('chittyrouter');
+      expect(stored.secretHash).not.toContain(result.clientSecret);
+      expect(stored.permissions).toEqual(['chittyid:generate', 'chittyid:validate']);
+    });
+
+    test('should reject duplicate registration', async () => {
+      const registration = {
+        serviceName: 'chittyrouter',
+        chittyId: '03-1-USA-0002-S-251-3-11',
+        permissions: ['chittyid:generate']
+      };
+      await credentials.register(registration);
+      await expect(credentials.register(registration)).rejects.toThrow('already registered');
+    });
+  });
+
+  describe('Authentication', () => {
+    test('should authenticate only the correct secret', async () => {
+      const { clientSecret } = await credentials.register({
+        serviceName: 'chittyrouter',
+        chittyId: '03-1-USA-0002-S-251-3-11',
+        permissions: ['chittyid:generate']
+      });
+
+      expect(await credentials.authenticate('chittyrouter', clientSecret)).not.toBeNull();
+      expect(await credentials.authenticate('chittyrouter', 'cs_wrong')).toBeNull();
+      expect(await credentials.authenticate('unknown', clientSecret)).toBeNull();
+    });
+
+    test('should invalidate the old secret on rotation', async () => {
+      const { clientSecret } = await credentials.register({
+        serviceName: 'chittyrouter',
+        chittyId: '03-1-USA-0002-S-251-3-11',
+        permissions: ['chittyid:generate']
+      });
+
+      const rotated = await credentials.rotate('chittyrouter');
+
+      expect(await credentials.authenticate('chittyrouter', clientSecret)).toBeNull();
+      expect(await credentials.authenticate('chittyrouter', rotated.clientSecret)).not.toBeNull();
+    });
+  });
+
+  describe('OAuth token endpoint', () => {
+    let api;
+    let clientSecret;
+
+    beforeEach(async () => {
+      api = new ChittyAuthAPI(mockEnv);
+      ({ clientSecret } = await credentials.register({
+        serviceName: 'chittyrouter',
+        chittyId: '03-1-USA-0002-S-251-3-11',
+        permissions: ['chittyid:generate', 'chittyid:validate']
+      }));
+    });
+
+    const tokenRequest = (params, headers = {}) => new Request('https://auth.chitty.cc/oauth/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+      body: new URLSearchParams(params).toString()
+    });
+
+    test('should issue a svc_ token with HTTP Basic client authentication', async () => {
+      const basic = Buffer.from(`chittyrouter:${clientSecret}`).toString('base64');
+      const response = await api.route(tokenRequest(
+        { grant_type: 'client_credentials', scope: 'chittyid:generate' },
+        { Authorization: `Basic ${basic}` }
+      ));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Cache-Control')).toBe('no-store');
+      expect(body.token_type).toBe('Bearer');
+      expect(body.access_token).toMatch(/^svc_chittyrouter_/);
+      expect(body.scope).toBe('chittyid:generate');
+
+      const validation = await api.tokenManager.validate(body.access_token);
+      expect(validation.valid).toBe(true);
+      expect(validation.service).toBe('chittyrouter');
+    });
+
+    test('should grant all stored permissions when no scope is requested', async () => {
+      const response = await api.route(tokenRequest({
+        grant_type: 'client_credentials',
+        client_id: 'chittyrouter',
+        client_secret: clientSecret
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.scope).toBe('chittyid:generate chittyid:validate');
+    });
+
+    test('should reject a bad client secret', async () => {
+      const response = await api.route(tokenRequest({
+        grant_type: 'client_credentials',
+        client_id: 'chittyrouter',
+        client_secret: 'cs_wrong'
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.error).toBe('invalid_client');
+    });
+
+    test('should reject scopes outside the stored permissions', async () => {
+      const response = await api.route(tokenRequest({
+        grant_type: 'client_credentials',
+        client_id: 'chittyrouter',
+        client_secret: clientSecret,
+        scope: 'admin:*'
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error).toBe('invalid_scope');
+    });
+
+    test('should reject unsupported grant types', async () => {
+      const response = await api.route(tokenRequest({ grant_type: 'password' }));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error).toBe('unsupported_grant_type');
+    });
+  });
+
+  describe('OAuth introspection, revocation and token exchange', () => {
+    let api;
+    let clientSecret;
+
+    beforeEach(async () => {
+      api = new ChittyAuthAPI(mockEnv);
+      ({ clientSecret } = await credentials.register({
+        serviceName: 'chittygateway',
+        chittyId: '03-1-USA-0003-S-251-3-12',
+        permissions: ['chittyid:read']
+      }));
+    });
+
+    const formRequest = (path, params) => new Request(`https://auth.chitty.cc${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: 'chittygateway',
+        client_secret: clientSecret,
+        ...params
+      }).toString()
+    });
+
+    const provisionToken = (service = 'chittygateway') => api.tokenManager.provision({
+      chittyId: '03-1-USA-0001-P-251-3-82',
+      scope: ['chittyid:read'],
+      service,
+      expiresIn: 3600
+    });
+
+    test('should introspect an active token without counting usage', async () => {
+      const { token, tokenId } = await provisionToken();
+      const response = await api.route(formRequest('/oauth/introspect', { token }));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.active).toBe(true);
+      expect(body.scope).toBe('chittyid:read');
+      expect(body.sub).toBe('03-1-USA-0001-P-251-3-82');
+      expect(body.client_id).toBe('chittygateway');
+      expect(body.jti).toBe(tokenId);
+      expect(body.exp).toBeGreaterThan(Math.floor(Date.now() / 1000));
+
+      const tokenHash = await api.tokenManager.hashToken(token);
+      const stored = JSON.parse(await mockEnv.AUTH_TOKENS.get(`token:${tokenHash}`));
+      expect(stored.requestCount).toBe(0);
+    });
+
+    test('should report unknown tokens as inactive only', async () => {
+      const response = await api.route(formRequest('/oauth/introspect', { token: 'ca_live_bogus' }));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toEqual({ active: false });
+    });
+
+    test('should require client authentication', async () => {
+      const response = await api.route(formRequest('/oauth/introspect', {
+        token: 'ca_live_bogus',
+        client_secret: 'cs_wrong'
+      }));
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should revoke a token issued to the client', async () => {
+      const { token } = await provisionToken();
+      const response = await api.route(formRequest('/oauth/revoke', { token }));
+
+      expect(response.status).toBe(200);
+      const validation = await api.tokenManager.validate(token);
+      expect(validation.valid).toBe(false);
+    });
+
+    test('should revoke a refresh token with its whole family', async () => {
+      const original = await provisionToken();
+      const refreshed = await api.tokenManager.refresh(original.refreshToken);
+
+      const response = await api.route(formRequest('/oauth/revoke', {
+        token: refreshed.refreshToken,
+        token_type_hint: 'refresh_token'
+      }));
+
+      expect(response.status).toBe(200);
+      expect((await api.tokenManager.validate(refreshed.token)).valid).toBe(false);
+      const retry = await api.tokenManager.refresh(refreshed.refreshToken);
+      expect(retry.error).toBe('Refresh token has been revoked');
+    });
+
+    test('should refuse to revoke another client\'s token', async () => {
+      const { token } = await provisionToken('chittyrouter');
+      const response = await api.route(formRequest('/oauth/revoke', { token }));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.error).toBe('unauthorized_client');
+    });
+
+    test('should accept revocation of unknown tokens', async () => {
+      const response = await api.route(formRequest('/oauth/revoke', { token: 'ca_live_bogus' }));
+      expect(response.status).toBe(200);
+    });
+
+    test('should exchange a token for one bound to the target audience', async () => {
+      const { token } = await api.tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read', 'chittyid:generate'],
+        service: 'chittyid',
+        expiresIn: 2592000
+      });
+
+      const response = await api.route(formRequest('/oauth/token', {
+        grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+        subject_token: token,
+        subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        audience: 'chittyledger',
+        scope: 'chittyid:read'
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.issued_token_type).toBe('urn:ietf:params:oauth:token-type:access_token');
+      expect(body.scope).toBe('chittyid:read');
+      expect(body.expires_in).toBe(900);
+
+      // The exchanged token is inactive for anyone but its audience
+      const introspection = await (await api.route(formRequest('/oauth/introspect', { token: body.access_token }))).json();
+      expect(introspection).toEqual({ active: false });
+
+      const validation = await api.route(new Request('https://auth.chitty.cc/v1/tokens/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: body.access_token, audience: 'chittyledger' })
+      }));
+      expect((await validation.json()).act).toEqual({
+        sub: '03-1-USA-0003-S-251-3-12',
+        client_id: 'chittygateway'
+      });
+    });
+
+    test('should reject an exchange without an audience', async () => {
+      const { token } = await provisionToken();
+      const response = await api.route(formRequest('/oauth/token', {
+        grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+        subject_token: token,
+        subject_token_type: 'urn:ietf:params:oauth:token-type:access_token'
+      }));
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('invalid_target');
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
+
+// Mock D1 database (service_credentials only; token queries return nothing)
+function createMockD1() {
+  const services = new Map();
+  const tokens = [];
+  const refreshTokens = [];
+
+  return {
+    prepare: (sql) => ({
+      bind: (...params) => ({
+        run: async () => {
+          if (sql.includes('INSERT INTO service_credentials')) {
+            services.set(params[0], {
+              service_name: params[0],
+              service_token_hash: params[1],
+              chitty_id: params[2],
+              permissions: params[3],
+              created_at: params[4],
+              last_rotated_at: params[5],
+              rotation_interval: params[6]
+            });
+          }
+          if (sql.includes('UPDATE service_credentials SET service_token_hash')) {
+            const row = services.get(params[2]);
+            row.service_token_hash = params[0];
+            row.last_rotated_at = params[1];
+          }
+          // Tokens and refresh token families, for refresh and revocation
+          if (sql.includes('INSERT INTO tokens')) {
+            tokens.push({ id: params[0], token_hash: params[1], revoked_at: null });
+          }
+          if (sql.includes('UPDATE tokens SET revoked_at')) {
+            const token = tokens.find(t => t.id === params[2]);
+            if (token) {
+              token.revoked_at = params[0];
+            }
+          }
+          if (sql.includes('INSERT INTO refresh_tokens')) {
+            const columns = ['id', 'token_hash', 'family_id', 'access_token_id', 'chitty_id', 'scope',
+              'service_name', 'format', 'created_at', 'expires_at'];
+            refreshTokens.push(Object.fromEntries(columns.map((column, i) => [column, params[i]])));
+          }
+          if (sql.includes('SET used_at')) {
+            const record = refreshTokens.find(r => r.id === params[1] && !r.used_at);
+            if (record) {
+              record.used_at = params[0];
+            }
+            return { success: true, meta: { changes: record ? 1 : 0 } };
+          }
+          if (sql.includes('UPDATE refresh_tokens SET revoked_at')) {
+            refreshTokens
+              .filter(r => !r.revoked_at && (sql.includes('family_id = ?') ? r.family_id : r.access_token_id) === params[1])
+              .forEach(r => { r.revoked_at = params[0]; });
+          }
+          return { success: true };
+        },
+        all: async () => {
+          if (sql.includes('JOIN refresh_tokens')) {
+            const ids = refreshTokens.filter(r => r.family_id === params[0]).map(r => r.access_token_id);
+            return { results: tokens.filter(t => ids.includes(t.id) && !t.revoked_at) };
+          }
+          return { results: [] };
+        },
+        first: async () => {
+          if (sql.includes('SELECT * FROM refresh_tokens')) {
+            const record = refreshTokens.find(r => r.token_hash === params[0]);
+            return record ? { ...record } : null;
+          }
+          if (sql.includes('FROM service_credentials WHERE service_name')) {
+            return services.get(params[0]) || null;
+          }
+          return null;
+        }
+      })
+    })
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * ChittyAuth Signing Key Tests
+ * Unit tests for the signing key ring, rotation, retirement and the admin endpoints
+ */
+
+import { SigningKeyRing } from '../src/signing-keys.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('SigningKeyRing', () => {
+  let env;
+  let ring;
+
+  beforeEach(() => {
+    env = {
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_TOKENS: createMockKV(),
+      AUTH_DB: createMockD1()
+    };
+    ring = new SigningKeyRing(env);
+  });
+
+  test('should sign with TOKEN_SIGNING_KEY until the first rotation', async () => {
+    const key = await ring.getActiveKey();
+
+    expect(key.kid).toBe(SigningKeyRing.keyId('test-signing-key-for-unit-tests-only'));
+    expect(key.secret).toBe('test-signing-key-for-unit-tests-only');
+    expect(await ring.list()).toEqual([{
+      kid: key.kid,
+      status: 'active',
+      source: 'env',
+      createdAt: null,
+      rotatedAt: null,
+      retiredAt: null
+    }]);
+  });
+
+  test('should refuse the development key in production', async () => {
+    const production = new SigningKeyRing({ ENVIRONMENT: 'production' });
+    await expect(production.getActiveKey()).rejects.toThrow('TOKEN_SIGNING_KEY must be set in production');
+  });
+
+  test('should rotate to a new key and keep verifying the previous one', async () => {
+    const previous = await ring.getActiveKey();
+    const signature = ring.sign(previous, 'payload');
+
+    const rotation = await ring.rotate();
+    expect(rotation.previousKid).toBe(previous.kid);
+
+    const fresh = new SigningKeyRing(env);
+    const active = await fresh.getActiveKey();
+    expect(active.kid).toBe(rotation.kid);
+    expect(active.secret).not.toBe(previous.secret);
+
+    const retiring = await fresh.getVerificationKey(previous.kid);
+    expect(retiring.status).toBe('retiring');
+    expect(fresh.verify(retiring, 'payload', signature)).toBe(true);
+
+    // Rotated secrets never reach D1 in the clear
+    expect(env.AUTH_DB.rows.find(row => row.kid === rotation.kid).encrypted_secret).not.toContain(active.secret);
+    expect((await fresh.list()).map(key => key.status)).toEqual(['active', 'retiring']);
+  });
+
+  test('should stop verifying a retired key', async () => {
+    const previous = await ring.getActiveKey();
+    const rotation = await ring.rotate();
+
+    expect((await ring.retire(rotation.kid)).reason).toBe('active_key');
+    expect((await ring.retire('unknown-kid')).reason).toBe('not_found');
+
+    const result = await ring.retire(previous.kid);
+    expect(result.success).toBe(true);
+    expect(await new SigningKeyRing(env).getVerificationKey(previous.kid)).toBeNull();
+  });
+
+  test('should reject unknown kids without a storage lookup per token', async () => {
+    await ring.getActiveKey();
+    const reads = [];
+    const writes = [];
+    const prepare = env.AUTH_DB.prepare;
+    env.AUTH_DB.prepare = (sql) => {
+      reads.push(sql);
+      return prepare(sql);
+    };
+    env.AUTH_TOKENS.put = async (key) => {
+      writes.push(key);
+    };
+
+    // Another isolate rotates after this ring was loaded (its KV publish is lost here)
+    const rotation = await new SigningKeyRing(env).rotate();
+    reads.length = 0;
+    writes.length = 0;
+
+    const now = Date.now() + 3600000;
+    expect(await ring.getVerificationKey('forged-kid-1', now)).toBeNull();
+    expect(await ring.getVerificationKey('forged-kid-2', now + 1)).toBeNull();
+    expect(await ring.getVerificationKey('forged-kid-1', now + 40000)).toBeNull();
+    expect(reads.filter(sql => sql.includes('FROM signing_keys'))).toHaveLength(1);
+
+    // The one reload picked up the rotation
+    expect((await ring.getVerificationKey(rotation.kid, now + 2)).status).toBe('active');
+
+    // The next reload is allowed once the interval has passed, and still writes nothing to KV
+    expect(await ring.getVerificationKey('forged-kid-3', now + 40000)).toBeNull();
+    expect(reads.filter(sql => sql.includes('FROM signing_keys'))).toHaveLength(2);
+    expect(writes).toEqual([]);
+  });
+
+  test('should accept a key rotated in another isolate after a forged kid used up the reload', async () => {
+    await ring.getActiveKey();
+    const now = Date.now() + 7200000;
+    expect(await ring.getVerificationKey('forged-kid', now)).toBeNull();
+
+    const rotation = await new SigningKeyRing(env).rotate();
+    const reads = [];
+    const prepare = env.AUTH_DB.prepare;
+    env.AUTH_DB.prepare = (sql) => {
+      reads.push(sql);
+      return prepare(sql);
+    };
+
+    // Found in the ring the rotation published to KV, without waiting for the D1 reload interval
+    expect((await ring.getVerificationKey(rotation.kid, now + 1)).status).toBe('active');
+    expect(reads).toEqual([]);
+  });
+
+  describe('Endpoints', () => {
+    test('should require an admin token to rotate', async () => {
+      const api = new ChittyAuthAPI(env);
+
+      const response = await api.route(new Request('https://auth.chitty.cc/v1/signing-keys/rotate', {
+        method: 'POST'
+      }));
+
+      expect(response.status).toBe(401);
+      expect(env.AUTH_DB.rows).toHaveLength(0);
+    });
+
+    test('should rotate and retire keys for an admin', async () => {
+      const api = new ChittyAuthAPI(env);
+      const { token } = await api.tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['admin:*'],
+        service: 'chittyauth',
+        kind: 'service'
+      });
+      const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+      const rotated = await api.route(new Request('https://auth.chitty.cc/v1/signing-keys/rotate', {
+        method: 'POST',
+        headers
+      }));
+      const rotation = await rotated.json();
+      expect(rotated.status).toBe(200);
+
+      // The admin token was signed with the previous key and still works
+      const listed = await api.route(new Request('https://auth.chitty.cc/v1/signing-keys', { headers }));
+      const { keys } = await listed.json();
+      expect(keys.map(key => [key.kid, key.status])).toEqual([
+        [rotation.kid, 'active'],
+        [rotation.previousKid, 'retiring']
+      ]);
+
+      const conflict = await api.route(new Request('https://auth.chitty.cc/v1/signing-keys/retire', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ kid: rotation.kid })
+      }));
+      expect(conflict.status).toBe(409);
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    },
+    list: async () => ({ keys: [] })
+  };
+}
+
+// Mock D1 database (signing_keys only)
+function createMockD1() {
+  const rows = [];
+
+  const query = (sql) => {
+    const keys = sql.includes('WHERE status != ?')
+      ? rows.filter(row => row.status !== 'retired')
+      : [...rows].sort((a, b) => b.created_at - a.created_at || rows.indexOf(b) - rows.indexOf(a));
+    return { results: keys.map(row => ({ ...row })) };
+  };
+
+  return {
+    rows,
+    prepare: (sql) => ({
+      bind: (...params) => ({
+        run: async () => {
+          if (sql.includes('INSERT OR IGNORE INTO signing_keys') && !rows.some(row => row.kid === params[0])) {
+            rows.push({ kid: params[0], encrypted_secret: null, status: 'active', created_at: params[1] });
+          }
+          if (sql.includes('INSERT INTO signing_keys')) {
+            rows.push({ kid: params[0], encrypted_secret: params[1], status: 'active', created_at: params[2] });
+          }
+          if (sql.includes("SET status = 'retiring'")) {
+            rows.filter(row => row.status === 'active').forEach(row => {
+              row.status = 'retiring';
+              row.rotated_at = params[0];
+            });
+          }
+          if (sql.includes("SET status = 'retired'")) {
+            const row = rows.find(r => r.kid === params[1]);
+            row.status = 'retired';
+            row.retired_at = params[0];
+          }
+          return { success: true };
+        },
+        first: async () => null,
+        all: async () => query(sql)
+      }),
+      all: async () => query(sql)
+    })
+  };
+}
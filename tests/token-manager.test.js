@@ -3,7 +3,8 @@
  * Unit tests for token provisioning, validation, and lifecycle
  */
 
-import { TokenManager } from '../src/token-manager.js';
+import crypto from 'crypto';
+import { TokenManager, QuotaExceededError } from '../src/token-manager.js';
 
 describe('TokenManager', () => {
   let tokenManager;
@@ -120,6 +121,79 @@ describe('TokenManager', () => {
       const validation = await tokenManager.validate(`Bearer ${provision.token}`);
       expect(validation.valid).toBe(true);
     });
+
+    test('should check a required resource scope', async () => {
+      const provision = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read:03-1-USA-*'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+
+      const allowed = await tokenManager.validate(provision.token, {
+        requiredScope: 'chittyid:read:03-1-USA-0002-P-251-3-11'
+      });
+      expect(allowed.valid).toBe(true);
+
+      const denied = await tokenManager.validate(provision.token, { requiredScope: 'chittyid:read' });
+      expect(denied.valid).toBe(false);
+      expect(denied.error).toBe('Insufficient scope');
+    });
+
+    test('should reject a forged signature before looking the token up', async () => {
+      const provision = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+
+      const [prefix, encoded] = provision.token.match(/^(ca_[a-z]+_)(.+)$/).slice(1);
+      const [tokenId, timestamp, kid] = Buffer.from(encoded, 'base64url').toString().split('.');
+      const forged = prefix + Buffer.from(`${tokenId}.${timestamp}.${kid}.${'A'.repeat(43)}`).toString('base64url');
+
+      const lookups = [];
+      const get = mockEnv.AUTH_TOKENS.get;
+      mockEnv.AUTH_TOKENS.get = async (key) => {
+        lookups.push(key);
+        return get(key);
+      };
+
+      const validation = await tokenManager.validate(forged);
+      expect(validation.valid).toBe(false);
+      expect(validation.error).toBe('Invalid token signature');
+      expect(lookups.filter(key => key.startsWith('token:'))).toEqual([]);
+    });
+
+    test('should still accept tokens issued before key ids were embedded', async () => {
+      const chittyId = '03-1-USA-0001-P-251-3-82';
+      const tokenId = 'tok_LegacyToken0000000001';
+      const timestamp = Date.now();
+      const signature = crypto.createHmac('sha256', mockEnv.TOKEN_SIGNING_KEY)
+        .update(`${tokenId}:${chittyId}:chittyid:${timestamp}`)
+        .digest('base64url')
+        .substring(0, 32);
+      const token = `ca_live_${Buffer.from(`${tokenId}_${timestamp}_${signature}`).toString('base64url')}`;
+
+      const tokenHash = await tokenManager.hashToken(token);
+      await mockEnv.AUTH_TOKENS.put(`token:${tokenHash}`, JSON.stringify({
+        tokenId,
+        chittyId,
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        createdAt: timestamp,
+        expiresAt: timestamp + 3600000,
+        requestCount: 0
+      }));
+
+      expect((await tokenManager.validate(token)).valid).toBe(true);
+
+      const tampered = `ca_live_${Buffer.from(`${tokenId}_${timestamp + 1}_${signature}`).toString('base64url')}`;
+      await mockEnv.AUTH_TOKENS.put(`token:${await tokenManager.hashToken(tampered)}`, await mockEnv.AUTH_TOKENS.get(`token:${tokenHash}`));
+      const validation = await tokenManager.validate(tampered);
+      expect(validation.valid).toBe(false);
+      expect(validation.error).toBe('Invalid token signature');
+    });
   });
 
   describe('Token Refresh', () => {
@@ -132,13 +206,16 @@ describe('TokenManager', () => {
         expiresIn: 3600
       });
 
+      expect(original.refreshToken).toMatch(/^rt_/);
+
       // Refresh token
-      const refreshed = await tokenManager.refresh(original.token, 7200);
+      const refreshed = await tokenManager.refresh(original.refreshToken, 7200);
 
       expect(refreshed.success).toBe(true);
       expect(refreshed.token).toBeDefined();
       expect(refreshed.token).not.toBe(original.token);
       expect(refreshed.tokenId).not.toBe(original.tokenId);
+      expect(refreshed.refreshToken).not.toBe(original.refreshToken);
 
       // Original token should be revoked
       const originalValidation = await tokenManager.validate(original.token);
@@ -153,6 +230,122 @@ describe('TokenManager', () => {
       const result = await tokenManager.refresh('invalid-token', 3600);
       expect(result.success).toBe(false);
     });
+
+    test('should not accept an access token as a refresh token', async () => {
+      const original = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+
+      const result = await tokenManager.refresh(original.token);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid refresh token');
+    });
+
+    test('should revoke the whole family when a used refresh token is replayed', async () => {
+      const original = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      const first = await tokenManager.refresh(original.refreshToken);
+      const second = await tokenManager.refresh(first.refreshToken);
+
+      const replay = await tokenManager.refresh(original.refreshToken);
+      expect(replay.success).toBe(false);
+      expect(replay.reason).toBe('reuse_detected');
+
+      expect((await tokenManager.validate(second.token)).valid).toBe(false);
+      expect((await tokenManager.refresh(second.refreshToken)).success).toBe(false);
+      const { keys } = await mockEnv.AUTH_AUDIT.list({ prefix: 'event:' });
+      const events = await Promise.all(keys.map(async ({ name }) => JSON.parse(await mockEnv.AUTH_AUDIT.get(name))));
+      expect(events.map(event => event.eventType)).toContain('refresh_token_reuse_detected');
+    });
+
+    test('should keep scopes granted after a refresh on later refreshes', async () => {
+      const original = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      const first = await tokenManager.refresh(original.refreshToken);
+
+      // Granted through the token id recorded before the refresh (e.g. email verification)
+      const grant = await tokenManager.grantScopes(original.tokenId, ['chittyid:validate']);
+      expect(grant.tokenId).toBe(first.tokenId);
+      expect(grant.scope).toEqual(['chittyid:read', 'chittyid:validate']);
+      expect((await tokenManager.validate(first.token)).scope).toContain('chittyid:validate');
+
+      const second = await tokenManager.refresh(first.refreshToken);
+      expect(second.scope).toEqual(['chittyid:read', 'chittyid:validate']);
+      expect((await tokenManager.validate(second.token)).scope).toContain('chittyid:validate');
+    });
+
+    test('should not refresh once the access token is revoked', async () => {
+      const original = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      await tokenManager.revoke(original.tokenId, 'User requested');
+
+      const result = await tokenManager.refresh(original.refreshToken);
+      expect(result.error).toBe('Refresh token has been revoked');
+    });
+
+    test('should refresh a deprecated access token request through its refresh token', async () => {
+      const original = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+
+      const refreshed = await tokenManager.refreshWithAccessToken(original.token, 7200);
+      expect(refreshed.success).toBe(true);
+      expect(refreshed.refreshToken).toMatch(/^rt_/);
+      expect((await tokenManager.validate(original.token)).valid).toBe(false);
+
+      // The refresh token issued with the original was used up, so presenting it now is a replay
+      expect((await tokenManager.refresh(original.refreshToken)).reason).toBe('reuse_detected');
+      expect((await tokenManager.validate(refreshed.token)).valid).toBe(false);
+    });
+
+    test('should swap a user token issued before refresh tokens for a new pair', async () => {
+      const original = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      mockEnv.AUTH_DB.tables.refresh_tokens.length = 0;
+
+      const refreshed = await tokenManager.refreshWithAccessToken(`Bearer ${original.token}`);
+      expect(refreshed.success).toBe(true);
+      expect(refreshed.scope).toEqual(['chittyid:read']);
+      expect(refreshed.refreshToken).toMatch(/^rt_/);
+      expect((await tokenManager.validate(original.token)).valid).toBe(false);
+      expect((await tokenManager.validate(refreshed.token)).valid).toBe(true);
+    });
+
+    test('should not refresh a service token from the access token', async () => {
+      const service = await tokenManager.provision({
+        chittyId: '03-1-USA-0002-S-251-3-11',
+        scope: ['chittyid:read'],
+        service: 'chittyrouter',
+        expiresIn: 3600,
+        kind: 'service'
+      });
+
+      const result = await tokenManager.refreshWithAccessToken(service.token);
+      expect(result).toEqual({ success: false, error: 'This token cannot be refreshed' });
+      expect((await tokenManager.validate(service.token)).valid).toBe(true);
+    });
   });
 
   describe('Token Revocation', () => {
@@ -173,6 +366,171 @@ describe('TokenManager', () => {
     });
   });
 
+  describe('Session Tokens', () => {
+    const validation = {
+      tokenId: 'tok_parent',
+      chittyId: '03-1-USA-0001-P-251-3-82',
+      scope: ['chittyid:generate'],
+      service: 'chittyrouter'
+    };
+
+    test('should issue and verify a signed session token', async () => {
+      const session = await tokenManager.issueSessionToken(validation, 'chittyid');
+
+      expect(session.sessionToken).toMatch(/^sess_/);
+      expect(session.expiresIn).toBe(300);
+
+      const result = await tokenManager.validate(session.sessionToken, { audience: 'chittyid' });
+      expect(result.valid).toBe(true);
+      expect(result.tokenType).toBe('session');
+      expect(result.audience).toBe('chittyid');
+      expect(result.tokenId).toBe('tok_parent');
+      expect(result.scope).toEqual(['chittyid:generate']);
+    });
+
+    test('should reject a tampered session token', async () => {
+      const session = await tokenManager.issueSessionToken(validation, 'chittyid');
+      const [header, payload, signature] = session.sessionToken.slice(5).split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      claims.scope = ['admin:*'];
+      const forged = `sess_${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+
+      const result = await tokenManager.validate(forged);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('signature');
+    });
+
+    test('should reject a session token for another audience', async () => {
+      const session = await tokenManager.issueSessionToken(validation, 'chittyid');
+      const result = await tokenManager.validate(session.sessionToken, { audience: 'chittycases' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('audience');
+    });
+
+    test('should reject an expired session token', async () => {
+      const session = await tokenManager.issueSessionToken(validation, 'chittyid');
+      const realNow = Date.now;
+      Date.now = () => realNow() + 301000;
+      try {
+        const result = await tokenManager.validate(session.sessionToken);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('expired');
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    test('should reject a session token validated without an audience', async () => {
+      const session = await tokenManager.issueSessionToken(validation, 'chittyid');
+      const result = await tokenManager.validate(session.sessionToken);
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Session tokens require an audience');
+    });
+
+    test('should reject a session token once its parent token is revoked', async () => {
+      const parent = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:generate'],
+        service: 'chittyrouter',
+        expiresIn: 3600
+      });
+      const session = await tokenManager.issueSessionToken(await tokenManager.validate(parent.token), 'chittyid');
+      expect((await tokenManager.validate(session.sessionToken, { audience: 'chittyid' })).valid).toBe(true);
+
+      await tokenManager.revoke(parent.tokenId, 'Compromised');
+
+      const result = await tokenManager.validate(session.sessionToken, { audience: 'chittyid' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Parent token has been revoked');
+    });
+
+    test('should not refresh a session token', async () => {
+      const session = await tokenManager.issueSessionToken(validation, 'chittyid');
+      const result = await tokenManager.refresh(session.sessionToken);
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('JWT Access Tokens', () => {
+    test('should provision a JWT verifiable with the published JWKS', async () => {
+      const result = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600,
+        format: 'jwt'
+      });
+
+      expect(result.format).toBe('jwt');
+      expect(result.token.split('.')).toHaveLength(3);
+
+      const [headerSegment, payloadSegment, signatureSegment] = result.token.split('.');
+      const header = JSON.parse(Buffer.from(headerSegment, 'base64url').toString());
+      const claims = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString());
+      expect(header.alg).toBe('EdDSA');
+      expect(claims.jti).toBe(result.tokenId);
+      expect(claims.scope).toBe('chittyid:read');
+
+      const { keys } = await tokenManager.jwtSigner.getJwks();
+      const jwk = keys.find(k => k.kid === header.kid);
+      const publicKey = await crypto.subtle.importKey('jwk', jwk, { name: 'Ed25519' }, false, ['verify']);
+      const verified = await crypto.subtle.verify(
+        { name: 'Ed25519' },
+        publicKey,
+        Buffer.from(signatureSegment, 'base64url'),
+        Buffer.from(`${headerSegment}.${payloadSegment}`)
+      );
+      expect(verified).toBe(true);
+    });
+
+    test('should validate and refresh a JWT token', async () => {
+      const provision = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600,
+        format: 'jwt'
+      });
+
+      const validation = await tokenManager.validate(`Bearer ${provision.token}`);
+      expect(validation.valid).toBe(true);
+      expect(validation.format).toBe('jwt');
+
+      const refreshed = await tokenManager.refresh(provision.refreshToken);
+      expect(refreshed.format).toBe('jwt');
+    });
+
+    test('should reject a JWT with a forged signature', async () => {
+      const provision = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600,
+        format: 'jwt'
+      });
+
+      const [header, payload] = provision.token.split('.');
+      const forged = `${header}.${payload}.${Buffer.alloc(64).toString('base64url')}`;
+      const validation = await tokenManager.validate(forged);
+      expect(validation.valid).toBe(false);
+      expect(validation.error).toContain('signature');
+    });
+
+    test('should refuse the development JWT key in production', async () => {
+      const production = new TokenManager({ ENVIRONMENT: 'production' });
+      await expect(production.jwtSigner.getJwks()).rejects.toThrow('JWT_SIGNING_KEY or TOKEN_SIGNING_KEY must be set in production');
+    });
+
+    test('should reject an unknown token format', async () => {
+      await expect(tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        format: 'paseto'
+      })).rejects.toThrow('Invalid token format');
+    });
+  });
+
   describe('Token Format', () => {
     test('should generate tokens with correct prefix', async () => {
       const result = await tokenManager.provision({
@@ -194,6 +552,148 @@ describe('TokenManager', () => {
     });
   });
 
+  describe('Signing Key Rotation', () => {
+    test('should keep tokens signed with a rotated-out key valid until it is retired', async () => {
+      const before = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      const session = await tokenManager.issueSessionToken(await tokenManager.validate(before.token), 'chittyrouter');
+
+      const rotation = await tokenManager.signingKeys.rotate();
+      expect(rotation.previousKid).not.toBe(rotation.kid);
+
+      // Another isolate picks up the new key from D1
+      const other = new TokenManager(mockEnv);
+      const after = await other.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 3600
+      });
+      const [, encoded] = after.token.match(/^(ca_[a-z]+_)(.+)$/).slice(1);
+      expect(Buffer.from(encoded, 'base64url').toString().split('.')[2]).toBe(rotation.kid);
+
+      expect((await tokenManager.validate(before.token)).valid).toBe(true);
+      expect((await tokenManager.validate(after.token)).valid).toBe(true);
+      expect((await other.validate(session.sessionToken, { audience: 'chittyrouter' })).valid).toBe(true);
+
+      const retired = await tokenManager.signingKeys.retire(rotation.previousKid);
+      expect(retired.success).toBe(true);
+
+      const next = new TokenManager(mockEnv);
+      const validation = await next.validate(before.token);
+      expect(validation.valid).toBe(false);
+      expect(validation.error).toBe('Token signing key is not recognized');
+      expect((await next.validate(after.token)).valid).toBe(true);
+    });
+
+    test('should refuse to retire the active key', async () => {
+      const rotation = await tokenManager.signingKeys.rotate();
+      const result = await tokenManager.signingKeys.retire(rotation.kid);
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('active_key');
+    });
+  });
+
+  describe('Token Exchange', () => {
+    const actor = { serviceName: 'chittyrouter', chittyId: '03-1-USA-0002-S-251-3-11' };
+    let subject;
+
+    beforeEach(async () => {
+      subject = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read', 'chittyid:generate', '!chittyid:read:03-1-USA-0009-P-251-3-00'],
+        service: 'chittyid',
+        expiresIn: 2592000
+      });
+    });
+
+    test('should issue a down-scoped token bound to the audience', async () => {
+      const exchanged = await tokenManager.exchange(subject.token, {
+        audience: 'chittyledger',
+        scope: ['chittyid:read'],
+        actor
+      });
+
+      expect(exchanged.success).toBe(true);
+      expect(exchanged.tokenId).toMatch(/^tok_xch_/);
+      expect(exchanged.scope).toEqual(['chittyid:read', '!chittyid:read:03-1-USA-0009-P-251-3-00']);
+      expect(exchanged.expiresIn).toBe(900);
+
+      const validation = await tokenManager.validate(exchanged.token, { audience: 'chittyledger' });
+      expect(validation.valid).toBe(true);
+      expect(validation.chittyId).toBe('03-1-USA-0001-P-251-3-82');
+      expect(validation.act).toEqual({ sub: actor.chittyId, client_id: 'chittyrouter' });
+
+      expect((await tokenManager.validate(exchanged.token)).error).toBe('Token audience mismatch');
+      expect((await tokenManager.validate(exchanged.token, { audience: 'chittyid' })).valid).toBe(false);
+    });
+
+    test('should refuse a subject token with less than a second left', async () => {
+      const expiring = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 0.5
+      });
+
+      const result = await tokenManager.exchange(expiring.token, { audience: 'chittyledger', actor });
+
+      expect(result).toMatchObject({ success: false, reason: 'invalid_grant' });
+      expect(result.error).toContain('expires too soon');
+    });
+
+    test('should never turn an explicit zero lifetime into the default', async () => {
+      await expect(tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        expiresIn: 0
+      })).rejects.toThrow('expiresIn must be a positive number of seconds');
+    });
+
+    test('should refuse scopes the subject token does not grant', async () => {
+      const result = await tokenManager.exchange(subject.token, {
+        audience: 'chittyledger',
+        scope: ['chittyid:validate'],
+        actor
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('invalid_scope');
+    });
+
+    test('should nest the act chain when the audience exchanges again', async () => {
+      const first = await tokenManager.exchange(subject.token, { audience: 'chittyledger', actor });
+
+      const ledger = { serviceName: 'chittyledger', chittyId: '03-1-USA-0004-S-251-3-13' };
+      const second = await tokenManager.exchange(first.token, { audience: 'chittyfinance', actor: ledger });
+      expect(second.act).toEqual({
+        sub: ledger.chittyId,
+        client_id: 'chittyledger',
+        act: { sub: actor.chittyId, client_id: 'chittyrouter' }
+      });
+
+      // Only the audience of an exchanged token may exchange it
+      const stolen = await tokenManager.exchange(first.token, { audience: 'chittyfinance', actor });
+      expect(stolen.reason).toBe('invalid_grant');
+    });
+
+    test('should revoke exchanged tokens with their parent', async () => {
+      const exchanged = await tokenManager.exchange(subject.token, { audience: 'chittyledger', actor });
+
+      await tokenManager.revoke(subject.tokenId, 'Testing revocation');
+
+      const validation = await tokenManager.validate(exchanged.token, { audience: 'chittyledger' });
+      expect(validation.valid).toBe(false);
+      expect(validation.error).toContain('revoked');
+    });
+  });
+
   describe('Rate Limiting', () => {
     test('should set appropriate rate limits based on scope', () => {
       const adminLimit = tokenManager.getRateLimit(['admin:*']);
@@ -210,6 +710,225 @@ describe('TokenManager', () => {
     });
   });
 
+  describe('Token Quotas', () => {
+    const provisionFor = (service = 'chittyid') => tokenManager.provision({
+      chittyId: '03-1-USA-0001-P-251-3-82',
+      scope: ['chittyid:read'],
+      service,
+      expiresIn: 3600
+    });
+
+    test('should reject provisioning beyond MAX_TOKENS_PER_USER', async () => {
+      mockEnv.MAX_TOKENS_PER_USER = '2';
+      tokenManager = new TokenManager(mockEnv);
+
+      await provisionFor();
+      await provisionFor();
+      await expect(provisionFor()).rejects.toThrow(QuotaExceededError);
+
+      const usage = await tokenManager.getQuotaUsage('03-1-USA-0001-P-251-3-82');
+      expect(usage.active).toBe(2);
+      expect(usage.remaining).toBe(0);
+    });
+
+    test('should revoke the oldest token under the revoke_oldest policy', async () => {
+      mockEnv.MAX_TOKENS_PER_USER = '2';
+      mockEnv.TOKEN_QUOTA_POLICY = 'revoke_oldest';
+      tokenManager = new TokenManager(mockEnv);
+
+      const oldest = await provisionFor();
+      await provisionFor();
+      const newest = await provisionFor();
+
+      expect(newest.success).toBe(true);
+      expect((await tokenManager.validate(oldest.token)).valid).toBe(false);
+      expect((await tokenManager.getQuotaUsage('03-1-USA-0001-P-251-3-82')).active).toBe(2);
+    });
+
+    test('should enforce MAX_TOKENS_PER_SERVICE independently', async () => {
+      mockEnv.MAX_TOKENS_PER_SERVICE = '1';
+      tokenManager = new TokenManager(mockEnv);
+
+      await provisionFor('chittyid');
+      await provisionFor('chittycases');
+      await expect(provisionFor('chittyid')).rejects.toThrow('for chittyid');
+    });
+
+    test('should exempt service client-credentials tokens', async () => {
+      mockEnv.MAX_TOKENS_PER_USER = '1';
+      tokenManager = new TokenManager(mockEnv);
+
+      await provisionFor();
+      const serviceToken = await tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['chittyid:read'],
+        service: 'chittyid',
+        kind: 'service'
+      });
+      expect(serviceToken.tokenId).toMatch(/^tok_svc_/);
+    });
+  });
+
+  describe('Bulk Revocation', () => {
+    const provisionFor = (chittyId, scope = ['chittyid:read']) => tokenManager.provision({
+      chittyId,
+      scope,
+      service: 'chittyid',
+      expiresIn: 3600
+    });
+
+    test('should revoke every token for a ChittyID with one audit event', async () => {
+      const first = await provisionFor('03-1-USA-0001-P-251-3-82');
+      const second = await provisionFor('03-1-USA-0001-P-251-3-82');
+      const other = await provisionFor('03-1-USA-0009-P-251-3-40');
+      const events = [];
+      const logAuditEvent = tokenManager.logAuditEvent.bind(tokenManager);
+      tokenManager.logAuditEvent = async (event) => {
+        events.push(event);
+        return logAuditEvent(event);
+      };
+
+      const result = await tokenManager.bulkRevoke({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        reason: 'Account compromised'
+      });
+
+      expect(result.revokedCount).toBe(2);
+      expect((await tokenManager.validate(first.token)).valid).toBe(false);
+      expect((await tokenManager.validate(second.token)).valid).toBe(false);
+      expect((await tokenManager.validate(other.token)).valid).toBe(true);
+
+      const bulkEvents = events.filter(event => event.eventType === 'tokens_bulk_revoked');
+      const singleEvents = events.filter(event => event.eventType === 'token_revoked');
+      expect(bulkEvents).toHaveLength(1);
+      expect(bulkEvents[0].count).toBe(2);
+      expect(singleEvents).toHaveLength(0);
+    });
+
+    test('should match scope exactly and support dry runs', async () => {
+      const admin = await provisionFor('03-1-USA-0001-P-251-3-82', ['admin:*']);
+      await provisionFor('03-1-USA-0001-P-251-3-82', ['chittyid:read']);
+
+      const dryRun = await tokenManager.bulkRevoke({ scope: 'admin:*', reason: 'Rotate admins', dryRun: true });
+      expect(dryRun.matchedCount).toBe(1);
+      expect(dryRun.revokedCount).toBe(0);
+      expect((await tokenManager.validate(admin.token)).valid).toBe(true);
+
+      const result = await tokenManager.bulkRevoke({ scope: 'admin:*', reason: 'Rotate admins' });
+      expect(result.tokenIds).toEqual([admin.tokenId]);
+    });
+
+    test('should match scopes with the scope grammar', async () => {
+      const wildcard = await provisionFor('03-1-USA-0001-P-251-3-82', ['chittyauth:*']);
+      const denied = await provisionFor('03-1-USA-0001-P-251-3-82', ['chittyauth:*', '!chittyauth:read']);
+      const exact = await provisionFor('03-1-USA-0001-P-251-3-82', ['chittyauth:read']);
+
+      const result = await tokenManager.bulkRevoke({ scope: 'chittyauth:read', reason: 'Scope compromised' });
+
+      expect(result.tokenIds.sort()).toEqual([wildcard.tokenId, exact.tokenId].sort());
+      expect((await tokenManager.validate(denied.token)).valid).toBe(true);
+    });
+
+    test('should revoke refreshed and exchanged descendants too', async () => {
+      const original = await provisionFor('03-1-USA-0001-P-251-3-82', ['chittyid:read', 'chittyid:generate']);
+      const refreshed = await tokenManager.refresh(original.refreshToken);
+      const exchanged = await tokenManager.exchange(refreshed.token, {
+        audience: 'chittyledger',
+        scope: ['chittyid:read'],
+        actor: { serviceName: 'chittyid', chittyId: '03-1-USA-0002-S-251-3-11' }
+      });
+
+      // The exchanged token lacks the scope, so only the cascade reaches it
+      const result = await tokenManager.bulkRevoke({ scope: 'chittyid:generate', reason: 'Scope compromised' });
+
+      expect(result.cascadedCount).toBe(1);
+      expect((await tokenManager.validate(refreshed.token)).valid).toBe(false);
+      expect((await tokenManager.validate(exchanged.token, { audience: 'chittyledger' })).valid).toBe(false);
+      expect((await tokenManager.refresh(refreshed.refreshToken)).success).toBe(false);
+    });
+
+    test('should cap the tokens revoked per call and continue from the cursor', async () => {
+      const provisioned = [];
+      for (let i = 0; i < 205; i++) {
+        provisioned.push(await tokenManager.provision({
+          chittyId: `03-1-USA-${String(i).padStart(4, '0')}-P-251-3-82`,
+          scope: ['chittyid:read'],
+          service: 'chittyledger',
+          expiresIn: 3600,
+          kind: 'service'
+        }));
+      }
+
+      const first = await tokenManager.bulkRevoke({ service: 'chittyledger', reason: 'Service compromised' });
+      expect(first.revokedCount).toBe(200);
+      expect(first.nextCursor).toBeTruthy();
+
+      const second = await tokenManager.bulkRevoke({ service: 'chittyledger', reason: 'Service compromised', cursor: first.nextCursor });
+      expect(second.revokedCount).toBe(5);
+      expect(second.nextCursor).toBeNull();
+      expect(new Set([...first.tokenIds, ...second.tokenIds]).size).toBe(205);
+    });
+
+    test('should require a filter and a reason', async () => {
+      await expect(tokenManager.bulkRevoke({ reason: 'Everything' })).rejects.toThrow('filter');
+      await expect(tokenManager.bulkRevoke({ chittyId: '03-1-USA-0001-P-251-3-82' })).rejects.toThrow('reason');
+    });
+  });
+
+  describe('Token Search', () => {
+    test('should page results with a cursor and never expose hashes', async () => {
+      const now = Date.now();
+      const rows = [3, 2, 1].map(n => ({
+        id: `tok_${n}`,
+        token_hash: `hash_${n}`,
+        chitty_id: '03-1-USA-0001-P-251-3-82',
+        service_name: 'chittyid',
+        scope: '["chittyid:read"]',
+        created_at: now - n * 1000,
+        expires_at: n === 1 ? now - 1 : now + 3600000,
+        request_count: n,
+        sort_value: now - n * 1000
+      }));
+      const queries = [];
+      mockEnv.AUTH_DB = {
+        prepare: (sql) => ({
+          bind: (...params) => ({
+            all: async () => {
+              queries.push({ sql, params });
+              return { results: rows.slice(0, params[params.length - 1]) };
+            }
+          })
+        })
+      };
+
+      const page = await tokenManager.searchTokens({ chittyId: '03-1-USA-0001-P-251-3-82', limit: 2 });
+
+      expect(page.tokens.map(t => t.tokenId)).toEqual(['tok_3', 'tok_2']);
+      expect(page.tokens[0]).not.toHaveProperty('token_hash');
+      expect(page.tokens[0].status).toBe('active');
+      expect(page.nextCursor).toBeTruthy();
+      expect(queries[0].sql).toContain('chitty_id = ?');
+
+      await tokenManager.searchTokens({ limit: 2, cursor: page.nextCursor });
+      expect(queries[1].sql).toContain('id < ?');
+      expect(queries[1].params).toContain('tok_2');
+    });
+
+    test('should reject a malformed cursor', async () => {
+      mockEnv.AUTH_DB = { prepare: () => ({ bind: () => ({ all: async () => ({ results: [] }) }) }) };
+      await expect(tokenManager.searchTokens({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    });
+
+    test('should derive token status from revocation and expiry', () => {
+      const now = Date.now();
+      const base = { id: 'tok_1', chitty_id: 'x', scope: '[]', created_at: now, expires_at: now + 1000 };
+
+      expect(tokenManager.formatTokenMetadata(base, now).status).toBe('active');
+      expect(tokenManager.formatTokenMetadata({ ...base, expires_at: now }, now).status).toBe('expired');
+      expect(tokenManager.formatTokenMetadata({ ...base, revoked_at: now }, now).status).toBe('revoked');
+    });
+  });
+
   describe('Statistics', () => {
     test('should return token statistics', async () => {
       // Provision some tokens
@@ -257,10 +976,13 @@ function createMockKV() {
 function createMockD1() {
   const tables = {
     tokens: [],
+    refresh_tokens: [],
+    signing_keys: [],
     auth_events: []
   };
 
   return {
+    tables,
     prepare: (sql) => {
       return {
         bind: (...params) => {
@@ -275,13 +997,145 @@ function createMockD1() {
                   scope: params[3],
                   created_at: params[4],
                   expires_at: params[5],
-                  request_count: params[6]
+                  service_name: params[6],
+                  request_count: 0,
+                  parent_token_id: params[9]
+                });
+              }
+              if (sql.includes('INSERT INTO refresh_tokens')) {
+                tables.refresh_tokens.push({
+                  id: params[0],
+                  token_hash: params[1],
+                  family_id: params[2],
+                  access_token_id: params[3],
+                  chitty_id: params[4],
+                  scope: params[5],
+                  service_name: params[6],
+                  format: params[7],
+                  created_at: params[8],
+                  expires_at: params[9]
                 });
               }
+              if (sql.includes('SET used_at')) {
+                const record = tables.refresh_tokens.find(r => r.id === params[1] && !r.used_at);
+                if (record) {
+                  record.used_at = params[0];
+                }
+                return { success: true, meta: { changes: record ? 1 : 0 } };
+              }
+              if (sql.includes('UPDATE refresh_tokens SET scope')) {
+                tables.refresh_tokens.find(r => r.id === params[1]).scope = params[0];
+              }
+              if (sql.includes('UPDATE tokens SET scope')) {
+                tables.tokens.find(t => t.id === params[1]).scope = params[0];
+              }
+              if (sql.includes('UPDATE refresh_tokens SET revoked_at')) {
+                tables.refresh_tokens
+                  .filter(r => !r.revoked_at && (sql.includes('family_id = ?')
+                    ? r.family_id === params[1]
+                    : params.slice(1).includes(r.access_token_id)))
+                  .forEach(r => { r.revoked_at = params[0]; });
+              }
+              // Simulate signing key rotation and retirement
+              if (sql.includes('INSERT OR IGNORE INTO signing_keys') && !tables.signing_keys.some(k => k.kid === params[0])) {
+                tables.signing_keys.push({ kid: params[0], encrypted_secret: null, status: 'active', created_at: params[1] });
+              }
+              if (sql.includes('INSERT INTO signing_keys')) {
+                tables.signing_keys.push({ kid: params[0], encrypted_secret: params[1], status: 'active', created_at: params[2] });
+              }
+              if (sql.includes("SET status = 'retiring'")) {
+                tables.signing_keys
+                  .filter(k => k.status === 'active')
+                  .forEach(k => { k.status = 'retiring'; k.rotated_at = params[0]; });
+              }
+              if (sql.includes("SET status = 'retired'")) {
+                const key = tables.signing_keys.find(k => k.kid === params[1]);
+                key.status = 'retired';
+                key.retired_at = params[0];
+              }
+              if (sql.includes('WHERE id IN')) {
+                tables.tokens
+                  .filter(t => params.slice(2).includes(t.id))
+                  .forEach(t => { t.revoked_at = params[0]; });
+              } else if (sql.includes('UPDATE tokens SET revoked_at')) {
+                const token = tables.tokens.find(t => t.id === params[2]);
+                if (token) {
+                  token.revoked_at = params[0];
+                }
+              }
               return { success: true };
             },
+            all: async () => {
+              if (sql.includes('FROM signing_keys WHERE status != ?')) {
+                return { results: tables.signing_keys.filter(k => k.status !== params[0]).map(k => ({ ...k })) };
+              }
+              // Simulate active token counts per service
+              if (sql.includes('GROUP BY service_name')) {
+                const counts = {};
+                tables.tokens
+                  .filter(t => t.chitty_id === params[0] && !t.revoked_at && t.expires_at > params[1])
+                  .forEach(t => { counts[t.service_name] = (counts[t.service_name] || 0) + 1; });
+                return {
+                  results: Object.entries(counts).map(([service_name, active]) => ({ service_name, active }))
+                };
+              }
+              // Simulate bulk revocation candidate pages (chittyId or service filter)
+              if (sql.includes('SELECT id, token_hash, scope FROM tokens')) {
+                const [afterId, limit] = params.slice(-2);
+                return {
+                  results: tables.tokens
+                    .filter(t => !t.revoked_at && t.expires_at > params[0] && t.id > afterId &&
+                      (!sql.includes('chitty_id = ?') || t.chitty_id === params[1]) &&
+                      (!sql.includes('service_name = ?') || t.service_name === params[sql.includes('chitty_id = ?') ? 2 : 1]))
+                    .sort((a, b) => (a.id < b.id ? -1 : 1))
+                    .slice(0, limit)
+                };
+              }
+              // Simulate refresh families and exchanged children of bulk-revoked tokens
+              if (sql.includes('SELECT DISTINCT family_id FROM refresh_tokens')) {
+                const families = tables.refresh_tokens.filter(r => params.includes(r.access_token_id)).map(r => r.family_id);
+                return { results: [...new Set(families)].map(family_id => ({ family_id })) };
+              }
+              if (sql.includes('WHERE parent_token_id IN')) {
+                return { results: tables.tokens.filter(t => params.includes(t.parent_token_id) && !t.revoked_at) };
+              }
+              // Simulate the unused refresh token of a family
+              if (sql.includes('FROM refresh_tokens') && sql.includes('used_at IS NULL')) {
+                return {
+                  results: tables.refresh_tokens.filter(r => r.family_id === params[0] && !r.used_at && !r.revoked_at)
+                };
+              }
+              // Simulate active access tokens in a refresh token family
+              if (sql.includes('JOIN refresh_tokens')) {
+                const ids = tables.refresh_tokens.filter(r => r.family_id === params[0]).map(r => r.access_token_id);
+                return { results: tables.tokens.filter(t => ids.includes(t.id) && !t.revoked_at) };
+              }
+              // Simulate tokens exchanged from a parent
+              if (sql.includes('WHERE parent_token_id = ?')) {
+                return { results: tables.tokens.filter(t => t.parent_token_id === params[0] && !t.revoked_at) };
+              }
+              // Simulate oldest active tokens for quota enforcement
+              if (sql.includes('ORDER BY created_at ASC')) {
+                const active = tables.tokens
+                  .filter(t => t.chitty_id === params[0] && !t.revoked_at && t.expires_at > params[1])
+                  .sort((a, b) => a.created_at - b.created_at);
+                return { results: active.slice(0, params[params.length - 1]) };
+              }
+              return { results: [] };
+            },
             first: async () => {
               // Simulate SELECT
+              if (sql.includes('SELECT * FROM refresh_tokens WHERE access_token_id')) {
+                const record = tables.refresh_tokens.find(r => r.access_token_id === params[0]);
+                return record ? { ...record } : null;
+              }
+              if (sql.includes('SELECT * FROM refresh_tokens')) {
+                const record = tables.refresh_tokens.find(r => r.token_hash === params[0]);
+                return record ? { ...record } : null;
+              }
+              if (sql.includes('SELECT family_id FROM refresh_tokens')) {
+                return tables.refresh_tokens.find(r => r.access_token_id === params[0]) || null;
+              }
               if (sql.includes('SELECT * FROM tokens')) {
                 const token = tables.tokens.find(t => t.token_hash === params[0] && !t.revoked_at);
                 return token || null;
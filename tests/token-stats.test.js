@@ -0,0 +1,181 @@
+/**
+ * ChittyAuth Token Statistics Tests
+ * Unit tests for time-series buckets, the token_stats/auth_events split, breakdowns and the stats endpoint
+ */
+
+import { TokenStatistics } from '../src/token-stats.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+const DAY_MS = 86400000;
+const at = (iso) => Date.parse(iso);
+
+describe('TokenStatistics', () => {
+  let db;
+  let stats;
+
+  beforeEach(() => {
+    db = createMockD1();
+    stats = new TokenStatistics({ AUTH_DB: db });
+  });
+
+  test('should zero-fill UTC hour buckets from auth_events', async () => {
+    db.eventRows = [{ bucket: at('2025-11-06T10:00:00Z'), provisions: 2, validations: 5, failed_validations: 1, unique_users: 2 }];
+
+    const series = await stats.getTimeSeries({
+      from: at('2025-11-06T09:30:00Z'),
+      to: at('2025-11-06T12:00:00Z'),
+      granularity: 'hour'
+    });
+
+    expect(series.buckets.map(bucket => bucket.start)).toEqual([
+      '2025-11-06T09:00:00.000Z', '2025-11-06T10:00:00.000Z', '2025-11-06T11:00:00.000Z'
+    ]);
+    expect(series.buckets[1]).toMatchObject({ provisions: 2, validations: 5, failedValidations: 1, uniqueUsers: 2 });
+    expect(series.buckets[2].validations).toBe(0);
+    expect(db.queries[0].sql).toContain('(e.timestamp + 0) / 3600000');
+  });
+
+  test('should start weeks on Monday', async () => {
+    const series = await stats.getTimeSeries({
+      from: at('2025-11-06T00:00:00Z'), // Thursday
+      to: at('2025-11-12T00:00:00Z'),
+      granularity: 'week'
+    });
+
+    expect(series.buckets.map(bucket => bucket.start)).toEqual([
+      '2025-11-03T00:00:00.000Z', '2025-11-10T00:00:00.000Z'
+    ]);
+  });
+
+  test('should use settled token_stats days and count the rest from auth_events', async () => {
+    db.statsRows = [
+      // Rolled up after the day ended: settled
+      { date: '2025-11-04', provisions: 7, validations: 70, updated_at: at('2025-11-05T00:10:00Z') },
+      // Last rolled up during the day: recounted from auth_events
+      { date: '2025-11-05', provisions: 1, validations: 10, updated_at: at('2025-11-05T18:00:00Z') }
+    ];
+    db.eventRows = [{ bucket: at('2025-11-05T00:00:00Z'), provisions: 3, validations: 30 }];
+
+    const series = await stats.getTimeSeries({
+      from: at('2025-11-04T00:00:00Z'),
+      to: at('2025-11-06T00:00:00Z'),
+      granularity: 'day'
+    });
+
+    expect(series.buckets.map(bucket => bucket.provisions)).toEqual([7, 3]);
+    // Only the unsettled day is counted from auth_events
+    expect(db.queries[1].params.slice(0, 2)).toEqual([at('2025-11-05T00:00:00Z'), at('2025-11-06T00:00:00Z')]);
+  });
+
+  test('should break a series down by scope, busiest first', async () => {
+    const day = at('2025-11-05T00:00:00Z');
+    db.eventRows = [
+      { bucket: day, grp: 'chittyid:read', validations: 4 },
+      { bucket: day, grp: 'chittyid:generate', validations: 9 },
+      { bucket: day + DAY_MS, grp: 'chittyid:read', validations: 1 }
+    ];
+
+    const series = await stats.getTimeSeries({ from: day, to: day + 2 * DAY_MS, granularity: 'day', groupBy: 'scope' });
+
+    expect(series.groupBy).toBe('scope');
+    expect(series.totalGroups).toBe(2);
+    expect(series.groups.map(group => group.key)).toEqual(['chittyid:generate', 'chittyid:read']);
+    expect(series.groups[1].buckets.map(bucket => bucket.validations)).toEqual([4, 1]);
+    expect(db.queries[0].sql).toContain('json_each');
+    expect(db.queries.some(query => query.sql.includes('FROM token_stats'))).toBe(false);
+  });
+
+  describe('Endpoint', () => {
+    let env;
+    let headers;
+
+    beforeEach(async () => {
+      env = {
+        TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+        AUTH_TOKENS: createMockKV(),
+        AUTH_DB: db
+      };
+      const { token } = await new ChittyAuthAPI(env).tokenManager.provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['admin:*'],
+        service: 'chittyauth',
+        kind: 'service'
+      });
+      headers = { Authorization: `Bearer ${token}` };
+    });
+
+    const get = (query) => new ChittyAuthAPI(env).route(
+      new Request(`https://auth.chitty.cc/v1/tokens/stats${query}`, { headers })
+    );
+
+    test('should return totals and a series for the requested range', async () => {
+      const response = await get('?from=2025-11-01&to=2025-11-03&granularity=day&groupBy=service');
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.totalTokens).toBe(3);
+      expect(body.requestsToday).toBe(12);
+      expect(body.series).toMatchObject({
+        from: '2025-11-01T00:00:00.000Z',
+        to: '2025-11-03T00:00:00.000Z',
+        granularity: 'day',
+        groupBy: 'service',
+        groups: []
+      });
+    });
+
+    test('should reject invalid parameters', async () => {
+      expect((await get('?granularity=month')).status).toBe(400);
+      expect((await get('?groupBy=region')).status).toBe(400);
+      expect((await get('?from=2025-11-03&to=2025-11-01')).status).toBe(400);
+
+      const tooLarge = await get('?from=2020-01-01&to=2025-01-01&granularity=hour');
+      expect(tooLarge.status).toBe(400);
+      expect((await tooLarge.json()).error).toBe('Range too large: at most 1000 hour buckets');
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
+
+// Mock D1 database (statistics queries answer with fixed rows; everything else succeeds with no rows)
+function createMockD1() {
+  const db = { queries: [], eventRows: [], statsRows: [] };
+
+  db.prepare = (sql) => ({
+    bind: (...params) => ({
+      run: async () => ({ success: true }),
+      first: async () => {
+        if (sql.includes('COUNT(*) as total_tokens')) {
+          return { total_tokens: 3, active_tokens: 2, revoked_tokens: 1, expired_tokens: 0 };
+        }
+        if (sql.includes('as total_requests')) {
+          return { total_requests: 12 };
+        }
+        return null;
+      },
+      all: async () => {
+        db.queries.push({ sql, params });
+        if (sql.includes('FROM token_stats')) {
+          return { results: db.statsRows };
+        }
+        return { results: sql.includes('FROM auth_events e') ? db.eventRows : [] };
+      }
+    })
+  });
+
+  return db;
+}
@@ -0,0 +1,321 @@
+/**
+ * ChittyAuth Webhook Tests
+ * Unit tests for subscriptions, signed deliveries, retries with backoff, delivery logs and replay
+ */
+
+import { WebhookManager } from '../src/webhooks.js';
+import { TokenManager } from '../src/token-manager.js';
+import { ChittyAuthAPI } from '../src/api-router.js';
+
+describe('WebhookManager', () => {
+  const originalFetch = globalThis.fetch;
+  let env;
+  let db;
+  let webhooks;
+  let sent;
+
+  const respondWith = (...statuses) => {
+    globalThis.fetch = async (url, init) => {
+      sent.push({ url, ...init });
+      return new Response('', { status: statuses.shift() ?? 200 });
+    };
+  };
+
+  beforeEach(() => {
+    db = createMockD1();
+    env = {
+      TOKEN_SIGNING_KEY: 'test-signing-key-for-unit-tests-only',
+      AUTH_TOKENS: createMockKV(),
+      AUTH_DB: db,
+      WEBHOOK_MAX_ATTEMPTS: '3'
+    };
+    webhooks = new WebhookManager(env);
+    sent = [];
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('should verify its own signatures and reject tampered or stale ones', () => {
+    const secret = 'whsec_test';
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = '{"type":"token_revoked"}';
+    const signature = `v1=${WebhookManager.sign(secret, timestamp, body)}`;
+
+    expect(WebhookManager.verify(secret, { timestamp, signature, body })).toBe(true);
+    expect(WebhookManager.verify(secret, { timestamp, signature, body: '{"type":"token_provision"}' })).toBe(false);
+    expect(WebhookManager.verify('whsec_other', { timestamp, signature, body })).toBe(false);
+    expect(WebhookManager.verify(secret, { timestamp: timestamp - 600, signature, body })).toBe(false);
+  });
+
+  test('should queue audit events only for matching subscriptions, without request context', async () => {
+    const revocations = await webhooks.create({ url: 'https://hooks.example.com/revoked', eventTypes: ['token_revoked'] });
+    const everything = await webhooks.create({ url: 'https://hooks.example.com/all', eventTypes: ['*'] });
+
+    const tokenManager = new TokenManager(env);
+    await tokenManager.logAuditEvent({
+      eventType: 'token_provision',
+      tokenId: 'tok_abc',
+      chittyId: '03-1-USA-0001-P-251-3-82',
+      ipAddress: '203.0.113.7',
+      success: true,
+      timestamp: Date.now()
+    });
+    await tokenManager.logAuditEvent({ eventType: 'token_validated', success: true, timestamp: Date.now() });
+
+    const deliveries = [...db.deliveries.values()];
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].subscription_id).toBe(everything.id);
+    expect(deliveries[0].subscription_id).not.toBe(revocations.id);
+
+    const payload = JSON.parse(deliveries[0].payload);
+    expect(payload).toMatchObject({ type: 'token_provision', data: { tokenId: 'tok_abc', success: true } });
+    expect(payload.id).toMatch(/^evt_/);
+    expect(payload.data.ipAddress).toBeUndefined();
+    expect(tokenManager.webhooks.queued).toBe(1);
+  });
+
+  test('should count queued deliveries per request, not per isolate', async () => {
+    await webhooks.create({ url: 'https://hooks.example.com/revoked', eventTypes: ['token_revoked'] });
+    const queuing = new ChittyAuthAPI(env);
+    const quiet = new ChittyAuthAPI(env);
+
+    await Promise.all([
+      queuing.tokenManager.logAuditEvent({ eventType: 'token_revoked', tokenId: 'tok_abc', success: true, timestamp: Date.now() }),
+      quiet.tokenManager.logAuditEvent({ eventType: 'token_validated', success: true, timestamp: Date.now() })
+    ]);
+
+    expect(queuing.webhooks.queued).toBe(1);
+    expect(quiet.webhooks.queued).toBe(0);
+  });
+
+  test('should sign deliveries with the subscription secret and retry failures with backoff', async () => {
+    const { id, secret } = await webhooks.create({ url: 'https://hooks.example.com/tokens', eventTypes: ['token_revoked'] });
+    await webhooks.enqueue('evt_1', { eventType: 'token_revoked', tokenId: 'tok_abc', timestamp: Date.now() });
+    respondWith(503, 200);
+
+    const now = Date.now();
+    expect(await webhooks.deliverDue(now)).toEqual({ delivered: 0, retrying: 1, failed: 0 });
+
+    const [request] = sent;
+    expect(request.url).toBe('https://hooks.example.com/tokens');
+    expect(request.headers['ChittyAuth-Webhook-Event']).toBe('token_revoked');
+    expect(WebhookManager.verify(secret, {
+      timestamp: request.headers['ChittyAuth-Webhook-Timestamp'],
+      signature: request.headers['ChittyAuth-Webhook-Signature'],
+      body: request.body
+    }, 300, now)).toBe(true);
+
+    const [delivery] = await webhooks.listDeliveries(id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 503, lastError: 'Endpoint returned 503' });
+    const retryAt = db.deliveries.get(delivery.id).next_attempt_at;
+    expect(retryAt).toBeGreaterThanOrEqual(now + 30000);
+    expect(retryAt).toBeLessThanOrEqual(now + 33000);
+
+    // Not due yet
+    expect(await webhooks.deliverDue(now + 1000)).toEqual({ delivered: 0, retrying: 0, failed: 0 });
+    expect(await webhooks.deliverDue(retryAt)).toEqual({ delivered: 1, retrying: 0, failed: 0 });
+
+    const log = await webhooks.getDelivery(delivery.id);
+    expect(log.delivery.status).toBe('delivered');
+    expect(log.delivery.attemptLog.map(attempt => attempt.statusCode)).toEqual([503, 200]);
+  });
+
+  test('should give up after the maximum number of attempts', async () => {
+    await webhooks.create({ url: 'https://hooks.example.com/tokens', eventTypes: ['*'] });
+    await webhooks.enqueue('evt_1', { eventType: 'token_revoked', timestamp: Date.now() });
+    globalThis.fetch = async () => {
+      throw new TypeError('fetch failed');
+    };
+
+    let now = Date.now();
+    const outcomes = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+      outcomes.push(await webhooks.deliverDue(now));
+      now += 86400000;
+    }
+
+    expect(outcomes.map(outcome => outcome.failed)).toEqual([0, 0, 1]);
+    const [delivery] = db.deliveries.values();
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 3, last_error: 'Unreachable: fetch failed' });
+    expect(db.attempts).toHaveLength(3);
+    expect(await webhooks.deliverDue(now)).toEqual({ delivered: 0, retrying: 0, failed: 0 });
+  });
+
+  test('should replay a delivery as a new one, unless the subscription is disabled', async () => {
+    const { id } = await webhooks.create({ url: 'https://hooks.example.com/tokens', eventTypes: ['*'] });
+    await webhooks.enqueue('evt_1', { eventType: 'token_refreshed', timestamp: Date.now() });
+    const [original] = db.deliveries.values();
+
+    const replay = await webhooks.replay(original.id);
+    expect(replay.success).toBe(true);
+    expect(webhooks.queued).toBe(2);
+    expect(db.deliveries.get(replay.deliveryId)).toMatchObject({
+      status: 'pending',
+      replay_of: original.id,
+      event_id: 'evt_1',
+      payload: original.payload
+    });
+
+    await webhooks.disable(id);
+    expect(db.deliveries.get(replay.deliveryId).status).toBe('cancelled');
+    expect(await webhooks.replay(original.id)).toMatchObject({ success: false, reason: 'disabled' });
+  });
+
+  describe('Endpoints', () => {
+    let headers;
+
+    const post = (path, body) => new ChittyAuthAPI(env).route(new Request(`https://auth.chitty.cc${path}`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }));
+
+    beforeEach(async () => {
+      const { token } = await new TokenManager(env).provision({
+        chittyId: '03-1-USA-0001-P-251-3-82',
+        scope: ['admin:*'],
+        service: 'chittyauth',
+        kind: 'service'
+      });
+      headers = { Authorization: `Bearer ${token}` };
+    });
+
+    test('should let admins create subscriptions and return the secret once', async () => {
+      const response = await post('/v1/webhooks', {
+        url: 'https://hooks.example.com/tokens',
+        eventTypes: ['token_revoked', 'refresh_token_reuse_detected']
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(body.secret).toMatch(/^whsec_/);
+      expect(db.subscriptions.get(body.id).encrypted_secret).not.toContain(body.secret);
+
+      const list = await (await new ChittyAuthAPI(env).route(
+        new Request('https://auth.chitty.cc/v1/webhooks', { headers })
+      )).json();
+      expect(list.webhooks).toEqual([expect.objectContaining({ id: body.id, active: true })]);
+      expect(list.webhooks[0].secret).toBeUndefined();
+
+      headers = {};
+      expect((await post('/v1/webhooks', { url: 'https://hooks.example.com', eventTypes: ['*'] })).status).toBe(401);
+    });
+
+    test('should reject plain HTTP in production and unknown event types', async () => {
+      env.ENVIRONMENT = 'production';
+
+      expect((await post('/v1/webhooks', { url: 'http://hooks.example.com', eventTypes: ['*'] })).status).toBe(400);
+      expect((await post('/v1/webhooks', { url: 'https://hooks.example.com', eventTypes: ['token_validated'] })).status).toBe(400);
+      expect((await post('/v1/webhooks/deliveries/whd_missing/replay', {})).status).toBe(404);
+    });
+  });
+});
+
+// Mock KV namespace
+function createMockKV() {
+  const store = new Map();
+
+  return {
+    get: async (key) => store.get(key) || null,
+    put: async (key, value) => {
+      store.set(key, value);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    }
+  };
+}
+
+// Mock D1 database (webhook tables are kept in memory; everything else succeeds with no rows)
+function createMockD1() {
+  const db = { subscriptions: new Map(), deliveries: new Map(), attempts: [] };
+
+  const run = (sql, params) => {
+    if (sql.includes('INSERT INTO webhook_subscriptions')) {
+      const [id, url, eventTypes, encryptedSecret, description, createdBy, createdAt, updatedAt] = params;
+      db.subscriptions.set(id, {
+        id, url, event_types: eventTypes, encrypted_secret: encryptedSecret, description,
+        active: 1, created_by: createdBy, created_at: createdAt, updated_at: updatedAt
+      });
+    } else if (sql.includes('UPDATE webhook_subscriptions SET active = 0')) {
+      db.subscriptions.get(params[1]).active = 0;
+    } else if (sql.includes('UPDATE webhook_subscriptions SET encrypted_secret')) {
+      db.subscriptions.get(params[2]).encrypted_secret = params[0];
+    } else if (sql.includes('INSERT INTO webhook_deliveries')) {
+      const [id, subscriptionId, eventId, eventType, payload, nextAttemptAt, createdAt, replayOf] = params;
+      db.deliveries.set(id, {
+        id, subscription_id: subscriptionId, event_id: eventId, event_type: eventType, payload,
+        status: 'pending', attempts: 0, next_attempt_at: nextAttemptAt, created_at: createdAt, replay_of: replayOf
+      });
+    } else if (sql.includes("SET status = 'delivering'")) {
+      const delivery = db.deliveries.get(params[1]);
+      if (delivery.next_attempt_at !== params[2]) {
+        return { success: true, meta: { changes: 0 } };
+      }
+      delivery.status = 'delivering';
+      delivery.next_attempt_at = params[0];
+      return { success: true, meta: { changes: 1 } };
+    } else if (sql.includes('SET status = ?, attempts = ?')) {
+      const [status, attempts, nextAttemptAt, statusCode, error, deliveredAt, id] = params;
+      Object.assign(db.deliveries.get(id), {
+        status, attempts, next_attempt_at: nextAttemptAt, last_status_code: statusCode, last_error: error, delivered_at: deliveredAt
+      });
+    } else if (sql.includes("SET status = 'cancelled'")) {
+      [...db.deliveries.values()]
+        .filter(delivery => delivery.subscription_id === params[0] && ['pending', 'delivering'].includes(delivery.status))
+        .forEach(delivery => { delivery.status = 'cancelled'; });
+    } else if (sql.includes('INSERT INTO webhook_delivery_attempts')) {
+      const [deliveryId, attempt, statusCode, error, durationMs, attemptedAt] = params;
+      db.attempts.push({ delivery_id: deliveryId, attempt, status_code: statusCode, error, duration_ms: durationMs, attempted_at: attemptedAt });
+    }
+    return { success: true, meta: { changes: 0 } };
+  };
+
+  const first = (sql, params) => {
+    if (sql.includes('FROM webhook_subscriptions WHERE id = ?')) {
+      return db.subscriptions.get(params[0]) || null;
+    }
+    if (sql.includes('FROM webhook_deliveries d') && sql.includes('WHERE d.id = ?')) {
+      const delivery = db.deliveries.get(params[0]);
+      return delivery ? { ...delivery, active: db.subscriptions.get(delivery.subscription_id).active } : null;
+    }
+    if (sql.includes('FROM webhook_deliveries WHERE id = ?')) {
+      return db.deliveries.get(params[0]) || null;
+    }
+    return null;
+  };
+
+  const all = (sql, params) => {
+    if (sql.includes('FROM webhook_subscriptions WHERE active = ?')) {
+      return [...db.subscriptions.values()].filter(subscription => subscription.active === params[0]);
+    }
+    if (sql.includes('FROM webhook_subscriptions')) {
+      return [...db.subscriptions.values()];
+    }
+    if (sql.includes('FROM webhook_deliveries d')) {
+      return [...db.deliveries.values()]
+        .filter(delivery => ['pending', 'delivering'].includes(delivery.status) && delivery.next_attempt_at <= params[0])
+        .map(delivery => ({ ...delivery, ...db.subscriptions.get(delivery.subscription_id), id: delivery.id }))
+        .filter(delivery => delivery.active === 1);
+    }
+    if (sql.includes('FROM webhook_deliveries')) {
+      return [...db.deliveries.values()].filter(delivery => delivery.subscription_id === params[0]);
+    }
+    if (sql.includes('FROM webhook_delivery_attempts')) {
+      return db.attempts.filter(attempt => attempt.delivery_id === params[0]);
+    }
+    return [];
+  };
+
+  db.prepare = (sql) => ({
+    bind: (...params) => ({
+      run: async () => run(sql, params),
+      first: async () => first(sql, params),
+      all: async () => ({ results: all(sql, params) })
+    })
+  });
+
+  return db;
+}
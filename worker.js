@@ -7,13 +7,27 @@
  */
 
 import { ChittyAuthAPI } from './src/api-router.js';
+import { MaintenanceJob } from './src/maintenance.js';
+import { WebhookManager, WEBHOOK_CRON } from './src/webhooks.js';
+
+// Durable Object class backing the RATE_LIMITER binding
+export { RateLimiterDurableObject } from './src/rate-limiter.js';
 
 export default {
   async fetch(request, env, ctx) {
     const api = new ChittyAuthAPI(env);
 
     try {
-      return await api.route(request);
+      const response = await api.route(request);
+
+      // Send webhook deliveries this request queued without holding up the response
+      if (api.webhooks.queued > 0) {
+        ctx.waitUntil(api.webhooks.deliverDue().catch(error => {
+          console.error('ChittyAuth webhook delivery error:', error);
+        }));
+      }
+
+      return response;
     } catch (error) {
       console.error('ChittyAuth worker error:', error);
 
@@ -30,5 +44,30 @@ export default {
         }
       });
     }
+  },
+
+  async scheduled(event, env, ctx) {
+    // The every-minute trigger only sends due webhook deliveries (retries included)
+    if (event.cron === WEBHOOK_CRON) {
+      // Runs every minute, so only minutes that sent something are logged
+      ctx.waitUntil(
+        new WebhookManager(env).deliverDue(event.scheduledTime).then(summary => {
+          if (summary.delivered + summary.retrying + summary.failed > 0) {
+            console.log('ChittyAuth webhooks:', JSON.stringify(summary));
+          }
+        }).catch(error => {
+          console.error('ChittyAuth webhook delivery error:', error);
+        })
+      );
+      return;
+    }
+
+    const job = new MaintenanceJob(env);
+
+    ctx.waitUntil(
+      job.run(event.scheduledTime).then(summary => {
+        console.log('ChittyAuth maintenance:', JSON.stringify(summary));
+      })
+    );
   }
 };